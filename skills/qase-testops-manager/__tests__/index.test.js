@@ -0,0 +1,201 @@
+/**
+ * Tests for index.js
+ *
+ * Tests the programmatic library API, including:
+ * - extract() / review() against a project directory with config passed in
+ * - Skipping Custom IDs used by tests in different files
+ * - plan() matching local cases to Qase cases without modifying Qase
+ * - reportResults() and cleanup() dry runs returning structured results
+ * - Errors thrown instead of exiting, and no console output by default
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../lib/qase-utils', () => ({
+  ...jest.requireActual('../lib/qase-utils'),
+  qaseApiRequest: jest.fn(),
+  getAllSuites: jest.fn(),
+  deleteSuite: jest.fn()
+}));
+
+const qaseUtils = require('../lib/qase-utils');
+const { extract, review, plan, reportResults, cleanup } = require('../index');
+
+const SPEC = `
+import { test } from '@playwright/test';
+import { qase } from 'playwright-qase-reporter';
+
+test.describe('Inbox', () => {
+  /**
+   * @description Opens the inbox
+   * @preconditions Signed in
+   * @postconditions None
+   */
+  test('TC-E2E-INBOX-001: Open inbox', async ({ page }) => {
+    await test.step('Open the page', async () => {
+      // Action: visit /inbox
+      // Expected: inbox is shown
+    });
+  });
+
+  /**
+   * @description Archives a mail
+   * @preconditions Signed in
+   * @postconditions None
+   */
+  test('TC-E2E-INBOX-002: Archive mail', async ({ page }) => {
+    await test.step('Archive', async () => {
+      // Action: click archive
+      // Expected: mail moves to archive
+    });
+  });
+});
+`;
+
+const CONFIG = {
+  e2eDir: 'e2e',
+  outputDir: 'qase',
+  extractionCache: false,
+  qase: { apiToken: 'token', projectCode: 'DEMO' }
+};
+
+describe('index.js', () => {
+  let cwd;
+  let logSpy;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-api-'));
+    fs.mkdirSync(path.join(cwd, 'e2e'));
+    fs.writeFileSync(path.join(cwd, 'e2e', 'inbox.spec.ts'), SPEC);
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    qaseUtils.qaseApiRequest.mockReset();
+    qaseUtils.getAllSuites.mockReset();
+    qaseUtils.deleteSuite.mockReset();
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  describe('extract', () => {
+    test('should extract cases from the given directory without printing', () => {
+      const { testCases, errors } = extract({ cwd, config: CONFIG });
+
+      expect(errors).toEqual([]);
+      expect(testCases.map(tc => tc.id)).toEqual(['TC-E2E-INBOX-001', 'TC-E2E-INBOX-002']);
+      expect(testCases[0].filePath).toBe(path.join('e2e', 'inbox.spec.ts'));
+      expect(logSpy).not.toHaveBeenCalled();
+    });
+
+    test('should read .qase-config.json from cwd when no config is passed', () => {
+      fs.writeFileSync(path.join(cwd, '.qase-config.json'), JSON.stringify(CONFIG));
+
+      expect(extract({ cwd }).testCases).toHaveLength(2);
+    });
+
+    test('should skip Custom IDs used by tests in different files', () => {
+      fs.writeFileSync(path.join(cwd, 'e2e', 'archive.spec.ts'), SPEC.replace("'Inbox'", "'Archive'").replace('TC-E2E-INBOX-001', 'TC-E2E-INBOX-003'));
+
+      const { testCases, errors } = extract({ cwd, config: CONFIG });
+
+      expect(testCases.map(tc => tc.id)).toEqual(['TC-E2E-INBOX-003', 'TC-E2E-INBOX-001']);
+      expect(errors.map(error => [error.file, error.testId])).toEqual([
+        ['archive.spec.ts', 'TC-E2E-INBOX-002'],
+        ['inbox.spec.ts', 'TC-E2E-INBOX-002']
+      ]);
+      expect(errors[0].error).toContain(`${path.join('e2e', 'inbox.spec.ts')}:23`);
+    });
+  });
+
+  describe('review', () => {
+    test('should return audits and a summary', () => {
+      const result = review({ cwd, config: CONFIG });
+
+      expect(result.hasIssues).toBe(false);
+      expect(result.summary).toMatchObject({ totalFiles: 1, totalTests: 2, filesWithIssues: 0 });
+      expect(result.audits[0].fileName).toBe(path.join('e2e', 'inbox.spec.ts'));
+    });
+
+    test('should report issues for an invalid Custom ID', () => {
+      fs.writeFileSync(path.join(cwd, 'e2e', 'bad.spec.ts'), SPEC.replace('TC-E2E-INBOX-002', 'INBOX-2'));
+
+      const result = review({ cwd, config: CONFIG, files: ['e2e/bad.spec.ts'] });
+
+      expect(result.hasIssues).toBe(true);
+      expect(result.audits[0].issues[0].message).toContain('INBOX-2');
+    });
+
+    test('should throw for a missing file', () => {
+      expect(() => review({ cwd, config: CONFIG, files: ['e2e/missing.spec.ts'] })).toThrow('文件不存在');
+    });
+  });
+
+  describe('plan', () => {
+    test('should split cases into updates and creations without writing to Qase', async () => {
+      qaseUtils.qaseApiRequest.mockImplementation(async (config, method, endpoint) => {
+        if (endpoint.startsWith('/suite/')) {
+          return { result: { entities: [{ id: 3, title: 'Inbox', parent_id: null }] } };
+        }
+        return { result: { entities: [{ id: 41, title: 'TC-E2E-INBOX-001: Open inbox' }] } };
+      });
+
+      const result = await plan({ cwd, config: CONFIG });
+
+      expect(result.toUpdate.map(item => [item.testCase.id, item.existing.id])).toEqual([['TC-E2E-INBOX-001', 41]]);
+      expect(result.toCreate.map(tc => tc.id)).toEqual(['TC-E2E-INBOX-002']);
+      expect(result.suites).toHaveLength(1);
+      expect(qaseUtils.qaseApiRequest.mock.calls.every(([, method]) => method === 'GET')).toBe(true);
+    });
+
+    test('should throw when the Qase config is missing', async () => {
+      await expect(plan({ cwd, config: { e2eDir: 'e2e' } })).rejects.toThrow('qase.apiToken');
+    });
+  });
+
+  describe('reportResults', () => {
+    test('should map run results to Qase cases in a dry run', async () => {
+      qaseUtils.qaseApiRequest.mockResolvedValue({
+        result: { entities: [{ id: 41, custom_fields: [{ id: 1, value: 'TC-E2E-INBOX-001' }] }] }
+      });
+      const results = {
+        suites: [{
+          specs: [
+            { title: 'TC-E2E-INBOX-001: Open inbox', tests: [{ results: [{ status: 'passed' }] }] },
+            { title: 'TC-E2E-INBOX-009: Unknown', tests: [{ results: [{ status: 'failed' }] }] }
+          ]
+        }]
+      };
+
+      const result = await reportResults({ cwd, config: CONFIG, results, dryRun: true });
+
+      expect(result.updates).toEqual([{ customId: 'TC-E2E-INBOX-001', qaseId: 41, status: 'PASS', combinations: [{ title: 'TC-E2E-INBOX-001: Open inbox', status: 'PASS' }] }]);
+      expect(result.notFound.map(item => item.customId)).toEqual(['TC-E2E-INBOX-009']);
+      expect(qaseUtils.qaseApiRequest).toHaveBeenCalledTimes(1);
+    });
+
+    test('should throw when the results file is missing', async () => {
+      await expect(reportResults({ cwd, config: CONFIG })).rejects.toThrow('找不到测试结果文件');
+    });
+  });
+
+  describe('cleanup', () => {
+    test('should list empty leaf suites without deleting by default', async () => {
+      qaseUtils.getAllSuites.mockResolvedValue([
+        { id: 1, title: 'Inbox', parent_id: null, cases_count: 0 },
+        { id: 2, title: 'Archive', parent_id: 1, cases_count: 0 },
+        { id: 3, title: 'default', parent_id: null, cases_count: 0 },
+        { id: 4, title: 'Search', parent_id: null, cases_count: 5 }
+      ]);
+
+      const result = await cleanup({ cwd, config: CONFIG });
+
+      expect(result.dryRun).toBe(true);
+      expect(result.emptySuites.map(s => s.id)).toEqual([2, 3]);
+      expect(result.reporterSuites.map(s => s.id)).toEqual([3]);
+      expect(qaseUtils.deleteSuite).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for lib/case-merge.js
+ *
+ * Tests the three-way merge of base (last sync), code and Qase, including:
+ * - Fields changed only in Qase are kept
+ * - Fields changed on both sides resolved by qase.conflictResolution
+ * - Custom ID always taken from the code
+ * - Side-by-side conflict report
+ */
+
+const { buildCaseData } = require('../../lib/qase-sync');
+const { snapshotCaseFields } = require('../../lib/sync-state');
+const {
+  resolveConflictResolution,
+  mergeCase,
+  formatFieldConflicts
+} = require('../../lib/case-merge');
+
+const CONFIG = { qase: { apiToken: 'token', projectCode: 'DEMO', customFields: { customId: 1, testFilePath: 3 } } };
+
+const localCase = (overrides = {}) => ({
+  id: 'TC-E2E-INBOX-001',
+  title: 'TC-E2E-INBOX-001: Open inbox',
+  suite: 'Inbox',
+  filePath: 'e2e/inbox.spec.ts',
+  description: 'Opens the inbox',
+  steps: [{ action: 'Open the page', expected_result: 'Page is shown' }],
+  ...overrides
+});
+
+// Qase 中的用例（与本地用例内容一致，再按 overrides 修改）
+const qaseCase = (testCase, overrides = {}) => {
+  const { custom_field: customFields, ...data } = buildCaseData(CONFIG, testCase, 1, [], null);
+  return {
+    ...data,
+    id: 41,
+    custom_fields: Object.entries(customFields).map(([id, value]) => ({ id: Number(id), value: String(value) })),
+    tags: [],
+    ...overrides
+  };
+};
+
+const BASE = snapshotCaseFields(buildCaseData(CONFIG, localCase(), 1, [], null), CONFIG);
+const merge = (testCase, existing, config = CONFIG) =>
+  mergeCase(BASE, existing, buildCaseData(config, testCase, 1, [], existing), config, resolveConflictResolution(config));
+
+describe('lib/case-merge.js', () => {
+  describe('resolveConflictResolution', () => {
+    test('should default to fail and accept a string or per-field overrides', () => {
+      expect(resolveConflictResolution({ qase: {} })).toEqual({ default: 'fail', fields: {} });
+      expect(resolveConflictResolution({ qase: { conflictResolution: 'code' } })).toEqual({ default: 'code', fields: {} });
+      expect(resolveConflictResolution({ qase: { conflictResolution: { fields: { steps: 'qase' } } } }))
+        .toEqual({ default: 'fail', fields: { steps: 'qase' } });
+    });
+
+    test('should reject unknown resolutions', () => {
+      expect(() => resolveConflictResolution({ qase: { conflictResolution: { fields: { steps: 'merge' } } } }))
+        .toThrow('qase.conflictResolution 无效: steps = "merge"');
+    });
+  });
+
+  describe('mergeCase', () => {
+    test('should keep fields edited only in Qase and push fields changed only in code', () => {
+      const existing = qaseCase(localCase(), { description: 'Improved in Qase' });
+
+      const result = merge(localCase({ title: 'TC-E2E-INBOX-001: Open the inbox' }), existing);
+
+      expect(result).toMatchObject({ keptFields: ['description'], conflicts: [], failed: false });
+      expect(result.data).not.toHaveProperty('description');
+      expect(result.data.title).toBe('TC-E2E-INBOX-001: Open the inbox');
+    });
+
+    test('should fail on fields changed on both sides by default', () => {
+      const existing = qaseCase(localCase(), { description: 'Edited in Qase' });
+
+      const result = merge(localCase({ description: 'Edited in code' }), existing);
+
+      expect(result.failed).toBe(true);
+      expect(result.conflicts).toEqual([{
+        field: 'description',
+        base: 'Opens the inbox',
+        code: 'Edited in code',
+        qase: 'Edited in Qase',
+        resolution: 'fail'
+      }]);
+    });
+
+    test('should resolve conflicts per field', () => {
+      const config = { qase: { ...CONFIG.qase, conflictResolution: { default: 'code', fields: { steps: 'qase' } } } };
+      const existing = qaseCase(localCase(), {
+        description: 'Edited in Qase',
+        steps: [{ action: 'Open the page', expected_result: 'Inbox is shown' }]
+      });
+      const testCase = localCase({
+        description: 'Edited in code',
+        steps: [{ action: 'Open the page', expected_result: 'Messages are shown' }]
+      });
+
+      const result = merge(testCase, existing, config);
+
+      expect(result.failed).toBe(false);
+      expect(result.conflicts.map(({ field, resolution }) => [field, resolution])).toEqual([['description', 'code'], ['steps', 'qase']]);
+      expect(result.keptFields).toEqual(['steps']);
+      expect(result.data.description).toBe('Edited in code');
+      expect(result.data).not.toHaveProperty('steps');
+    });
+
+    test('should keep Qase custom fields without touching the Custom ID', () => {
+      const existing = qaseCase(localCase(), {
+        custom_fields: [{ id: 1, value: 'TC-E2E-INBOX-999' }, { id: 3, value: 'moved.spec.ts' }]
+      });
+
+      const result = merge(localCase({ title: 'Renamed' }), existing);
+
+      expect(result.keptFields).toEqual(['custom_field.testFilePath']);
+      expect(result.data.custom_field).toEqual({ 1: 'TC-E2E-INBOX-001' });
+    });
+
+    test('should not merge without a base or when both sides agree', () => {
+      const existing = qaseCase(localCase(), { description: 'Same text' });
+      const data = buildCaseData(CONFIG, localCase({ description: 'Same text' }), 1, [], existing);
+
+      expect(mergeCase(null, existing, data, CONFIG, resolveConflictResolution(CONFIG)))
+        .toEqual({ data, keptFields: [], conflicts: [], failed: false });
+      expect(merge(localCase({ description: 'Same text' }), existing)).toMatchObject({ keptFields: [], conflicts: [] });
+    });
+  });
+
+  describe('formatFieldConflicts', () => {
+    test('should render code and Qase values side by side', () => {
+      const lines = formatFieldConflicts([{
+        customId: 'TC-E2E-INBOX-001',
+        qaseId: 41,
+        title: 'Open inbox',
+        failed: true,
+        fields: [{ field: 'steps', base: '1. Open', code: '1. Open | wait\n2. Read', qase: '', resolution: 'fail' }]
+      }], 'DEMO');
+
+      expect(lines).toContain('##### `TC-E2E-INBOX-001` → DEMO-41 Open inbox（未同步）');
+      expect(lines).toContain('| steps | 1. Open | 1. Open \\| wait<br>2. Read | (空) | 跳过用例 |');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for lib/cli-args.js
+ *
+ * Tests qase-testops argument parsing, including:
+ * - Global flags before or after the subcommand
+ * - --name=value and --name value string flags
+ * - Usage errors (exit code 2) for unknown commands, unknown flags and missing values
+ */
+
+const { EXIT_CODES, parseArgs } = require('../../lib/cli-args');
+
+const SPEC = {
+  globalFlags: { config: 'string', json: 'boolean' },
+  commands: {
+    compare: { flags: { case: 'string' } },
+    review: { flags: {} }
+  }
+};
+
+describe('lib/cli-args.js', () => {
+  test('should parse global flags on either side of the command', () => {
+    expect(parseArgs(['--config', 'ci.json', 'review', 'a.spec.ts', '--json'], SPEC)).toEqual({
+      command: 'review',
+      positionals: ['a.spec.ts'],
+      flags: { config: 'ci.json', json: true }
+    });
+  });
+
+  test('should accept --name=value and --name value for command flags', () => {
+    expect(parseArgs(['compare', '--case=TC-API-SYNC-001'], SPEC).flags).toEqual({ case: 'TC-API-SYNC-001' });
+    expect(parseArgs(['compare', '--case', 'TC-API-SYNC-001'], SPEC).flags).toEqual({ case: 'TC-API-SYNC-001' });
+  });
+
+  test('should return a null command when none is given', () => {
+    expect(parseArgs(['--json'], SPEC)).toEqual({ command: null, positionals: [], flags: { json: true } });
+  });
+
+  test.each([
+    [['bogus'], '未知的子命令 "bogus"'],
+    [['review', '--case=X'], '未知的参数 --case（子命令 review）'],
+    [['--case=X', 'compare'], '未知的参数 --case'],
+    [['compare', '--case'], '参数 --case 需要一个值'],
+    [['review', '--json=yes'], '参数 --json 不接受值']
+  ])('should reject %j as a usage error', (argv, message) => {
+    let error;
+    try {
+      parseArgs(argv, SPEC);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.message).toContain(message);
+    expect(error.exitCode).toBe(EXIT_CODES.USAGE);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for lib/custom-id.js
+ *
+ * Tests the shared Custom ID grammar, including:
+ * - Default TC-{LAYER}-{MODULE}-{NUMBER} format
+ * - Custom prefix / separator / number digits from config
+ * - LAYER / MODULE registry with "did you mean" suggestions
+ * - File-name based suggestions
+ * - Resolving interpolated Custom ID templates of parameterised tests
+ */
+
+const {
+  resolveIdGrammar,
+  parseCustomId,
+  findCustomId,
+  formatIdTemplate,
+  validateCustomId,
+  suggestIdForFile,
+  resolveTemplateId
+} = require('../../lib/custom-id');
+
+describe('lib/custom-id.js', () => {
+  describe('default grammar', () => {
+    const grammar = resolveIdGrammar({});
+
+    test('should accept TC-{LAYER}-{MODULE}-{NUMBER} including E2E layer', () => {
+      expect(validateCustomId('TC-API-SYNC-001', grammar).valid).toBe(true);
+      expect(validateCustomId('TC-E2E-SMOKE-001', grammar).valid).toBe(true);
+    });
+
+    test('should reject malformed IDs with the expected template', () => {
+      const result = validateCustomId('TC-API-SYNC-01', grammar);
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('TC-{LAYER}-{MODULE}-{NUMBER}');
+    });
+
+    test('should reject empty IDs', () => {
+      expect(validateCustomId('', grammar).valid).toBe(false);
+    });
+
+    test('should parse layer, module and number', () => {
+      expect(parseCustomId('TC-UI-ARCHIVE-042', grammar)).toEqual({
+        layer: 'UI',
+        module: 'ARCHIVE',
+        number: '042'
+      });
+    });
+
+    test('should find an ID inside a title', () => {
+      expect(findCustomId('TC-API-SYNC-015: 完整流程验证', grammar)).toBe('TC-API-SYNC-015');
+      expect(findCustomId('no id here', grammar)).toBeNull();
+    });
+  });
+
+  describe('configured grammar', () => {
+    const grammar = resolveIdGrammar({
+      customId: {
+        prefix: 'QA',
+        separator: '_',
+        numberDigits: 4,
+        layers: ['API', 'E2E'],
+        modules: { SYNC: '邮件同步', INBOX: '收件箱' }
+      }
+    });
+
+    test('should use configured prefix, separator and digits', () => {
+      expect(formatIdTemplate(grammar)).toBe('QA_{LAYER}_{MODULE}_{NUMBER}');
+      expect(validateCustomId('QA_API_SYNC_0001', grammar).valid).toBe(true);
+      expect(validateCustomId('TC-API-SYNC-001', grammar).valid).toBe(false);
+    });
+
+    test('should suggest the closest registered module', () => {
+      const result = validateCustomId('QA_API_SYNK_0001', grammar);
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Unknown MODULE "SYNK". Did you mean "SYNC" (邮件同步)?');
+      expect(result.suggestion).toBe('QA_API_SYNC_0001');
+    });
+
+    test('should list allowed codes when nothing is close', () => {
+      const result = validateCustomId('QA_PERF_SYNC_0001', grammar);
+
+      expect(result.error).toBe('Unknown LAYER "PERF". Allowed: API, E2E');
+      expect(result.suggestion).toBeUndefined();
+    });
+
+    test('should pick registered codes from the file name', () => {
+      expect(suggestIdForFile('BAD-7', 'e2e/specs/inbox.spec.ts', grammar)).toBe('QA_E2E_INBOX_0007');
+    });
+  });
+
+  describe('suggestIdForFile without registry', () => {
+    test('should fall back to built-in file name hints', () => {
+      const grammar = resolveIdGrammar({});
+
+      expect(suggestIdForFile('SYNC-15', 'api-sync.spec.ts', grammar)).toBe('TC-API-SYNC-015');
+      expect(suggestIdForFile('X', 'misc.spec.ts', grammar)).toBe('TC-E2E-WORKFLOW-001');
+      expect(suggestIdForFile('TC-API-SYNC-00', 'misc.spec.ts', grammar)).toBe('TC-E2E-WORKFLOW-001');
+    });
+  });
+
+  describe('resolveTemplateId', () => {
+    const grammar = resolveIdGrammar({});
+
+    test('should substitute parameters with a single value', () => {
+      expect(resolveTemplateId('TC-API-SYNC-{id}', grammar, { parameters: { id: ['015'] } }))
+        .toEqual({ id: 'TC-API-SYNC-015' });
+    });
+
+    test('should use the static prefix when it is a valid Custom ID', () => {
+      expect(resolveTemplateId('TC-API-SYNC-015-{provider}', grammar, { parameters: { provider: ['a', 'b'] } }))
+        .toEqual({ id: 'TC-API-SYNC-015' });
+    });
+
+    test('should not resolve other templates and suggest the first free number', () => {
+      const usedIds = new Set(['TC-API-SYNC-001']);
+
+      expect(resolveTemplateId('TC-API-SYNC-0{n}', grammar, { usedIds }))
+        .toEqual({ id: null, suggestion: 'TC-API-SYNC-002' });
+    });
+
+    test('should suggest registered codes for an unknown module', () => {
+      const registered = resolveIdGrammar({ customId: { modules: ['SYNC', 'INBOX'] } });
+
+      expect(resolveTemplateId('TC-API-SYNK-{n}', registered, {}).suggestion).toBe('TC-API-SYNC-001');
+      expect(resolveTemplateId('TC-{layer}-{n}', registered, { fileName: 'inbox.spec.ts' }).suggestion).toBe('TC-E2E-INBOX-001');
+    });
+  });
+});
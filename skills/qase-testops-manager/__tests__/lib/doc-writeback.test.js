@@ -0,0 +1,162 @@
+/**
+ * Tests for lib/doc-writeback.js
+ *
+ * Tests writing Qase edits back into test code (pull --fields), including:
+ * - Replacing and inserting @description / @preconditions in the JSDoc
+ * - Adding a JSDoc block to tests without one
+ * - Dropping the hook / fixture summary appended to Qase preconditions
+ * - Replacing or adding // Expected: comments in matching test.step() calls
+ * - Skipping steps whose structure changed
+ * - Preview diff and field validation
+ */
+
+const { parseTestFile } = require('../../lib/test-parser');
+const {
+  resolvePullFields,
+  planTestEdits,
+  applyEdits,
+  formatEditDiff
+} = require('../../lib/doc-writeback');
+
+const ALL_FIELDS = ['description', 'preconditions', 'steps'];
+
+// 解析文件中的第一个测试，按 Qase 用例计算修改并应用
+const pullInto = (content, qaseCase, fields = ALL_FIELDS, testCase = {}) => {
+  const [parsedTest] = parseTestFile(content, 'inbox.spec.ts').tests;
+  const planned = planTestEdits(content, parsedTest, testCase, qaseCase, fields);
+  return { ...planned, content: applyEdits(content, planned.edits) };
+};
+
+describe('lib/doc-writeback.js', () => {
+  describe('resolvePullFields', () => {
+    test('should accept a comma separated list or an array', () => {
+      expect(resolvePullFields('description, steps')).toEqual(['description', 'steps']);
+      expect(resolvePullFields(['preconditions', 'preconditions'])).toEqual(['preconditions']);
+    });
+
+    test('should reject unknown or missing fields', () => {
+      expect(() => resolvePullFields('title,steps')).toThrow('未知的字段: title');
+      expect(() => resolvePullFields('')).toThrow('请指定要拉取的字段');
+    });
+  });
+
+  describe('JSDoc', () => {
+    const SPEC = [
+      "test.describe('Inbox', () => {",
+      '  /**',
+      '   * @description Opens the inbox',
+      '   * @postconditions None',
+      '   */',
+      "  test('TC-E2E-INBOX-001: Open inbox', async ({ page }) => {});",
+      '});',
+      ''
+    ].join('\n');
+
+    test('should replace the description and insert preconditions after it', () => {
+      const result = pullInto(SPEC, { description: 'Opens the inbox\nfrom the sidebar', preconditions: 'Signed in' });
+
+      expect(result.changed).toEqual(['description', 'preconditions']);
+      expect(result.content).toContain([
+        '  /**',
+        '   * @description Opens the inbox',
+        '   * from the sidebar',
+        '   * @preconditions Signed in',
+        '   * @postconditions None',
+        '   */',
+        "  test('TC-E2E-INBOX-001"
+      ].join('\n'));
+    });
+
+    test('should not clear code values when the Qase field is empty', () => {
+      expect(pullInto(SPEC, { description: '', preconditions: '' }).edits).toEqual([]);
+    });
+
+    test('should add a JSDoc block to a test without one', () => {
+      const content = "test.describe('Inbox', () => {\n  test('TC-E2E-INBOX-001: Open inbox', async () => {});\n});\n";
+
+      const result = pullInto(content, { description: 'Opens the inbox' }, ['description']);
+
+      expect(result.content).toBe([
+        "test.describe('Inbox', () => {",
+        '  /**',
+        '   * @description Opens the inbox',
+        '   */',
+        "  test('TC-E2E-INBOX-001: Open inbox', async () => {});",
+        '});',
+        ''
+      ].join('\n'));
+    });
+
+    test('should drop the hook and fixture summary appended to the preconditions', () => {
+      const content = SPEC.replace('   * @postconditions None', '   * @preconditions Signed in');
+      const testCase = { preconditions: 'Signed in\n\nbeforeEach: open the app' };
+
+      const result = pullInto(content, { preconditions: 'Signed in as admin\n\nbeforeEach: open the app' }, ['preconditions'], testCase);
+
+      expect(result.content).toContain('   * @preconditions Signed in as admin\n   */');
+      expect(result.content).not.toContain('beforeEach');
+    });
+  });
+
+  describe('steps', () => {
+    const stepSpec = body => [
+      "test('TC-E2E-INBOX-001: Open inbox', async ({ page }) => {",
+      "  await test.step('Open the page', async () => {",
+      ...body,
+      '  });',
+      '});',
+      ''
+    ].join('\n');
+    const qaseSteps = (...expected) => ({
+      steps: expected.map(expectedResult => ({ action: 'Open the page', expected_result: expectedResult }))
+    });
+
+    test('should replace an existing Expected comment', () => {
+      const content = stepSpec(['    // Expected: inbox is shown', "    await page.goto('/inbox');"]);
+
+      const result = pullInto(content, qaseSteps('Inbox lists the latest messages'), ['steps']);
+
+      expect(result.changed).toEqual(['steps[1]']);
+      expect(result.content).toBe(content.replace('inbox is shown', 'Inbox lists the latest messages'));
+    });
+
+    test('should add the Expected comment after the Action comment', () => {
+      const content = stepSpec(['    // Action: visit /inbox', "    await page.goto('/inbox');"]);
+
+      const result = pullInto(content, { steps: [{ action: 'visit /inbox', expected_result: 'Inbox is shown' }] }, ['steps']);
+
+      expect(result.content).toContain('    // Action: visit /inbox\n    // Expected: Inbox is shown\n    await page.goto');
+    });
+
+    test('should add the Expected comment at the start of the step body', () => {
+      const content = stepSpec(["    await page.goto('/inbox');"]);
+
+      const result = pullInto(content, qaseSteps('Inbox is shown'), ['steps']);
+
+      expect(result.content).toContain("async () => {\n    // Expected: Inbox is shown\n    await page.goto('/inbox');");
+    });
+
+    test('should skip steps whose structure differs from Qase', () => {
+      const content = stepSpec(["    await page.goto('/inbox');"]);
+      const qaseCase = { steps: [{ action: 'Open the page' }, { action: 'Read a message', expected_result: 'Shown' }] };
+
+      const result = pullInto(content, qaseCase, ['steps']);
+
+      expect(result.edits).toEqual([]);
+      expect(result.skipped).toEqual(['步骤数量或操作与 Qase 不一致']);
+    });
+  });
+
+  describe('formatEditDiff', () => {
+    test('should show changed lines with their line number', () => {
+      const content = 'a\n// Expected: old\nb\n';
+      const start = content.indexOf('// Expected');
+
+      expect(formatEditDiff(content, [{ start, end: start + '// Expected: old'.length, text: '// Expected: new' }])).toEqual([
+        '@@ 第 2 行 @@',
+        '- // Expected: old',
+        '+ // Expected: new'
+      ]);
+    });
+  });
+});
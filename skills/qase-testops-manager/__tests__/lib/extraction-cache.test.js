@@ -0,0 +1,117 @@
+/**
+ * Tests for lib/extraction-cache.js
+ *
+ * Tests the per-file extraction cache keyed by path + content hash + extractor version,
+ * including entries invalidated by changed dependency files (fixture modules)
+ * and by changes to any extractor source, such as the Playwright list reader
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  computeExtractorVersion,
+  extractWithCache,
+  loadCache
+} = require('../../lib/extraction-cache');
+
+describe('lib/extraction-cache.js', () => {
+  let rootDir;
+  let cachePath;
+  let files;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-cache-'));
+    cachePath = path.join(rootDir, 'out', '.extraction-cache.json');
+    files = ['a.spec.ts', 'b.spec.ts'].map(name => {
+      const filePath = path.join(rootDir, name);
+      fs.writeFileSync(filePath, `// ${name}`);
+      return filePath;
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  function run(version = 'v1') {
+    const extract = jest.fn(content => ({ content }));
+    const outcome = extractWithCache(files, { cachePath, version, rootDir, extract });
+    return { ...outcome, extract };
+  }
+
+  test('should extract every file on the first run and write the cache', () => {
+    const { results, stats, extract } = run();
+
+    expect(stats).toEqual({ hits: 0, misses: 2 });
+    expect(extract).toHaveBeenCalledTimes(2);
+    expect(results.map(r => r.result.content)).toEqual(['// a.spec.ts', '// b.spec.ts']);
+    expect(Object.keys(loadCache(cachePath, 'v1').entries)).toEqual(['a.spec.ts', 'b.spec.ts']);
+  });
+
+  test('should serve unchanged files from the cache', () => {
+    run();
+    fs.writeFileSync(files[1], '// changed');
+
+    const { results, stats } = run();
+
+    expect(stats).toEqual({ hits: 1, misses: 1 });
+    expect(results[1].result.content).toBe('// changed');
+  });
+
+  test('should invalidate the cache when the extractor version changes', () => {
+    run('v1');
+
+    expect(run('v2').stats).toEqual({ hits: 0, misses: 2 });
+  });
+
+  test('should drop entries for files that no longer exist', () => {
+    run();
+    files = files.slice(0, 1);
+    run();
+
+    expect(Object.keys(loadCache(cachePath, 'v1').entries)).toEqual(['a.spec.ts']);
+  });
+
+  test('should invalidate entries whose declared dependencies changed', () => {
+    const fixturesPath = path.join(rootDir, 'fixtures.ts');
+    fs.writeFileSync(fixturesPath, '/** v1 */');
+    const extract = jest.fn((content, filePath) =>
+      (filePath === files[0] ? { content, dependencies: ['fixtures.ts'] } : { content }));
+    const runWithDependencies = () => extractWithCache(files, { cachePath, version: 'v1', rootDir, extract });
+
+    runWithDependencies();
+    expect(runWithDependencies().stats).toEqual({ hits: 2, misses: 0 });
+
+    fs.writeFileSync(fixturesPath, '/** v2 */');
+    expect(runWithDependencies().stats).toEqual({ hits: 1, misses: 1 });
+  });
+
+  test('should not touch disk when cachePath is empty', () => {
+    const extract = jest.fn(() => ({}));
+    extractWithCache(files, { cachePath: null, version: 'v1', rootDir, extract });
+
+    expect(fs.existsSync(cachePath)).toBe(false);
+  });
+
+  test('computeExtractorVersion should change with extraction-related config', () => {
+    expect(computeExtractorVersion({ metadataRules: [] }))
+      .not.toBe(computeExtractorVersion({ metadataRules: [{ set: { priority: 'high' } }] }));
+    expect(computeExtractorVersion({ qase: { apiToken: 'a' } }))
+      .toBe(computeExtractorVersion({ qase: { apiToken: 'b' } }));
+  });
+
+  test('computeExtractorVersion should change with the playwright --list reader', () => {
+    const before = computeExtractorVersion({});
+    const listSource = path.join(__dirname, '../../lib/playwright-list.js');
+    const readFileSync = fs.readFileSync;
+    jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) =>
+      (file === listSource ? '// changed' : readFileSync(file, ...args)));
+
+    try {
+      expect(computeExtractorVersion({})).not.toBe(before);
+    } finally {
+      fs.readFileSync.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for lib/file-discovery.js
+ *
+ * Tests recursive spec discovery with include/exclude globs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  globToRegExp,
+  matchesAny,
+  resolveDiscoveryOptions,
+  discoverTestFiles,
+  DEFAULT_INCLUDE
+} = require('../../lib/file-discovery');
+
+describe('lib/file-discovery.js', () => {
+  describe('globToRegExp', () => {
+    test('should match nested directories with **', () => {
+      const regex = globToRegExp('inbox/**/*.spec.ts');
+
+      expect(regex.test('inbox/a.spec.ts')).toBe(true);
+      expect(regex.test('inbox/sync/a.spec.ts')).toBe(true);
+      expect(regex.test('archive/a.spec.ts')).toBe(false);
+    });
+
+    test('should expand {a,b} alternatives', () => {
+      const regex = globToRegExp('*.{spec,test}.ts');
+
+      expect(regex.test('a.spec.ts')).toBe(true);
+      expect(regex.test('a.test.ts')).toBe(true);
+      expect(regex.test('a.e2e.ts')).toBe(false);
+    });
+  });
+
+  describe('matchesAny', () => {
+    test('should match default include for all supported extensions', () => {
+      ['a.spec.ts', 'a.spec.js', 'x/a.test.ts', 'x/y/a.spec.tsx', 'a.spec.mjs', 'login.cy.ts'].forEach(file => {
+        expect(matchesAny(file, DEFAULT_INCLUDE)).toBe(true);
+      });
+      expect(matchesAny('helpers/page.ts', DEFAULT_INCLUDE)).toBe(false);
+    });
+
+    test('should match patterns without / against the file name only', () => {
+      expect(matchesAny('inbox/sync/a.old.ts', ['*.old.ts'])).toBe(true);
+    });
+  });
+
+  describe('resolveDiscoveryOptions', () => {
+    test('should merge legacy excludeFiles into exclude', () => {
+      const { exclude } = resolveDiscoveryOptions({ exclude: ['drafts/**'], excludeFiles: ['*.old.ts'] });
+
+      expect(exclude).toEqual(['drafts/**', '*.old.ts']);
+    });
+  });
+
+  describe('discoverTestFiles', () => {
+    let rootDir;
+
+    beforeAll(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-discovery-'));
+      const files = [
+        'top.spec.ts',
+        'inbox/sync/nested.spec.ts',
+        'inbox/list.test.ts',
+        'inbox/legacy.old.ts',
+        'inbox/helpers.ts',
+        'node_modules/pkg/dep.spec.ts'
+      ];
+      for (const file of files) {
+        fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, file), '');
+      }
+    });
+
+    afterAll(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('should discover specs recursively and apply default excludes', () => {
+      const files = discoverTestFiles(rootDir).map(f => path.relative(rootDir, f).split(path.sep).join('/'));
+
+      expect(files).toEqual(['inbox/list.test.ts', 'inbox/sync/nested.spec.ts', 'top.spec.ts']);
+    });
+
+    test('should honor custom include/exclude lists', () => {
+      const files = discoverTestFiles(rootDir, { include: ['inbox/**/*.ts'], exclude: ['**/sync/**'] })
+        .map(f => path.relative(rootDir, f).split(path.sep).join('/'));
+
+      expect(files).toEqual(['inbox/helpers.ts', 'inbox/legacy.old.ts', 'inbox/list.test.ts']);
+    });
+
+    test('should return an empty list when the directory does not exist', () => {
+      expect(discoverTestFiles(path.join(rootDir, 'missing'))).toEqual([]);
+    });
+  });
+});
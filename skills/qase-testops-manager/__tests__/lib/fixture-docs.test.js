@@ -0,0 +1,99 @@
+/**
+ * Tests for lib/fixture-docs.js
+ *
+ * Tests fixture descriptions used for preconditions, including:
+ * - JSDoc on test.extend() properties and fixture type members
+ * - Following relative imports and re-exports to shared fixture modules
+ * - Built-in Playwright fixtures and undocumented custom fixtures
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSource } = require('../../lib/test-parser');
+const { collectFixtureDocs, loadFixtureDocs, describeFixtures } = require('../../lib/fixture-docs');
+
+const FIXTURES_FILE = `import { test as base } from '@playwright/test';
+
+type Fixtures = {
+  /** Inbox page object */
+  inbox: InboxPage;
+  seededMailbox: Mailbox;
+};
+
+export const test = base.extend<Fixtures>({
+  /**
+   * Mailbox with 20 unread messages
+   * @postconditions Seeded messages are deleted
+   */
+  seededMailbox: async ({ request }, use) => {
+    await use(await seed(request));
+  },
+
+  inbox: async ({ page }, use) => use(new InboxPage(page))
+});
+`;
+
+describe('lib/fixture-docs.js', () => {
+  describe('collectFixtureDocs', () => {
+    test('should read JSDoc from extend() properties and type members', () => {
+      const docs = collectFixtureDocs(parseSource(FIXTURES_FILE, 'fixtures.ts'));
+
+      expect(docs.seededMailbox).toEqual({
+        description: 'Mailbox with 20 unread messages',
+        postconditions: 'Seeded messages are deleted'
+      });
+      expect(docs.inbox).toEqual({ description: 'Inbox page object', postconditions: '' });
+    });
+  });
+
+  describe('loadFixtureDocs', () => {
+    let rootDir;
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-fixtures-'));
+      fs.mkdirSync(path.join(rootDir, 'fixtures'));
+      fs.writeFileSync(path.join(rootDir, 'fixtures', 'mailbox.ts'), FIXTURES_FILE);
+      fs.writeFileSync(path.join(rootDir, 'fixtures', 'index.ts'), "export * from './mailbox';\n");
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('should follow relative imports and re-exports', () => {
+      const specPath = path.join(rootDir, 'inbox.spec.ts');
+      const { docs, files } = loadFixtureDocs(specPath, "import { test } from './fixtures';\n");
+
+      expect(docs.seededMailbox.description).toBe('Mailbox with 20 unread messages');
+      expect(files.map(file => path.relative(rootDir, file))).toEqual([
+        path.join('fixtures', 'index.ts'),
+        path.join('fixtures', 'mailbox.ts')
+      ]);
+    });
+
+    test('should prefer definitions closer to the spec', () => {
+      const specPath = path.join(rootDir, 'inbox.spec.ts');
+      const content = `import { test as shared } from './fixtures';
+        const test = shared.extend({
+          /** Mailbox with one message */
+          seededMailbox: async ({}, use) => use(null)
+        });`;
+
+      expect(loadFixtureDocs(specPath, content).docs.seededMailbox.description).toBe('Mailbox with one message');
+    });
+  });
+
+  describe('describeFixtures', () => {
+    test('should skip undocumented built-ins and list undocumented custom fixtures by name', () => {
+      const docs = {
+        seededMailbox: { description: 'Mailbox with 20 unread messages', postconditions: 'Seeded messages are deleted' }
+      };
+
+      expect(describeFixtures(['page', 'seededMailbox', 'adminUser'], docs)).toEqual({
+        preconditions: ['Fixture seededMailbox: Mailbox with 20 unread messages', 'Fixture adminUser'],
+        postconditions: ['Fixture seededMailbox: Seeded messages are deleted']
+      });
+    });
+  });
+});
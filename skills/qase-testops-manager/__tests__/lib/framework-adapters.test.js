@@ -0,0 +1,197 @@
+/**
+ * Tests for lib/framework-adapters.js
+ *
+ * Tests framework adapters and the shared case model, including:
+ * - Automatic framework detection from imports, file names and cy.* usage
+ * - Jest / Vitest / Mocha test, describe and modifier syntax
+ * - Top-level it() outside describe() reported as a per-test extraction error
+ * - qase.step() trees and Cypress cy.log() markers as steps
+ * - framework config (fixed name, per-path globs) and custom adapters
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTestFile } = require('../../lib/test-parser');
+const { createExtractionContext, extractTestCasesFromFile } = require('../../lib/extractor');
+const {
+  detectAdapter,
+  createAdapterResolver,
+  jest: jestAdapter,
+  mocha,
+  cypress
+} = require('../../lib/framework-adapters');
+
+const JEST_FILE = `import { qase } from 'jest-qase-reporter/jest';
+
+describe('Inbox', () => {
+  describe('Archive', () => {
+    /**
+     * @description Archive a thread
+     */
+    it(qase(42, 'TC-UI-INBOX-001: Archive thread'), async () => {
+      await qase.step('Open inbox', async () => {
+        // Action: open inbox
+        await qase.step('Select thread', async () => {
+          expect(selected).toBe(true);
+        });
+      });
+    });
+
+    it.skip('TC-UI-INBOX-002: Skipped', () => {});
+    xit('TC-UI-INBOX-003: Also skipped', () => {});
+    test.todo('TC-UI-INBOX-004: Not written yet');
+  });
+});
+`;
+
+const CYPRESS_FILE = `describe('Login', () => {
+  context('Valid user', () => {
+    it('TC-E2E-AUTH-001: Sign in', () => {
+      cy.log('Open login page');
+      // Action: visit /login
+      cy.visit('/login');
+
+      cy.log('Submit credentials');
+      // Expected: dashboard is shown
+      cy.get('#submit').click();
+      expect(url).toContain('/dashboard');
+    });
+  });
+});
+`;
+
+describe('lib/framework-adapters.js', () => {
+  describe('detectAdapter', () => {
+    test('should detect frameworks from imports', () => {
+      expect(detectAdapter("import { test } from '@playwright/test';").name).toBe('playwright');
+      expect(detectAdapter("import { it } from 'vitest';").name).toBe('vitest');
+      expect(detectAdapter("const { expect } = require('@jest/globals');").name).toBe('jest');
+      expect(detectAdapter("import { qase } from 'mocha-qase-reporter/mocha';").name).toBe('mocha');
+    });
+
+    test('should detect Cypress from file name or cy.* calls', () => {
+      expect(detectAdapter("it('x', () => {})", 'login.cy.ts').name).toBe('cypress');
+      expect(detectAdapter("it('x', () => { cy.visit('/'); })", 'login.spec.ts').name).toBe('cypress');
+    });
+
+    test('should fall back to Jest for global describe/it and Playwright otherwise', () => {
+      expect(detectAdapter("describe('x', () => { it('y', () => {}); });").name).toBe('jest');
+      expect(detectAdapter("import { test } from './fixtures';\ntest('x', async () => {});").name)
+        .toBe('playwright');
+    });
+  });
+
+  describe('Jest adapter', () => {
+    const { framework, tests } = parseTestFile(JEST_FILE, 'inbox.test.ts', jestAdapter);
+
+    test('should produce the same case model as Playwright', () => {
+      expect(framework).toBe('jest');
+      expect(tests.map(t => t.customId)).toEqual(['TC-UI-INBOX-001', 'TC-UI-INBOX-002', 'TC-UI-INBOX-003']);
+      expect(tests[0].describePath).toEqual(['Inbox', 'Archive']);
+      expect(tests[0].jsdoc).toContain('@description Archive a thread');
+    });
+
+    test('should read the Qase ID from the qase(id, title) wrapper', () => {
+      expect(tests[0].qaseId).toBe(42);
+      expect(tests[0].title).toBe('Archive thread');
+    });
+
+    test('should map skip modifiers and x-prefixed aliases', () => {
+      expect(tests[1].modifiers).toEqual(['skip']);
+      expect(tests[2].modifiers).toEqual(['skip']);
+    });
+
+    test('should map qase.step() to nested steps', () => {
+      const [step] = tests[0].steps;
+
+      expect(step.title).toBe('Open inbox');
+      expect(step.ownBody).toContain('// Action: open inbox');
+      expect(step.children.map(child => child.title)).toEqual(['Select thread']);
+      expect(step.children[0].assertions[0].matcher).toBe('toBe');
+    });
+
+    test('should report a top-level it() as an extraction error and keep the other tests', () => {
+      const content = [
+        "it('TC-UI-INBOX-005: Outside describe', () => {});",
+        "describe('Inbox', () => {",
+        "  it('TC-UI-INBOX-006: Inside describe', () => {});",
+        '});'
+      ].join('\n');
+      const context = createExtractionContext({ cwd: os.tmpdir(), config: { framework: 'jest' } });
+      const { testCases, errors } = extractTestCasesFromFile(context, content, 'inbox.test.ts');
+
+      expect(testCases.map(tc => [tc.id, tc.suite])).toEqual([['TC-UI-INBOX-006', 'Inbox']]);
+      expect(errors).toEqual([
+        expect.objectContaining({ file: 'inbox.test.ts', testId: 'TC-UI-INBOX-005', line: 1 })
+      ]);
+      expect(errors[0].error).toContain('describe()');
+    });
+  });
+
+  describe('Mocha adapter', () => {
+    test('should support context() and specify()', () => {
+      const content = "context('Sync', function () { specify('TC-API-SYNC-001: Sync', function () {}); });";
+      const { tests } = parseTestFile(content, 'sync.spec.js', mocha);
+
+      expect(tests[0].describePath).toEqual(['Sync']);
+      expect(tests[0].customId).toBe('TC-API-SYNC-001');
+    });
+  });
+
+  describe('Cypress adapter', () => {
+    const { framework, tests } = parseTestFile(CYPRESS_FILE, 'login.cy.ts');
+
+    test('should map cy.log() markers to flat steps', () => {
+      expect(framework).toBe(cypress.name);
+      expect(tests[0].describePath).toEqual(['Login', 'Valid user']);
+      expect(tests[0].steps.map(step => step.title)).toEqual(['Open login page', 'Submit credentials']);
+    });
+
+    test('should assign the statements up to the next marker to each step', () => {
+      const [open, submit] = tests[0].steps;
+
+      expect(open.ownBody).toContain('// Action: visit /login');
+      expect(open.ownBody).not.toContain('#submit');
+      expect(open.assertions).toEqual([]);
+      expect(submit.ownBody).toContain('// Expected: dashboard is shown');
+      expect(submit.assertions.map(a => a.matcher)).toEqual(['toContain']);
+    });
+  });
+
+  describe('createAdapterResolver', () => {
+    test('should honour a fixed framework and per-path globs', () => {
+      const content = "describe('x', () => {});";
+
+      expect(createAdapterResolver({ framework: 'mocha' })(content, 'a.spec.js').name).toBe('mocha');
+      expect(createAdapterResolver({ framework: { 'unit/**': 'vitest' } })(content, 'unit/a.test.ts').name)
+        .toBe('vitest');
+      expect(createAdapterResolver({ framework: { 'unit/**': 'vitest' } })(content, 'e2e/a.test.ts').name)
+        .toBe('jest');
+    });
+
+    test('should reject unknown framework names', () => {
+      expect(() => createAdapterResolver({ framework: 'jasmine' })).toThrow('未知的测试框架 "jasmine"');
+    });
+
+    test('should load custom adapters relative to the project root', () => {
+      const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-adapter-'));
+      fs.writeFileSync(
+        path.join(rootDir, 'scenario.js'),
+        `module.exports = {
+          name: 'scenario',
+          classify: chain => (chain.join('.') === 'scenario' ? { kind: 'test', modifiers: [] } : null)
+        };`
+      );
+
+      try {
+        const adapter = createAdapterResolver({ framework: 'scenario', adapters: ['./scenario.js'] }, rootDir)('');
+        const { tests } = parseTestFile("scenario('TC-E2E-FLOW-001: Flow', () => {});", 'flow.ts', adapter);
+
+        expect(tests.map(t => t.customId)).toEqual(['TC-E2E-FLOW-001']);
+      } finally {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
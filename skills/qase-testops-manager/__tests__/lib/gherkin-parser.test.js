@@ -0,0 +1,108 @@
+/**
+ * Tests for lib/gherkin-parser.js
+ *
+ * Tests .feature parsing into the shared test model, including:
+ * - Feature / Rule as the suite path and @TC-... tags as Custom IDs
+ * - Given / When / Then steps with Doc Strings and Data Tables
+ * - Background as preconditions, Examples tables as parameters
+ * - @QaseID=N, modifier tags and inherited tags
+ */
+
+const { parseFeatureFile } = require('../../lib/gherkin-parser');
+const { parseTestFile } = require('../../lib/test-parser');
+
+const FEATURE_FILE = `@auth
+Feature: Authentication
+  Users sign in with email and password.
+
+  Background:
+    Given the app is running
+
+  @TC-E2E-AUTH-001 @smoke @QaseID=42
+  Scenario: Sign in with valid credentials
+    Given I am on the login page
+    When I submit the form with:
+      | email    | a@b.c  |
+      | password | secret |
+    Then I see the dashboard
+
+  Rule: Locked accounts
+
+    Background:
+      Given the account is locked
+
+    @TC-E2E-AUTH-002 @skip
+    Scenario Outline: Sign in as <role>
+      Locked users are told why.
+
+      When I sign in as "<role>"
+      Then I see the message:
+        """
+        Account locked
+        """
+
+      Examples:
+        | role  |
+        | admin |
+        | guest |
+
+      Examples: More roles
+        | role   |
+        | editor |
+        | admin  |
+`;
+
+describe('lib/gherkin-parser.js', () => {
+  const { framework, tests, describes } = parseFeatureFile(FEATURE_FILE);
+  const [signIn, outline] = tests;
+
+  test('should map scenarios to tests with Custom IDs from tags', () => {
+    expect(framework).toBe('gherkin');
+    expect(tests.map(t => t.customId)).toEqual(['TC-E2E-AUTH-001', 'TC-E2E-AUTH-002']);
+    expect(signIn.rawTitle).toBe('TC-E2E-AUTH-001: Sign in with valid credentials');
+    expect(signIn.location.start.line).toBe(9);
+  });
+
+  test('should use Feature and Rule as the suite path', () => {
+    expect(signIn.describePath).toEqual(['Authentication']);
+    expect(outline.describePath).toEqual(['Authentication', 'Locked accounts']);
+    expect(describes.map(d => d.path)).toEqual([[], ['Authentication']]);
+  });
+
+  test('should read Qase ID, modifiers and inherited tags', () => {
+    expect(signIn.qaseId).toBe(42);
+    expect(signIn.tags).toEqual(['@auth', '@smoke']);
+    expect(outline.modifiers).toEqual(['skip']);
+    expect(outline.qaseId).toBeNull();
+  });
+
+  test('should map Given/When/Then to steps with table and doc string data', () => {
+    expect(signIn.stepsType).toBe('gherkin');
+    expect(signIn.steps.map(s => s.title)).toEqual([
+      'Given I am on the login page',
+      'When I submit the form with:',
+      'Then I see the dashboard'
+    ]);
+    expect(signIn.steps[1].data).toBe('| email    | a@b.c  |\n| password | secret |');
+    expect(outline.steps[1].data).toBe('Account locked');
+  });
+
+  test('should use Background steps as preconditions', () => {
+    expect(signIn.preconditions).toBe('Given the app is running');
+    expect(outline.preconditions).toBe('Given the app is running\nGiven the account is locked');
+  });
+
+  test('should merge Examples tables into parameters', () => {
+    expect(signIn.parameters).toEqual({});
+    expect(outline.parameters).toEqual({ role: ['admin', 'guest', 'editor'] });
+  });
+
+  test('should read scenario and feature descriptions', () => {
+    expect(outline.description).toBe('Locked users are told why.');
+    expect(signIn.description).toBe('Users sign in with email and password.');
+  });
+
+  test('parseTestFile should delegate .feature files', () => {
+    expect(parseTestFile(FEATURE_FILE, 'auth.feature').tests).toHaveLength(2);
+  });
+});
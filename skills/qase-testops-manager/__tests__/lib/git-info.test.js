@@ -0,0 +1,139 @@
+/**
+ * Tests for lib/git-info.js
+ *
+ * Tests git ownership and source links for extracted cases, including:
+ * - Parsing git blame --line-porcelain output
+ * - The last modification inside a test's line range, ignoring uncommitted lines
+ * - Source URL templates and the fallback outside a git repository
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseBlamePorcelain, lastModification, buildSourceUrl, annotateGitInfo } = require('../../lib/git-info');
+
+const SHA_A = 'a'.repeat(40);
+const SHA_B = 'b'.repeat(40);
+const UNCOMMITTED = '0'.repeat(40);
+
+function porcelain(entries) {
+  return entries.map(([sha, line, author, time]) => [
+    `${sha} ${line} ${line} 1`,
+    `author ${author}`,
+    `author-mail <${author.toLowerCase().replace(' ', '.')}@acme.io>`,
+    `author-time ${time}`,
+    'filename inbox.spec.ts',
+    `\tline ${line}`
+  ].join('\n')).join('\n');
+}
+
+function testCase(filePath, start, end) {
+  return {
+    filePath,
+    location: { start: { line: start, column: 1 }, end: { line: end, column: 1 } }
+  };
+}
+
+describe('lib/git-info.js', () => {
+  describe('parseBlamePorcelain', () => {
+    test('should index blame entries by line number', () => {
+      const blame = parseBlamePorcelain(porcelain([[SHA_A, 1, 'Ann Lee', 100], [SHA_B, 2, 'Bo Chen', 200]]));
+
+      expect(blame[2]).toEqual({ commit: SHA_B, author: 'Bo Chen', authorEmail: 'bo.chen@acme.io', authorTime: 200 });
+    });
+  });
+
+  describe('lastModification', () => {
+    const blame = parseBlamePorcelain(porcelain([
+      [SHA_A, 1, 'Ann Lee', 300],
+      [SHA_A, 2, 'Ann Lee', 100],
+      [SHA_B, 3, 'Bo Chen', 200],
+      [UNCOMMITTED, 4, 'Not Committed Yet', 400]
+    ]));
+
+    test('should pick the most recent commit inside the range', () => {
+      expect(lastModification(blame, 2, 4)).toEqual({
+        author: 'Bo Chen',
+        authorEmail: 'bo.chen@acme.io',
+        commit: SHA_B,
+        date: new Date(200 * 1000).toISOString()
+      });
+    });
+
+    test('should return null when the range has only uncommitted lines', () => {
+      expect(lastModification(blame, 4, 4)).toBeNull();
+    });
+  });
+
+  describe('buildSourceUrl', () => {
+    test('should fill placeholders and keep unknown ones', () => {
+      const url = buildSourceUrl('https://github.com/acme/app/blob/{ref}/{path}#L{line}-L{endLine}{query}', {
+        path: 'e2e/specs/inbox.spec.ts',
+        line: 3,
+        endLine: 9,
+        ref: 'main'
+      });
+
+      expect(url).toBe('https://github.com/acme/app/blob/main/e2e/specs/inbox.spec.ts#L3-L9{query}');
+    });
+  });
+
+  describe('annotateGitInfo', () => {
+    let rootDir;
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-git-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    function commit(author, email, date) {
+      execFileSync('git', ['add', '-A'], { cwd: rootDir });
+      execFileSync('git', ['commit', '-q', '-m', 'change'], {
+        cwd: rootDir,
+        env: {
+          ...process.env,
+          GIT_AUTHOR_NAME: author,
+          GIT_AUTHOR_EMAIL: email,
+          GIT_AUTHOR_DATE: date,
+          GIT_COMMITTER_NAME: author,
+          GIT_COMMITTER_EMAIL: email,
+          GIT_COMMITTER_DATE: date
+        }
+      });
+    }
+
+    test('should record the owner, last commit and source URL of each case', () => {
+      execFileSync('git', ['init', '-q'], { cwd: rootDir });
+      fs.mkdirSync(path.join(rootDir, 'e2e'));
+      const specPath = path.join(rootDir, 'e2e', 'inbox.spec.ts');
+      fs.writeFileSync(specPath, 'test(1);\ntest(2);\n');
+      commit('Ann Lee', 'ann@acme.io', '2026-01-01T00:00:00Z');
+      fs.writeFileSync(specPath, 'test(1);\ntest(2, changed);\n');
+      commit('Bo Chen', 'bo@acme.io', '2026-02-01T00:00:00Z');
+      const head = execFileSync('git', ['rev-parse', 'HEAD'], { cwd: rootDir, encoding: 'utf-8' }).trim();
+
+      const [first, second] = annotateGitInfo(
+        [testCase(path.join('e2e', 'inbox.spec.ts'), 1, 1), testCase(path.join('e2e', 'inbox.spec.ts'), 1, 2)],
+        { rootDir, config: { sourceUrl: 'https://git.acme.io/app/{path}?ref={ref}#L{line}-L{endLine}' } }
+      );
+
+      expect(first.owner).toEqual({ name: 'Ann Lee', email: 'ann@acme.io' });
+      expect(second.owner).toEqual({ name: 'Bo Chen', email: 'bo@acme.io' });
+      expect(second.lastCommit).toEqual({ sha: head, date: '2026-02-01T00:00:00.000Z' });
+      expect(second.lines).toEqual({ start: 1, end: 2 });
+      expect(second.sourceUrl).toBe(`https://git.acme.io/app/e2e/inbox.spec.ts?ref=${head}#L1-L2`);
+    });
+
+    test('should keep the line range outside a git repository', () => {
+      const [annotated] = annotateGitInfo([testCase('inbox.spec.ts', 4, 8)], { rootDir, config: {} });
+
+      expect(annotated.owner).toBeNull();
+      expect(annotated.lastCommit).toBeNull();
+      expect(annotated.sourceUrl).toBe('inbox.spec.ts:4-8');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for lib/helper-steps.js
+ *
+ * Tests expanding page-object and helper steps into case steps, including:
+ * - Imported functions, namespace imports and class methods resolved through type hints
+ * - this.method() calls, inherited methods and @step-decorated methods
+ * - Call order, the depth limit and the modules read for the extraction cache
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTestFile, flattenSteps } = require('../../lib/test-parser');
+const { playwright } = require('../../lib/framework-adapters');
+const { createHelperExpander } = require('../../lib/helper-steps');
+
+const BASE_PAGE = `import { Page } from '@playwright/test';
+import { step } from './step';
+
+export class BasePage {
+  constructor(readonly page: Page) {}
+
+  @step('Open the app')
+  async open() {
+    await this.page.goto('/');
+  }
+}
+`;
+
+const INBOX_PAGE = `import { test } from '@playwright/test';
+import { BasePage } from './base-page';
+import { step } from './step';
+
+export class InboxPage extends BasePage {
+  async archiveMessage(subject: string) {
+    await this.open();
+    await test.step('Select the message', async () => {});
+    await this.confirm();
+  }
+
+  @step()
+  async confirm() {
+    await expect(this.page.getByText('Archived')).toBeVisible();
+  }
+}
+`;
+
+const HELPERS = `import { test } from '@playwright/test';
+
+export async function signIn(page) {
+  await test.step('Sign in', async () => {});
+}
+`;
+
+const SPEC = `import { test } from '@playwright/test';
+import { InboxPage } from '../pages/inbox-page';
+import * as helpers from '../pages/helpers';
+
+test.describe('Inbox', () => {
+  test('TC-E2E-INBOX-001: Archive', async ({ page }) => {
+    await helpers.signIn(page);
+    const inbox = new InboxPage(page);
+    await inbox.archiveMessage('Hello');
+    await test.step('Check the archive', async () => {});
+    await page.goto('/done');
+  });
+});
+`;
+
+describe('lib/helper-steps.js', () => {
+  let rootDir;
+  let specPath;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-helpers-'));
+    fs.mkdirSync(path.join(rootDir, 'pages'));
+    fs.mkdirSync(path.join(rootDir, 'specs'));
+    fs.writeFileSync(path.join(rootDir, 'pages', 'step.ts'), 'export function step(title?: string) {}\n');
+    fs.writeFileSync(path.join(rootDir, 'pages', 'base-page.ts'), BASE_PAGE);
+    fs.writeFileSync(path.join(rootDir, 'pages', 'inbox-page.ts'), INBOX_PAGE);
+    fs.writeFileSync(path.join(rootDir, 'pages', 'helpers.ts'), HELPERS);
+    specPath = path.join(rootDir, 'specs', 'inbox.spec.ts');
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  function parse(content, depth) {
+    const helpers = createHelperExpander({ filePath: specPath, adapter: playwright, depth });
+    const { tests } = parseTestFile(content, 'inbox.spec.ts', playwright, { expandHelper: helpers.expand });
+    return { tests, files: helpers.files() };
+  }
+
+  test('should inline helper and page-object steps in call order', () => {
+    const { tests } = parse(SPEC, 2);
+
+    expect(tests[0].steps.map(step => step.title)).toEqual([
+      'Sign in',
+      'Open the app',
+      'Select the message',
+      'InboxPage.confirm',
+      'Check the archive'
+    ]);
+  });
+
+  test('should turn @step methods into steps with their own assertions', () => {
+    const { tests } = parse(SPEC, 2);
+    const confirm = tests[0].steps.find(step => step.title === 'InboxPage.confirm');
+
+    expect(confirm.assertions.map(assertion => assertion.matcher)).toEqual(['toBeVisible']);
+  });
+
+  test('should stop at the configured depth', () => {
+    const { tests } = parse(SPEC, 1);
+
+    expect(tests[0].steps.map(step => step.title)).toEqual(['Sign in', 'Select the message', 'Check the archive']);
+  });
+
+  test('should resolve fixtures through their declared type', () => {
+    const content = `import { test as base } from '@playwright/test';
+      import { InboxPage } from '../pages/inbox-page';
+
+      const test = base.extend<{ inbox: InboxPage }>({
+        inbox: async ({ page }, use) => use(new InboxPage(page))
+      });
+
+      test('TC-E2E-INBOX-002: Archive', async ({ inbox }) => {
+        await test.step('Archive', async () => {
+          await inbox.archiveMessage('Hello');
+        });
+      });`;
+    const { tests } = parse(content, 2);
+
+    expect(flattenSteps(tests[0].steps).map(step => step.title)).toEqual([
+      'Archive',
+      'Open the app',
+      'Select the message',
+      'InboxPage.confirm'
+    ]);
+  });
+
+  test('should report the modules it read', () => {
+    const { files } = parse(SPEC, 2);
+
+    expect(files.map(file => path.relative(rootDir, file)).sort()).toEqual([
+      path.join('pages', 'base-page.ts'),
+      path.join('pages', 'helpers.ts'),
+      path.join('pages', 'inbox-page.ts'),
+      path.join('pages', 'step.ts')
+    ]);
+  });
+
+  test('should leave built-in fixture calls alone', () => {
+    const { tests } = parse(`import '../pages/inbox-page';
+      test('TC-E2E-INBOX-003: Confirm', async ({ page }) => {
+        await page.confirm();
+      });`, 2);
+
+    expect(tests[0].steps).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for lib/metadata-rules.js
+ *
+ * Tests rule-based metadata inference, including:
+ * - Matching on ID segments, describe path, file path, tags and JSDoc tags
+ * - Explicit JSDoc tags (@priority, @type) winning over rules
+ * - First matching rule wins per field, built-in rules and defaults
+ * - Rule validation warnings
+ */
+
+const {
+  buildRuleContext,
+  inferMetadata,
+  ruleMatches,
+  validateRules,
+  parseJSDocTags
+} = require('../../lib/metadata-rules');
+
+function context(overrides = {}) {
+  return buildRuleContext({
+    idParts: { layer: 'API', module: 'PAY', number: '001' },
+    describePath: ['Payments', 'Refunds'],
+    filePath: 'e2e/specs/payments/refund.spec.ts',
+    tags: ['@slow'],
+    title: 'Refund order @smoke',
+    jsdoc: '/**\n * @description Refund\n * @owner billing\n */',
+    ...overrides
+  });
+}
+
+describe('lib/metadata-rules.js', () => {
+  describe('ruleMatches', () => {
+    const ctx = context();
+
+    test('should match ID segments', () => {
+      expect(ruleMatches({ layer: 'API', module: ['PAY', 'SYNC'] }, ctx)).toBe(true);
+      expect(ruleMatches({ module: 'SYNC' }, ctx)).toBe(false);
+    });
+
+    test('should match describe names with wildcards', () => {
+      expect(ruleMatches({ describe: 'refund*' }, ctx)).toBe(true);
+      expect(ruleMatches({ describe: 'Payments / Refunds' }, ctx)).toBe(true);
+      expect(ruleMatches({ describe: 'Inbox' }, ctx)).toBe(false);
+    });
+
+    test('should match file globs', () => {
+      expect(ruleMatches({ file: 'e2e/specs/payments/**' }, ctx)).toBe(true);
+      expect(ruleMatches({ file: 'e2e/specs/inbox/**' }, ctx)).toBe(false);
+    });
+
+    test('should match details tags and title tags with or without @', () => {
+      expect(ruleMatches({ tag: 'slow' }, ctx)).toBe(true);
+      expect(ruleMatches({ tag: '@smoke' }, ctx)).toBe(true);
+    });
+
+    test('should match JSDoc tags by name and optional value', () => {
+      expect(ruleMatches({ jsdoc: '@owner' }, ctx)).toBe(true);
+      expect(ruleMatches({ jsdoc: '@owner billing' }, ctx)).toBe(true);
+      expect(ruleMatches({ jsdoc: '@owner mail' }, ctx)).toBe(false);
+    });
+
+    test('should require every condition of a rule', () => {
+      expect(ruleMatches({ layer: 'API', tag: '@regression' }, ctx)).toBe(false);
+    });
+  });
+
+  describe('inferMetadata', () => {
+    test('should apply the first matching rule per field and report sources', () => {
+      const rules = [
+        { name: 'payments', match: { module: 'PAY' }, set: { severity: 'critical' } },
+        { name: 'slow', match: { tag: '@slow' }, set: { severity: 'minor', priority: 'low' } }
+      ];
+      const { values, sources } = inferMetadata(context(), rules);
+
+      expect(values.severity).toBe('critical');
+      expect(values.priority).toBe('low');
+      expect(sources.severity).toBe('规则 payments');
+      expect(sources.priority).toBe('规则 slow');
+    });
+
+    test('should let explicit JSDoc tags win over rules', () => {
+      const ctx = context({ jsdoc: '/**\n * @priority high\n * @type security\n */' });
+      const rules = [{ name: 'low', match: {}, set: { priority: 'low', type: 'smoke' } }];
+      const { values, sources } = inferMetadata(ctx, rules);
+
+      expect(values.priority).toBe('high');
+      expect(values.type).toBe('security');
+      expect(sources.priority).toBe('JSDoc @priority');
+    });
+
+    test('should fall back to built-in rules and defaults', () => {
+      const { values, sources } = inferMetadata(context(), []);
+
+      expect(values.type).toBe('smoke');
+      expect(values.priority).toBe('high');
+      expect(values.layer).toBe('api');
+      expect(values.severity).toBe('normal');
+      expect(values.behavior).toBeNull();
+      expect(sources.layer).toBe('规则 builtin:api-layer');
+      expect(sources.severity).toBe('默认值');
+    });
+
+    test('should ignore invalid JSDoc values such as @type {string}', () => {
+      const ctx = context({ title: 'Refund', jsdoc: '/** @type {string} */' });
+
+      expect(inferMetadata(ctx, []).values.type).toBe('functional');
+    });
+  });
+
+  describe('validateRules', () => {
+    test('should warn about unknown fields, values and match keys', () => {
+      const warnings = validateRules([
+        { name: 'bad', match: { suite: 'X' }, set: { prio: 'high', type: 'bogus' } }
+      ]);
+
+      expect(warnings).toHaveLength(3);
+      expect(warnings[0]).toContain('suite');
+    });
+  });
+
+  describe('parseJSDocTags', () => {
+    test('should read tag names and values', () => {
+      expect(parseJSDocTags('/**\n * @priority high\n * @flaky\n */')).toEqual([
+        { name: 'priority', value: 'high' },
+        { name: 'flaky', value: '' }
+      ]);
+    });
+  });
+});
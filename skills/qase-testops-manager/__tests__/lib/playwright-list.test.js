@@ -0,0 +1,217 @@
+/**
+ * Tests for lib/playwright-list.js
+ *
+ * Tests the Playwright --list extraction source, including:
+ * - Reading the JSON report from listFile or from the configured command
+ * - Running the command without a shell, passing args unchanged
+ * - Detecting grep / project / file filters that list only part of the tests
+ * - Flattening suites into tests with describe paths, tags and projects
+ * - Merging listed tests with statically parsed details
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTestFile } = require('../../lib/test-parser');
+const {
+  parseListReport,
+  splitCommand,
+  runPlaywrightList,
+  isFilteredList,
+  flattenListReport,
+  groupByFile,
+  mergeListedTests
+} = require('../../lib/playwright-list');
+
+const SPEC = `import { test } from '@playwright/test';
+
+test.describe('Inbox', () => {
+  /**
+   * @description Archive a message from the list
+   */
+  test('TC-E2E-INBOX-001: Archive', async ({ page }) => {
+    await test.step('Open inbox', async () => {});
+  });
+
+  for (const role of ['admin', 'viewer']) {
+    test(\`TC-E2E-INBOX-002: Open as \${role}\`, async ({ page }) => {});
+  }
+
+  test('TC-E2E-INBOX-003: Filtered out by grep', async () => {});
+});
+`;
+
+function spec(title, line, extra = {}) {
+  return {
+    title,
+    file: 'inbox.spec.ts',
+    line,
+    column: 3,
+    tags: [],
+    tests: [{ projectName: 'chromium', annotations: [] }],
+    ...extra
+  };
+}
+
+function report(specs) {
+  return {
+    config: { rootDir: '/repo/e2e' },
+    suites: [{
+      title: 'inbox.spec.ts',
+      file: 'inbox.spec.ts',
+      specs: [],
+      suites: [{ title: 'Inbox', file: 'inbox.spec.ts', specs, suites: [] }]
+    }],
+    errors: []
+  };
+}
+
+describe('lib/playwright-list.js', () => {
+  describe('parseListReport', () => {
+    test('should ignore log output before the JSON report', () => {
+      expect(parseListReport('Listing tests:\n{"suites":[]}')).toEqual({ suites: [] });
+    });
+
+    test('should throw when there is no JSON report', () => {
+      expect(() => parseListReport('Error: no tests found')).toThrow('Playwright 没有输出 JSON 报告');
+    });
+  });
+
+  describe('runPlaywrightList', () => {
+    let rootDir;
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-list-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('should read listFile relative to the project root', () => {
+      fs.writeFileSync(path.join(rootDir, 'list.json'), JSON.stringify({ suites: [], errors: [] }));
+
+      expect(runPlaywrightList({ listFile: 'list.json' }, rootDir)).toEqual({ suites: [], errors: [] });
+    });
+
+    test('should append --list --reporter=json and the configured args to the command', () => {
+      const script = path.join(rootDir, 'fake-playwright.js');
+      fs.writeFileSync(script, 'console.log(JSON.stringify({ argv: process.argv.slice(2) }));\n');
+
+      const result = runPlaywrightList({ command: `node ${script}`, args: ['--project=chromium'] }, rootDir);
+
+      expect(result.argv).toEqual(['--list', '--reporter=json', '--project=chromium']);
+    });
+
+    test('should pass args unchanged without a shell', () => {
+      const script = path.join(rootDir, 'fake playwright.js');
+      fs.writeFileSync(script, 'console.log(JSON.stringify({ argv: process.argv.slice(2) }));\n');
+      const args = ['--grep=sync $(touch pwned) | gmail', "it's; echo"];
+
+      const result = runPlaywrightList({ command: `node "${script}"`, args }, rootDir);
+
+      expect(result.argv).toEqual(['--list', '--reporter=json', ...args]);
+      expect(fs.existsSync(path.join(rootDir, 'pwned'))).toBe(false);
+    });
+
+    test('should report a missing listFile', () => {
+      expect(() => runPlaywrightList({ listFile: 'missing.json' }, rootDir)).toThrow('找不到 Playwright 列表文件');
+    });
+  });
+
+  describe('splitCommand', () => {
+    test('should split on whitespace and keep quoted parts together', () => {
+      expect(splitCommand('pnpm exec playwright test')).toEqual(['pnpm', 'exec', 'playwright', 'test']);
+      expect(splitCommand(`node "my scripts/pw.js" 'a b'`)).toEqual(['node', 'my scripts/pw.js', 'a b']);
+    });
+  });
+
+  describe('isFilteredList', () => {
+    test('should detect grep, project and file filters', () => {
+      expect(isFilteredList({})).toBe(false);
+      expect(isFilteredList({ args: ['--config', 'e2e/playwright.config.ts', '--workers=2'] })).toBe(false);
+      expect(isFilteredList({ args: ['--project=chromium'] })).toBe(true);
+      expect(isFilteredList({ args: ['--grep', '@smoke'] })).toBe(true);
+      expect(isFilteredList({ args: ['e2e/inbox.spec.ts'] })).toBe(true);
+    });
+  });
+
+  describe('flattenListReport', () => {
+    test('should flatten nested suites into tests with describe paths, tags and projects', () => {
+      const { tests } = flattenListReport(report([
+        spec('TC-E2E-INBOX-001: Archive', 7, {
+          tags: ['smoke'],
+          tests: [
+            { projectName: 'chromium', annotations: [{ type: 'issue', description: 'JIRA-1' }] },
+            { projectName: 'firefox', annotations: [{ type: 'issue', description: 'JIRA-1' }] }
+          ]
+        })
+      ]));
+
+      expect(tests).toEqual([{
+        file: path.resolve('/repo/e2e', 'inbox.spec.ts'),
+        line: 7,
+        column: 3,
+        title: 'TC-E2E-INBOX-001: Archive',
+        describePath: ['Inbox'],
+        tags: ['@smoke'],
+        annotations: [{ type: 'issue', description: 'JIRA-1' }],
+        projects: ['chromium', 'firefox']
+      }]);
+    });
+
+    test('should group tests by file', () => {
+      const { tests } = flattenListReport(report([spec('A', 1), spec('B', 2)]));
+
+      expect([...groupByFile(tests).keys()]).toEqual([path.resolve('/repo/e2e', 'inbox.spec.ts')]);
+    });
+  });
+
+  describe('mergeListedTests', () => {
+    const { tests: staticTests } = parseTestFile(SPEC, 'inbox.spec.ts');
+
+    function listed(...specs) {
+      return flattenListReport(report(specs)).tests;
+    }
+
+    test('should keep static details and drop tests Playwright did not list', () => {
+      const merged = mergeListedTests(staticTests, listed(spec('TC-E2E-INBOX-001: Archive', 7)));
+
+      expect(merged).toHaveLength(1);
+      expect(merged[0].jsdoc).toContain('Archive a message from the list');
+      expect(merged[0].steps.map(step => step.title)).toEqual(['Open inbox']);
+      expect(merged[0].projects).toEqual(['chromium']);
+    });
+
+    test('should collapse listed parameter combinations into the static parameterized test', () => {
+      const merged = mergeListedTests(staticTests, listed(
+        spec('TC-E2E-INBOX-002: Open as admin', 12),
+        spec('TC-E2E-INBOX-002: Open as viewer', 12)
+      ));
+
+      expect(merged).toHaveLength(1);
+      expect(merged[0].title).toBe(staticTests[1].title);
+      expect(merged[0].parameters).toEqual(staticTests[1].parameters);
+    });
+
+    test('should match by title when lines differ and strip the Qase ID suffix', () => {
+      const merged = mergeListedTests(staticTests, listed(spec('TC-E2E-INBOX-001: Archive (Qase ID: 42)', 99)));
+
+      expect(merged[0].title).toBe('Archive');
+      expect(merged[0].jsdoc).toContain('Archive a message from the list');
+      expect(merged[0].location.start).toEqual({ line: 99, column: 3 });
+    });
+
+    test('should keep listed tests the static parser did not find', () => {
+      const merged = mergeListedTests(staticTests, listed(spec('TC-E2E-INBOX-009: Generated', 40, { tags: ['gen'] })));
+
+      expect(merged).toEqual([expect.objectContaining({
+        customId: 'TC-E2E-INBOX-009',
+        title: 'Generated',
+        describePath: ['Inbox'],
+        tags: ['@gen'],
+        steps: []
+      })]);
+    });
+  });
+});
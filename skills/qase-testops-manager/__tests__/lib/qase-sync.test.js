@@ -0,0 +1,383 @@
+/**
+ * Tests for lib/qase-sync.js
+ *
+ * Tests matching local cases to Qase cases, including:
+ * - Matching by the Custom ID field when the title changed
+ * - Stale qase.id() annotations (deleted case or a different Custom ID)
+ * - The same Custom ID on more than one Qase case reported as a conflict
+ * - Title matching only for legacy cases without a Custom ID
+ * - The qase.removedCases policy for cases removed from code, and its safety threshold
+ * - Detecting renamed and moved suites from the Custom IDs inside them
+ * - Suite descriptions and preconditions from describe-level JSDoc
+ * - Writing the Custom ID to field 1 when qase.customFields has no customId
+ * - Aborting the plan when the existing cases cannot be fetched
+ */
+
+jest.mock('../../lib/qase-utils', () => ({
+  ...jest.requireActual('../../lib/qase-utils'),
+  qaseApiRequest: jest.fn(),
+  deleteTestCase: jest.fn()
+}));
+
+const qaseUtils = require('../../lib/qase-utils');
+const {
+  buildCaseData,
+  buildCaseIndex,
+  matchTestCases,
+  detectSuiteRenames,
+  renameSuites,
+  collectSuiteDocs,
+  diffSuiteDocs,
+  updateSuiteDocs,
+  resolveRemovalPolicy,
+  findRemovedCases,
+  removeTestCases,
+  plan
+} = require('../../lib/qase-sync');
+
+const CONFIG = { qase: { apiToken: 'token', projectCode: 'DEMO' } };
+
+const qaseCase = (id, title, customId) => ({
+  id,
+  title,
+  custom_fields: customId ? [{ id: 1, value: customId }, { id: 2, value: '4' }] : []
+});
+
+const match = (testCases, cases, config = CONFIG) => matchTestCases(config, testCases, buildCaseIndex(cases, config));
+
+describe('lib/qase-sync.js', () => {
+  describe('buildCaseIndex', () => {
+    test('should index cases by Custom ID, Qase ID and legacy title', () => {
+      const index = buildCaseIndex([
+        qaseCase(41, 'TC-E2E-INBOX-001: Open inbox', 'TC-E2E-INBOX-001'),
+        qaseCase(42, 'Legacy case', null)
+      ], CONFIG);
+
+      expect(index.customIdMap['TC-E2E-INBOX-001'].map(c => c.id)).toEqual([41]);
+      expect(Object.keys(index.qaseIdMap)).toEqual(['41', '42']);
+      expect(Object.keys(index.titleMap)).toEqual(['Legacy case']);
+    });
+
+    test('should read the Custom ID from qase.customFields.customId', () => {
+      const config = { qase: { customFields: { customId: 9 } } };
+      const index = buildCaseIndex([{ id: 41, title: 'x', custom_fields: [{ id: 9, value: 'TC-API-SYNC-001' }] }], config);
+
+      expect(index.customIdMap['TC-API-SYNC-001'].map(c => c.id)).toEqual([41]);
+    });
+  });
+
+  describe('buildCaseData', () => {
+    test('should write the Custom ID to field 1 when qase.customFields has no customId', () => {
+      const config = { qase: { ...CONFIG.qase, customFields: { testFilePath: 3 } } };
+      const data = buildCaseData(config, { id: 'TC-API-SYNC-001', title: 'Sync', filePath: 'e2e/sync.spec.ts' }, 1);
+
+      expect(data.custom_field).toEqual({ 1: 'TC-API-SYNC-001', 2: 4, 3: 'e2e/sync.spec.ts' });
+    });
+  });
+
+  describe('plan', () => {
+    afterEach(() => {
+      qaseUtils.qaseApiRequest.mockReset();
+    });
+
+    test('should abort when the existing cases cannot be fetched', async () => {
+      qaseUtils.qaseApiRequest.mockImplementation(async (config, method, endpoint) => {
+        if (endpoint.startsWith('/suite/')) {
+          return { status: true, result: { entities: [] } };
+        }
+        throw new Error('API错误 (500): Internal error');
+      });
+
+      await expect(plan({ config: CONFIG, testCases: [{ id: 'TC-API-SYNC-001', title: 'Sync' }] }))
+        .rejects.toThrow('获取现有测试用例失败: API错误 (500): Internal error');
+    });
+  });
+
+  describe('matchTestCases', () => {
+    test('should match by Custom ID when the title changed', () => {
+      const result = match(
+        [{ id: 'TC-E2E-INBOX-001', title: 'TC-E2E-INBOX-001: Open inbox @smoke' }],
+        [qaseCase(41, 'TC-E2E-INBOX-001: Open inbox', 'TC-E2E-INBOX-001')]
+      );
+
+      expect(result.toCreate).toEqual([]);
+      expect(result.toUpdate.map(item => [item.existing.id, item.matchReason])).toEqual([[41, 'custom_id: TC-E2E-INBOX-001']]);
+    });
+
+    test('should prefer qase.id() when it points at the same Custom ID', () => {
+      const result = match(
+        [{ id: 'TC-E2E-INBOX-001', title: 'TC-E2E-INBOX-001: Open inbox', qase_id: 41 }],
+        [qaseCase(41, 'Renamed in Qase', 'TC-E2E-INBOX-001')]
+      );
+
+      expect(result.toUpdate[0].matchReason).toBe('qase_id: 41');
+      expect(result.staleIds).toEqual([]);
+    });
+
+    test('should report a qase.id() that points at another Custom ID and match by Custom ID', () => {
+      const result = match(
+        [{ id: 'TC-E2E-INBOX-001', title: 'TC-E2E-INBOX-001: Open inbox', qase_id: 42 }],
+        [
+          qaseCase(41, 'TC-E2E-INBOX-001: Open inbox', 'TC-E2E-INBOX-001'),
+          qaseCase(42, 'TC-E2E-INBOX-002: Archive', 'TC-E2E-INBOX-002')
+        ]
+      );
+
+      expect(result.staleIds).toEqual([
+        { customId: 'TC-E2E-INBOX-001', qaseId: 42, reason: 'mismatch', actualCustomId: 'TC-E2E-INBOX-002' }
+      ]);
+      expect(result.toUpdate.map(item => item.existing.id)).toEqual([41]);
+    });
+
+    test('should report a qase.id() for a deleted case and create it again', () => {
+      const result = match([{ id: 'TC-E2E-INBOX-001', title: 'TC-E2E-INBOX-001: Open inbox', qase_id: 99 }], []);
+
+      expect(result.staleIds).toEqual([
+        { customId: 'TC-E2E-INBOX-001', qaseId: 99, reason: 'missing', actualCustomId: null }
+      ]);
+      expect(result.toCreate.map(tc => tc.id)).toEqual(['TC-E2E-INBOX-001']);
+    });
+
+    test('should report a Custom ID on several Qase cases as a conflict and skip it', () => {
+      const result = match(
+        [{ id: 'TC-E2E-INBOX-001', title: 'TC-E2E-INBOX-001: Open inbox' }],
+        [
+          qaseCase(41, 'TC-E2E-INBOX-001: Open inbox', 'TC-E2E-INBOX-001'),
+          qaseCase(47, 'TC-E2E-INBOX-001: Open inbox (copy)', 'TC-E2E-INBOX-001')
+        ]
+      );
+
+      expect(result.conflicts).toEqual([{ customId: 'TC-E2E-INBOX-001', qaseIds: [41, 47] }]);
+      expect(result.toUpdate).toEqual([]);
+      expect(result.toCreate).toEqual([]);
+    });
+
+    test('should fall back to the title only for cases without a Custom ID', () => {
+      const title = 'TC-E2E-INBOX-001: Open inbox';
+      const legacy = match([{ id: 'TC-E2E-INBOX-001', title }], [qaseCase(41, title, null)]);
+      const other = match([{ id: 'TC-E2E-INBOX-001', title }], [qaseCase(41, title, 'TC-E2E-INBOX-009')]);
+
+      expect(legacy.toUpdate.map(item => item.matchReason)).toEqual([`title: "${title}"`]);
+      expect(other.toCreate.map(tc => tc.id)).toEqual(['TC-E2E-INBOX-001']);
+    });
+  });
+
+  describe('removed cases', () => {
+    const SUITES = [{ id: 1, title: 'Inbox', parent_id: null }, { id: 9, title: 'Archived', parent_id: null }];
+    const QASE_CASES = [
+      { ...qaseCase(41, 'TC-E2E-INBOX-001: Open inbox', 'TC-E2E-INBOX-001'), suite_id: 1 },
+      { ...qaseCase(42, 'TC-E2E-INBOX-002: Removed', 'TC-E2E-INBOX-002'), suite_id: 1 },
+      { ...qaseCase(43, 'TC-E2E-INBOX-003: Deprecated', 'TC-E2E-INBOX-003'), suite_id: 1, status: 2 },
+      { ...qaseCase(44, 'TC-E2E-INBOX-004: Archived', 'TC-E2E-INBOX-004'), suite_id: 9 },
+      { ...qaseCase(45, 'Manual check', null), suite_id: 1 }
+    ];
+    const LOCAL_CASES = [{ id: 'TC-E2E-INBOX-001', title: 'TC-E2E-INBOX-001: Open inbox' }];
+
+    // 按策略查找需要处理的用例（比例阈值放宽到 100%）
+    const findRemoved = (removedCases, testCases = LOCAL_CASES, extraction = null) => {
+      const config = { qase: { ...CONFIG.qase, removedCases: { maxRemovalRatio: 1, ...removedCases } } };
+      const index = buildCaseIndex(QASE_CASES, config);
+      const { toUpdate } = matchTestCases(config, testCases, index);
+      return findRemovedCases(config, testCases, index, toUpdate, SUITES, extraction);
+    };
+    // 提取时因错误跳过的测试
+    const extractionError = testId => ({ file: 'inbox.spec.ts', testId, title: 'Removed', error: 'Custom ID 格式错误' });
+
+    beforeEach(() => {
+      qaseUtils.qaseApiRequest.mockReset();
+      qaseUtils.deleteTestCase.mockReset();
+      jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should default to ignore and reject unknown policies', () => {
+      expect(resolveRemovalPolicy(CONFIG)).toEqual({ policy: 'ignore', archiveSuite: 'Archived', maxRemovalRatio: 0.1 });
+      expect(findRemoved({}).toRemove).toEqual([]);
+      expect(() => resolveRemovalPolicy({ qase: { removedCases: { policy: 'purge' } } })).toThrow('qase.removedCases.policy 无效');
+    });
+
+    test('should skip manual cases and cases the policy already handled', () => {
+      expect(findRemoved({ policy: 'deprecate' }).toRemove.map(c => c.id)).toEqual([42, 44]);
+      expect(findRemoved({ policy: 'archive' }).toRemove.map(c => c.id)).toEqual([42, 43]);
+      expect(findRemoved({ policy: 'delete' }).toRemove.map(c => c.id)).toEqual([42, 43, 44]);
+    });
+
+    test('should abort when the removal ratio exceeds maxRemovalRatio', () => {
+      expect(() => findRemoved({ policy: 'delete', maxRemovalRatio: 0.5 })).toThrow('已中止');
+      expect(findRemoved({ policy: 'delete', maxRemovalRatio: 0.75 }).toRemove).toHaveLength(3);
+    });
+
+    test('should not treat tests skipped for extraction errors as removed', () => {
+      const testCases = [...LOCAL_CASES, { id: 'TC-E2E-INBOX-004', title: 'TC-E2E-INBOX-004: Archived' }];
+      const extraction = { errors: [extractionError('TC-E2E-INBOX-002')], filtered: false };
+
+      expect(findRemoved({ policy: 'deprecate' }, testCases).toRemove.map(c => c.id)).toEqual([42]);
+      expect(findRemoved({ policy: 'deprecate' }, testCases, extraction).toRemove).toEqual([]);
+    });
+
+    test('should abort when a partial extraction would still remove cases', () => {
+      const filtered = { errors: [], filtered: true };
+      const failed = { errors: [extractionError('(load error)')], filtered: false };
+
+      expect(() => findRemoved({ policy: 'delete' }, LOCAL_CASES, filtered)).toThrow('提取结果不完整（Playwright 列表按 grep / project / 文件过滤）');
+      expect(() => findRemoved({ policy: 'deprecate' }, LOCAL_CASES, failed)).toThrow('提取结果不完整（1 个提取错误）');
+      expect(findRemoved({}, LOCAL_CASES, filtered).toRemove).toEqual([]);
+    });
+
+    test('should deprecate, archive or delete the cases', async () => {
+      const removed = [QASE_CASES[1]];
+      qaseUtils.qaseApiRequest.mockResolvedValue({ result: {} });
+
+      const deprecated = await removeTestCases(CONFIG, removed, resolveRemovalPolicy({ qase: { removedCases: { policy: 'deprecate' } } }), SUITES);
+      const archived = await removeTestCases(CONFIG, removed, resolveRemovalPolicy({ qase: { removedCases: { policy: 'archive' } } }), SUITES);
+      const deleted = await removeTestCases(CONFIG, removed, resolveRemovalPolicy({ qase: { removedCases: { policy: 'delete' } } }), SUITES);
+
+      expect(deprecated).toEqual({ deprecated: 1, archived: 0, deleted: 0, failed: 0 });
+      expect(archived).toEqual({ deprecated: 0, archived: 1, deleted: 0, failed: 0 });
+      expect(deleted).toEqual({ deprecated: 0, archived: 0, deleted: 1, failed: 0 });
+      expect(qaseUtils.qaseApiRequest.mock.calls.map(([, method, endpoint, data]) => [method, endpoint, data])).toEqual([
+        ['PATCH', '/case/DEMO/42', { status: 2 }],
+        ['PATCH', '/case/DEMO/42', { suite_id: 9 }]
+      ]);
+      expect(qaseUtils.deleteTestCase).toHaveBeenCalledWith(CONFIG, 42);
+    });
+  });
+
+  describe('suite renames', () => {
+    // Qase 中 suiteId 下的用例匹配到代码中的 suite 路径
+    const matched = (suiteId, suite, id = 41) => ({
+      testCase: { id: `TC-E2E-INBOX-${id}`, suite },
+      existing: { id, suite_id: suiteId }
+    });
+    const detect = (items, suites) => detectSuiteRenames(items, items.map(item => item.testCase), suites);
+
+    test('should rename a suite whose cases all moved to a new name', () => {
+      const suites = [{ id: 1, title: 'Inbox', parent_id: null }];
+
+      expect(detect([matched(1, 'Mailbox', 41), matched(1, 'Mailbox', 42)], suites)).toEqual([
+        { action: 'rename', suiteId: 1, fromSuite: 'Inbox', suite: 'Mailbox', title: 'Mailbox', parentId: null }
+      ]);
+      expect(suites[0].title).toBe('Inbox');
+    });
+
+    test('should rename only the parent when the child path follows', () => {
+      const suites = [
+        { id: 1, title: 'Inbox', parent_id: null },
+        { id: 2, title: 'Search', parent_id: 1 }
+      ];
+
+      expect(detect([matched(2, 'Mailbox / Search')], suites).map(item => [item.suiteId, item.suite])).toEqual([[1, 'Mailbox']]);
+    });
+
+    test('should re-parent a suite moved under another describe', () => {
+      const suites = [
+        { id: 1, title: 'Inbox', parent_id: null },
+        { id: 2, title: 'Search', parent_id: 1 },
+        { id: 3, title: 'Mail', parent_id: null }
+      ];
+      const items = [matched(1, 'Inbox', 40), matched(2, 'Mail\tSearch', 41), matched(3, 'Mail', 42)];
+
+      expect(detect(items, suites)).toEqual([
+        { action: 'move', suiteId: 2, fromSuite: 'Inbox / Search', suite: 'Mail / Search', title: 'Search', parentId: 3 }
+      ]);
+    });
+
+    test('should not rename when the new path exists or most cases went elsewhere', () => {
+      const suites = [{ id: 1, title: 'Inbox', parent_id: null }, { id: 2, title: 'Mailbox', parent_id: null }];
+
+      expect(detect([matched(1, 'Mailbox')], suites)).toEqual([]);
+      expect(detect([matched(1, 'Drafts', 41), matched(1, 'Sent', 42)], [suites[0]])).toEqual([]);
+    });
+
+    test('should count unmatched cases of the suite toward the majority', () => {
+      const suites = [{ id: 1, title: 'Regression', parent_id: null }];
+      const items = [matched(1, 'Login', 41)];
+      const qaseCases = [items[0].existing, { id: 50, suite_id: 1, automation: 2 }, { id: 51, suite_id: 1 }];
+
+      expect(detectSuiteRenames(items, items.map(item => item.testCase), suites, qaseCases)).toEqual([]);
+    });
+
+    test('should not rename a suite that holds manual cases', () => {
+      const suites = [{ id: 1, title: 'Manual Regression', parent_id: null }, { id: 2, title: 'E2E', parent_id: null }];
+      const items = [matched(1, 'E2E / Login', 41), matched(1, 'E2E / Login', 42)];
+      const qaseCases = [...items.map(item => item.existing), { id: 50, suite_id: 1, automation: 0 }];
+
+      expect(detectSuiteRenames(items, items.map(item => item.testCase), suites, qaseCases)).toEqual([]);
+      expect(detect(items, suites).map(item => item.suite)).toEqual(['E2E / Login']);
+    });
+
+    test('should rename the suite in Qase and in the suite list', async () => {
+      const suites = [{ id: 1, title: 'Inbox', parent_id: null }];
+      qaseUtils.qaseApiRequest.mockReset();
+      qaseUtils.qaseApiRequest.mockResolvedValue({ result: { id: 1 } });
+      jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+
+      const result = await renameSuites(CONFIG, detect([matched(1, 'Mailbox')], suites), suites);
+
+      expect(result).toEqual({ renamed: 1, failed: 0 });
+      expect(qaseUtils.qaseApiRequest).toHaveBeenCalledWith(CONFIG, 'PATCH', '/suite/DEMO/1', { title: 'Mailbox', parent_id: null });
+      expect(suites[0].title).toBe('Mailbox');
+      jest.restoreAllMocks();
+    });
+  });
+
+  describe('suite docs', () => {
+    const TEST_CASES = [
+      {
+        suite: 'Inbox / Search',
+        describeDocs: [{ description: 'Reading mail', preconditions: '' }, { description: '', preconditions: '' }]
+      },
+      {
+        suite: 'Inbox\tSearch',
+        describeDocs: [{ description: 'Other file', preconditions: 'Signed in' }, { description: 'Search box', preconditions: '' }]
+      }
+    ];
+
+    test('should collect the first non-empty docs per suite path', () => {
+      expect([...collectSuiteDocs(TEST_CASES)]).toEqual([
+        ['Inbox', { description: 'Reading mail', preconditions: 'Signed in' }],
+        ['Inbox / Search', { description: 'Search box', preconditions: '' }]
+      ]);
+    });
+
+    test('should only change fields that the code documents', () => {
+      const suites = [
+        { id: 1, title: 'Inbox', parent_id: null, description: 'Reading mail', preconditions: null },
+        { id: 2, title: 'Search', parent_id: 1, description: '从代码自动同步的测试套件', preconditions: 'Set in Qase' }
+      ];
+
+      expect(diffSuiteDocs(collectSuiteDocs(TEST_CASES), suites)).toEqual([
+        {
+          suite: 'Inbox',
+          suiteId: 1,
+          changes: [{ field: 'preconditions', before: '', after: 'Signed in' }],
+          data: { preconditions: 'Signed in' }
+        },
+        {
+          suite: 'Inbox / Search',
+          suiteId: 2,
+          changes: [{ field: 'description', before: '从代码自动同步的测试套件', after: 'Search box' }],
+          data: { description: 'Search box' }
+        }
+      ]);
+      expect(diffSuiteDocs(collectSuiteDocs(TEST_CASES), [])[0].suiteId).toBeNull();
+    });
+
+    test('should update suites found by path and keep the suite list in sync', async () => {
+      const suites = [{ id: 1, title: 'Inbox', parent_id: null, description: '' }];
+      qaseUtils.qaseApiRequest.mockReset();
+      qaseUtils.qaseApiRequest.mockResolvedValue({ result: { id: 1 } });
+      jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+
+      const result = await updateSuiteDocs(CONFIG, diffSuiteDocs(collectSuiteDocs(TEST_CASES), suites).slice(0, 1).map(update => ({ ...update, suiteId: null })), suites);
+
+      expect(result).toEqual({ updated: 1, failed: 0 });
+      expect(qaseUtils.qaseApiRequest).toHaveBeenCalledWith(CONFIG, 'PATCH', '/suite/DEMO/1', { description: 'Reading mail', preconditions: 'Signed in' });
+      expect(suites[0]).toMatchObject({ description: 'Reading mail', preconditions: 'Signed in' });
+      jest.restoreAllMocks();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for lib/qase-utils.js
+ *
+ * Tests ownership fields sent to Qase, including:
+ * - Matching git owners to Qase members by email, name or alias
+ * - Source URL, owner and last commit custom fields
+ * - Setting author_id only for matched members
+ * - Reading the Custom ID from the configured custom field
+ */
+
+const { findQaseAuthor, formatOwnershipForQase, getCustomIdFieldId, getCaseCustomId } = require('../../lib/qase-utils');
+
+const AUTHORS = [
+  { id: 1, author_id: 11, email: 'Ann@acme.io', name: 'Ann Lee', is_active: true },
+  { id: 2, author_id: 12, email: 'bo@acme.io', name: 'Bo Chen', is_active: true },
+  { id: 3, author_id: 13, email: 'old@acme.io', name: 'Old Member', is_active: false }
+];
+
+const TEST_CASE = {
+  sourceUrl: 'https://github.com/acme/app/blob/main/e2e/inbox.spec.ts#L3-L9',
+  owner: { name: 'Ann Lee', email: 'ann@acme.io' },
+  lastCommit: { sha: 'a'.repeat(40), date: '2026-02-01T00:00:00.000Z' }
+};
+
+describe('lib/qase-utils.js', () => {
+  describe('getCustomIdFieldId / getCaseCustomId', () => {
+    const QASE_CASE = { id: 41, custom_fields: [{ id: 1, value: 'TC-API-SYNC-001' }, { id: 9, value: ' TC-API-SYNC-002 ' }] };
+
+    test('should default to field 1 when qase.customFields has no customId', () => {
+      for (const config of [{ qase: {} }, { qase: { customFields: { testFilePath: 3 } } }]) {
+        expect(getCustomIdFieldId(config)).toBe(1);
+        expect(getCaseCustomId(QASE_CASE, config)).toBe('TC-API-SYNC-001');
+      }
+    });
+
+    test('should read the configured field', () => {
+      const config = { qase: { customFields: { customId: 9 } } };
+
+      expect(getCustomIdFieldId(config)).toBe(9);
+      expect(getCaseCustomId(QASE_CASE, config)).toBe('TC-API-SYNC-002');
+      expect(getCaseCustomId({ id: 42, custom_fields: [] }, config)).toBeNull();
+    });
+  });
+
+  describe('findQaseAuthor', () => {
+    test('should match by email ignoring case', () => {
+      expect(findQaseAuthor({ name: 'A. Lee', email: 'ann@acme.io' }, AUTHORS).author_id).toBe(11);
+    });
+
+    test('should fall back to the name and follow aliases', () => {
+      expect(findQaseAuthor({ name: 'Bo Chen', email: 'bo@home.net' }, AUTHORS).author_id).toBe(12);
+      expect(findQaseAuthor({ name: 'bchen', email: 'bchen@home.net' }, AUTHORS, { 'bchen@home.net': 'bo@acme.io' }).author_id).toBe(12);
+    });
+
+    test('should skip inactive members', () => {
+      expect(findQaseAuthor({ name: 'Old Member', email: 'old@acme.io' }, AUTHORS)).toBeNull();
+    });
+  });
+
+  describe('formatOwnershipForQase', () => {
+    test('should fill configured custom fields and author_id', () => {
+      const config = { qase: { customFields: { customId: 1, sourceUrl: 5, owner: 6, lastCommit: 7 } } };
+
+      expect(formatOwnershipForQase(TEST_CASE, config, AUTHORS)).toEqual({
+        customFields: { 5: TEST_CASE.sourceUrl, 6: 'Ann Lee', 7: 'a'.repeat(40) },
+        fields: { author_id: 11 }
+      });
+    });
+
+    test('should keep the git name when no member matches or matching is off', () => {
+      const config = { qase: { customFields: { owner: 6 }, matchAuthors: false } };
+
+      expect(formatOwnershipForQase({ ...TEST_CASE, owner: { name: 'Ann Lee', email: 'ann@acme.io' } }, config, AUTHORS))
+        .toEqual({ customFields: { 6: 'Ann Lee' }, fields: {} });
+      expect(formatOwnershipForQase({ owner: { name: 'Cy Dee', email: 'cy@acme.io' } }, { qase: { customFields: { owner: 6 } } }, AUTHORS))
+        .toEqual({ customFields: { 6: 'Cy Dee' }, fields: {} });
+    });
+  });
+});
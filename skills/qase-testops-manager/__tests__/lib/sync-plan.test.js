@@ -0,0 +1,503 @@
+/**
+ * Tests for lib/sync-plan.js
+ *
+ * Tests the plan / apply sync workflow, including:
+ * - Classifying cases into create / update / move / delete with field-level diffs
+ * - Deprecating, archiving or deleting removed cases per qase.removedCases
+ * - Suites to create and suites emptied by the plan
+ * - Renaming a suite in place when its cases moved to a new describe name
+ * - Updating suite descriptions from describe-level JSDoc, including new suites
+ * - Three-way merge with .qase-sync-state.json (Qase edits kept, conflicts listed)
+ * - Refusing to apply when Qase changed after the plan was made, including suite descriptions
+ * - Applying exactly the requests recorded in the plan
+ * - Recording .qase-sync-state.json after apply so the next plan / sync skips applied cases
+ *   and merges later Qase edits against the applied fields
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../lib/qase-utils', () => ({
+  ...jest.requireActual('../../lib/qase-utils'),
+  qaseApiRequest: jest.fn(),
+  getAllSuites: jest.fn(),
+  getAllTestCases: jest.fn(),
+  deleteTestCase: jest.fn(),
+  deleteSuite: jest.fn()
+}));
+
+const qaseUtils = require('../../lib/qase-utils');
+const { buildCaseData, sync } = require('../../lib/qase-sync');
+const { createSyncState, loadSyncState, saveSyncState, snapshotCaseFields, SYNC_STATE_FILE } = require('../../lib/sync-state');
+const {
+  createSyncPlan,
+  applySyncPlan,
+  formatSyncPlan,
+  writeSyncPlan,
+  readSyncPlan
+} = require('../../lib/sync-plan');
+
+const CONFIG = {
+  e2eDir: 'e2e',
+  qase: {
+    apiToken: 'token',
+    projectCode: 'DEMO',
+    removedCases: { policy: 'delete', maxRemovalRatio: 0.5 }
+  }
+};
+
+// 替换已删除用例的处理策略
+const withRemovalPolicy = removedCases => ({ ...CONFIG, qase: { ...CONFIG.qase, removedCases } });
+
+const localCase = (id, title, suite, extra = {}) => ({
+  id,
+  title: `${id}: ${title}`,
+  suite,
+  description: '',
+  steps: [{ action: 'Open the page', expected_result: 'Page is shown' }],
+  ...extra
+});
+
+// 按本地用例生成 Qase 返回的用例结构
+const qaseCase = (id, testCase, suiteId, extra = {}) => {
+  const data = buildCaseData(CONFIG, testCase, suiteId, [], null);
+  return {
+    ...data,
+    id,
+    custom_fields: Object.entries(data.custom_field).map(([fieldId, value]) => ({ id: Number(fieldId), value: String(value) })),
+    tags: data.tags.map(title => ({ title })),
+    updated_at: '2026-10-01T00:00:00+00:00',
+    ...extra
+  };
+};
+
+const LOCAL_CASES = [
+  localCase('TC-E2E-INBOX-001', 'Open inbox', 'Inbox', { description: 'New description' }),
+  localCase('TC-E2E-INBOX-002', 'Archive mail', 'Inbox'),
+  localCase('TC-E2E-INBOX-004', 'Search mail', 'Inbox / Search'),
+  localCase('TC-E2E-INBOX-005', 'Star mail', 'Inbox')
+];
+
+const SUITES = [
+  { id: 1, title: 'Inbox', parent_id: null },
+  { id: 2, title: 'Old', parent_id: null }
+];
+
+const QASE_CASES = [
+  qaseCase(41, LOCAL_CASES[0], 1, { description: 'Old description' }),
+  qaseCase(42, LOCAL_CASES[1], 2),
+  qaseCase(43, localCase('TC-E2E-INBOX-003', 'Removed', 'Inbox', { automation: 'automated' }), 1),
+  { id: 44, title: 'Manual check', suite_id: 1, custom_fields: [] },
+  qaseCase(45, LOCAL_CASES[3], 1)
+];
+
+describe('lib/sync-plan.js', () => {
+  let cwd;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    // 同步状态文件写入临时目录
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-plan-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(cwd);
+    qaseUtils.getAllSuites.mockResolvedValue(SUITES.map(suite => ({ ...suite })));
+    qaseUtils.getAllTestCases.mockResolvedValue(QASE_CASES);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  describe('createSyncPlan', () => {
+    test('should classify cases with field-level diffs without writing to Qase', async () => {
+      const plan = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+
+      expect(plan.summary).toEqual({
+        suites: { rename: 0, move: 0, create: 1, update: 0, delete: 1 },
+        cases: { create: 1, update: 1, move: 1, deprecate: 0, archive: 0, delete: 1, unchanged: 1 }
+      });
+      expect(plan.removalPolicy).toBe('delete');
+      expect(plan.cases.map(item => [item.action, item.customId, item.qaseId])).toEqual([
+        ['update', 'TC-E2E-INBOX-001', 41],
+        ['move', 'TC-E2E-INBOX-002', 42],
+        ['create', 'TC-E2E-INBOX-004', undefined],
+        ['delete', 'TC-E2E-INBOX-003', 43]
+      ]);
+      expect(plan.cases[0].changes).toEqual([
+        { field: 'description', before: 'Old description', after: 'New description' }
+      ]);
+      expect(plan.cases[1]).toMatchObject({ fromSuite: 'Old', suite: 'Inbox', changes: [] });
+      expect(plan.suites).toEqual([
+        { action: 'create', suite: 'Inbox / Search' },
+        { action: 'delete', suite: 'Old', suiteId: 2 }
+      ]);
+      expect(qaseUtils.qaseApiRequest).not.toHaveBeenCalled();
+    });
+
+    test('should rename a suite in place instead of recreating it', async () => {
+      const renamed = LOCAL_CASES.map(tc => ({ ...tc, suite: tc.suite.replace('Inbox', 'Mailbox') }));
+      qaseUtils.getAllTestCases.mockResolvedValue(QASE_CASES.filter(testCase => ![42, 44].includes(testCase.id)));
+
+      const plan = await createSyncPlan({ config: withRemovalPolicy(undefined), testCases: renamed });
+
+      expect(plan.suites).toEqual([
+        { action: 'rename', suiteId: 1, fromSuite: 'Inbox', suite: 'Mailbox', title: 'Mailbox', parentId: null },
+        { action: 'create', suite: 'Mailbox / Search' }
+      ]);
+      expect(plan.summary.suites).toEqual({ rename: 1, move: 0, create: 1, update: 0, delete: 0 });
+      expect(plan.cases.filter(item => item.action === 'move')).toEqual([]);
+      expect(formatSyncPlan(plan)).toContain('- Inbox → Mailbox（ID: 1）');
+    });
+
+    test('should plan suite description updates from describe JSDoc', async () => {
+      const documented = LOCAL_CASES.map(tc => ({
+        ...tc,
+        describeDocs: [{ description: 'Reading mail', preconditions: '' }, { description: 'Search box', preconditions: 'Index built' }]
+      }));
+
+      const plan = await createSyncPlan({ config: CONFIG, testCases: documented });
+
+      expect(plan.suites.filter(item => item.action === 'update')).toEqual([
+        {
+          action: 'update',
+          suite: 'Inbox',
+          suiteId: 1,
+          changes: [{ field: 'description', before: '', after: 'Reading mail' }],
+          data: { description: 'Reading mail' }
+        },
+        {
+          action: 'update',
+          suite: 'Inbox / Search',
+          changes: [
+            { field: 'description', before: '', after: 'Search box' },
+            { field: 'preconditions', before: '', after: 'Index built' }
+          ],
+          data: { description: 'Search box', preconditions: 'Index built' }
+        }
+      ]);
+      expect(plan.summary.suites.update).toBe(2);
+      expect(formatSyncPlan(plan)).toContain('#### 📝 更新 Suite 说明');
+    });
+
+    test('should keep removed cases by default', async () => {
+      const plan = await createSyncPlan({ config: withRemovalPolicy(undefined), testCases: LOCAL_CASES });
+
+      expect(plan.removalPolicy).toBe('ignore');
+      expect(plan.cases.some(item => item.qaseId === 43)).toBe(false);
+    });
+
+    test('should mark removed cases as deprecated', async () => {
+      const config = withRemovalPolicy({ policy: 'deprecate', maxRemovalRatio: 0.5 });
+
+      const plan = await createSyncPlan({ config, testCases: LOCAL_CASES });
+
+      expect(plan.cases.filter(item => item.qaseId === 43)).toEqual([
+        { action: 'deprecate', customId: 'TC-E2E-INBOX-003', qaseId: 43, title: 'TC-E2E-INBOX-003: Removed', suite: 'Inbox' }
+      ]);
+      expect(plan.summary.cases.deprecate).toBe(1);
+      expect(formatSyncPlan(plan)).toContain('#### ⚠️ 标记为 deprecated');
+    });
+
+    test('should move removed cases to the archive suite', async () => {
+      const config = withRemovalPolicy({ policy: 'archive', archiveSuite: 'Graveyard', maxRemovalRatio: 0.5 });
+
+      const plan = await createSyncPlan({ config, testCases: LOCAL_CASES });
+
+      expect(plan.cases.filter(item => item.qaseId === 43)).toEqual([
+        { action: 'archive', customId: 'TC-E2E-INBOX-003', qaseId: 43, title: 'TC-E2E-INBOX-003: Removed', suite: 'Graveyard', fromSuite: 'Inbox' }
+      ]);
+      expect(plan.suites).toContainEqual({ action: 'create', suite: 'Graveyard' });
+      expect(formatSyncPlan(plan)).toContain('`TC-E2E-INBOX-003` DEMO-43: Inbox → Graveyard');
+    });
+
+    test('should abort when too many cases would be removed', async () => {
+      const config = withRemovalPolicy({ policy: 'delete' });
+
+      await expect(createSyncPlan({ config, testCases: LOCAL_CASES })).rejects.toThrow('maxRemovalRatio');
+    });
+
+    test('should produce an empty plan when Qase matches the code', async () => {
+      qaseUtils.getAllSuites.mockResolvedValue([SUITES[0]]);
+      qaseUtils.getAllTestCases.mockResolvedValue([QASE_CASES[4]]);
+
+      const plan = await createSyncPlan({ config: CONFIG, testCases: [LOCAL_CASES[3]] });
+
+      expect(plan.cases).toEqual([]);
+      expect(plan.suites).toEqual([]);
+      expect(formatSyncPlan(plan)).toContain('没有需要同步的修改');
+    });
+
+    test('should list Custom ID conflicts without updating or deleting either case', async () => {
+      qaseUtils.getAllTestCases.mockResolvedValue([...QASE_CASES, qaseCase(46, LOCAL_CASES[3], 1)]);
+
+      const plan = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+
+      expect(plan.conflicts).toEqual([{ customId: 'TC-E2E-INBOX-005', qaseIds: [45, 46] }]);
+      expect(plan.cases.some(item => item.qaseId === 45 || item.qaseId === 46)).toBe(false);
+      expect(formatSyncPlan(plan)).toContain('`TC-E2E-INBOX-005` 同时出现在 DEMO-45, DEMO-46');
+    });
+
+    test('should keep Qase edits and skip conflicting cases using the last sync state', async () => {
+      const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-plan-state-'));
+      const state = createSyncState('DEMO');
+      const synced = (qaseId, testCase) => ({ qaseId, fields: snapshotCaseFields(buildCaseData(CONFIG, testCase, 1, [], null), CONFIG) });
+      state.cases['TC-E2E-INBOX-001'] = synced(41, { ...LOCAL_CASES[0], description: 'Base description' });
+      state.cases['TC-E2E-INBOX-002'] = synced(42, LOCAL_CASES[1]);
+      saveSyncState(path.join(cwd, SYNC_STATE_FILE), state);
+      qaseUtils.getAllTestCases.mockResolvedValue([QASE_CASES[0], { ...QASE_CASES[1], description: 'Edited in Qase' }, ...QASE_CASES.slice(2)]);
+
+      try {
+        const plan = await createSyncPlan({ cwd, config: CONFIG, testCases: LOCAL_CASES });
+
+        expect(plan.fieldConflicts).toEqual([expect.objectContaining({
+          customId: 'TC-E2E-INBOX-001',
+          failed: true,
+          fields: [{ field: 'description', base: 'Base description', code: 'New description', qase: 'Old description', resolution: 'fail' }]
+        })]);
+        expect(plan.cases.some(item => item.customId === 'TC-E2E-INBOX-001')).toBe(false);
+
+        const moved = plan.cases.find(item => item.customId === 'TC-E2E-INBOX-002');
+        expect(moved.changes).toEqual([]);
+        expect(moved.data).not.toHaveProperty('description');
+        expect(formatSyncPlan(plan)).toContain('| description | Base description | New description | Old description | 跳过用例 |');
+      } finally {
+        fs.rmSync(cwd, { recursive: true, force: true });
+      }
+    });
+
+    test('should render the plan as Markdown', async () => {
+      const markdown = formatSyncPlan(await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES }));
+
+      expect(markdown).toContain('### Qase 同步计划（DEMO）');
+      expect(markdown).toContain('- description: `Old description` → `New description`');
+      expect(markdown).toContain('`TC-E2E-INBOX-002` → DEMO-42: Old → Inbox');
+      expect(markdown).toContain('#### 🗑️ 删除 Suite');
+    });
+  });
+
+  describe('applySyncPlan', () => {
+    test('should refuse to apply when Qase changed after planning', async () => {
+      const plan = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+      qaseUtils.getAllTestCases.mockResolvedValue([
+        ...QASE_CASES.slice(0, 4),
+        { ...QASE_CASES[4], updated_at: '2026-10-02T00:00:00+00:00' }
+      ]);
+
+      await expect(applySyncPlan({ config: CONFIG, plan })).rejects.toThrow('Qase 在生成计划后已被修改');
+      expect(qaseUtils.qaseApiRequest).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to apply when a suite description changed after planning', async () => {
+      const plan = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+      qaseUtils.getAllSuites.mockResolvedValue(SUITES.map((suite, i) => (i === 0 ? { ...suite, description: 'Edited in Qase' } : { ...suite })));
+
+      await expect(applySyncPlan({ config: CONFIG, plan })).rejects.toThrow('Qase 在生成计划后已被修改');
+      expect(qaseUtils.qaseApiRequest).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a plan made for another project', async () => {
+      const plan = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+
+      await expect(applySyncPlan({ config: { ...CONFIG, qase: { ...CONFIG.qase, projectCode: 'OTHER' } }, plan }))
+        .rejects.toThrow('计划针对项目 DEMO');
+    });
+
+    test('should run the planned requests in order', async () => {
+      const plan = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+      qaseUtils.qaseApiRequest.mockImplementation(async (config, method, endpoint) => {
+        if (method === 'POST' && endpoint === '/suite/DEMO') return { result: { id: 10 } };
+        if (method === 'POST') return { result: { ids: [100] } };
+        return { result: {} };
+      });
+
+      const result = await applySyncPlan({ config: CONFIG, plan });
+
+      expect(result).toMatchObject({ suitesCreated: 1, created: 1, updated: 1, moved: 1, deleted: 1, suitesDeleted: 1, failed: [] });
+      const calls = qaseUtils.qaseApiRequest.mock.calls.map(([, method, endpoint, data]) => [method, endpoint, data && data.suite_id]);
+      expect(calls).toEqual([
+        ['POST', '/suite/DEMO', undefined],
+        ['PATCH', '/case/DEMO/41', 1],
+        ['PATCH', '/case/DEMO/42', 1],
+        ['POST', '/case/DEMO/bulk', undefined]
+      ]);
+      expect(qaseUtils.qaseApiRequest.mock.calls[3][3].cases[0]).toMatchObject({ title: 'TC-E2E-INBOX-004: Search mail', suite_id: 10 });
+      expect(qaseUtils.deleteTestCase).toHaveBeenCalledWith(expect.anything(), 43);
+      expect(qaseUtils.deleteSuite).toHaveBeenCalledWith(expect.anything(), 2);
+      expect(result.idMappings['TC-E2E-INBOX-004']).toEqual({ qase_id: 100, suite_path: 'Inbox\tSearch' });
+    });
+
+    test('should rename suites before updating cases', async () => {
+      const config = withRemovalPolicy(undefined);
+      const renamed = LOCAL_CASES.map(tc => ({ ...tc, suite: tc.suite.replace('Inbox', 'Mailbox') }));
+      qaseUtils.getAllTestCases.mockResolvedValue(QASE_CASES.filter(testCase => ![42, 44].includes(testCase.id)));
+      qaseUtils.qaseApiRequest.mockImplementation(async (config, method, endpoint) => {
+        if (method === 'POST' && endpoint === '/suite/DEMO') return { result: { id: 10 } };
+        if (method === 'POST') return { result: { ids: [100] } };
+        return { result: {} };
+      });
+
+      const result = await applySyncPlan({ config, plan: await createSyncPlan({ config, testCases: renamed }) });
+
+      expect(result).toMatchObject({ suitesRenamed: 1, suitesCreated: 1, updated: 1, moved: 0, failed: [] });
+      expect(qaseUtils.qaseApiRequest.mock.calls[0]).toEqual([
+        expect.anything(), 'PATCH', '/suite/DEMO/1', { title: 'Mailbox', parent_id: null }
+      ]);
+      expect(qaseUtils.qaseApiRequest).toHaveBeenCalledWith(expect.anything(), 'POST', '/suite/DEMO', expect.objectContaining({ title: 'Search', parent_id: 1 }));
+      expect(result.idMappings['TC-E2E-INBOX-001']).toEqual({ qase_id: 41, suite_path: 'Mailbox' });
+    });
+
+    test('should update suite descriptions after creating suites', async () => {
+      const documented = LOCAL_CASES.map(tc => ({ ...tc, describeDocs: [{ description: '', preconditions: '' }, { description: 'Search box', preconditions: '' }] }));
+      qaseUtils.qaseApiRequest.mockImplementation(async (config, method, endpoint) => {
+        if (method === 'POST' && endpoint === '/suite/DEMO') return { result: { id: 10 } };
+        if (method === 'POST') return { result: { ids: [100] } };
+        return { result: {} };
+      });
+
+      const result = await applySyncPlan({ config: CONFIG, plan: await createSyncPlan({ config: CONFIG, testCases: documented }) });
+
+      expect(result).toMatchObject({ suitesCreated: 1, suitesUpdated: 1, failed: [] });
+      expect(qaseUtils.qaseApiRequest.mock.calls[1]).toEqual([expect.anything(), 'PATCH', '/suite/DEMO/10', { description: 'Search box' }]);
+    });
+
+    test('should deprecate and archive removed cases', async () => {
+      qaseUtils.qaseApiRequest.mockImplementation(async (config, method, endpoint) => {
+        if (method === 'POST' && endpoint === '/suite/DEMO') return { result: { id: 20 } };
+        if (method === 'POST') return { result: { ids: [100] } };
+        return { result: {} };
+      });
+
+      const deprecateConfig = withRemovalPolicy({ policy: 'deprecate', maxRemovalRatio: 0.5 });
+      const deprecated = await applySyncPlan({
+        config: deprecateConfig,
+        plan: await createSyncPlan({ config: deprecateConfig, testCases: LOCAL_CASES })
+      });
+      expect(deprecated).toMatchObject({ deprecated: 1, archived: 0, deleted: 0, failed: [] });
+      expect(qaseUtils.qaseApiRequest).toHaveBeenCalledWith(expect.anything(), 'PATCH', '/case/DEMO/43', { status: 2 });
+
+      qaseUtils.qaseApiRequest.mockClear();
+      const archiveConfig = withRemovalPolicy({ policy: 'archive', maxRemovalRatio: 0.5 });
+      const archived = await applySyncPlan({
+        config: archiveConfig,
+        plan: await createSyncPlan({ config: archiveConfig, testCases: LOCAL_CASES })
+      });
+      expect(archived).toMatchObject({ deprecated: 0, archived: 1, deleted: 0, failed: [] });
+      expect(qaseUtils.qaseApiRequest).toHaveBeenCalledWith(expect.anything(), 'PATCH', '/case/DEMO/43', { suite_id: 20 });
+      expect(qaseUtils.deleteTestCase).not.toHaveBeenCalled();
+    });
+
+    test('should record the sync state so the next plan and sync skip applied cases', async () => {
+      const plan = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+      qaseUtils.qaseApiRequest.mockImplementation(async (config, method, endpoint) => {
+        if (method === 'POST' && endpoint === '/suite/DEMO') return { result: { id: 10 } };
+        if (method === 'POST') return { result: { ids: [100] } };
+        return { result: {} };
+      });
+
+      await applySyncPlan({ config: CONFIG, plan });
+
+      const state = loadSyncState(path.join(cwd, SYNC_STATE_FILE), 'DEMO');
+      expect(Object.keys(state.cases).sort()).toEqual(['TC-E2E-INBOX-001', 'TC-E2E-INBOX-002', 'TC-E2E-INBOX-004', 'TC-E2E-INBOX-005']);
+      expect(state.cases['TC-E2E-INBOX-002']).toMatchObject({ qaseId: 42, suiteId: 1 });
+      expect(state.cases['TC-E2E-INBOX-004']).toMatchObject({ qaseId: 100, suiteId: 10 });
+
+      // Qase 中的用例已按计划修改
+      const appliedSuites = [SUITES[0], { id: 10, title: 'Search', parent_id: 1 }];
+      const appliedCases = [
+        qaseCase(41, LOCAL_CASES[0], 1),
+        qaseCase(42, LOCAL_CASES[1], 1),
+        qaseCase(100, LOCAL_CASES[2], 10),
+        QASE_CASES[3],
+        QASE_CASES[4]
+      ];
+      qaseUtils.getAllSuites.mockResolvedValue(appliedSuites);
+      qaseUtils.getAllTestCases.mockResolvedValue(appliedCases);
+      qaseUtils.qaseApiRequest.mockReset();
+      qaseUtils.qaseApiRequest.mockImplementation(async (config, method, endpoint) => ({
+        result: { entities: endpoint.startsWith('/suite/') ? appliedSuites : appliedCases }
+      }));
+
+      const next = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+      expect(next.summary.cases).toMatchObject({ create: 0, update: 0, move: 0, unchanged: 4 });
+
+      const synced = await sync({ config: CONFIG, testCases: LOCAL_CASES });
+      expect(synced).toMatchObject({ created: 0, updated: 0, unchanged: 4 });
+      expect(qaseUtils.qaseApiRequest.mock.calls.filter(([, method]) => method !== 'GET')).toEqual([]);
+    });
+
+    test('should use the applied fields as the merge base for the next plan', async () => {
+      const state = createSyncState('DEMO');
+      const synced = (qaseId, testCase) => ({ qaseId, fields: snapshotCaseFields(buildCaseData(CONFIG, testCase, 1, [], null), CONFIG) });
+      state.cases['TC-E2E-INBOX-001'] = synced(41, { ...LOCAL_CASES[0], description: 'Old description' });
+      state.cases['TC-E2E-INBOX-002'] = synced(42, { ...LOCAL_CASES[1], description: 'Base description' });
+      saveSyncState(path.join(cwd, SYNC_STATE_FILE), state);
+      qaseUtils.getAllTestCases.mockResolvedValue([QASE_CASES[0], { ...QASE_CASES[1], description: 'Edited in Qase' }, ...QASE_CASES.slice(2)]);
+      qaseUtils.qaseApiRequest.mockImplementation(async (config, method, endpoint) => {
+        if (method === 'POST' && endpoint === '/suite/DEMO') return { result: { id: 10 } };
+        if (method === 'POST') return { result: { ids: [100] } };
+        return { result: {} };
+      });
+
+      const plan = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+      expect(plan.cases.find(item => item.customId === 'TC-E2E-INBOX-001').changes).toEqual([
+        { field: 'description', before: 'Old description', after: 'New description' }
+      ]);
+      await applySyncPlan({ config: CONFIG, plan });
+
+      // 冲突跳过的用例保留上次的状态
+      const applied = loadSyncState(path.join(cwd, SYNC_STATE_FILE), 'DEMO');
+      expect(applied.cases['TC-E2E-INBOX-002']).toEqual(state.cases['TC-E2E-INBOX-002']);
+
+      // apply 后在 Qase 中修改了说明：只在 Qase 中修改，不是冲突
+      qaseUtils.getAllSuites.mockResolvedValue([SUITES[0], { id: 10, title: 'Search', parent_id: 1 }]);
+      qaseUtils.getAllTestCases.mockResolvedValue([
+        qaseCase(41, LOCAL_CASES[0], 1, { description: 'Improved in Qase' }),
+        ...QASE_CASES.slice(1, 2),
+        qaseCase(100, LOCAL_CASES[2], 10),
+        ...QASE_CASES.slice(3)
+      ]);
+
+      const next = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+      expect(next.fieldConflicts.map(item => item.customId)).toEqual([]);
+      expect(next.cases.some(item => item.customId === 'TC-E2E-INBOX-001')).toBe(false);
+    });
+
+    test('should only verify Qase in a dry run', async () => {
+      const plan = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+
+      const result = await applySyncPlan({ config: CONFIG, plan, dryRun: true });
+
+      expect(result).toMatchObject({ dryRun: true, created: 0, updated: 0 });
+      expect(qaseUtils.qaseApiRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('plan files', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-plan-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should round-trip a plan through a file', async () => {
+      const plan = await createSyncPlan({ config: CONFIG, testCases: LOCAL_CASES });
+      const file = path.join(dir, 'nested', 'plan.json');
+
+      writeSyncPlan(file, plan);
+
+      expect(readSyncPlan(file)).toEqual(plan);
+    });
+
+    test('should reject files with an unknown version', () => {
+      const file = path.join(dir, 'plan.json');
+      fs.writeFileSync(file, JSON.stringify({ version: 99, suites: [], cases: [] }));
+
+      expect(() => readSyncPlan(file)).toThrow('不支持的计划文件格式');
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Tests for lib/sync-state.js and delta sync in lib/qase-sync.js
+ *
+ * Tests the .qase-sync-state.json file, including:
+ * - Payload hashes that ignore key order and the Last Run Result field
+ * - Missing, corrupt or foreign state files treated as absent
+ * - sync() skipping cases whose hash did not change
+ * - Rebuilding the state from Qase when the file is missing or corrupt
+ * - --full pushing every matched case
+ * - Three-way merge keeping Qase edits and reporting conflicting fields
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../lib/qase-utils', () => ({
+  ...jest.requireActual('../../lib/qase-utils'),
+  qaseApiRequest: jest.fn(),
+  attachExternalIssues: jest.fn()
+}));
+
+const qaseUtils = require('../../lib/qase-utils');
+const { buildCaseData, sync } = require('../../lib/qase-sync');
+const {
+  SYNC_STATE_FILE,
+  hashCasePayload,
+  createSyncState,
+  loadSyncState,
+  saveSyncState,
+  isCaseUnchanged
+} = require('../../lib/sync-state');
+
+const CONFIG = { qase: { apiToken: 'token', projectCode: 'DEMO' } };
+
+const localCase = (id, description = '') => ({
+  id,
+  title: `${id}: Inbox case`,
+  suite: 'Inbox',
+  description,
+  steps: [{ action: 'Open the page', expected_result: 'Page is shown' }]
+});
+
+// 与本地用例内容一致的 Qase 用例
+const qaseCase = (id, testCase) => {
+  const { custom_field: customFields, ...data } = buildCaseData(CONFIG, testCase, 1, [], null);
+  return {
+    ...data,
+    id,
+    custom_fields: Object.entries(customFields).map(([fieldId, value]) => ({ id: Number(fieldId), value: String(value) })),
+    tags: []
+  };
+};
+
+describe('lib/sync-state.js', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-state-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  describe('state file', () => {
+    test('should hash payloads regardless of key order, suite and Last Run Result', () => {
+      const hash = hashCasePayload({ title: 'A', description: 'B', suite_id: 1, custom_field: { 1: 'TC-1', 2: 4 } });
+
+      expect(hashCasePayload({ description: 'B', title: 'A', suite_id: 2, custom_field: { 2: 1, 1: 'TC-1' } })).toBe(hash);
+      expect(hashCasePayload({ title: 'A', description: 'C', suite_id: 1, custom_field: { 1: 'TC-1' } })).not.toBe(hash);
+    });
+
+    test('should round-trip the state and compare entries', () => {
+      const file = path.join(cwd, SYNC_STATE_FILE);
+      const state = createSyncState('DEMO');
+      state.cases['TC-1'] = { qaseId: 41, suiteId: 1, hash: 'abc' };
+
+      saveSyncState(file, state);
+
+      const loaded = loadSyncState(file, 'DEMO');
+      expect(loaded.cases).toEqual(state.cases);
+      expect(isCaseUnchanged(loaded.cases['TC-1'], { qaseId: 41, suiteId: 1, hash: 'abc' })).toBe(true);
+      expect(isCaseUnchanged(loaded.cases['TC-1'], { qaseId: 41, suiteId: 2, hash: 'abc' })).toBe(false);
+      expect(isCaseUnchanged(undefined, { qaseId: 41, suiteId: 1, hash: 'abc' })).toBe(false);
+    });
+
+    test('should treat missing, corrupt and foreign state files as absent', () => {
+      const file = path.join(cwd, SYNC_STATE_FILE);
+      expect(loadSyncState(file, 'DEMO')).toBeNull();
+
+      fs.writeFileSync(file, '{ not json');
+      expect(loadSyncState(file, 'DEMO')).toBeNull();
+
+      saveSyncState(file, createSyncState('OTHER'));
+      expect(loadSyncState(file, 'DEMO')).toBeNull();
+    });
+  });
+
+  describe('delta sync', () => {
+    const LOCAL_CASES = [localCase('TC-E2E-INBOX-001'), localCase('TC-E2E-INBOX-002')];
+    const QASE_CASES = LOCAL_CASES.map((tc, index) => qaseCase(41 + index, tc));
+
+    // plan() 的结果：两个本地用例都匹配到 Qase 中的用例
+    const syncPlan = (testCases, qaseCases) => ({
+      testCases,
+      toCreate: [],
+      toUpdate: testCases.map((testCase, index) => ({ testCase, existing: qaseCases[index], matchReason: 'custom_id' })),
+      conflicts: [],
+      authors: [],
+      suites: [{ id: 1, title: 'Inbox', parent_id: null }]
+    });
+    const patchedIds = () => qaseUtils.qaseApiRequest.mock.calls.map(([, , endpoint]) => endpoint);
+    const run = (testCases, options = {}, qaseCases = QASE_CASES) =>
+      sync({ cwd, config: CONFIG, plan: syncPlan(testCases, qaseCases), ...options });
+    const editedInQase = description => [{ ...QASE_CASES[0], description }, QASE_CASES[1]];
+
+    beforeEach(() => {
+      qaseUtils.qaseApiRequest.mockReset();
+      qaseUtils.qaseApiRequest.mockResolvedValue({ result: {} });
+      jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should rebuild the state from Qase without updating unchanged cases', async () => {
+      const result = await run([LOCAL_CASES[0], localCase('TC-E2E-INBOX-002', 'Changed in code')]);
+
+      expect(result).toMatchObject({ updated: 1, unchanged: 1, failed: 0 });
+      expect(patchedIds()).toEqual(['/case/DEMO/42']);
+      expect(Object.keys(loadSyncState(path.join(cwd, SYNC_STATE_FILE), 'DEMO').cases)).toEqual([
+        'TC-E2E-INBOX-001',
+        'TC-E2E-INBOX-002'
+      ]);
+    });
+
+    test('should only update cases whose payload changed since the last sync', async () => {
+      await run(LOCAL_CASES, { full: true });
+      qaseUtils.qaseApiRequest.mockClear();
+
+      const result = await run([LOCAL_CASES[0], localCase('TC-E2E-INBOX-002', 'Changed in code')]);
+
+      expect(result).toMatchObject({ updated: 1, unchanged: 1 });
+      expect(patchedIds()).toEqual(['/case/DEMO/42']);
+      expect(result.idMappings['TC-E2E-INBOX-001']).toEqual({ qase_id: 41, suite_path: 'Inbox' });
+    });
+
+    test('should rebuild a corrupt state file', async () => {
+      fs.writeFileSync(path.join(cwd, SYNC_STATE_FILE), 'corrupt');
+
+      const result = await run(LOCAL_CASES);
+
+      expect(result).toMatchObject({ updated: 0, unchanged: 2 });
+      expect(loadSyncState(path.join(cwd, SYNC_STATE_FILE), 'DEMO')).not.toBeNull();
+    });
+
+    test('should update every case with full or when syncState is off', async () => {
+      expect(await run(LOCAL_CASES, { full: true })).toMatchObject({ updated: 2, unchanged: 0 });
+
+      qaseUtils.qaseApiRequest.mockClear();
+      fs.rmSync(path.join(cwd, SYNC_STATE_FILE));
+      expect(await run(LOCAL_CASES, { config: { ...CONFIG, syncState: false } })).toMatchObject({ updated: 2, unchanged: 0 });
+      expect(fs.existsSync(path.join(cwd, SYNC_STATE_FILE))).toBe(false);
+    });
+
+    test('should keep fields edited in Qase when the code changed other fields', async () => {
+      await run(LOCAL_CASES, { full: true });
+      qaseUtils.qaseApiRequest.mockClear();
+
+      const renamed = { ...LOCAL_CASES[0], title: 'TC-E2E-INBOX-001: Renamed' };
+      const result = await run([renamed, LOCAL_CASES[1]], {}, editedInQase('Improved in Qase'));
+
+      expect(result).toMatchObject({ updated: 1, unchanged: 1, fieldConflicts: [] });
+      const [[, , endpoint, body]] = qaseUtils.qaseApiRequest.mock.calls;
+      expect(endpoint).toBe('/case/DEMO/41');
+      expect(body.title).toBe('TC-E2E-INBOX-001: Renamed');
+      expect(body).not.toHaveProperty('description');
+    });
+
+    test('should skip and report cases whose fields changed in both code and Qase', async () => {
+      await run(LOCAL_CASES, { full: true });
+      const stateFile = path.join(cwd, SYNC_STATE_FILE);
+      const syncedEntry = loadSyncState(stateFile, 'DEMO').cases['TC-E2E-INBOX-001'];
+      qaseUtils.qaseApiRequest.mockClear();
+
+      const edited = localCase('TC-E2E-INBOX-001', 'Edited in code');
+      const result = await run([edited, LOCAL_CASES[1]], {}, editedInQase('Edited in Qase'));
+
+      expect(result).toMatchObject({ updated: 0, unchanged: 1, failed: 0 });
+      expect(result.fieldConflicts).toEqual([{
+        customId: 'TC-E2E-INBOX-001',
+        qaseId: 41,
+        title: 'TC-E2E-INBOX-001: Inbox case',
+        failed: true,
+        fields: [{ field: 'description', base: '', code: 'Edited in code', qase: 'Edited in Qase', resolution: 'fail' }]
+      }]);
+      expect(qaseUtils.qaseApiRequest).not.toHaveBeenCalled();
+      expect(loadSyncState(stateFile, 'DEMO').cases['TC-E2E-INBOX-001']).toEqual(syncedEntry);
+    });
+
+    test('should push the code value for conflicts resolved in favour of the code', async () => {
+      await run(LOCAL_CASES, { full: true });
+      qaseUtils.qaseApiRequest.mockClear();
+
+      const config = { qase: { ...CONFIG.qase, conflictResolution: 'code' } };
+      const edited = localCase('TC-E2E-INBOX-001', 'Edited in code');
+      const result = await run([edited, LOCAL_CASES[1]], { config }, editedInQase('Edited in Qase'));
+
+      expect(result).toMatchObject({ updated: 1, fieldConflicts: [{ failed: false }] });
+      expect(qaseUtils.qaseApiRequest.mock.calls[0][3].description).toBe('Edited in code');
+    });
+  });
+});
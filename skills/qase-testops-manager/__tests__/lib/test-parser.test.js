@@ -0,0 +1,306 @@
+/**
+ * Tests for lib/test-parser.js
+ *
+ * Tests AST-based test file parsing, including:
+ * - Title forms the regex scanner missed (template literals, multi-line calls, quotes, colons)
+ * - test.only / test.skip / test.fixme modifiers
+ * - Nested test.describe() paths
+ * - JSDoc, steps, qase.id() and line/column ranges
+ * - Nested test.step() trees
+ * - Data-driven tests (loops and .each) as one test with parameters
+ * - Enclosing hook summaries and the fixtures each test destructures
+ */
+
+const {
+  parseTestFile,
+  splitTestTitle,
+  getStaticText,
+  parseSource,
+  flattenSteps
+} = require('../../lib/test-parser');
+const { mocha } = require('../../lib/framework-adapters');
+
+const MOCK_TEST_FILE = `import { test } from '@playwright/test';
+import { qase } from 'playwright-qase-reporter';
+
+test.describe('API Tests', () => {
+  test.describe.serial('Sync Validation', () => {
+    /**
+     * @description Complete workflow validation
+     */
+    test('TC-API-SYNC-001: Complete workflow validation', async ({ page }) => {
+      qase.id(123);
+
+      await test.step('Step 1: Initialize | test data | success', async () => {
+        // Action: init
+      });
+    });
+
+    test.only(
+      \`TC-API-SYNC-002: Title with "quotes" and it's: colons\`,
+      async () => {}
+    );
+  });
+
+  test.skip('TC-API-SYNC-003: Skipped test', async () => {
+    test.skip(true, 'runtime skip is not a test');
+  });
+
+  test.fixme('TC-API-SYNC-004: ' + 'Concatenated title', async () => {});
+});
+`;
+
+describe('lib/test-parser.js', () => {
+  describe('parseTestFile', () => {
+    const { tests, describes } = parseTestFile(MOCK_TEST_FILE, 'sync.spec.ts');
+
+    test('should find every test definition including modifiers', () => {
+      expect(tests.map(t => t.customId)).toEqual([
+        'TC-API-SYNC-001',
+        'TC-API-SYNC-002',
+        'TC-API-SYNC-003',
+        'TC-API-SYNC-004'
+      ]);
+      expect(tests[1].modifiers).toEqual(['only']);
+      expect(tests[2].modifiers).toEqual(['skip']);
+      expect(tests[3].modifiers).toEqual(['fixme']);
+    });
+
+    test('should handle template literal titles with quotes and extra colons', () => {
+      expect(tests[1].title).toBe('Title with "quotes" and it\'s: colons');
+    });
+
+    test('should evaluate string concatenation in titles', () => {
+      expect(tests[3].title).toBe('Concatenated title');
+    });
+
+    test('should build nested describe path including describe modifiers', () => {
+      expect(tests[0].describePath).toEqual(['API Tests', 'Sync Validation']);
+      expect(tests[2].describePath).toEqual(['API Tests']);
+      expect(describes.map(d => d.name)).toEqual(['API Tests', 'Sync Validation']);
+    });
+
+    test('should attach leading JSDoc, steps and qase.id()', () => {
+      expect(tests[0].jsdoc).toContain('@description Complete workflow validation');
+      expect(tests[0].qaseId).toBe(123);
+      expect(tests[0].steps).toHaveLength(1);
+      expect(tests[0].steps[0].title).toBe('Step 1: Initialize | test data | success');
+      expect(tests[0].steps[0].body).toContain('// Action: init');
+      expect(tests[1].jsdoc).toBe('');
+    });
+
+    test('should report 1-based line and column ranges', () => {
+      expect(tests[0].location.start).toEqual({ line: 9, column: 5 });
+      expect(tests[0].location.end).toEqual({ line: 15, column: 7 });
+      expect(tests[1].location.start).toEqual({ line: 17, column: 5 });
+      expect(tests[1].location.end.line).toBe(20);
+    });
+  });
+
+  describe('details object (tag / annotation)', () => {
+    const { tests } = parseTestFile(`
+      test.describe('Inbox', { tag: '@inbox', annotation: { type: 'owner', description: 'mail-team' } }, () => {
+        test('TC-E2E-INBOX-001: Archive', {
+          tag: ['@smoke', '@inbox'],
+          annotation: [{ type: 'issue', description: 'JIRA-12' }]
+        }, async ({ page }) => {});
+
+        test('TC-E2E-INBOX-002: No details', async () => {});
+      });
+    `);
+
+    test('should merge describe tags into child tests without duplicates', () => {
+      expect(tests[0].tags).toEqual(['@inbox', '@smoke']);
+      expect(tests[1].tags).toEqual(['@inbox']);
+    });
+
+    test('should inherit describe annotations and keep test annotations', () => {
+      expect(tests[0].annotations).toEqual([
+        { type: 'owner', description: 'mail-team' },
+        { type: 'issue', description: 'JIRA-12' }
+      ]);
+    });
+
+    test('should still find the callback after the details argument', () => {
+      expect(tests[0].customId).toBe('TC-E2E-INBOX-001');
+      expect(tests[0].describePath).toEqual(['Inbox']);
+    });
+  });
+
+  describe('nested test.step()', () => {
+    const { tests } = parseTestFile(`
+      test('TC-E2E-CHECKOUT-001: Checkout', async ({ page }) => {
+        await test.step('Fill cart', async () => {
+          await test.step('Add item', async () => {});
+          await test.step('Apply coupon', async () => {
+            await test.step('Validate code', async () => {});
+          });
+        });
+        await test.step('Pay', async () => {});
+      });
+    `);
+    const steps = tests[0].steps;
+
+    test('should build a step tree from nested calls', () => {
+      expect(steps.map(s => s.title)).toEqual(['Fill cart', 'Pay']);
+      expect(steps[0].children.map(s => s.title)).toEqual(['Add item', 'Apply coupon']);
+      expect(steps[0].children[1].children.map(s => s.title)).toEqual(['Validate code']);
+      expect(steps[1].children).toEqual([]);
+    });
+
+    test('flattenSteps should walk the tree in pre-order', () => {
+      expect(flattenSteps(steps).map(s => s.title)).toEqual([
+        'Fill cart',
+        'Add item',
+        'Apply coupon',
+        'Validate code',
+        'Pay'
+      ]);
+    });
+  });
+
+  describe('data-driven tests', () => {
+    const { tests } = parseTestFile(`
+      import { test } from '@playwright/test';
+      const PROVIDERS = ['gmail', 'outlook'] as const;
+
+      test.describe('Sync', () => {
+        for (const provider of PROVIDERS) {
+          test(\`TC-API-SYNC-010: sync \${provider}\`, async () => {});
+        }
+
+        [{ name: 'a', limit: 1 }, { name: 'b', limit: 2 }].forEach(({ name, limit }) => {
+          test(\`TC-API-SYNC-011: \${name} limit \${limit}\`, async () => {});
+        });
+
+        for (const browser of ['chromium', 'webkit']) {
+          test.describe(\`On \${browser}\`, () => {
+            test('TC-API-SYNC-012: Static title', async () => {});
+          });
+        }
+      });
+
+      test('TC-API-SYNC-013: Not parameterized', async () => {});
+    `);
+
+    test('should turn a for...of loop over a constant into one test with parameters', () => {
+      expect(tests[0].rawTitle).toBe('TC-API-SYNC-010: sync {provider}');
+      expect(tests[0].parameters).toEqual({ provider: ['gmail', 'outlook'] });
+    });
+
+    test('should bind destructured .forEach parameters', () => {
+      expect(tests[1].title).toBe('{name} limit {limit}');
+      expect(tests[1].parameters).toEqual({ name: ['a', 'b'], limit: ['1', '2'] });
+    });
+
+    test('should pass describe loop parameters to the tests inside', () => {
+      expect(tests[2].describePath).toEqual(['Sync', 'On {browser}']);
+      expect(tests[2].parameters).toEqual({ browser: ['chromium', 'webkit'] });
+      expect(tests[3].parameters).toEqual({});
+    });
+
+    test('should read array and template tables of .each', () => {
+      const { tests: eachTests } = parseTestFile(`
+        describe('Math', () => {
+          it.each([[1, 1, 2], [2, 3, 5]])('TC-UNIT-MATH-001: add %i + %i', (a, b, expected) => {});
+          it.each\`
+            input | output
+            \${'x'} | \${1}
+          \`('TC-UNIT-MATH-002: $input gives $output', ({ input, output }) => {});
+        });
+      `, 'math.test.ts');
+
+      expect(eachTests[0].rawTitle).toBe('TC-UNIT-MATH-001: add {a} + {b}');
+      expect(eachTests[0].parameters).toEqual({ a: ['1', '2'], b: ['1', '3'], expected: ['2', '5'] });
+      expect(eachTests[1].rawTitle).toBe('TC-UNIT-MATH-002: {input} gives {output}');
+      expect(eachTests[1].parameters).toEqual({ input: ['x'], output: ['1'] });
+    });
+  });
+
+  describe('hooks and fixtures', () => {
+    const HOOKS_FILE = `
+      test.beforeAll(async () => { await seedDatabase(); });
+
+      test.describe('Inbox', () => {
+        test.afterEach(async ({ page }) => {
+          await page.close();
+        });
+
+        /** Open the inbox as the default user */
+        test.beforeEach(async ({ page }) => {
+          await page.goto('/inbox');
+        });
+
+        test.describe('Archive', () => {
+          test('TC-E2E-INBOX-001: Archive', async ({ page, authenticatedPage, seededMailbox: mailbox }) => {});
+
+          test.beforeEach('Select the first thread', async () => {});
+        });
+
+        test.afterAll(async () => {
+          // Remove seeded messages
+          await cleanup();
+        });
+      });
+
+      test('TC-E2E-INBOX-002: Outside', async () => {});
+    `;
+    const { tests } = parseTestFile(HOOKS_FILE);
+
+    test('should merge enclosing hooks in execution order', () => {
+      expect(tests[0].hooks).toEqual({
+        beforeAll: ['await seedDatabase()'],
+        beforeEach: ['Open the inbox as the default user', 'Select the first thread'],
+        afterEach: ['await page.close()'],
+        afterAll: ['Remove seeded messages']
+      });
+    });
+
+    test('should only apply hooks from enclosing scopes', () => {
+      expect(tests[1].hooks).toEqual({ beforeAll: ['await seedDatabase()'], beforeEach: [], afterEach: [], afterAll: [] });
+    });
+
+    test('should read fixture names from the destructured first parameter', () => {
+      expect(tests[0].fixtures).toEqual(['page', 'authenticatedPage', 'seededMailbox']);
+      expect(tests[1].fixtures).toEqual([]);
+    });
+
+    test('should summarize hooks by their steps and map Mocha before/after', () => {
+      const content = `
+        describe('Sync', function () {
+          before(function () {
+            qase.step('Create account', () => {});
+          });
+          after(() => resetAccounts());
+          it('TC-API-SYNC-001: Sync', function () {});
+        });
+      `;
+      const [test] = parseTestFile(content, 'sync.spec.js', mocha).tests;
+
+      expect(test.hooks.beforeAll).toEqual(['Create account']);
+      expect(test.hooks.afterAll).toEqual(['resetAccounts()']);
+    });
+  });
+
+  describe('splitTestTitle', () => {
+    test('should split on the first colon only', () => {
+      expect(splitTestTitle('TC-API-SYNC-001: a: b')).toEqual({
+        customId: 'TC-API-SYNC-001',
+        title: 'a: b'
+      });
+    });
+
+    test('should return null customId when there is no colon', () => {
+      expect(splitTestTitle('plain title').customId).toBeNull();
+    });
+  });
+
+  describe('getStaticText', () => {
+    test('should keep template interpolations as source text', () => {
+      const sourceFile = parseSource('const x = `TC-API-SYNC-001: sync ${provider}`;');
+      const initializer = sourceFile.statements[0].declarationList.declarations[0].initializer;
+
+      expect(getStaticText(initializer)).toBe('TC-API-SYNC-001: sync ${provider}');
+    });
+  });
+});
@@ -4,12 +4,18 @@
  * Tests core test extraction logic, including:
  * - Custom ID validation
  * - Test step extraction
+ * - Step expected results from Action/Expected comments and expect() calls
  * - Suite hierarchy extraction
  * - JSDoc metadata extraction
+ * - Hook and fixture summaries in preconditions / postconditions
+ * - Suite descriptions from describe-level JSDoc and the file header
+ * - Parameterised tests whose Custom ID contains an interpolation
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { extractSteps, extractTestCasesFromFile } = require('../../scripts/extract-tests');
 
 // Mock test file content for testing
 const MOCK_TEST_FILE = `
@@ -177,6 +183,60 @@ describe('extract-tests.js', () => {
     });
   });
 
+  describe('step Action/Expected comments', () => {
+    test('should prefer Action/Expected comments over the step title', () => {
+      const steps = extractSteps(`
+        await test.step('Login', async () => {
+          // Action: Log in as admin
+          // Expected: Inbox is shown
+          await expect(page).toHaveURL('/inbox');
+        });
+      `);
+
+      expect(steps[0].action).toBe('Log in as admin');
+      expect(steps[0].expected_result).toBe('Inbox is shown');
+    });
+
+    test('should summarize expect() calls when Expected comment is missing', () => {
+      const steps = extractSteps(`
+        await test.step('Archive message', async () => {
+          await page.click('#archive');
+          await expect(page.getByText('Archived')).toBeVisible();
+          expect(count).not.toBe(50);
+        });
+      `);
+
+      expect(steps[0].action).toBe('Archive message');
+      expect(steps[0].expected_result).toBe(
+        "page.getByText('Archived') to be visible; count not to be 50"
+      );
+    });
+
+    test('should keep title expected result before the expect() summary', () => {
+      const steps = extractSteps(`
+        await test.step('Verify | data | Email sent', async () => {
+          expect(sent).toBe(true);
+        });
+      `);
+
+      expect(steps[0].expected_result).toBe('Email sent');
+    });
+
+    test('should not read comments or assertions of nested steps', () => {
+      const steps = extractSteps(`
+        await test.step('Parent', async () => {
+          await test.step('Child', async () => {
+            // Expected: child done
+            expect(child).toBeTruthy();
+          });
+        });
+      `);
+
+      expect(steps[0].expected_result).toBe('');
+      expect(steps[0].steps[0].expected_result).toBe('child done');
+    });
+  });
+
   describe('extractTestJSDoc', () => {
     test('should extract @description from JSDoc', () => {
       const fileContent = `
@@ -243,6 +303,149 @@ describe('extract-tests.js', () => {
     });
   });
 
+  describe('hook and fixture conditions', () => {
+    let rootDir;
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-setup-'));
+      fs.writeFileSync(path.join(rootDir, 'fixtures.ts'), `export const test = base.extend({
+  /**
+   * Signed in as the default user
+   * @postconditions Session is revoked
+   */
+  authenticatedPage: async ({ page }, use) => use(page)
+});
+`);
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('should append hooks and fixtures to JSDoc conditions', () => {
+      const content = `import { test } from './fixtures';
+
+test.describe('Inbox', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/inbox');
+  });
+
+  test.afterEach(async () => {
+    // Clear the outbox
+  });
+
+  /**
+   * @preconditions Feature flag enabled
+   */
+  test('TC-E2E-INBOX-001: Archive', async ({ authenticatedPage }) => {});
+});
+`;
+      const specPath = path.join(rootDir, 'inbox.spec.ts');
+      const { testCases, dependencies } = extractTestCasesFromFile(
+        content,
+        'inbox.spec.ts',
+        path.relative(process.cwd(), specPath)
+      );
+
+      expect(testCases[0].preconditions).toBe([
+        'Feature flag enabled',
+        '- Fixture authenticatedPage: Signed in as the default user',
+        "- beforeEach: await page.goto('/inbox')"
+      ].join('\n'));
+      expect(testCases[0].postconditions).toBe([
+        '- afterEach: Clear the outbox',
+        '- Fixture authenticatedPage: Session is revoked'
+      ].join('\n'));
+      expect(dependencies).toEqual([
+        path.relative(process.cwd(), path.join(rootDir, 'fixtures.ts')).split(path.sep).join('/')
+      ]);
+    });
+  });
+
+  describe('suite docs', () => {
+    const content = `/**
+ * Inbox regression tests
+ */
+
+import { test } from '@playwright/test';
+
+/**
+ * Reading and organising mail
+ * @preconditions Mailbox has unread messages
+ */
+test.describe('Inbox', () => {
+  test.describe('Search', () => {
+    test('TC-E2E-INBOX-001: Search by sender', async () => {});
+  });
+});
+
+test.describe('Drafts', () => {
+  /**
+   * Covers the autosave timer
+   */
+  test.describe('Autosave', () => {
+    test('TC-E2E-DRAFT-001: Autosave', async () => {});
+  });
+});
+`;
+
+    test('should read describe JSDoc into describeDocs', () => {
+      const { testCases } = extractTestCasesFromFile(content, 'inbox.spec.ts');
+
+      expect(testCases[0].describeDocs).toEqual([
+        { description: 'Reading and organising mail', preconditions: 'Mailbox has unread messages' },
+        { description: '', preconditions: '' }
+      ]);
+      expect(testCases[1].describeDocs).toEqual([
+        { description: 'Inbox regression tests', preconditions: '' },
+        { description: 'Covers the autosave timer', preconditions: '' }
+      ]);
+    });
+
+    test('should not use the file header as the case description', () => {
+      const { testCases } = extractTestCasesFromFile(content, 'inbox.spec.ts');
+
+      expect(testCases.map(tc => tc.description)).toEqual(['', '']);
+    });
+  });
+
+  describe('Custom ID templates in parameterised tests', () => {
+    test('should report a loop whose interpolated Custom ID cannot be resolved', () => {
+      const content = `
+test.describe('Sync', () => {
+  test('TC-API-SYNC-001: Initial sync', async () => {});
+
+  let n = 2;
+  for (const provider of ['gmail', 'outlook']) {
+    test(\`TC-API-SYNC-0\${n}: sync \${provider}\`, async () => {});
+  }
+});
+`;
+
+      const { testCases, errors } = extractTestCasesFromFile(content, 'sync.spec.ts');
+
+      expect(testCases.map(tc => tc.id)).toEqual(['TC-API-SYNC-001']);
+      expect(errors).toEqual([
+        expect.objectContaining({ testId: 'TC-API-SYNC-0{n}', line: 7, suggestion: 'TC-API-SYNC-002' })
+      ]);
+    });
+
+    test('should resolve a placeholder whose parameter has one value per group', () => {
+      const content = `
+test.describe('Sync', () => {
+  for (const [id, provider] of [['010', 'gmail']]) {
+    test(\`TC-API-SYNC-\${id}: sync \${provider}\`, async () => {});
+  }
+});
+`;
+
+      const { testCases, errors } = extractTestCasesFromFile(content, 'sync.spec.ts');
+
+      expect(testCases.map(tc => [tc.id, tc.idTemplate])).toEqual([['TC-API-SYNC-010', 'TC-API-SYNC-{id}']]);
+      expect(errors).toEqual([]);
+    });
+  });
+
   describe('extractQaseId', () => {
     test('should extract qase.id() from test content', () => {
       const testContent = `
@@ -0,0 +1,305 @@
+/**
+ * Tests for qase-testops.js
+ *
+ * Tests the unified CLI, including:
+ * - --json printing a single { command, exitCode, result } object
+ * - Global --config / --project / --dry-run flags
+ * - Exit codes: 0 ok, 1 findings, 2 usage errors, 3 config / runtime errors
+ * - plan files verified by apply --dry-run
+ * - cleanup / delete / pull --fields previewing unless --yes is passed
+ * - pull skipping Custom IDs on more than one Qase case and expanding helper steps like extraction
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../lib/qase-utils', () => ({
+  ...jest.requireActual('../../lib/qase-utils'),
+  qaseApiRequest: jest.fn(),
+  getAllSuites: jest.fn(),
+  getAllTestCases: jest.fn(),
+  deleteTestCase: jest.fn()
+}));
+
+const qaseUtils = require('../../lib/qase-utils');
+const { run } = require('../../scripts/qase-testops');
+
+const SPEC = `
+import { test } from '@playwright/test';
+import { qase } from 'playwright-qase-reporter';
+
+test.describe('Inbox', () => {
+  /**
+   * @description Opens the inbox
+   * @preconditions Signed in
+   * @postconditions None
+   */
+  test('TC-E2E-INBOX-001: Open inbox', async ({ page }) => {
+    await test.step('Open the page', async () => {
+      // Action: visit /inbox
+      // Expected: inbox is shown
+    });
+  });
+});
+`;
+
+const CONFIG = {
+  e2eDir: 'e2e',
+  outputDir: 'qase',
+  extractionCache: false,
+  qase: { apiToken: 'token', projectCode: 'DEMO' }
+};
+
+describe('qase-testops.js', () => {
+  let cwd;
+  let logSpy;
+  let errorSpy;
+
+  // 标准输出中打印的 JSON
+  const jsonOutput = () => JSON.parse(logSpy.mock.calls.map(args => args.join(' ')).join('\n'));
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-cli-'));
+    fs.mkdirSync(path.join(cwd, 'e2e'));
+    fs.writeFileSync(path.join(cwd, 'e2e', 'inbox.spec.ts'), SPEC);
+    fs.writeFileSync(path.join(cwd, '.qase-config.json'), JSON.stringify(CONFIG));
+    jest.spyOn(process, 'cwd').mockReturnValue(cwd);
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    qaseUtils.qaseApiRequest.mockReset();
+    qaseUtils.getAllSuites.mockReset();
+    qaseUtils.getAllTestCases.mockReset();
+    qaseUtils.deleteTestCase.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  describe('usage', () => {
+    test('should print help and exit 0 with --help', async () => {
+      expect(await run(['--help'])).toBe(0);
+      expect(logSpy.mock.calls[0][0]).toContain('qase-testops <command>');
+    });
+
+    test('should exit 2 without a command', async () => {
+      expect(await run([])).toBe(2);
+    });
+
+    test('should exit 2 for an unknown flag and report it as JSON', async () => {
+      expect(await run(['review', '--json', '--bogus'])).toBe(2);
+      expect(jsonOutput()).toEqual({
+        command: null,
+        exitCode: 2,
+        error: { message: '未知的参数 --bogus（子命令 review）' }
+      });
+    });
+
+    test('should exit 2 when delete has no ids', async () => {
+      expect(await run(['delete'])).toBe(2);
+      expect(errorSpy.mock.calls[0][0]).toContain('请指定要删除的测试用例 ID');
+    });
+  });
+
+  describe('extract', () => {
+    test('should print only the JSON result with --json', async () => {
+      expect(await run(['extract', '--json'])).toBe(0);
+
+      const output = jsonOutput();
+      expect(output.command).toBe('extract');
+      expect(output.exitCode).toBe(0);
+      expect(output.result.testCases.map(tc => tc.id)).toEqual(['TC-E2E-INBOX-001']);
+      expect(output.result.savedTo).toBeNull();
+    });
+
+    test('should write the JSON file with --save', async () => {
+      expect(await run(['extract', '--save', '--quiet'])).toBe(0);
+
+      const saved = JSON.parse(fs.readFileSync(path.join(cwd, 'qase', 'qase-test-cases.json'), 'utf-8'));
+      expect(saved.map(tc => tc.id)).toEqual(['TC-E2E-INBOX-001']);
+    });
+  });
+
+  describe('review', () => {
+    test('should exit 1 when the review finds issues', async () => {
+      fs.writeFileSync(path.join(cwd, 'e2e', 'bad.spec.ts'), SPEC.replace('TC-E2E-INBOX-001', 'INBOX-1'));
+
+      expect(await run(['review', 'e2e/bad.spec.ts', '--json'])).toBe(1);
+
+      const { result } = jsonOutput();
+      expect(result.hasIssues).toBe(true);
+      expect(result.audits[0].issues[0].message).toContain('INBOX-1');
+    });
+  });
+
+  describe('config', () => {
+    test('should read --config and override the project with --project', async () => {
+      fs.mkdirSync(path.join(cwd, 'ci'));
+      fs.writeFileSync(path.join(cwd, 'ci', 'qase.json'), JSON.stringify({ ...CONFIG, qase: { apiToken: 'ci-token', projectCode: 'CI' } }));
+      qaseUtils.qaseApiRequest.mockResolvedValue({ result: { entities: [] } });
+
+      expect(await run(['sync', '--config', 'ci/qase.json', '--project=OTHER', '--dry-run', '--json'])).toBe(0);
+
+      expect(jsonOutput().result).toEqual({
+        dryRun: true,
+        toCreate: [{ id: 'TC-E2E-INBOX-001', title: 'TC-E2E-INBOX-001: Open inbox', suite: 'Inbox' }],
+        toUpdate: [],
+        suiteRenames: [],
+        suiteDocUpdates: [],
+        removalPolicy: 'ignore',
+        toRemove: [],
+        conflicts: [],
+        staleIds: [],
+        fieldConflicts: []
+      });
+      const [config] = qaseUtils.qaseApiRequest.mock.calls[0];
+      expect(config.qase).toEqual({ apiToken: 'ci-token', projectCode: 'OTHER' });
+      expect(qaseUtils.qaseApiRequest.mock.calls.every(([, method]) => method === 'GET')).toBe(true);
+    });
+
+    test('should exit 3 when the config file is missing', async () => {
+      expect(await run(['extract', '--config=missing.json', '--json'])).toBe(3);
+      expect(jsonOutput().error.message).toContain('找不到配置文件');
+    });
+  });
+
+  describe('plan / apply', () => {
+    test('should write a plan file that apply --dry-run verifies against Qase', async () => {
+      qaseUtils.getAllSuites.mockResolvedValue([]);
+      qaseUtils.getAllTestCases.mockResolvedValue([]);
+
+      expect(await run(['plan', '--out=plan.json', '--markdown=plan.md', '--json'])).toBe(0);
+      expect(jsonOutput().result.summary.cases.create).toBe(1);
+      expect(fs.readFileSync(path.join(cwd, 'plan.md'), 'utf-8')).toContain('TC-E2E-INBOX-001');
+
+      logSpy.mockClear();
+      expect(await run(['apply', 'plan.json', '--dry-run', '--json'])).toBe(0);
+      expect(jsonOutput().result).toMatchObject({ dryRun: true, created: 0 });
+      expect(qaseUtils.qaseApiRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('delete', () => {
+    test('should preview without --yes and exit 1 for unknown ids', async () => {
+      qaseUtils.getAllTestCases.mockResolvedValue([
+        { id: 41, title: 'TC-E2E-INBOX-001: Open inbox', custom_fields: [{ id: 1, value: 'TC-E2E-INBOX-001' }] }
+      ]);
+
+      expect(await run(['delete', 'TC-E2E-INBOX-001', 'DEMO-99', '--json'])).toBe(1);
+
+      expect(jsonOutput().result).toMatchObject({
+        matched: [{ input: 'TC-E2E-INBOX-001', id: 41 }],
+        notFound: ['DEMO-99'],
+        dryRun: true
+      });
+      expect(qaseUtils.deleteTestCase).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pull --fields', () => {
+    const specFile = () => path.join(cwd, 'e2e', 'inbox.spec.ts');
+
+    beforeEach(() => {
+      qaseUtils.getAllTestCases.mockResolvedValue([{
+        id: 41,
+        title: 'TC-E2E-INBOX-001: Open inbox',
+        description: 'Opens the inbox from the sidebar',
+        preconditions: 'Signed in',
+        steps: [{ action: 'visit /inbox', expected_result: 'Inbox lists the latest messages' }],
+        custom_fields: [{ id: 1, value: 'TC-E2E-INBOX-001' }]
+      }]);
+    });
+
+    test('should preview the diff without --yes', async () => {
+      expect(await run(['pull', '--fields=description,steps', '--json'])).toBe(0);
+
+      const { result } = jsonOutput();
+      expect(result).toMatchObject({ fields: ['description', 'steps'], updated: 1, dryRun: true });
+      expect(result.files[0].diff).toEqual(expect.arrayContaining([
+        '-    * @description Opens the inbox',
+        '+    * @description Opens the inbox from the sidebar',
+        '-       // Expected: inbox is shown',
+        '+       // Expected: Inbox lists the latest messages'
+      ]));
+      expect(fs.readFileSync(specFile(), 'utf-8')).toBe(SPEC);
+    });
+
+    test('should write the changes with --yes after showing the diff', async () => {
+      let contentAtPreview = null;
+      logSpy.mockImplementation(line => {
+        if (String(line).includes('+    * @description')) contentAtPreview = fs.readFileSync(specFile(), 'utf-8');
+      });
+
+      expect(await run(['pull', '--fields', 'description,steps', '--yes'])).toBe(0);
+
+      expect(contentAtPreview).toBe(SPEC);
+
+      const content = fs.readFileSync(specFile(), 'utf-8');
+      expect(content).toContain('   * @description Opens the inbox from the sidebar\n   * @preconditions Signed in');
+      expect(content).toContain('      // Expected: Inbox lists the latest messages');
+      expect(fs.readFileSync(specFile() + '.backup', 'utf-8')).toBe(SPEC);
+    });
+
+    test('should exit 2 for unknown fields', async () => {
+      expect(await run(['pull', '--fields=title'])).toBe(2);
+    });
+
+    test('should skip a Custom ID found on more than one Qase case', async () => {
+      const [qaseCase] = await qaseUtils.getAllTestCases();
+      qaseUtils.getAllTestCases.mockResolvedValue([qaseCase, { ...qaseCase, id: 42 }]);
+
+      expect(await run(['pull', '--fields=description', '--json'])).toBe(0);
+
+      const { result } = jsonOutput();
+      expect(result.updated).toBe(0);
+      expect(result.skipped).toEqual([{ customId: 'TC-E2E-INBOX-001', reason: 'Custom ID 出现在多个 Qase 用例上' }]);
+    });
+
+    test('should match steps expanded from helpers and leave the helper file unchanged', async () => {
+      const helper = [
+        "import { test } from '@playwright/test';",
+        '',
+        'export async function openInbox(page) {',
+        "  await test.step('Open the page', async () => {",
+        '    // Action: visit /inbox',
+        '  });',
+        '}',
+        ''
+      ].join('\n');
+      fs.writeFileSync(path.join(cwd, 'e2e', 'helpers.ts'), helper);
+      fs.writeFileSync(specFile(), [
+        "import { test } from '@playwright/test';",
+        "import { openInbox } from './helpers';",
+        '',
+        "test.describe('Inbox', () => {",
+        "  test('TC-E2E-INBOX-001: Open inbox', async ({ page }) => {",
+        '    await openInbox(page);',
+        "    await test.step('Check list', async () => {",
+        '      await page.reload();',
+        '    });',
+        '  });',
+        '});',
+        ''
+      ].join('\n'));
+      qaseUtils.getAllTestCases.mockResolvedValue([{
+        id: 41,
+        title: 'TC-E2E-INBOX-001: Open inbox',
+        steps: [
+          { action: 'visit /inbox', expected_result: 'Inbox is shown' },
+          { action: 'Check list', expected_result: 'List has messages' }
+        ],
+        custom_fields: [{ id: 1, value: 'TC-E2E-INBOX-001' }]
+      }]);
+
+      expect(await run(['pull', '--fields=steps', '--yes', '--json'])).toBe(0);
+
+      const { result } = jsonOutput();
+      expect(result.updated).toBe(1);
+      expect(result.skipped).toEqual([{ customId: 'TC-E2E-INBOX-001', reason: '步骤 1 定义在 helper 中，不回写 // Expected:' }]);
+      expect(fs.readFileSync(specFile(), 'utf-8')).toContain("await test.step('Check list', async () => {\n      // Expected: List has messages");
+      expect(fs.readFileSync(path.join(cwd, 'e2e', 'helpers.ts'), 'utf-8')).toBe(helper);
+    });
+  });
+});
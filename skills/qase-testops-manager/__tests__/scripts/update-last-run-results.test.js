@@ -0,0 +1,72 @@
+/**
+ * Tests for update-last-run-results.js
+ *
+ * Tests mapping Playwright results to Last Run Result values, including:
+ * - Custom ID extraction from spec titles
+ * - Merging parameter combinations of one data-driven case
+ * - Matching runtime titles of interpolated Custom ID templates
+ */
+
+const { parseTestResults, groupResultsByCase } = require('../../scripts/update-last-run-results');
+const { buildTemplateMatchers } = require('../../lib/run-results');
+const { resolveIdGrammar } = require('../../lib/custom-id');
+
+function spec(title, status) {
+  return { title, tests: [{ results: [{ status }] }] };
+}
+
+describe('update-last-run-results.js', () => {
+  const grammar = resolveIdGrammar({});
+  const results = {
+    suites: [
+      {
+        specs: [spec('TC-API-SYNC-010: sync gmail', 'passed'), spec('No ID here', 'passed')],
+        suites: [{ specs: [spec('TC-API-SYNC-010: sync outlook', 'failed'), spec('TC-API-SYNC-011: other', 'skipped')] }]
+      }
+    ]
+  };
+
+  test('parseTestResults should keep specs with a Custom ID', () => {
+    expect(parseTestResults(results, grammar).map(r => [r.customId, r.status])).toEqual([
+      ['TC-API-SYNC-010', 'PASS'],
+      ['TC-API-SYNC-010', 'FAILD'],
+      ['TC-API-SYNC-011', 'NOTRUN']
+    ]);
+  });
+
+  test('groupResultsByCase should report every combination against one case', () => {
+    const [sync, other] = groupResultsByCase(parseTestResults(results, grammar));
+
+    expect(sync.status).toBe('FAILD');
+    expect(sync.combinations).toEqual([
+      { title: 'TC-API-SYNC-010: sync gmail', status: 'PASS' },
+      { title: 'TC-API-SYNC-010: sync outlook', status: 'FAILD' }
+    ]);
+    expect(other.status).toBe('NOTRUN');
+  });
+
+  test('groupResultsByCase should prefer PASS over NOTRUN', () => {
+    const grouped = groupResultsByCase([
+      { customId: 'A', title: 'A: 1', status: 'NOTRUN' },
+      { customId: 'A', title: 'A: 2', status: 'PASS' }
+    ]);
+
+    expect(grouped[0].status).toBe('PASS');
+  });
+
+  test('parseTestResults should map titles of an interpolated Custom ID to the resolved case', () => {
+    const templates = buildTemplateMatchers([
+      { customId: 'TC-API-SYNC-002', idTemplate: 'TC-API-SYNC-0{n}', originalTitle: 'sync {provider}' },
+      { customId: 'TC-API-SYNC-001', idTemplate: null, originalTitle: 'static' }
+    ]);
+    const loopResults = {
+      suites: [{ specs: [spec('TC-API-SYNC-01: sync gmail', 'passed'), spec('TC-API-SYNC-010: sync outlook', 'failed')] }]
+    };
+
+    const [sync] = groupResultsByCase(parseTestResults(loopResults, grammar, templates));
+
+    expect(sync.customId).toBe('TC-API-SYNC-002');
+    expect(sync.status).toBe('FAILD');
+    expect(sync.combinations.map(c => c.title)).toEqual(['TC-API-SYNC-01: sync gmail', 'TC-API-SYNC-010: sync outlook']);
+  });
+});
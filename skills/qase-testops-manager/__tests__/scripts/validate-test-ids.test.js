@@ -1,10 +1,12 @@
 /**
  * Tests for validate-test-ids.js
  *
- * Tests Custom ID validation logic and standards compliance
+ * Tests Custom ID validation logic and standards compliance, including
+ * interpolated Custom IDs of data-driven tests (same resolution as extraction)
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { execSync } = require('child_process');
 
@@ -177,4 +179,53 @@ describe('validate-test-ids.js', () => {
       expect(inferredLayer).toBe('E2E');
     });
   });
+
+  describe('interpolated Custom IDs', () => {
+    let cwd;
+
+    // 在临时项目中运行脚本，返回输出（校验失败时以 1 退出）
+    const validate = spec => {
+      fs.mkdirSync(path.join(cwd, 'e2e'));
+      fs.writeFileSync(path.join(cwd, '.qase-config.json'), JSON.stringify({ e2eDir: 'e2e' }));
+      fs.writeFileSync(path.join(cwd, 'e2e', 'sync.spec.ts'), spec);
+      try {
+        return execSync(`node "${SCRIPT_PATH}"`, { cwd, encoding: 'utf-8', stdio: 'pipe' });
+      } catch (error) {
+        return error.stdout;
+      }
+    };
+
+    beforeEach(() => {
+      cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qase-validate-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(cwd, { recursive: true, force: true });
+    });
+
+    test('should report an unresolvable template with a dedicated message', () => {
+      const output = validate([
+        "test('TC-API-SYNC-001: Initial sync', async () => {});",
+        "for (const provider of ['gmail', 'outlook']) {",
+        '  test(`TC-API-SYNC-00${n}: sync ${provider}`, async () => {});',
+        '}'
+      ].join('\n'));
+
+      expect(output).toContain('❌ TC-API-SYNC-00{n}');
+      expect(output).toContain('Interpolated Custom ID cannot be resolved');
+      expect(output).toContain('💡 Suggested: TC-API-SYNC-002');
+      expect(output).not.toContain('Lowercase detected');
+    });
+
+    test('should accept a template that resolves like extraction', () => {
+      const output = validate([
+        "for (const [id, provider] of [['010', 'gmail']]) {",
+        '  test(`TC-API-SYNC-${id}: sync ${provider}`, async () => {});',
+        '}'
+      ].join('\n'));
+
+      expect(output).toContain('✅ TC-API-SYNC-{id} → TC-API-SYNC-010');
+      expect(output).toContain('All test IDs are valid');
+    });
+  });
 });
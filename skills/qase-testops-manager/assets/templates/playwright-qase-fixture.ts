@@ -20,6 +20,39 @@ import * as path from 'path';
 // Qase ID 映射类型
 type QaseIdMapping = Record<string, number>;
 
+// Custom ID 语法（与 .qase-config.json 的 customId 配置一致，默认 TC-{LAYER}-{MODULE}-{NUMBER}）
+interface CustomIdGrammar {
+  prefix: string;
+  separator: string;
+  layerPattern: string;
+  modulePattern: string;
+  numberDigits: number;
+}
+
+const DEFAULT_ID_GRAMMAR: CustomIdGrammar = {
+  prefix: 'TC',
+  separator: '-',
+  layerPattern: '[A-Z0-9]{2,8}',
+  modulePattern: '[A-Z]{2,12}',
+  numberDigits: 3,
+};
+
+/**
+ * 从 .qase-config.json 读取 Custom ID 语法
+ */
+function loadIdGrammar(): CustomIdGrammar {
+  const configPath = path.join(process.cwd(), '.qase-config.json');
+
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    return { ...DEFAULT_ID_GRAMMAR, ...(config.customId || {}) };
+  } catch {
+    return DEFAULT_ID_GRAMMAR;
+  }
+}
+
+const ID_GRAMMAR = loadIdGrammar();
+
 /**
  * 加载 Qase ID 映射文件
  */
@@ -46,7 +79,11 @@ function loadQaseIdMapping(): QaseIdMapping {
  */
 function extractCustomId(testTitle: string): string | null {
   // 匹配格式：TC-{LAYER}-{MODULE}-{NUMBER}:
-  const match = testTitle.match(/(TC-[A-Z]{2,8}-[A-Z]{2,12}-\d{3}):/);
+  const escape = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const { prefix, separator, layerPattern, modulePattern, numberDigits } = ID_GRAMMAR;
+  const pattern = [escape(prefix), layerPattern, modulePattern, `\\d{${numberDigits}}`].join(escape(separator));
+
+  const match = testTitle.match(new RegExp(`(${pattern}):`));
   return match ? match[1] : null;
 }
 
@@ -73,7 +110,8 @@ export const test = base.extend<{ autoQaseId: void }>({
       }
     } else {
       console.warn(`⚠️  Test title 格式不符合规范: ${testInfo.title}`);
-      console.warn(`   期望格式: TC-{LAYER}-{MODULE}-{NUMBER}: 标题`);
+      const { prefix, separator } = ID_GRAMMAR;
+      console.warn(`   期望格式: ${[prefix, '{LAYER}', '{MODULE}', '{NUMBER}'].join(separator)}: 标题`);
     }
 
     // 使用 fixture
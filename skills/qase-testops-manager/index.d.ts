@@ -0,0 +1,508 @@
+// Qase TestOps Manager 库 API 的类型声明（实现见 index.js）
+
+export interface Logger {
+  log(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+/** .qase-config.json 的内容（未列出的字段按原样传递给各模块） */
+export interface QaseConfig {
+  e2eDir?: string;
+  outputDir?: string;
+  csvFileName?: string;
+  jsonFileName?: string;
+  include?: string[];
+  exclude?: string[];
+  metadataRules?: object[];
+  framework?: string | object;
+  adapters?: string[];
+  helperDepth?: number;
+  source?: 'static' | 'playwright';
+  playwright?: { command?: string; args?: string[]; listFile?: string };
+  git?: { blame?: boolean; sourceUrl?: string };
+  extractionCache?: boolean;
+  /** 增量同步（.qase-sync-state.json），默认 true */
+  syncState?: boolean;
+  customId?: object;
+  qase?: {
+    apiToken: string;
+    projectCode: string;
+    customFields?: Record<string, number>;
+    lastRunResultFieldId?: number;
+    matchAuthors?: boolean;
+    authorAliases?: Record<string, string>;
+    removedCases?: RemovedCasesConfig;
+    conflictResolution?: ConflictResolution | ConflictResolutionConfig;
+    [key: string]: unknown;
+  };
+  [key: string]: unknown;
+}
+
+export type RemovalPolicy = 'ignore' | 'deprecate' | 'archive' | 'delete';
+
+/** Custom ID 已不在代码中的 Qase 用例的处理方式 */
+export interface RemovedCasesConfig {
+  /** 默认 ignore */
+  policy?: RemovalPolicy;
+  /** archive 使用的 Suite，默认 Archived */
+  archiveSuite?: string;
+  /** 超过带 Custom ID 用例的该比例时中止，默认 0.1 */
+  maxRemovalRatio?: number;
+}
+
+/** 代码与 Qase 同时修改的字段：code 写入代码的值，qase 保留 Qase 的值，fail 跳过该用例 */
+export type ConflictResolution = 'code' | 'qase' | 'fail';
+
+export interface ConflictResolutionConfig {
+  /** 默认 fail */
+  default?: ConflictResolution;
+  /** 按字段名（如 description、steps、custom_field.testFilePath）覆盖 */
+  fields?: Record<string, ConflictResolution>;
+}
+
+/** 上次同步后代码与 Qase 同时修改的字段（值为可比较的文本） */
+export interface FieldConflict {
+  customId: string;
+  qaseId: number;
+  title: string;
+  /** 存在 fail 处理的字段，该用例未同步 */
+  failed: boolean;
+  fields: Array<{ field: string; base: string; code: string; qase: string; resolution: ConflictResolution }>;
+}
+
+export interface BaseOptions {
+  /** 项目根目录，默认 process.cwd() */
+  cwd?: string;
+  /** 配置对象，不传时读取 cwd 下的 .qase-config.json */
+  config?: QaseConfig;
+}
+
+export interface LoggingOptions extends BaseOptions {
+  /** 进度输出，默认不输出 */
+  logger?: Logger;
+}
+
+export interface TestStep {
+  action: string;
+  data?: string;
+  expected_result?: string;
+  steps?: TestStep[];
+}
+
+export interface TestCase {
+  id: string;
+  title: string;
+  suite: string;
+  /** 各层 describe 的 Suite 说明（与 suite 路径对应，外层在前） */
+  describeDocs?: Array<{ description: string; preconditions: string }>;
+  description?: string;
+  preconditions?: string;
+  postconditions?: string;
+  steps: TestStep[];
+  tags?: string[];
+  severity?: string;
+  priority?: string;
+  type?: string;
+  layer?: string;
+  behavior?: string;
+  isFlaky?: boolean;
+  automation?: string;
+  status?: string;
+  filePath: string;
+  qase_id?: number;
+  externalIssues?: string[];
+  lines?: { start: number; end: number };
+  owner?: { name: string; email: string } | null;
+  lastCommit?: { sha: string; date: string } | null;
+  sourceUrl?: string;
+  /** 参数 { 参数名: [取值] }（参数化测试） */
+  parameters?: Record<string, string[]>;
+  /** 带插值的原始 Custom ID（如 TC-API-SYNC-0{n}），id 为由它解析出的固定 Custom ID */
+  idTemplate?: string | null;
+  [key: string]: unknown;
+}
+
+export interface ExtractOptions extends BaseOptions {
+  /** 是否使用提取缓存，默认按 extractionCache 配置 */
+  useCache?: boolean;
+  /** 提取源，默认按 source 配置 */
+  source?: 'static' | 'playwright';
+}
+
+export interface ExtractResult {
+  testCases: TestCase[];
+  errors: Array<{ file: string; testId: string; title: string; line?: number; error: string; suggestion?: string }>;
+  cacheStats: { hits: number; misses: number };
+  /** Playwright 列表按 grep / project 等参数过滤，只包含部分测试 */
+  filtered: boolean;
+}
+
+export interface AuditEntry {
+  line: number;
+  rule: string;
+  message: string;
+}
+
+export interface FileAudit {
+  filePath: string;
+  fileName: string;
+  issues: AuditEntry[];
+  warnings: AuditEntry[];
+  passed: Array<{ rule: string; message: string }>;
+  tests: object[];
+  score: number;
+  hasIssues: boolean;
+}
+
+export interface ReviewOptions extends BaseOptions {
+  /** 要审核的文件（相对于 cwd），默认为 e2eDir 下的所有测试文件 */
+  files?: string[];
+}
+
+export interface ReviewResult {
+  audits: FileAudit[];
+  summary: { totalFiles: number; totalTests: number; filesWithIssues: number; averageScore: number };
+  hasIssues: boolean;
+}
+
+export interface QaseCase {
+  id: number;
+  title: string;
+  [key: string]: unknown;
+}
+
+export interface PlanOptions extends LoggingOptions {
+  /** 本地测试用例，默认调用 extract() */
+  testCases?: TestCase[];
+  /** 传入 testCases 时对应的提取结果（不完整时不处理代码中已删除的用例） */
+  extraction?: Pick<ExtractResult, 'errors' | 'filtered'>;
+}
+
+/** 同一 Custom ID 出现在多个 Qase 用例上（该用例不创建也不更新） */
+export interface CustomIdConflict {
+  customId: string;
+  qaseIds: number[];
+}
+
+/** 代码中的 qase.id() 指向已删除（missing）或 Custom ID 不同（mismatch）的用例 */
+export interface StaleQaseId {
+  customId: string;
+  qaseId: number;
+  reason: 'missing' | 'mismatch';
+  actualCustomId: string | null;
+}
+
+export interface SyncPlan {
+  testCases: TestCase[];
+  toCreate: TestCase[];
+  toUpdate: Array<{ testCase: TestCase; existing: QaseCase; matchReason: string }>;
+  conflicts: CustomIdConflict[];
+  staleIds: StaleQaseId[];
+  /** 按 .qase-sync-state.json 预览的三方合并冲突 */
+  fieldConflicts: FieldConflict[];
+  /** 按 removalPolicy 需要处理的用例 */
+  toRemove: QaseCase[];
+  removalPolicy: Required<RemovedCasesConfig>;
+  /** 原地改名 / 移动的 Suite（按执行顺序） */
+  suiteRenames: SuiteRename[];
+  suiteDocUpdates: SuiteDocUpdate[];
+  suites: object[];
+  authors: object[];
+}
+
+export interface SyncOptions extends PlanOptions {
+  /** plan() 的结果，不传时重新生成 */
+  plan?: SyncPlan;
+  /** 忽略 .qase-sync-state.json，更新所有匹配的用例 */
+  full?: boolean;
+}
+
+export interface SyncResult {
+  suitesRenamed: number;
+  suitesUpdated: number;
+  created: number;
+  updated: number;
+  /** 内容与上次推送相同、没有发送请求的用例 */
+  unchanged: number;
+  deprecated: number;
+  archived: number;
+  deleted: number;
+  failed: number;
+  linkedIssues: number;
+  /** Custom ID → { qase_id, suite_path } */
+  idMappings: Record<string, { qase_id: number; suite_path: string }>;
+  conflicts: CustomIdConflict[];
+  fieldConflicts: FieldConflict[];
+}
+
+export interface FieldDifference {
+  field: string;
+  label: string;
+  local?: string;
+  qase?: string;
+  stepDifferences?: Array<{
+    stepIndex: string;
+    action: { local: string; qase: string; different: boolean };
+    expected: { local: string; qase: string; different: boolean };
+  }>;
+}
+
+export interface CompareOptions extends LoggingOptions {
+  /** 只比对一个 Custom ID（逐步详细对比） */
+  caseId?: string;
+}
+
+export interface CompareResult {
+  identical: string[];
+  different: Array<{ customId: string; local: object; qase: QaseCase; differences: FieldDifference[] }>;
+  onlyLocal: Array<{ customId: string; data: object }>;
+  onlyQase: Array<{ customId: string; data: QaseCase }>;
+  localCount: number;
+  qaseCount: number;
+  hasIssues: boolean;
+}
+
+export interface CaseCompareResult {
+  customId: string;
+  local: object | null;
+  qase: QaseCase | null;
+  differences: FieldDifference[];
+  hasIssues: boolean;
+}
+
+export type RunStatus = 'PASS' | 'FAILD' | 'NOTRUN' | 'INVALID';
+
+export interface CaseRunResult {
+  customId: string;
+  title: string;
+  status: RunStatus;
+  combinations: Array<{ title: string; status: RunStatus }>;
+}
+
+export interface ReportResultsOptions extends LoggingOptions {
+  /** Playwright JSON 结果文件，默认 test-results/results.json */
+  resultsFile?: string;
+  /** 已读取的 Playwright JSON 结果（优先于 resultsFile） */
+  results?: object;
+  /** 已提取的测试用例（默认静态提取，用于匹配带插值 Custom ID 的参数化测试） */
+  testCases?: TestCase[];
+  /** 只预览，不更新 Qase */
+  dryRun?: boolean;
+}
+
+export interface ReportResultsResult {
+  parsed: number;
+  cases: CaseRunResult[];
+  updates: Array<{ customId: string; qaseId: number; status: RunStatus; combinations: CaseRunResult['combinations'] }>;
+  notFound: CaseRunResult[];
+  updated: number;
+  failed: number;
+  dryRun: boolean;
+}
+
+export interface CleanupOptions extends LoggingOptions {
+  /** 只列出，不删除，默认 true */
+  dryRun?: boolean;
+  /** 只删除创建超过指定天数的 suite，默认 0（不限制） */
+  minAge?: number;
+}
+
+export interface QaseSuite {
+  id: number;
+  title: string;
+  parent_id: number | null;
+  cases_count: number;
+  [key: string]: unknown;
+}
+
+export interface CleanupResult {
+  total: number;
+  emptySuites: QaseSuite[];
+  reporterSuites: QaseSuite[];
+  otherSuites: QaseSuite[];
+  deleted: QaseSuite[];
+  failed: Array<{ suite: QaseSuite; error: string }>;
+  dryRun: boolean;
+}
+
+export interface CaseChange {
+  field: string;
+  before: string;
+  after: string;
+}
+
+export interface PlannedSuiteAction {
+  action: 'rename' | 'move' | 'create' | 'update' | 'delete';
+  /** ' / ' 分隔的 Suite 路径（改名 / 移动时为新路径） */
+  suite: string;
+  /** 改名 / 移动 / 删除时为 Qase Suite ID；更新尚未创建的 Suite 时没有 */
+  suiteId?: number;
+  /** 更新说明 / 前置条件时的字段差异与请求数据 */
+  changes?: CaseChange[];
+  data?: { description?: string; preconditions?: string };
+  /** 改名 / 移动前的路径 */
+  fromSuite?: string;
+  /** 改名 / 移动后的标题和父 Suite */
+  title?: string;
+  parentId?: number | null;
+}
+
+/** describe 的 JSDoc 与 Qase 中 Suite 说明的差异 */
+export interface SuiteDocUpdate {
+  suite: string;
+  /** null 表示 Suite 尚未创建 */
+  suiteId: number | null;
+  changes: CaseChange[];
+  data: { description?: string; preconditions?: string };
+}
+
+/** 按 Custom ID 识别出的 Suite 改名（父 Suite 不变）或移动 */
+export interface SuiteRename {
+  action: 'rename' | 'move';
+  suiteId: number;
+  fromSuite: string;
+  suite: string;
+  title: string;
+  parentId: number | null;
+}
+
+export interface PlannedCaseAction {
+  action: 'create' | 'update' | 'move' | 'deprecate' | 'archive' | 'delete';
+  customId: string;
+  /** 创建时没有 */
+  qaseId?: number;
+  title: string;
+  /** 目标 Suite 路径（deprecate / delete 时为当前路径） */
+  suite: string | null;
+  /** 移动 / 归档前的 Suite 路径 */
+  fromSuite?: string | null;
+  matchReason?: string;
+  changes?: CaseChange[];
+  /** 创建 / 更新请求数据（suite_id 在 apply 时确定） */
+  data?: Record<string, unknown>;
+  /** 代码的哈希和字段值（apply 成功后写入 .qase-sync-state.json） */
+  syncState?: { hash: string; fields: Record<string, string> };
+  externalIssues?: string[];
+}
+
+export interface SyncPlanFile {
+  version: number;
+  createdAt: string;
+  projectCode: string;
+  /** 生成计划时 Qase 状态的指纹，apply 前校验 */
+  qaseFingerprint: string;
+  summary: {
+    suites: { rename: number; move: number; create: number; update: number; delete: number };
+    cases: { create: number; update: number; move: number; deprecate: number; archive: number; delete: number; unchanged: number };
+  };
+  removalPolicy: RemovalPolicy;
+  suites: PlannedSuiteAction[];
+  cases: PlannedCaseAction[];
+  /** 无需修改的用例的同步状态（Custom ID → 状态记录） */
+  unchangedState?: Record<string, { qaseId: number; suiteId: number; hash: string; fields: Record<string, string> }>;
+  conflicts: CustomIdConflict[];
+  staleIds: StaleQaseId[];
+  fieldConflicts?: FieldConflict[];
+}
+
+export interface ApplySyncPlanOptions extends LoggingOptions {
+  plan: SyncPlanFile;
+  /** 只校验 Qase 状态，不修改 */
+  dryRun?: boolean;
+}
+
+export interface ApplySyncPlanResult {
+  suitesRenamed: number;
+  suitesCreated: number;
+  suitesUpdated: number;
+  created: number;
+  updated: number;
+  moved: number;
+  deprecated: number;
+  archived: number;
+  deleted: number;
+  suitesDeleted: number;
+  failed: Array<{ action: string; customId?: string; suite?: string; error: string }>;
+  linkedIssues: number;
+  idMappings: SyncResult['idMappings'];
+  dryRun: boolean;
+}
+
+export interface PullOptions extends LoggingOptions {
+  /** 只列出需要的修改，不写入文件 */
+  dryRun?: boolean;
+}
+
+export interface PullResult {
+  /** Qase 中带 Custom ID 的用例数 */
+  mapped: number;
+  files: Array<{ file: string; updates: string[] }>;
+  updated: number;
+  /** 出现在多个 Qase 用例上的 Custom ID（不写入 qase.id()） */
+  skipped: Array<{ customId: string; reason: string }>;
+  dryRun: boolean;
+}
+
+/** pull --fields 可拉取的字段 */
+export type PullField = 'description' | 'preconditions' | 'steps';
+
+export interface PullFieldsOptions extends PullOptions {
+  /** 字段列表或逗号分隔的字符串 */
+  fields: PullField[] | string;
+}
+
+export interface PullFieldsResult {
+  fields: PullField[];
+  /** diff 为预览差异行 */
+  files: Array<{ file: string; updates: string[]; diff: string[] }>;
+  updated: number;
+  skipped: Array<{ customId: string; reason: string }>;
+  dryRun: boolean;
+}
+
+export interface QueryOptions extends BaseOptions {
+  /** 默认 cases */
+  type?: 'cases' | 'suites';
+  /** 只返回 Suite 标题包含该文本的用例 */
+  suite?: string;
+}
+
+export interface QueryResult {
+  type: 'cases' | 'suites';
+  items: Array<QaseCase | QaseSuite>;
+}
+
+export interface DeleteCasesOptions extends LoggingOptions {
+  /** Qase ID（101 / EA-101）或 Custom ID */
+  ids: Array<string | number>;
+  /** 只列出匹配的用例，不删除，默认 true */
+  dryRun?: boolean;
+}
+
+export interface DeleteCasesResult {
+  matched: Array<{ input: string; id: number; title: string }>;
+  notFound: string[];
+  deleted: number[];
+  failed: Array<{ id: number; error: string }>;
+  dryRun: boolean;
+}
+
+export function resolveConfig(options?: BaseOptions): QaseConfig;
+export function extract(options?: ExtractOptions): ExtractResult;
+export function review(options?: ReviewOptions): ReviewResult;
+export function plan(options?: PlanOptions): Promise<SyncPlan>;
+export function sync(options?: SyncOptions): Promise<SyncResult>;
+export function createSyncPlan(options?: PlanOptions): Promise<SyncPlanFile>;
+export function applySyncPlan(options: ApplySyncPlanOptions): Promise<ApplySyncPlanResult>;
+export function readSyncPlan(file: string): SyncPlanFile;
+export function writeSyncPlan(file: string, plan: SyncPlanFile): string;
+export function formatSyncPlan(plan: SyncPlanFile): string;
+export function pull(options: PullFieldsOptions): Promise<PullFieldsResult>;
+export function pull(options?: PullOptions): Promise<PullResult>;
+export function compare(options: CompareOptions & { caseId: string }): Promise<CaseCompareResult>;
+export function compare(options?: CompareOptions): Promise<CompareResult>;
+export function reportResults(options?: ReportResultsOptions): Promise<ReportResultsResult>;
+export function query(options?: QueryOptions): Promise<QueryResult>;
+export function deleteCases(options: DeleteCasesOptions): Promise<DeleteCasesResult>;
+export function cleanup(options?: CleanupOptions): Promise<CleanupResult>;
@@ -0,0 +1,43 @@
+/**
+ * Qase TestOps Manager 库入口
+ *
+ * 脚本（scripts/）和 qase-testops 命令（scripts/qase-testops.js）是这些函数的命令行封装。库函数：
+ * - 接收 { cwd, config }：config 不传时读取 cwd 下的 .qase-config.json
+ * - 返回结构化结果，失败时抛出 Error（不调用 process.exit）
+ * - 默认不输出任何内容，传入 logger（如 console）可得到与脚本相同的进度输出
+ *
+ * 示例：
+ *   const { extract, plan, sync } = require('qase-testops-manager');
+ *   const { testCases } = extract({ cwd: '/path/to/project' });
+ *   const result = await sync({ cwd: '/path/to/project', testCases });
+ */
+
+const { resolveConfig } = require('./lib/config');
+const { extract } = require('./lib/extractor');
+const { review } = require('./lib/standards-review');
+const { plan, sync } = require('./lib/qase-sync');
+const { createSyncPlan, applySyncPlan, readSyncPlan, writeSyncPlan, formatSyncPlan } = require('./lib/sync-plan');
+const { pull } = require('./lib/qase-pull');
+const { compare } = require('./lib/qase-compare');
+const { reportResults } = require('./lib/run-results');
+const { query, deleteCases } = require('./lib/qase-cases');
+const { cleanup } = require('./lib/suite-cleanup');
+
+module.exports = {
+  resolveConfig,
+  extract,
+  review,
+  plan,
+  sync,
+  createSyncPlan,
+  applySyncPlan,
+  readSyncPlan,
+  writeSyncPlan,
+  formatSyncPlan,
+  pull,
+  compare,
+  reportResults,
+  query,
+  deleteCases,
+  cleanup
+};
@@ -0,0 +1,356 @@
+/**
+ * 测试代码中的 qase.id() 注解（.feature 文件为 @QaseID=N 标签）
+ *
+ * update-qase-annotations.js 和 pull（lib/qase-pull.js）共用：
+ * 按 Custom ID → Qase ID 映射添加或更新注解，修改前备份原文件（.backup）
+ *
+ * 注意：不再处理 qase.suite()，统一使用 test.describe() 定义层级
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { discoverTestFiles } = require('./file-discovery');
+const { resolveIdGrammar, buildIdRegExp } = require('./custom-id');
+const { parseFeatureFile } = require('./gherkin-parser');
+const { resolveConfig } = require('./config');
+const { silentLogger, resolveLogger } = require('./logger');
+
+/**
+ * 从测试文件中提取嵌套的 test.describe() 路径
+ * （从 extract-tests.js 复用的逻辑，确保一致性）
+ *
+ * 示例:
+ * test.describe('API Tests', () => {
+ *   test.describe('Sync Validation', () => {
+ *     test('TC-API-SYNC-015: ...', () => {});
+ *   });
+ * });
+ *
+ * 返回: "API Tests\tSync Validation" (使用制表符 \t 作为层级分隔符)
+ */
+function extractNestedDescribePath(fileContent, testId) {
+  const lines = fileContent.split('\n');
+  const describePath = [];
+  let braceDepth = 0;
+  let inDescribe = false;
+  let foundTest = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // 找到目标测试行
+    if (testId && line.includes(testId)) {
+      foundTest = true;
+      break;
+    }
+
+    // 提取 test.describe
+    const describeMatch = line.match(/test\.describe\(['"`]([^'"`]+)['"`]/);
+    if (describeMatch) {
+      describePath.push(describeMatch[1].trim());
+      inDescribe = true;
+    }
+
+    // 追踪大括号深度
+    const openBraces = (line.match(/\{/g) || []).length;
+    const closeBraces = (line.match(/\}/g) || []).length;
+    braceDepth += openBraces - closeBraces;
+
+    // 如果闭合了 describe，移除最后一个
+    if (inDescribe && braceDepth === 0 && closeBraces > 0 && describePath.length > 0) {
+      describePath.pop();
+    }
+  }
+
+  return foundTest && describePath.length > 0 ? describePath.join('\t') : null;
+}
+
+/**
+ * 提取测试文件中的 Custom ID
+ * @param {string} line - 代码行
+ * @param {string} idSource - Custom ID 正则片段
+ */
+function extractCustomIdFromTest(line, idSource) {
+  // 匹配: test('TC-XXX-XXX-NNN: ...')
+  const match = line.match(new RegExp(`test\\(['"\`](${idSource})`));
+  return match ? match[1] : null;
+}
+
+/**
+ * 检查是否已有 qase.id()
+ */
+function hasQaseId(content, startIndex) {
+  // 在测试函数开始后的前10行内查找 qase.id()
+  const lines = content.split('\n');
+  const startLine = content.substring(0, startIndex).split('\n').length - 1;
+
+  for (let i = startLine; i < Math.min(startLine + 10, lines.length); i++) {
+    if (lines[i].includes('qase.id(')) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * 检查是否已有 qase.suite()
+ */
+function hasQaseSuite(content, startIndex) {
+  const lines = content.split('\n');
+  const startLine = content.substring(0, startIndex).split('\n').length - 1;
+
+  for (let i = startLine; i < Math.min(startLine + 10, lines.length); i++) {
+    if (lines[i].includes('qase.suite(')) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * 生成 qase 注解代码
+ * 注意：只生成 qase.id()，使用 test.describe() 定义 Suite 层级
+ */
+function generateQaseAnnotations(qaseId, suite, indent = '    ') {
+  const lines = [];
+
+  lines.push(`${indent}qase.id(${qaseId});`);
+
+  return lines.join('\n');
+}
+
+/**
+ * 更新 .feature 文件中的 @QaseID=N 标签
+ *
+ * 标签写在 Custom ID 标签所在的行：
+ *   @TC-E2E-AUTH-001 @smoke @QaseID=42
+ *   Scenario: 登录成功
+ *
+ * @param {string} content - 文件内容
+ * @param {Object} qaseIdMapping - Custom ID → Qase ID 映射
+ * @returns {{content: string, updates: Array<string>}}
+ */
+function updateFeatureContent(content, qaseIdMapping) {
+  const lines = content.split('\n');
+  const updates = [];
+
+  for (const scenario of parseFeatureFile(content).tests) {
+    const qaseId = scenario.customId ? qaseIdMapping[scenario.customId] : undefined;
+    if (!qaseId || scenario.qaseId === qaseId) continue;
+
+    // Scenario 上方连续的标签行
+    const tagLines = [];
+    for (let i = scenario.location.start.line - 2; i >= 0 && /^\s*(@|#)/.test(lines[i]); i--) {
+      tagLines.push(i);
+    }
+
+    const existing = tagLines.find(i => /@QaseID=\d+/i.test(lines[i]));
+    const idLine = tagLines.find(i => lines[i].split(/\s+/).includes(`@${scenario.customId}`));
+
+    if (existing !== undefined) {
+      lines[existing] = lines[existing].replace(/@QaseID=\d+/i, `@QaseID=${qaseId}`);
+      updates.push(`   ✅ ${scenario.customId} → 更新 @QaseID(${scenario.qaseId} → ${qaseId})`);
+    } else if (idLine !== undefined) {
+      lines[idLine] = `${lines[idLine].replace(/\s+$/, '')} @QaseID=${qaseId}`;
+      updates.push(`   ✅ ${scenario.customId} → Qase ID: ${qaseId}, Suite: ${scenario.describePath.join(' / ') || '(无)'}`);
+    }
+  }
+
+  return { content: lines.join('\n'), updates };
+}
+
+/**
+ * 计算文件的 qase.id() 更新（不写入文件）
+ * @param {string} content - 文件内容
+ * @param {string} filePath - 文件路径（按扩展名区分 .feature）
+ * @param {Object} qaseIdMapping - Custom ID → Qase ID 映射（只包含 ID，不包含 Suite）
+ * @param {string} idSource - Custom ID 正则片段
+ * @returns {{content: string, updates: Array<string>, modified: boolean}}
+ */
+function updateContent(content, filePath, qaseIdMapping, idSource) {
+  let modified = false;
+  let updates = [];
+
+  if (path.extname(filePath) === '.feature') {
+    ({ content, updates } = updateFeatureContent(content, qaseIdMapping));
+    modified = updates.length > 0;
+  }
+
+  // 正则匹配所有 test() 调用
+  // 支持 async () 和 async ({ page }) 等各种参数格式，以及循环中的模板字符串标题
+  const testRegex = new RegExp(`test\\(['"\`](${idSource}):.*?['"\`],\\s*async\\s*`, 'g');
+  let match;
+
+  const replacements = [];
+
+  while ((match = testRegex.exec(content)) !== null) {
+    const customId = match[1];
+    const testStartIndex = match.index;
+
+    // 检查是否有 Qase ID 映射
+    if (!qaseIdMapping[customId]) {
+      continue; // 没有映射，跳过
+    }
+
+    const qaseId = qaseIdMapping[customId];
+
+    // 🔑 从代码中实时提取 Suite 路径（Code First）
+    const suite = extractNestedDescribePath(content, customId);
+
+    // 找到测试函数体的起始位置（第一个 { 后）
+    const funcBodyStart = content.indexOf('{', testStartIndex);
+    if (funcBodyStart === -1) continue;
+
+    // 获取缩进
+    const lineStart = content.lastIndexOf('\n', testStartIndex) + 1;
+    const indent = content.substring(lineStart, testStartIndex).match(/^\s*/)[0] + '  ';
+
+    // 检查是否已有 qase.id()
+    const hasId = hasQaseId(content, testStartIndex);
+
+    if (hasId) {
+      // 已有 qase.id()，检查是否需要更新
+      const testContext = content.substring(testStartIndex, testStartIndex + 500);
+      const qaseIdMatch = testContext.match(/qase\.id\((\d+)\);/);
+
+      if (qaseIdMatch) {
+        const oldQaseId = parseInt(qaseIdMatch[1]);
+        const newQaseId = qaseId;
+        const qaseIdPos = testStartIndex + testContext.indexOf(qaseIdMatch[0]);
+
+        // 1. 更新 qase.id() 如果 ID 不同
+        if (oldQaseId !== newQaseId) {
+          replacements.push({
+            position: qaseIdPos,
+            oldText: qaseIdMatch[0],
+            text: `qase.id(${newQaseId});`,
+            customId,
+            qaseId: newQaseId,
+            type: 'replace-id',
+          });
+
+          modified = true;
+          updates.push(`   ✅ ${customId} → 更新 qase.id(${oldQaseId} → ${newQaseId})`);
+        }
+
+        // 2. 不再处理 qase.suite()，使用 test.describe() 定义层级
+        // (已移除 qase.suite() 处理逻辑)
+      }
+      continue;
+    }
+
+    // 没有 qase.id()，添加完整的注解
+    const insertPos = content.indexOf('\n', funcBodyStart) + 1;
+    const annotations = generateQaseAnnotations(qaseId, suite, indent);
+
+    replacements.push({
+      position: insertPos,
+      text: annotations + '\n\n',
+      customId,
+      qaseId,
+    });
+
+    modified = true;
+    updates.push(`   ✅ ${customId} → Qase ID: ${qaseId}, Suite: ${suite || '(无)'}`);
+  }
+
+  // 从后向前处理，避免位置偏移
+  replacements.sort((a, b) => b.position - a.position);
+
+  for (const replacement of replacements) {
+    if (replacement.oldText) {
+      // 替换模式：替换旧内容
+      const oldTextLength = replacement.oldText.length;
+      content = content.substring(0, replacement.position) + replacement.text + content.substring(replacement.position + oldTextLength);
+    } else {
+      // 插入模式：在指定位置插入新内容
+      content = content.substring(0, replacement.position) + replacement.text + content.substring(replacement.position);
+    }
+  }
+
+  return { content, updates, modified };
+}
+
+/**
+ * 更新单个文件
+ * @param {string} filePath - 文件路径
+ * @param {Object} qaseIdMapping - Custom ID → Qase ID 映射（只包含 ID，不包含 Suite）
+ * @param {Object} options
+ * @param {string} options.idSource - Custom ID 正则片段
+ * @param {string} options.rootDir - 项目根目录（输出相对路径）
+ * @param {boolean} options.dryRun - 只计算更新，不写入文件
+ * @param {Object} options.logger - 进度输出（默认不输出）
+ * @returns {Array<string>} 更新说明（没有更新时为空）
+ */
+function updateFile(filePath, qaseIdMapping, { idSource, rootDir = process.cwd(), dryRun = false, logger = silentLogger } = {}) {
+  const original = fs.readFileSync(filePath, 'utf-8');
+  const { content, updates, modified } = updateContent(original, filePath, qaseIdMapping, idSource);
+
+  if (!modified) {
+    return [];
+  }
+
+  logger.log(`📝 ${dryRun ? '将更新' : '更新'}文件: ${path.relative(rootDir, filePath)}`);
+  updates.forEach(u => logger.log(u));
+
+  if (dryRun) {
+    logger.log('');
+    return updates;
+  }
+
+  // 备份原文件
+  const backupPath = filePath + '.backup';
+  fs.writeFileSync(backupPath, original);
+
+  // 写入更新后的内容
+  fs.writeFileSync(filePath, content, 'utf-8');
+
+  logger.log(`   💾 备份: ${path.relative(rootDir, backupPath)}\n`);
+
+  return updates;
+}
+
+/**
+ * 把 Custom ID → Qase ID 映射写入测试代码（qase.id() / @QaseID=N）
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {Object} options.mapping - Custom ID → Qase ID
+ * @param {boolean} options.dryRun - 只计算更新，不写入文件
+ * @param {Object} options.logger - 进度输出（默认不输出）
+ * @returns {{files: Array<{file: string, updates: Array<string>}>, updated: number}}
+ */
+function writeAnnotations(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const config = resolveConfig({ cwd, config: options.config });
+  const logger = resolveLogger(options.logger);
+  const idSource = buildIdRegExp(resolveIdGrammar(config), { anchored: false }).source;
+
+  const files = [];
+  let updated = 0;
+
+  for (const filePath of discoverTestFiles(path.join(cwd, config.e2eDir), config)) {
+    const updates = updateFile(filePath, options.mapping, { idSource, rootDir: cwd, dryRun: options.dryRun, logger });
+    if (updates.length > 0) {
+      files.push({ file: path.relative(cwd, filePath), updates: updates.map(u => u.trim()) });
+      updated += updates.length;
+    }
+  }
+
+  return { files, updated };
+}
+
+module.exports = {
+  extractNestedDescribePath,
+  extractCustomIdFromTest,
+  hasQaseId,
+  hasQaseSuite,
+  generateQaseAnnotations,
+  updateFeatureContent,
+  updateContent,
+  updateFile,
+  writeAnnotations
+};
@@ -0,0 +1,144 @@
+/**
+ * 用例字段级比对（sync-plan.js 的计划和 qase-sync.js 的增量同步共用）
+ *
+ * 比较 Qase 中的用例与 buildCaseData() 生成的请求数据，
+ * 步骤和标签转换为可阅读的文本后比较，便于在计划中展示差异
+ */
+
+const { getCustomIdFieldId } = require('./qase-utils');
+
+// 参与字段级比对的用例字段
+const DIFF_FIELDS = [
+  'title',
+  'description',
+  'preconditions',
+  'postconditions',
+  'severity',
+  'priority',
+  'type',
+  'layer',
+  'behavior',
+  'is_flaky',
+  'automation',
+  'status',
+  'steps_type',
+  'author_id'
+];
+
+/**
+ * 比较用的值：null / undefined / 空字符串视为相同，数字与字符串按文本比较
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value).trim();
+}
+
+/**
+ * 步骤树转换为可比较、可阅读的文本（每行一个步骤，子步骤用 1.1 编号）
+ */
+function formatStepsText(steps, prefix = '') {
+  return (steps || []).flatMap((step, index) => {
+    const number = `${prefix}${index + 1}`;
+    const action = normalizeValue(step.action);
+    const expected = normalizeValue(step.expected_result);
+    const data = normalizeValue(step.data);
+    const line = `${number}. ${action}${data ? ` [${data}]` : ''}${expected ? ` → ${expected}` : ''}`;
+    return [line, ...formatStepsText(step.steps, `${number}.`)];
+  }).join('\n');
+}
+
+/**
+ * 标签列表（Qase 返回 [{title}]，请求中为字符串）
+ */
+function formatTags(tags) {
+  return (tags || [])
+    .map(tag => (typeof tag === 'object' ? tag.title : tag))
+    .filter(Boolean)
+    .sort()
+    .join(', ');
+}
+
+/**
+ * 自定义字段 ID → 名称（qase.customFields 中的名称，如 customId）
+ */
+function customFieldNames(config) {
+  return Object.fromEntries(
+    Object.entries({ customId: getCustomIdFieldId(config), ...config.qase.customFields }).map(([name, id]) => [String(id), name])
+  );
+}
+
+/**
+ * 自定义字段的值（Qase 返回 custom_fields: [{id, value}]，请求中为 custom_field: {id: value}）
+ */
+function customFieldValue(source, id) {
+  if (source.custom_field) {
+    return source.custom_field[id];
+  }
+  const field = (source.custom_fields || []).find(f => String(f.id) === id);
+  return field && field.value;
+}
+
+/**
+ * 用例各字段用于比较的文本，键与 diffCase() 的 field 相同
+ *
+ * @param {Object} source - Qase 中的用例或 buildCaseData() 生成的请求数据
+ * @param {Object} data - 请求数据（决定比较哪些字段）
+ * @param {Object} config - 配置对象（自定义字段名称）
+ * @returns {Object<string, string>}
+ */
+function caseFieldValues(source, data, config) {
+  const values = {};
+
+  for (const field of DIFF_FIELDS) {
+    if (field in data) {
+      values[field] = normalizeValue(source[field]);
+    }
+  }
+
+  values.steps = formatStepsText(source.steps);
+  values.tags = formatTags(source.tags);
+
+  const params = source.params && Object.keys(source.params).length > 0 ? source.params : null;
+  values.params = normalizeValue(params);
+
+  // 自定义字段使用 qase.customFields 中的名称（如 customId），未配置的使用字段 ID
+  const fieldNames = customFieldNames(config);
+  for (const id of Object.keys(data.custom_field || {})) {
+    values[`custom_field.${fieldNames[id] || id}`] = normalizeValue(customFieldValue(source, id));
+  }
+
+  return values;
+}
+
+/**
+ * 比较 Qase 中的用例与将要写入的数据，返回字段级差异
+ *
+ * @param {Object} existing - Qase 中的用例
+ * @param {Object} data - buildCaseData() 生成的请求数据
+ * @param {Object} config - 配置对象（自定义字段名称）
+ * @param {string[]} ignoreFields - 不写入的字段（三方合并中保留 Qase 的值）
+ * @returns {Array<{field: string, before: string, after: string}>}
+ */
+function diffCase(existing, data, config, ignoreFields = []) {
+  const before = caseFieldValues(existing, data, config);
+  const after = caseFieldValues(data, data, config);
+
+  return Object.keys(after)
+    .filter(field => before[field] !== after[field] && !ignoreFields.includes(field))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+module.exports = {
+  DIFF_FIELDS,
+  normalizeValue,
+  formatStepsText,
+  formatTags,
+  customFieldNames,
+  caseFieldValues,
+  diffCase
+};
@@ -0,0 +1,137 @@
+/**
+ * 三方合并：上次同步时的代码（base）、当前代码、Qase 中的用例
+ *
+ * 只有代码修改的字段写入 Qase；只有 Qase 中修改的字段保留 Qase 的值。
+ * 两边都修改且结果不同的字段为冲突，按 qase.conflictResolution 处理：
+ *   code - 写入代码的值，qase - 保留 Qase 的值，fail - 跳过该用例并报告
+ * base 来自 .qase-sync-state.json（见 lib/sync-state.js），没有记录的用例不合并
+ */
+
+const { customFieldNames, caseFieldValues } = require('./case-diff');
+const { getCustomIdFieldId } = require('./qase-utils');
+
+const CONFLICT_RESOLUTIONS = ['code', 'qase', 'fail'];
+const DEFAULT_CONFLICT_RESOLUTION = 'fail';
+
+/**
+ * 读取冲突处理方式（qase.conflictResolution）
+ *
+ * 可以是字符串（所有字段相同），或 { default, fields: { description: 'qase', ... } }，
+ * 字段名与计划中的字段相同（如 steps、custom_field.testFilePath）
+ *
+ * @param {Object} config - 配置对象
+ * @returns {{default: string, fields: Object<string, string>}}
+ */
+function resolveConflictResolution(config) {
+  const option = config.qase.conflictResolution || {};
+  const options = typeof option === 'string' ? { default: option } : option;
+  const resolution = {
+    default: options.default || DEFAULT_CONFLICT_RESOLUTION,
+    fields: { ...(options.fields || {}) }
+  };
+
+  for (const [field, value] of [['default', resolution.default], ...Object.entries(resolution.fields)]) {
+    if (!CONFLICT_RESOLUTIONS.includes(value)) {
+      throw new Error(`qase.conflictResolution 无效: ${field} = "${value}"（可用: ${CONFLICT_RESOLUTIONS.join(', ')}）`);
+    }
+  }
+
+  return resolution;
+}
+
+/**
+ * 从请求数据中移除字段（PATCH 时不修改 Qase 中的值）
+ */
+function omitField(data, field, config) {
+  if (!field.startsWith('custom_field.')) {
+    delete data[field];
+    return;
+  }
+
+  const name = field.slice('custom_field.'.length);
+  const id = { customId: getCustomIdFieldId(config), ...config.qase.customFields }[name];
+  delete data.custom_field[String(id === undefined ? name : id)];
+}
+
+/**
+ * 合并一个用例
+ *
+ * Custom ID 是匹配用例的依据，始终使用代码的值
+ *
+ * @param {Object|null} base - 上次同步时代码的字段值（snapshotCaseFields()），没有时不合并
+ * @param {Object} existing - Qase 中的用例
+ * @param {Object} data - buildCaseData() 生成的请求数据（不修改）
+ * @param {Object} config - 配置对象
+ * @param {Object} resolution - resolveConflictResolution() 的结果
+ * @returns {{data: Object, keptFields: string[], conflicts: Array, failed: boolean}}
+ *   data 为移除了 keptFields（保留 Qase 的值）的请求数据；failed 为存在 fail 处理的冲突
+ */
+function mergeCase(base, existing, data, config, resolution) {
+  const result = { data, keptFields: [], conflicts: [], failed: false };
+  if (!base) {
+    return result;
+  }
+
+  const code = caseFieldValues(data, data, config);
+  const qase = caseFieldValues(existing, data, config);
+  const customIdFieldId = getCustomIdFieldId(config);
+  const customIdField = `custom_field.${customFieldNames(config)[String(customIdFieldId)]}`;
+
+  for (const field of Object.keys(code)) {
+    if (field === customIdField || !(field in base) || code[field] === qase[field] || qase[field] === base[field]) {
+      continue;
+    }
+
+    // 只有 Qase 中修改了
+    if (code[field] === base[field]) {
+      result.keptFields.push(field);
+      continue;
+    }
+
+    const fieldResolution = resolution.fields[field] || resolution.default;
+    result.conflicts.push({ field, base: base[field], code: code[field], qase: qase[field], resolution: fieldResolution });
+    if (fieldResolution === 'qase') {
+      result.keptFields.push(field);
+    } else if (fieldResolution === 'fail') {
+      result.failed = true;
+    }
+  }
+
+  if (result.keptFields.length > 0) {
+    result.data = { ...data, ...(data.custom_field ? { custom_field: { ...data.custom_field } } : {}) };
+    result.keptFields.forEach(field => omitField(result.data, field, config));
+  }
+
+  return result;
+}
+
+/**
+ * 冲突报告（Markdown，每个用例一张表，代码与 Qase 的值并排）
+ *
+ * @param {Array<{customId, qaseId, title, failed, fields}>} conflicts - sync() / createSyncPlan() 的 fieldConflicts
+ * @param {string} projectCode - Qase 项目代码
+ * @returns {string[]} Markdown 行
+ */
+function formatFieldConflicts(conflicts, projectCode) {
+  const labels = { code: '使用代码', qase: '保留 Qase', fail: '跳过用例' };
+  const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, '<br>') || '(空)';
+
+  return conflicts.flatMap(item => [
+    '',
+    `##### \`${item.customId}\` → ${projectCode}-${item.qaseId} ${item.title}${item.failed ? '（未同步）' : ''}`,
+    '',
+    '| 字段 | 上次同步 | 代码 | Qase | 处理 |',
+    '|------|----------|------|------|------|',
+    ...item.fields.map(field =>
+      `| ${field.field} | ${cell(field.base)} | ${cell(field.code)} | ${cell(field.qase)} | ${labels[field.resolution]} |`
+    )
+  ]);
+}
+
+module.exports = {
+  CONFLICT_RESOLUTIONS,
+  DEFAULT_CONFLICT_RESOLUTION,
+  resolveConflictResolution,
+  mergeCase,
+  formatFieldConflicts
+};
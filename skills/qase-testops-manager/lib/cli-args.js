@@ -0,0 +1,92 @@
+/**
+ * qase-testops 命令行参数解析
+ *
+ * 支持 --name=value、--name value（字符串参数）和 --flag（布尔参数）；
+ * 全局参数可以写在子命令前后，未知参数视为用法错误
+ */
+
+// 退出码（SKILL.md 中有说明）
+const EXIT_CODES = {
+  OK: 0,        // 成功，没有发现问题
+  FINDINGS: 1,  // 检查发现问题（审核未通过、存在差异）或部分操作失败
+  USAGE: 2,     // 用法错误：未知子命令 / 参数、缺少参数
+  ERROR: 3      // 配置或运行错误：配置缺失、API 请求失败等
+};
+
+/**
+ * 创建用法错误（退出码 2）
+ * @param {string} message - 错误说明
+ * @returns {Error}
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  return error;
+}
+
+/**
+ * 解析参数
+ *
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @param {Object} spec
+ * @param {Object} spec.globalFlags - 参数名 → 'boolean' / 'string'
+ * @param {Object} spec.commands - 子命令名 → { flags: 参数名 → 'boolean' / 'string' }
+ * @returns {{command: string|null, positionals: Array<string>, flags: Object}}
+ * @throws {Error} 用法错误（error.exitCode 为 2）
+ */
+function parseArgs(argv, { globalFlags, commands }) {
+  let command = null;
+  let allowed = globalFlags;
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      if (command !== null) {
+        positionals.push(arg);
+        continue;
+      }
+      if (!Object.prototype.hasOwnProperty.call(commands, arg)) {
+        throw usageError(`未知的子命令 "${arg}"（可用: ${Object.keys(commands).join(', ')}）`);
+      }
+      command = arg;
+      allowed = { ...globalFlags, ...commands[command].flags };
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    const type = allowed[name];
+
+    if (!type) {
+      throw usageError(`未知的参数 --${name}${command ? `（子命令 ${command}）` : ''}`);
+    }
+
+    if (type === 'boolean') {
+      if (eq !== -1) {
+        throw usageError(`参数 --${name} 不接受值`);
+      }
+      flags[name] = true;
+      continue;
+    }
+
+    // 字符串参数：--name=value 或 --name value
+    if (eq !== -1) {
+      flags[name] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[name] = argv[++i];
+    } else {
+      throw usageError(`参数 --${name} 需要一个值（--${name}=...）`);
+    }
+  }
+
+  return { command, positionals, flags };
+}
+
+module.exports = {
+  EXIT_CODES,
+  usageError,
+  parseArgs
+};
@@ -0,0 +1,82 @@
+/**
+ * 项目配置（.qase-config.json）
+ *
+ * 库函数（index.js）和脚本共用同一套默认值：传入的 config 与默认值合并，
+ * 没有传入时读取工作目录下的 .qase-config.json（文件不存在时只使用默认值）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_INCLUDE, DEFAULT_EXCLUDE } = require('./file-discovery');
+const { DEFAULT_HELPER_DEPTH } = require('./helper-steps');
+
+const CONFIG_FILE_NAME = '.qase-config.json';
+
+// 默认配置
+const DEFAULT_CONFIG = {
+  e2eDir: 'e2e/specs',
+  outputDir: 'e2e/qase',
+  csvFileName: 'qase-test-cases.csv',
+  jsonFileName: 'qase-test-cases.json',
+  include: DEFAULT_INCLUDE, // 测试文件 glob（相对于 e2eDir，递归匹配）
+  exclude: DEFAULT_EXCLUDE, // 排除的 glob（旧的 excludeFiles 配置仍然生效）
+  metadataRules: [],        // 元数据推断规则（见 lib/metadata-rules.js）
+  framework: 'auto',        // 测试框架：auto / playwright / jest / vitest / mocha / cypress（见 lib/framework-adapters.js）
+  adapters: [],             // 自定义框架适配器模块（相对于项目根目录）
+  helperDepth: DEFAULT_HELPER_DEPTH, // 展开页面对象 / helper 中步骤的最大层数（0 为不展开，见 lib/helper-steps.js）
+  source: 'static',         // 提取源：static（解析源码）/ playwright（playwright test --list，见 lib/playwright-list.js）
+  playwright: {},           // source 为 playwright 时的 command / args / listFile
+  git: {},                  // git blame 与源码链接：blame（默认 true）/ sourceUrl 模板（见 lib/git-info.js）
+  extractionCache: true,    // 按文件内容哈希缓存提取结果（outputDir/.extraction-cache.json）
+  syncState: true           // 增量同步：只更新内容变化的用例（项目根目录的 .qase-sync-state.json，见 lib/sync-state.js）
+};
+
+/**
+ * 读取工作目录下的 .qase-config.json
+ * @param {string} cwd - 项目根目录
+ * @returns {Object|null} 文件不存在时为 null
+ */
+function readConfigFile(cwd) {
+  const configPath = path.join(cwd, CONFIG_FILE_NAME);
+
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`读取 ${CONFIG_FILE_NAME} 失败: ${error.message}`);
+  }
+}
+
+/**
+ * 合并默认配置
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @returns {Object} 完整配置
+ */
+function resolveConfig({ cwd = process.cwd(), config } = {}) {
+  const userConfig = config || readConfigFile(cwd) || {};
+  return { ...DEFAULT_CONFIG, ...userConfig };
+}
+
+/**
+ * 检查 Qase API 配置（需要访问 Qase 的操作调用）
+ * @param {Object} config - 配置对象
+ * @throws {Error} 缺少 qase.apiToken 或 qase.projectCode
+ */
+function assertQaseConfig(config) {
+  if (!config.qase || !config.qase.apiToken || !config.qase.projectCode) {
+    throw new Error(`${CONFIG_FILE_NAME} 缺少 Qase 配置（qase.apiToken 和 qase.projectCode）`);
+  }
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  DEFAULT_CONFIG,
+  readConfigFile,
+  resolveConfig,
+  assertQaseConfig
+};
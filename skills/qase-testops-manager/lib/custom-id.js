@@ -0,0 +1,381 @@
+/**
+ * Custom ID 语法与 LAYER / MODULE 注册表
+ *
+ * 所有脚本共用同一套 Custom ID 规则，来自 .qase-config.json 的 customId 配置：
+ *
+ *   "customId": {
+ *     "prefix": "TC",
+ *     "separator": "-",
+ *     "layerPattern": "[A-Z0-9]{2,8}",
+ *     "modulePattern": "[A-Z]{2,12}",
+ *     "numberDigits": 3,
+ *     "layers": { "API": "接口测试", "E2E": "端到端测试" },
+ *     "modules": { "SYNC": "邮件同步", "INBOX": "收件箱" }
+ *   }
+ *
+ * layers / modules 为空时只校验格式；配置后只允许注册表中的代码，
+ * 未知代码会给出最相近的候选（did you mean）
+ */
+
+const path = require('path');
+
+// 默认语法：TC-{LAYER}-{MODULE}-{NUMBER}
+const DEFAULT_ID_GRAMMAR = {
+  prefix: 'TC',
+  separator: '-',
+  layerPattern: '[A-Z0-9]{2,8}',
+  modulePattern: '[A-Z]{2,12}',
+  numberDigits: 3,
+  layers: {},
+  modules: {}
+};
+
+// 给出 did you mean 建议的最大编辑距离
+const MAX_SUGGESTION_DISTANCE = 2;
+
+// 未配置注册表时，根据文件名推断 MODULE / LAYER 的关键字
+const FILE_NAME_MODULE_HINTS = [
+  ['sync', 'SYNC'],
+  ['api', 'CONTRACT'],
+  ['contract', 'CONTRACT'],
+  ['search', 'SEARCH'],
+  ['tag', 'TAG'],
+  ['archive', 'ARCHIVE'],
+  ['ai', 'AI'],
+  ['smoke', 'SMOKE'],
+  ['inbox', 'INBOX'],
+  ['account', 'ACCOUNT']
+];
+
+const FILE_NAME_LAYER_HINTS = [
+  ['api', 'API'],
+  ['ui', 'UI']
+];
+
+/**
+ * 将注册表统一为 { CODE: 描述 } 形式（也接受代码数组）
+ * @param {Object|Array<string>} registry - 注册表
+ * @returns {Object}
+ */
+function normalizeRegistry(registry) {
+  if (Array.isArray(registry)) {
+    return Object.fromEntries(registry.map(code => [code, '']));
+  }
+
+  return registry && typeof registry === 'object' ? registry : {};
+}
+
+/**
+ * 从配置中解析 Custom ID 语法
+ * @param {Object} config - 配置对象（读取 config.customId）
+ * @returns {Object} 合并默认值后的语法
+ */
+function resolveIdGrammar(config = {}) {
+  const grammar = { ...DEFAULT_ID_GRAMMAR, ...(config.customId || {}) };
+
+  grammar.layers = normalizeRegistry(grammar.layers);
+  grammar.modules = normalizeRegistry(grammar.modules);
+
+  return grammar;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 根据语法构建正则（命名分组: layer / module / number）
+ * @param {Object} grammar - resolveIdGrammar() 的返回值
+ * @param {Object} options - { anchored: false 时用于在标题等文本中查找 ID }
+ * @returns {RegExp}
+ */
+function buildIdRegExp(grammar, { anchored = true } = {}) {
+  const sep = escapeRegExp(grammar.separator);
+  const body = [
+    escapeRegExp(grammar.prefix),
+    `(?<layer>${grammar.layerPattern})`,
+    `(?<module>${grammar.modulePattern})`,
+    `(?<number>\\d{${grammar.numberDigits}})`
+  ].join(sep);
+
+  return anchored
+    ? new RegExp(`^${body}$`)
+    : new RegExp(`(?<![A-Za-z0-9])${body}(?![0-9])`);
+}
+
+/**
+ * 格式说明，如 TC-{LAYER}-{MODULE}-{NUMBER}
+ */
+function formatIdTemplate(grammar) {
+  return [grammar.prefix, '{LAYER}', '{MODULE}', '{NUMBER}'].join(grammar.separator);
+}
+
+/**
+ * 按语法拼装 Custom ID
+ * @param {Object} grammar - 语法
+ * @param {{layer: string, module: string, number: string|number}} parts - 各部分
+ * @returns {string}
+ */
+function formatCustomId(grammar, { layer, module, number }) {
+  const paddedNumber = String(number).padStart(grammar.numberDigits, '0');
+  return [grammar.prefix, layer, module, paddedNumber].join(grammar.separator);
+}
+
+/**
+ * 示例 ID（优先使用注册表中的第一个 LAYER / MODULE）
+ */
+function formatExampleId(grammar) {
+  return formatCustomId(grammar, {
+    layer: Object.keys(grammar.layers)[0] || 'API',
+    module: Object.keys(grammar.modules)[0] || 'SYNC',
+    number: 1
+  });
+}
+
+/**
+ * 解析 Custom ID
+ * @param {string} customId - Custom ID
+ * @param {Object} grammar - 语法
+ * @returns {{layer: string, module: string, number: string}|null}
+ */
+function parseCustomId(customId, grammar) {
+  const match = (customId || '').trim().match(buildIdRegExp(grammar));
+  return match ? { ...match.groups } : null;
+}
+
+/**
+ * 在文本（如测试标题）中查找第一个 Custom ID
+ * @param {string} text - 文本
+ * @param {Object} grammar - 语法
+ * @returns {string|null}
+ */
+function findCustomId(text, grammar) {
+  const match = (text || '').match(buildIdRegExp(grammar, { anchored: false }));
+  return match ? match[0] : null;
+}
+
+/**
+ * 计算编辑距离（Levenshtein）
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      previous = current;
+    }
+  }
+
+  return row[b.length];
+}
+
+/**
+ * 在注册表中查找最相近的代码
+ * @param {string} code - 未知代码
+ * @param {Object} registry - 注册表 { CODE: 描述 }
+ * @returns {string|null}
+ */
+function suggestCode(code, registry) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of Object.keys(registry)) {
+    const distance = editDistance(code.toUpperCase(), candidate.toUpperCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= MAX_SUGGESTION_DISTANCE ? best : null;
+}
+
+/**
+ * 检查代码是否在注册表中，不在时返回错误信息和建议
+ */
+function checkRegistry(kind, code, registry) {
+  const codes = Object.keys(registry);
+
+  if (codes.length === 0 || codes.includes(code)) {
+    return null;
+  }
+
+  const suggestion = suggestCode(code, registry);
+  const hint = suggestion
+    ? ` Did you mean "${suggestion}"${registry[suggestion] ? ` (${registry[suggestion]})` : ''}?`
+    : ` Allowed: ${codes.join(', ')}`;
+
+  return {
+    error: `Unknown ${kind} "${code}".${hint}`,
+    suggestion
+  };
+}
+
+/**
+ * 验证 Custom ID（格式 + LAYER / MODULE 注册表）
+ *
+ * @param {string} customId - Custom ID
+ * @param {Object} grammar - 语法
+ * @returns {{valid: boolean, error?: string, suggestion?: string, parts?: Object}}
+ *          suggestion 为修正后的完整 ID（仅在能给出建议时存在）
+ */
+function validateCustomId(customId, grammar) {
+  if (!customId || customId.trim() === '') {
+    return {
+      valid: false,
+      error: 'Custom ID is required and cannot be empty'
+    };
+  }
+
+  const trimmedId = customId.trim();
+  const parts = parseCustomId(trimmedId, grammar);
+
+  if (!parts) {
+    return {
+      valid: false,
+      error: `Invalid format. Expected: ${formatIdTemplate(grammar)} (e.g., ${formatExampleId(grammar)}). Got: ${trimmedId}`
+    };
+  }
+
+  const layerIssue = checkRegistry('LAYER', parts.layer, grammar.layers);
+  const moduleIssue = checkRegistry('MODULE', parts.module, grammar.modules);
+
+  if (layerIssue || moduleIssue) {
+    const canSuggest = (!layerIssue || layerIssue.suggestion) && (!moduleIssue || moduleIssue.suggestion);
+
+    return {
+      valid: false,
+      error: [layerIssue, moduleIssue].filter(Boolean).map(issue => issue.error).join(' '),
+      ...(canSuggest && {
+        suggestion: formatCustomId(grammar, {
+          layer: layerIssue ? layerIssue.suggestion : parts.layer,
+          module: moduleIssue ? moduleIssue.suggestion : parts.module,
+          number: parts.number
+        })
+      }),
+      parts
+    };
+  }
+
+  return { valid: true, parts };
+}
+
+/**
+ * 根据文件名推断 LAYER / MODULE，为不规范的 ID 生成建议
+ *
+ * 配置了注册表时只从注册表中选择（文件名包含代码即命中），
+ * 否则使用内置的关键字表
+ *
+ * @param {string} testId - 原始 ID（保留其中的数字）
+ * @param {string} fileName - 测试文件路径
+ * @param {Object} grammar - 语法
+ * @returns {string} 建议的 Custom ID
+ */
+function suggestIdForFile(testId, fileName, grammar) {
+  const baseName = path.basename(fileName).replace(/\.(spec|test)\.[^.]+$/, '').toLowerCase();
+
+  function pick(registry, builtinHints, fallback) {
+    const codes = Object.keys(registry);
+    const hints = codes.length > 0
+      ? codes.map(code => [code.toLowerCase(), code])
+      : builtinHints;
+    const hit = hints.find(([keyword]) => baseName.includes(keyword));
+
+    if (hit) return hit[1];
+    return codes.length > 0 && !codes.includes(fallback) ? codes[0] : fallback;
+  }
+
+  // 编号 0 不是有效的用例编号，从 1 开始
+  const numberMatch = (testId || '').match(/\d+/);
+  const number = numberMatch ? Number(numberMatch[0]) : 0;
+
+  return formatCustomId(grammar, {
+    layer: pick(grammar.layers, FILE_NAME_LAYER_HINTS, 'E2E'),
+    module: pick(grammar.modules, FILE_NAME_MODULE_HINTS, 'WORKFLOW'),
+    number: number > 0 ? numberMatch[0] : 1
+  });
+}
+
+/**
+ * 将参数化测试中带插值的 Custom ID 模板解析为一个固定的 Custom ID
+ *
+ * 参数化测试的所有参数组合共享一个 Qase 用例：
+ * 1. 占位符对应的参数只有一个取值时直接代入
+ * 2. 否则使用第一个占位符之前的固定前缀（前缀本身是有效 ID 时）
+ * 3. 否则无法解析（id 为 null），按前缀中的 LAYER / MODULE 给出建议的 ID
+ *    （编号从 1 开始，跳过 usedIds 中已使用的编号），由用户写入代码
+ *
+ * 例如: "TC-API-SYNC-{id}"（id 只有 "015"）→ "TC-API-SYNC-015"，
+ *       "TC-API-SYNC-0{n}" → 无法解析，建议 "TC-API-SYNC-001"
+ *
+ * @param {string} template - 带 {参数} 占位符的 Custom ID
+ * @param {Object} grammar - 语法
+ * @param {Object} options
+ * @param {Object} options.parameters - 参数 { 参数名: [取值] }
+ * @param {string} options.fileName - 测试文件路径（无法从前缀推断时按文件名建议）
+ * @param {Set<string>} options.usedIds - 同一文件中已使用的 Custom ID
+ * @returns {{id: string|null, suggestion?: string}}
+ */
+function resolveTemplateId(template, grammar, { parameters = {}, fileName = '', usedIds = new Set() } = {}) {
+  const substituted = template.replace(/\{([^}]*)\}/g, (placeholder, name) => {
+    const values = parameters[name.trim()] || [];
+    return values.length === 1 ? String(values[0]) : placeholder;
+  });
+
+  if (parseCustomId(substituted, grammar)) {
+    return { id: substituted };
+  }
+
+  const staticPrefix = template.slice(0, template.indexOf('{'));
+  const prefixId = staticPrefix.endsWith(grammar.separator)
+    ? staticPrefix.slice(0, -grammar.separator.length)
+    : staticPrefix;
+
+  if (parseCustomId(prefixId, grammar)) {
+    return { id: prefixId };
+  }
+
+  // 前缀中的 LAYER / MODULE 和编号的固定部分，如 "TC-API-SYNC-0" → API, SYNC, "0"
+  const idPrefix = grammar.prefix + grammar.separator;
+  const [layer = '', module = '', digits = ''] = staticPrefix.startsWith(idPrefix)
+    ? staticPrefix.slice(idPrefix.length).split(grammar.separator)
+    : [];
+  const candidate = formatCustomId(grammar, { layer, module, number: `${digits}1`.slice(-grammar.numberDigits) });
+  const validation = validateCustomId(candidate, grammar);
+  const suggestion = validation.valid ? candidate : validation.suggestion || suggestIdForFile(candidate, fileName, grammar);
+
+  // 跳过同一文件中已使用的编号
+  const parts = parseCustomId(suggestion, grammar);
+  let number = parts ? Number(parts.number) : 0;
+  let id = suggestion;
+  while (parts && usedIds.has(id)) {
+    id = formatCustomId(grammar, { ...parts, number: ++number });
+  }
+
+  return { id: null, suggestion: id };
+}
+
+module.exports = {
+  DEFAULT_ID_GRAMMAR,
+  resolveIdGrammar,
+  buildIdRegExp,
+  escapeRegExp,
+  formatIdTemplate,
+  formatCustomId,
+  formatExampleId,
+  parseCustomId,
+  findCustomId,
+  suggestCode,
+  suggestIdForFile,
+  resolveTemplateId,
+  validateCustomId
+};
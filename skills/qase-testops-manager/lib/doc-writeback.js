@@ -0,0 +1,343 @@
+/**
+ * 把 Qase 中修改的用例说明写回测试代码（qase-testops pull --fields，见 lib/qase-pull.js）
+ *
+ * - description / preconditions：改写测试前 JSDoc 中的 @description / @preconditions，其他标签保持不变
+ * - steps：改写对应 test.step() 回调中的 // Expected: 注释（没有时添加）
+ *
+ * 只计算修改（{start, end, text}，基于原文件的位置），由调用方预览差异后再写入
+ */
+
+const { parseTestJSDoc, buildStepTree } = require('./extractor');
+const { flattenSteps } = require('./test-parser');
+
+const PULL_FIELDS = ['description', 'preconditions', 'steps'];
+
+/**
+ * 校验要拉取的字段
+ * @param {string|Array<string>} fields - 字段列表或逗号分隔的字符串
+ * @returns {Array<string>}
+ */
+function resolvePullFields(fields) {
+  const list = (Array.isArray(fields) ? fields : String(fields || '').split(','))
+    .map(field => field.trim())
+    .filter(Boolean);
+
+  if (list.length === 0) {
+    throw new Error(`请指定要拉取的字段（可用: ${PULL_FIELDS.join(', ')}）`);
+  }
+  const unknown = list.filter(field => !PULL_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`未知的字段: ${unknown.join(', ')}（可用: ${PULL_FIELDS.join(', ')}）`);
+  }
+
+  return [...new Set(list)];
+}
+
+/**
+ * 多行文本按行去掉首尾空白和空行（与 parseTestJSDoc() 读取的结果一致）
+ */
+function normalizeLines(text) {
+  return String(text || '').split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+}
+
+/**
+ * 单行注释中使用的文本（换行合并为空格）
+ */
+function normalizeInline(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 行首的缩进
+ */
+function indentAt(content, position) {
+  const lineStart = content.lastIndexOf('\n', position - 1) + 1;
+  return content.slice(lineStart, position).match(/^[ \t]*/)[0];
+}
+
+/**
+ * JSDoc 原始文本（不含 /** 和 *\/）转换为内容行
+ */
+function parseJSDocLines(raw) {
+  const lines = String(raw || '').split('\n').map(line => line.replace(/^\s*\*?\s?/, '').trimEnd());
+  while (lines.length > 0 && !lines[0].trim()) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+  return lines;
+}
+
+/**
+ * 替换或添加 JSDoc 标签（标签后的非标签行属于该标签）
+ *
+ * 没有该标签时，@description 添加在第一个标签之前，@preconditions 添加在 @description 之后
+ */
+function setJSDocTag(lines, tag, value) {
+  const escaped = value.replace(/\*\//g, '*\\/').split('\n');
+  const tagLines = [`@${tag} ${escaped[0]}`, ...escaped.slice(1)];
+  const isTag = line => line.trim().startsWith('@');
+  const blockEnd = start => {
+    let end = start + 1;
+    while (end < lines.length && !isTag(lines[end])) end++;
+    while (end - 1 > start && !lines[end - 1].trim()) end--;
+    return end;
+  };
+
+  const index = lines.findIndex(line => new RegExp(`^@${tag}\\b`).test(line.trim()));
+  if (index !== -1) {
+    return [...lines.slice(0, index), ...tagLines, ...lines.slice(blockEnd(index))];
+  }
+
+  const descriptionIndex = lines.findIndex(line => /^@description\b/.test(line.trim()));
+  const firstTag = lines.findIndex(isTag);
+  const insertAt = tag === 'preconditions' && descriptionIndex !== -1
+    ? blockEnd(descriptionIndex)
+    : (firstTag === -1 ? lines.length : firstTag);
+
+  return [...lines.slice(0, insertAt), ...tagLines, ...lines.slice(insertAt)];
+}
+
+/**
+ * 内容行转换为 JSDoc 块（第一行不含缩进）
+ */
+function formatJSDoc(lines, indent) {
+  return ['/**', ...lines.map(line => (line ? `${indent} * ${line}` : `${indent} *`)), `${indent} */`].join('\n');
+}
+
+/**
+ * Qase 中的前置条件去掉同步时追加的钩子 / fixture 摘要（代码中只保存 JSDoc 部分）
+ *
+ * @param {string} qaseText - Qase 中的前置条件
+ * @param {string} localText - 提取的前置条件（JSDoc + 摘要）
+ * @param {string} jsdocText - JSDoc 中的 @preconditions
+ */
+function stripGeneratedConditions(qaseText, localText, jsdocText) {
+  const generated = localText.startsWith(jsdocText) ? localText.slice(jsdocText.length).trim() : '';
+  const text = String(qaseText || '').trim();
+
+  if (generated && text.endsWith(generated)) {
+    return text.slice(0, text.length - generated.length).trim();
+  }
+  return text;
+}
+
+/**
+ * JSDoc 字段的修改
+ */
+function planJSDocEdit(content, parsedTest, testCase, qaseCase, fields) {
+  const current = parseTestJSDoc(parsedTest.jsdoc);
+  const values = {};
+
+  if (fields.includes('description')) {
+    values.description = normalizeLines(qaseCase.description);
+  }
+  if (fields.includes('preconditions')) {
+    values.preconditions = normalizeLines(
+      stripGeneratedConditions(qaseCase.preconditions, testCase.preconditions || '', current.preconditions)
+    );
+  }
+
+  // Qase 中为空的字段不清除代码中的内容
+  const changed = Object.keys(values).filter(field => values[field] && values[field] !== normalizeLines(current[field]));
+  if (changed.length === 0) {
+    return null;
+  }
+
+  let lines = parseJSDocLines(parsedTest.jsdoc);
+  changed.forEach(field => {
+    lines = setJSDocTag(lines, field, values[field]);
+  });
+
+  const range = parsedTest.jsdocRange;
+  if (range) {
+    return { edit: { start: range.start, end: range.end, text: formatJSDoc(lines, indentAt(content, range.start)) }, changed };
+  }
+
+  const indent = indentAt(content, parsedTest.statementStart);
+  return {
+    edit: { start: parsedTest.statementStart, end: parsedTest.statementStart, text: `${formatJSDoc(lines, indent)}\n${indent}` },
+    changed
+  };
+}
+
+/**
+ * 步骤回调自身的源码范围（去掉嵌套 step）
+ */
+function ownRegions(step) {
+  const regions = [];
+  let start = step.bodyRange.start;
+
+  for (const child of step.children || []) {
+    regions.push([start, child.range.start]);
+    start = child.range.end;
+  }
+  regions.push([start, step.bodyRange.end]);
+
+  return regions;
+}
+
+/**
+ * 查找步骤自身的 // Label: 注释
+ * @returns {{start: number, end: number}|null}
+ */
+function findStepComment(content, step, label) {
+  const pattern = new RegExp(`//[ \\t]*${label}:[^\\n]*`, 'i');
+
+  for (const [start, end] of ownRegions(step)) {
+    const match = content.slice(start, end).match(pattern);
+    if (match) {
+      return { start: start + match.index, end: start + match.index + match[0].length };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 在步骤中写入 // Expected: 注释：替换已有注释，否则添加在 // Action: 注释之后或回调开头
+ */
+function planExpectedEdit(content, step, expected) {
+  const comment = `// Expected: ${expected}`;
+  const existing = findStepComment(content, step, 'Expected');
+  if (existing) {
+    return { start: existing.start, end: existing.end, text: comment };
+  }
+
+  const action = findStepComment(content, step, 'Action');
+  if (action) {
+    return { start: action.end, end: action.end, text: `\n${indentAt(content, action.start)}${comment}` };
+  }
+
+  const bodyStart = step.bodyRange.start + 1;
+  const lineEnd = content.indexOf('\n', bodyStart);
+  const rest = content.slice(bodyStart, lineEnd === -1 ? step.bodyRange.end : lineEnd);
+  const nextLine = content.slice(bodyStart, step.bodyRange.end).match(/\n([ \t]*)\S/);
+  const indent = nextLine && rest.trim() === '' ? nextLine[1] : `${indentAt(content, step.range.start)}  `;
+
+  return {
+    start: bodyStart,
+    end: bodyStart,
+    text: rest.trim() === '' ? `\n${indent}${comment}` : `\n${indent}${comment}\n${indent}`
+  };
+}
+
+/**
+ * 用例步骤树（Qase 或 buildStepTree() 的结果，子步骤在 steps 中）展开为列表，与 flattenSteps() 顺序一致
+ */
+function flattenStepTree(steps) {
+  return (steps || []).flatMap(step => [step, ...flattenStepTree(step.steps)]);
+}
+
+/**
+ * 步骤期望结果的修改
+ *
+ * 只有步骤数量和每个步骤的操作都与 Qase 一致时才按顺序对应，否则跳过（步骤结构已变化）
+ */
+function planStepEdits(content, parsedTest, qaseCase) {
+  const parsedSteps = flattenSteps(parsedTest.steps);
+  const localSteps = flattenStepTree(buildStepTree(parsedTest.steps));
+  const qaseSteps = flattenStepTree(qaseCase.steps);
+
+  const sameStructure = qaseSteps.length === localSteps.length &&
+    qaseSteps.every((step, i) => normalizeInline(step.action) === normalizeInline(localSteps[i].action));
+  if (!sameStructure) {
+    return { edits: [], changed: [], skipped: ['步骤数量或操作与 Qase 不一致'] };
+  }
+
+  const edits = [];
+  const changed = [];
+  const skipped = [];
+
+  qaseSteps.forEach((step, i) => {
+    const expected = normalizeInline(step.expected_result);
+    if (!expected || expected === normalizeInline(localSteps[i].expected_result)) {
+      return;
+    }
+    if (parsedSteps[i].file) {
+      skipped.push(`步骤 ${i + 1} 定义在 helper 中，不回写 // Expected:`);
+      return;
+    }
+    if (!parsedSteps[i].bodyRange) {
+      skipped.push(`步骤 ${i + 1} 没有回调，无法写入 // Expected:`);
+      return;
+    }
+
+    edits.push(planExpectedEdit(content, parsedSteps[i], expected));
+    changed.push(`steps[${i + 1}]`);
+  });
+
+  return { edits, changed, skipped };
+}
+
+/**
+ * 计算一个测试需要的修改
+ *
+ * @param {string} content - 文件内容
+ * @param {Object} parsedTest - parseTestFile() 返回的测试（含 jsdocRange、步骤位置）
+ * @param {Object} testCase - 提取的测试用例（前置条件含钩子 / fixture 摘要）
+ * @param {Object} qaseCase - Qase 中的用例
+ * @param {Array<string>} fields - resolvePullFields() 的结果
+ * @returns {{edits: Array<{start, end, text}>, changed: Array<string>, skipped: Array<string>}}
+ */
+function planTestEdits(content, parsedTest, testCase, qaseCase, fields) {
+  const result = { edits: [], changed: [], skipped: [] };
+
+  const jsdoc = planJSDocEdit(content, parsedTest, testCase, qaseCase, fields);
+  if (jsdoc) {
+    result.edits.push(jsdoc.edit);
+    result.changed.push(...jsdoc.changed);
+  }
+
+  if (fields.includes('steps')) {
+    const steps = planStepEdits(content, parsedTest, qaseCase);
+    result.edits.push(...steps.edits);
+    result.changed.push(...steps.changed);
+    result.skipped.push(...steps.skipped);
+  }
+
+  return result;
+}
+
+/**
+ * 应用修改（从后向前，避免位置偏移）
+ */
+function applyEdits(content, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), content);
+}
+
+/**
+ * 修改的预览差异（每处修改一段，相同的首尾行作为上下文）
+ * @returns {Array<string>} 差异行
+ */
+function formatEditDiff(content, edits) {
+  return [...edits].sort((a, b) => a.start - b.start).flatMap(edit => {
+    const lineStart = content.lastIndexOf('\n', edit.start - 1) + 1;
+    const lineEndIndex = content.indexOf('\n', edit.end);
+    const lineEnd = lineEndIndex === -1 ? content.length : lineEndIndex;
+    const before = content.slice(lineStart, lineEnd).split('\n');
+    const after = (content.slice(lineStart, edit.start) + edit.text + content.slice(edit.end, lineEnd)).split('\n');
+
+    let head = 0;
+    while (head < before.length && head < after.length && before[head] === after[head]) head++;
+    let tail = 0;
+    while (tail < before.length - head && tail < after.length - head &&
+      before[before.length - 1 - tail] === after[after.length - 1 - tail]) tail++;
+
+    const line = content.slice(0, lineStart).split('\n').length;
+    return [
+      `@@ 第 ${line} 行 @@`,
+      ...before.slice(0, head).map(text => `  ${text}`),
+      ...before.slice(head, before.length - tail).map(text => `- ${text}`),
+      ...after.slice(head, after.length - tail).map(text => `+ ${text}`),
+      ...before.slice(before.length - tail).map(text => `  ${text}`)
+    ];
+  });
+}
+
+module.exports = {
+  PULL_FIELDS,
+  resolvePullFields,
+  planTestEdits,
+  applyEdits,
+  formatEditDiff
+};
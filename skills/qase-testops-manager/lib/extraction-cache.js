@@ -0,0 +1,176 @@
+/**
+ * 测试用例提取缓存
+ *
+ * 按「文件路径 + 内容哈希 + 提取器版本」缓存每个测试文件的提取结果，
+ * 保存在 outputDir/.extraction-cache.json。内容未变化的文件直接使用缓存，
+ * 不再重新解析 AST（full-sync 中第一步的提取结果会被后续步骤复用）
+ *
+ * 提取器版本由提取相关源码和影响提取结果的配置计算得出，
+ * 升级脚本、修改 customId / metadataRules / framework 或自定义适配器后缓存自动失效；
+ * 提取结果声明的依赖文件（如测试引用的 fixture 模块）变化时，对应条目同样失效
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_FILE_NAME = '.extraction-cache.json';
+
+// 影响提取结果的源码文件
+const EXTRACTOR_SOURCES = [
+  path.join(__dirname, 'extractor.js'),
+  path.join(__dirname, 'test-parser.js'),
+  path.join(__dirname, 'custom-id.js'),
+  path.join(__dirname, 'metadata-rules.js'),
+  path.join(__dirname, 'framework-adapters.js'),
+  path.join(__dirname, 'gherkin-parser.js'),
+  path.join(__dirname, 'fixture-docs.js'),
+  path.join(__dirname, 'helper-steps.js'),
+  path.join(__dirname, 'module-graph.js'),
+  path.join(__dirname, 'playwright-list.js')
+];
+
+// 影响提取结果的配置项
+const EXTRACTOR_CONFIG_KEYS = ['e2eDir', 'customId', 'metadataRules', 'framework', 'adapters', 'helperDepth'];
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * 计算依赖文件的内容哈希
+ * @param {Array<string>} dependencies - 相对于 rootDir 的文件路径
+ * @param {string} rootDir - 路径基准
+ * @returns {Object} 路径 → 哈希（文件不存在时为 null）
+ */
+function hashDependencies(dependencies = [], rootDir) {
+  const hashes = {};
+
+  for (const dependency of dependencies) {
+    const filePath = path.resolve(rootDir, dependency);
+    hashes[dependency] = fs.existsSync(filePath) ? hashContent(fs.readFileSync(filePath)) : null;
+  }
+
+  return hashes;
+}
+
+function dependenciesUnchanged(hashes = {}, rootDir) {
+  const current = hashDependencies(Object.keys(hashes), rootDir);
+  return Object.keys(hashes).every(dependency => current[dependency] === hashes[dependency]);
+}
+
+/**
+ * 计算提取器版本
+ * @param {Object} config - 配置对象
+ * @param {string} rootDir - 项目根目录（自定义适配器路径的基准）
+ * @returns {string}
+ */
+function computeExtractorVersion(config = {}, rootDir = process.cwd()) {
+  const hash = crypto.createHash('sha1');
+
+  // 自定义适配器（相对于项目根目录）同样影响提取结果
+  const adapterSources = (config.adapters || []).map(modulePath => path.resolve(rootDir, modulePath));
+
+  for (const sourcePath of [...EXTRACTOR_SOURCES, ...adapterSources]) {
+    if (fs.existsSync(sourcePath)) {
+      hash.update(fs.readFileSync(sourcePath));
+    }
+  }
+
+  for (const key of EXTRACTOR_CONFIG_KEYS) {
+    hash.update(JSON.stringify(config[key] ?? null));
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * 加载缓存，版本不一致或文件损坏时返回空缓存
+ * @param {string} cachePath - 缓存文件路径
+ * @param {string} version - 提取器版本
+ * @returns {{version: string, entries: Object}}
+ */
+function loadCache(cachePath, version) {
+  if (fs.existsSync(cachePath)) {
+    try {
+      const cache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+      if (cache.version === version && cache.entries) {
+        return cache;
+      }
+    } catch (error) {
+      // 缓存损坏时重新生成
+    }
+  }
+
+  return { version, entries: {} };
+}
+
+/**
+ * 保存缓存（先写临时文件再重命名，避免中断时写坏缓存）
+ * @param {string} cachePath - 缓存文件路径
+ * @param {Object} cache - 缓存对象
+ */
+function saveCache(cachePath, cache) {
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+
+  const tempPath = `${cachePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(cache), 'utf-8');
+  fs.renameSync(tempPath, cachePath);
+}
+
+/**
+ * 带缓存地提取多个文件
+ *
+ * @param {Array<string>} files - 文件绝对路径列表
+ * @param {Object} options
+ * @param {string} options.cachePath - 缓存文件路径（为空时不使用缓存）
+ * @param {string} options.version - 提取器版本
+ * @param {string} options.rootDir - 用作缓存键的相对路径基准
+ * @param {Function} options.extract - (fileContent, filePath) => 可序列化的提取结果，
+ *   结果中的 dependencies（相对于 rootDir 的路径数组）变化时缓存条目失效
+ * @returns {{results: Array<{filePath: string, result: Object}>, stats: {hits: number, misses: number}}}
+ */
+function extractWithCache(files, { cachePath, version, rootDir, extract }) {
+  const cache = cachePath ? loadCache(cachePath, version) : { version, entries: {} };
+  const entries = {};
+  const stats = { hits: 0, misses: 0 };
+  const results = [];
+
+  for (const filePath of files) {
+    const key = path.relative(rootDir, filePath).split(path.sep).join('/');
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const hash = hashContent(content);
+    const cached = cache.entries[key];
+
+    let result;
+    let dependencies;
+    if (cached && cached.hash === hash && dependenciesUnchanged(cached.dependencies, rootDir)) {
+      result = cached.result;
+      dependencies = cached.dependencies;
+      stats.hits++;
+    } else {
+      result = extract(content, filePath);
+      dependencies = hashDependencies(result.dependencies, rootDir);
+      stats.misses++;
+    }
+
+    // 只保留本次扫描到的文件，删除的文件自动从缓存中移除
+    entries[key] = { hash, dependencies, result };
+    results.push({ filePath, result });
+  }
+
+  if (cachePath && (stats.misses > 0 || Object.keys(cache.entries).length !== files.length)) {
+    saveCache(cachePath, { version, entries });
+  }
+
+  return { results, stats };
+}
+
+module.exports = {
+  CACHE_FILE_NAME,
+  hashContent,
+  computeExtractorVersion,
+  loadCache,
+  saveCache,
+  extractWithCache
+};
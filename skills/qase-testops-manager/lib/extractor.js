@@ -0,0 +1,724 @@
+/**
+ * 测试用例提取（extract-tests.js 和 index.js 的 extract() 共用）
+ *
+ * 提取内容：
+ * - 测试ID (TC-XXX-NNN)
+ * - 测试标题
+ * - 测试描述（从注释中提取）
+ * - 测试步骤（从test.step()中提取）
+ * - 测试套件（从文件名或describe中提取）
+ *
+ * 解析基于 TypeScript AST（lib/test-parser.js），不再依赖正则匹配；
+ * 每个文件按 framework 配置选择框架适配器（lib/framework-adapters.js），
+ * Playwright / Jest / Vitest / Mocha / Cypress 输出相同结构的测试用例；
+ * Gherkin .feature 文件由 lib/gherkin-parser.js 解析（Scenario → 用例，Given/When/Then → 步骤）
+ *
+ * 与项目相关的状态（根目录、配置、Custom ID 语法、适配器）保存在提取上下文中，
+ * 由 createExtractionContext() 创建，不读取 process.cwd() 或命令行参数
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSource, parseTestFile, collectSteps } = require('./test-parser');
+const { discoverTestFiles } = require('./file-discovery');
+const { resolveIdGrammar, validateCustomId, resolveTemplateId } = require('./custom-id');
+const { buildRuleContext, inferMetadata } = require('./metadata-rules');
+const { CACHE_FILE_NAME, computeExtractorVersion, extractWithCache } = require('./extraction-cache');
+const { createAdapterResolver } = require('./framework-adapters');
+const { loadFixtureDocs, describeFixtures } = require('./fixture-docs');
+const { createHelperExpander } = require('./helper-steps');
+const { runPlaywrightList, isFilteredList, flattenListReport, groupByFile, mergeListedTests } = require('./playwright-list');
+const { annotateGitInfo } = require('./git-info');
+const { resolveConfig } = require('./config');
+
+/**
+ * 创建提取上下文
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @returns {{rootDir: string, config: Object, e2eDir: string, idGrammar: Object, resolveAdapter: Function}}
+ */
+function createExtractionContext({ cwd = process.cwd(), config } = {}) {
+  const resolved = resolveConfig({ cwd, config });
+
+  return {
+    rootDir: cwd,
+    config: resolved,
+    e2eDir: path.join(cwd, resolved.e2eDir),
+    // Custom ID 语法（.qase-config.json 的 customId 配置，见 lib/custom-id.js）
+    idGrammar: resolveIdGrammar(resolved),
+    // 按文件选择框架适配器（framework / adapters 配置）
+    resolveAdapter: createAdapterResolver(resolved, cwd)
+  };
+}
+
+/**
+ * 解析步骤标题（支持详细格式）
+ *
+ * 支持的格式：
+ * 1. 简单格式：'操作描述'
+ * 2. 带数据：'操作描述 | 测试数据'
+ * 3. 完整格式：'操作描述 | 测试数据 | 期望结果'
+ *
+ * @param {string} stepTitle - test.step() 的标题
+ * @returns {Object} - 步骤对象 {action, data, expected_result}
+ */
+function parseStepTitle(stepTitle) {
+  const stepText = stepTitle.trim();
+
+  // 使用 | 分隔符解析步骤
+  const parts = stepText.split('|').map(p => p.trim());
+
+  return {
+    action: parts[0] || stepText,  // 第一部分是 action
+    data: parts[1] || '',            // 第二部分是 data（可选）
+    expected_result: parts[2] || ''  // 第三部分是 expected_result（可选）
+  };
+}
+
+/**
+ * 读取 step 回调中的 Action / Expected 注释
+ *
+ * 格式（与 review-test-standards.js 的检查一致）：
+ *   // Action: 创建测试账号
+ *   // Expected: 账号创建成功
+ *
+ * @param {string} stepBody - step 回调自身的源码（不含嵌套 step）
+ * @returns {{action: string, expected: string}}
+ */
+function parseStepComments(stepBody) {
+  const actionMatch = stepBody.match(/\/\/\s*Action:\s*(.*)/i);
+  const expectedMatch = stepBody.match(/\/\/\s*Expected:\s*(.*)/i);
+
+  return {
+    action: actionMatch ? actionMatch[1].trim() : '',
+    expected: expectedMatch ? expectedMatch[1].trim() : ''
+  };
+}
+
+/**
+ * 将 matcher 名称转换为可读文本
+ * 例如: toBeVisible → to be visible, toHaveURL → to have URL
+ */
+function humanizeMatcher(matcher) {
+  return matcher
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .split(' ')
+    .map(word => (/^[A-Z]+$/.test(word) ? word : word.toLowerCase()))
+    .join(' ');
+}
+
+/**
+ * 将 expect() 断言汇总为期望结果文本
+ * 例如: expect(count).not.toBe(50) → "count not to be 50"
+ *
+ * @param {Array} assertions - 解析器返回的断言列表
+ * @returns {string}
+ */
+function summarizeAssertions(assertions) {
+  return assertions
+    .map(assertion => {
+      const parts = [
+        assertion.subject,
+        ...assertion.modifiers,
+        humanizeMatcher(assertion.matcher)
+      ];
+
+      if (assertion.args.length > 0) {
+        parts.push(assertion.args.join(', '));
+      }
+
+      return parts.filter(Boolean).join(' ');
+    })
+    .join('; ');
+}
+
+/**
+ * 将解析器的步骤树转换为用例步骤（嵌套步骤保存在 steps 中）
+ *
+ * 优先级：
+ * - action: // Action: 注释 > 标题中的操作描述
+ * - expected_result: // Expected: 注释 > 标题中的期望结果 > expect() 断言汇总
+ *
+ * @param {Array} parsedSteps - 解析器返回的步骤树 [{title, ownBody, assertions, children, data?}]
+ * @returns {Array} - 步骤对象数组 [{action, data, expected_result, steps}]
+ */
+function buildStepTree(parsedSteps) {
+  return parsedSteps.map(step => {
+    const fromTitle = parseStepTitle(step.title);
+    const comments = parseStepComments(step.ownBody || '');
+
+    return {
+      action: comments.action || fromTitle.action,
+      data: step.data || fromTitle.data,
+      expected_result: comments.expected
+        || fromTitle.expected_result
+        || summarizeAssertions(step.assertions || []),
+      steps: buildStepTree(step.children || [])
+    };
+  });
+}
+
+/**
+ * 从测试内容中提取步骤
+ *
+ * @param {string} testContent - 测试内容（源码片段）
+ * @returns {Array} - 步骤树 [{action, data, expected_result, steps}]
+ */
+function extractSteps(testContent) {
+  const sourceFile = parseSource(testContent);
+  return buildStepTree(collectSteps(sourceFile, sourceFile));
+}
+
+/**
+ * 从文件顶部提取描述注释
+ */
+function extractDescription(fileContent) {
+  // 匹配文件顶部的/** ... */注释块
+  const descPattern = /^\/\*\*\s*\n([\s\S]*?)\*\//;
+  const match = fileContent.match(descPattern);
+
+  if (match) {
+    // 清理注释标记，保留内容
+    return match[1]
+      .split('\n')
+      .map(line => line.replace(/^\s*\*\s?/, '').trim())
+      .filter(line => line.length > 0)
+      .join('\n');
+  }
+
+  return '';
+}
+
+/**
+ * 从测试前的 JSDoc 注释中提取元数据
+ * @param {string} rawJSDoc - 原始 JSDoc 文本（由解析器提供）
+ * @returns {Object} { description, preconditions, postconditions }
+ */
+function parseTestJSDoc(rawJSDoc) {
+  const result = {
+    description: '',
+    preconditions: '',
+    postconditions: ''
+  };
+
+  if (!rawJSDoc) {
+    return result;
+  }
+
+  const lines = rawJSDoc.split('\n');
+
+  let currentTag = null;
+  let currentContent = [];
+
+  for (const line of lines) {
+    // 移除行首的 * 和空格
+    const cleanLine = line.replace(/^\s*\*\s?/, '').trim();
+    const tagMatch = cleanLine.match(/^@(\w+)\s*(.*)$/);
+
+    if (tagMatch) {
+      if (currentTag) {
+        result[currentTag] = currentContent.join('\n').trim();
+      }
+
+      // 其他标签（@severity 等）结束当前段落
+      currentTag = tagMatch[1] in result ? tagMatch[1] : null;
+      currentContent = tagMatch[2] ? [tagMatch[2].trim()] : [];
+    } else if (cleanLine && currentTag) {
+      currentContent.push(cleanLine);
+    }
+  }
+
+  // 保存最后一个 tag 的内容
+  if (currentTag) {
+    result[currentTag] = currentContent.join('\n').trim();
+  }
+
+  return result;
+}
+
+/**
+ * 从 describe 的 JSDoc（或文件头注释）中提取 Suite 说明
+ *
+ * 没有 @description 时，第一个标签之前的文字作为说明
+ *
+ * @param {string} rawJSDoc - 原始 JSDoc 文本
+ * @returns {{description: string, preconditions: string}}
+ */
+function parseSuiteJSDoc(rawJSDoc) {
+  const { description, preconditions } = parseTestJSDoc(rawJSDoc);
+  const leading = [];
+
+  for (const line of (rawJSDoc || '').split('\n')) {
+    const cleanLine = line.replace(/^\s*\*\s?/, '').trim();
+    if (cleanLine.startsWith('@')) {
+      break;
+    }
+    if (cleanLine) {
+      leading.push(cleanLine);
+    }
+  }
+
+  return { description: description || leading.join('\n'), preconditions };
+}
+
+/**
+ * 每层 describe 的 Suite 说明（与 describePath 对应，外层在前）
+ *
+ * 文件头注释作为文件最外层 describe 的默认说明；.feature 文件使用 Feature / Rule 的描述
+ *
+ * @param {Array<Object>} describes - 解析器返回的 describe 列表
+ * @param {Array<string>} describePath - 测试的 describe 路径
+ * @param {Object} fileDocs - 文件头注释中的说明
+ * @returns {Array<{description: string, preconditions: string}>}
+ */
+function buildDescribeDocs(describes, describePath, fileDocs) {
+  return describePath.map((name, index) => {
+    const describePathKey = describePath.slice(0, index).join('\t');
+    const describe = describes.find(d => d.name === name && d.path.join('\t') === describePathKey);
+    const docs = describe
+      ? { ...parseSuiteJSDoc(describe.jsdoc), ...(describe.description ? { description: describe.description } : {}) }
+      : { description: '', preconditions: '' };
+
+    if (index === 0 && !docs.description && !docs.preconditions) {
+      return { ...fileDocs };
+    }
+    return docs;
+  });
+}
+
+/**
+ * 汇总作用于测试的钩子和 fixture，作为前置 / 后置条件
+ *
+ * 按执行顺序排列：beforeAll → fixture 准备 → beforeEach，afterEach → fixture 清理 → afterAll
+ *
+ * @param {Object} test - 解析器返回的测试
+ * @param {Object} fixtureDocs - fixture 说明（loadFixtureDocs() 的 docs）
+ * @returns {{preconditions: Array<string>, postconditions: Array<string>}}
+ */
+function summarizeSetup(test, fixtureDocs) {
+  const hooks = test.hooks || {};
+  const fixtures = describeFixtures(test.fixtures || [], fixtureDocs);
+  const label = type => (hooks[type] || []).filter(Boolean).map(summary => `${type}: ${summary}`);
+
+  return {
+    preconditions: [...label('beforeAll'), ...fixtures.preconditions, ...label('beforeEach')],
+    postconditions: [...label('afterEach'), ...fixtures.postconditions, ...label('afterAll')]
+  };
+}
+
+/**
+ * 将钩子 / fixture 摘要追加到 JSDoc 中的前置 / 后置条件之后
+ * @param {string} text - 显式填写的条件
+ * @param {Array<string>} lines - summarizeSetup() 生成的摘要
+ * @returns {string}
+ */
+function appendConditions(text, lines) {
+  return [text, ...lines.map(line => `- ${line}`)].filter(Boolean).join('\n');
+}
+
+/**
+ * ❌ 已移除 mapCustomIdToSuite() 函数
+ *
+ * Code First 原则：Suite 层级必须从 test.describe() 提取，不允许硬编码映射
+ */
+
+/**
+ * 根据 test.describe() 嵌套路径确定 Suite
+ *
+ * 示例:
+ * test.describe('API Tests', () => {
+ *   test.describe('Contract Validation', () => {
+ *     test('TC-API-CONTRACT-001: ...', () => {});
+ *   });
+ * });
+ *
+ * 返回: "API Tests / Contract Validation"
+ *
+ * 不在 describe() 中的测试（如 Jest / Mocha 文件顶层的 it()）没有 Suite，返回 null，
+ * 由调用方报告为该测试的提取错误（Code First：不从文件名等推断 Suite）
+ *
+ * @param {Array<string>} describePath - 解析器提供的 describe 名称数组（外层在前）
+ * @returns {string|null}
+ */
+function extractSuite(describePath) {
+  return describePath && describePath.length > 0 ? describePath.join(' / ') : null;
+}
+
+/**
+ * 从 JSDoc 中提取 is_flaky (不稳定标志)
+ * @param {string} testContent - 测试内容
+ * @returns {boolean} - true 或 false
+ */
+function detectFlaky(testContent) {
+  // 查找 @flaky 标签
+  const flakyMatch = testContent.match(/@flaky\s+(yes|true|1|no|false|0)/i);
+
+  if (flakyMatch) {
+    const value = flakyMatch[1].toLowerCase();
+    return value === 'yes' || value === 'true' || value === '1';
+  }
+
+  // 默认: false (不是 flaky)
+  return false;
+}
+
+/**
+ * 按提取的选项解析测试文件（框架适配器、helperDepth 的 helper 步骤展开）
+ *
+ * pull --fields 回写时使用相同的解析结果，保证测试位置与提取一致
+ *
+ * @param {Object} context - createExtractionContext() 创建的提取上下文
+ * @param {string} fileContent - 文件内容
+ * @param {string} fileName - 文件名
+ * @param {string} relativeFilePath - 相对于项目根目录的文件路径
+ * @returns {{parsed: Object, adapter: Object, helpers: Object|null, filePath: string}}
+ */
+function parseExtractionFile(context, fileContent, fileName, relativeFilePath = fileName) {
+  const filePath = path.resolve(context.rootDir, relativeFilePath);
+  const adapter = context.resolveAdapter(fileContent, relativeFilePath);
+
+  // 页面对象 / helper 中的 test.step() 和 @step 方法展开到调用位置
+  const helpers = context.config.helperDepth > 0
+    ? createHelperExpander({ filePath, adapter, depth: context.config.helperDepth })
+    : null;
+  const parsed = parseTestFile(fileContent, fileName, adapter, {
+    expandHelper: helpers ? helpers.expand : null
+  });
+
+  return { parsed, adapter, helpers, filePath };
+}
+
+/**
+ * 从单个测试文件中提取测试用例
+ *
+ * @param {Object} context - createExtractionContext() 创建的提取上下文
+ * @param {string} fileContent - 文件内容
+ * @param {string} fileName - 文件名
+ * @param {string} relativeFilePath - 相对于项目根目录的文件路径
+ * @param {Array<Object>} listedTests - 可选，Playwright 列出的该文件中的测试（source: playwright），
+ *   以列出的测试为准，细节从静态解析结果补充
+ * @returns {{testCases: Array, errors: Array, dependencies: Array<string>}} dependencies 为读取过的 fixture / helper 模块
+ */
+function extractTestCasesFromFile(context, fileContent, fileName, relativeFilePath = fileName, listedTests = null) {
+  const { rootDir, config, idGrammar } = context;
+  const testCases = [];
+  const errors = [];
+
+  const fileDocs = parseSuiteJSDoc(extractDescription(fileContent));
+  const { parsed, helpers, filePath } = parseExtractionFile(context, fileContent, fileName, relativeFilePath);
+  const framework = parsed.framework;
+  const tests = listedTests ? mergeListedTests(parsed.tests, listedTests) : parsed.tests;
+
+  // 测试文件及其引用的 fixture 模块中的 fixture 说明
+  const fixtureSource = tests.some(test => (test.fixtures || []).length > 0)
+    ? loadFixtureDocs(filePath, fileContent)
+    : { docs: {}, files: [] };
+
+  // 读取过的 fixture / helper 模块变化时，提取缓存失效
+  const dependencies = [...new Set([...fixtureSource.files, ...(helpers ? helpers.files() : [])])]
+    .map(file => path.relative(rootDir, file).split(path.sep).join('/'));
+
+  // 文件中已使用的固定 Custom ID（无法解析的模板 ID 的建议编号跳过这些 ID）
+  const usedIds = new Set(tests.map(test => test.customId).filter(id => id && !id.includes('{')));
+
+  for (const test of tests) {
+    const title = test.title;
+    let testId = test.customId || '';
+    let idTemplate = null;
+
+    // 参数化测试（循环 / .each）的所有参数组合共享一个 Qase 用例：
+    // 带插值的 Custom ID 解析为一个固定的 Custom ID，无法解析时报错并跳过（不使用猜测的 ID）
+    if (testId.includes('{') && Object.keys(test.parameters || {}).length > 0) {
+      const resolved = resolveTemplateId(testId, idGrammar, { parameters: test.parameters, fileName, usedIds });
+
+      if (!resolved.id) {
+        errors.push({
+          file: fileName,
+          testId,
+          title: title,
+          line: test.location.start.line,
+          error: `参数化测试的 Custom ID ${testId} 包含无法确定的插值，所有参数组合应使用同一个固定的 Custom ID`,
+          suggestion: resolved.suggestion
+        });
+        continue;
+      }
+
+      idTemplate = testId;
+      testId = resolved.id;
+    }
+
+    // ⚠️ 强制验证 Custom ID
+    const validation = validateCustomId(testId, idGrammar);
+    if (!validation.valid) {
+      errors.push({
+        file: fileName,
+        testId: testId || '(missing)',
+        title: title,
+        line: test.location.start.line,
+        error: validation.error,
+        suggestion: validation.suggestion
+      });
+      continue; // 跳过无效的测试用例
+    }
+
+    // 从 test.describe() 嵌套路径确定 Suite
+    const suite = extractSuite(test.describePath);
+    if (!suite) {
+      errors.push({
+        file: fileName,
+        testId,
+        title: title,
+        line: test.location.start.line,
+        error: '测试不在 describe() 中，无法确定 Suite 路径（Suite 层级只来自 describe() 嵌套）',
+        suggestion: `用 describe('<Suite>', () => { ... }) 包裹 ${testId}`
+      });
+      continue;
+    }
+
+    // 原始 JSDoc 文本用于字段检测
+    const rawJSDoc = test.jsdoc;
+
+    const steps = buildStepTree(test.steps);
+
+    // 按规则推断 type / priority / severity / layer / behavior / automation
+    // （JSDoc 显式标签 > metadataRules > 内置规则 > 默认值）
+    const ruleContext = buildRuleContext({
+      idParts: validation.parts,
+      describePath: test.describePath,
+      filePath: relativeFilePath,
+      tags: test.tags,
+      title,
+      jsdoc: rawJSDoc
+    });
+    const { values: metadata, sources: metadataSources } = inferMetadata(ruleContext, config.metadataRules);
+    const testType = metadata.type;
+    const priority = metadata.priority;
+    const isFlaky = detectFlaky(rawJSDoc);
+
+    // 提取测试级别的 JSDoc 元数据
+    const jsdoc = parseTestJSDoc(rawJSDoc);
+
+    // 钩子和 fixture 追加到前置 / 后置条件
+    const setup = summarizeSetup(test, fixtureSource.docs);
+
+    // 构建完整的title：Custom ID + 标题 + tags
+    let fullTitle = `${testId}: ${title}`;
+
+    // 根据测试类型和优先级添加tag
+    const tags = [];
+    if (testType === 'smoke') tags.push('@smoke');
+    if (testType === 'regression') tags.push('@regression');
+    if (priority === 'high' && testType !== 'smoke') tags.push('@critical');
+
+    // 如果有tags，添加到title末尾
+    if (tags.length > 0) {
+      fullTitle += ` ${tags.join(' ')}`;
+    }
+
+    // 合并 Playwright 原生 tag（不追加到 title，只同步到 Qase tags）
+    for (const tag of test.tags) {
+      if (!tags.includes(tag)) tags.push(tag);
+    }
+
+    // issue 类型的 annotation 作为外部链接保存到 Qase 用例
+    const externalIssues = test.annotations
+      .filter(annotation => annotation.type === 'issue' && annotation.description)
+      .map(annotation => annotation.description);
+
+    testCases.push({
+      id: testId,
+      customId: testId, // 明确标记为 customId
+      qase_id: test.qaseId, // Qase ID (从 qase.id() 提取，可能为 null)
+      title: fullTitle, // 使用完整的title
+      originalTitle: title, // 保留原始title供参考
+      description: jsdoc.description || test.description || '', // 测试的 JSDoc（Gherkin 为 Scenario 描述）；文件头注释属于 Suite
+      preconditions: appendConditions(jsdoc.preconditions || test.preconditions || '', setup.preconditions), // 前置条件（Gherkin 为 Background 步骤，之后是 before 钩子和 fixture）
+      postconditions: appendConditions(jsdoc.postconditions || '', setup.postconditions), // 后置条件（之后是 after 钩子和 fixture 清理）
+      suite: suite,
+      describeDocs: buildDescribeDocs(parsed.describes || [], test.describePath, fileDocs), // 各层 Suite 的说明和前置条件
+      fileName: fileName,
+      file: fileName, // 添加 file 字段以便错误报告
+      filePath: relativeFilePath, // 相对于项目根目录的文件路径
+      location: test.location, // 测试定义的行列范围 {start: {line, column}, end: {line, column}}
+      framework: framework, // 测试框架（playwright / jest / vitest / mocha / cypress）
+      projects: test.projects || [], // Playwright project（source: playwright 时由 --list 提供）
+      steps: steps,
+      stepsType: test.stepsType || 'classic', // 步骤类型（.feature 文件为 gherkin）
+      parameters: test.parameters || {}, // 参数 { 参数名: [取值] }（循环 / .each 参数化测试、Gherkin Examples 表格）
+      idTemplate: idTemplate, // 带插值的原始 Custom ID（如 TC-API-SYNC-0{n}），运行结果按它匹配到本用例
+      type: testType,
+      priority: priority,
+      severity: metadata.severity, // 严重程度
+      behavior: metadata.behavior, // 行为类型
+      isFlaky: isFlaky, // 不稳定标志
+      layer: metadata.layer, // 层级（默认根据 Custom ID 的 LAYER 推断）
+      automation: metadata.automation,
+      status: 'actual',
+      tags: tags, // 保存为数组
+      annotations: test.annotations, // Playwright annotation [{type, description}]
+      externalIssues: externalIssues, // issue annotation（如 JIRA-12），同步为外部链接
+      metadataSources: metadataSources // 各元数据字段的来源（--explain 显示）
+    });
+  }
+
+  return { testCases, errors, dependencies };
+}
+
+/**
+ * 跨文件检查重复的 Custom ID
+ *
+ * 同一个 Custom ID 出现在多个测试中时，这些测试会同步到同一个 Qase 用例并互相覆盖：
+ * 全部记为提取错误并从结果中去掉（不同步）
+ *
+ * @param {Array} testCases - 所有文件的测试用例
+ * @param {Array} errors - 提取错误（追加重复的测试）
+ * @returns {Array} 去掉重复 Custom ID 后的测试用例
+ */
+function rejectDuplicateIds(testCases, errors) {
+  const byId = new Map();
+  for (const testCase of testCases) {
+    byId.set(testCase.id, [...(byId.get(testCase.id) || []), testCase]);
+  }
+
+  return testCases.filter(testCase => {
+    const sameId = byId.get(testCase.id);
+    if (sameId.length === 1) {
+      return true;
+    }
+
+    const others = sameId
+      .filter(other => other !== testCase)
+      .map(other => `${other.filePath}:${other.location.start.line}`);
+    errors.push({
+      file: testCase.fileName,
+      testId: testCase.id,
+      title: testCase.originalTitle,
+      line: testCase.location.start.line,
+      error: `Custom ID 重复（同时用于 ${others.join(', ')}），这些测试已跳过`
+    });
+    return false;
+  });
+}
+
+/**
+ * 从 Playwright 列出的测试提取用例（source: playwright）
+ *
+ * 列表依赖 Playwright 配置、project 和命令行参数，不使用提取缓存
+ *
+ * @param {Object} context - 提取上下文
+ * @returns {{testCases: Array, errors: Array, cacheStats: {hits: number, misses: number}, filtered: boolean}}
+ *   filtered 为列表按 grep / project 等参数过滤（只包含部分测试）
+ */
+function scanPlaywrightList(context) {
+  const { rootDir, config } = context;
+  const testCases = [];
+  const errors = [];
+
+  const { tests, errors: loadErrors } = flattenListReport(runPlaywrightList(config.playwright, rootDir));
+
+  for (const message of loadErrors) {
+    errors.push({ file: '(playwright)', testId: '(load error)', title: '', error: message });
+  }
+
+  for (const [filePath, listedTests] of groupByFile(tests)) {
+    const relativeFilePath = path.relative(rootDir, filePath);
+
+    if (!fs.existsSync(filePath)) {
+      errors.push({ file: relativeFilePath, testId: '(missing)', title: '', error: 'Playwright 列出的测试文件不存在' });
+      continue;
+    }
+
+    const result = extractTestCasesFromFile(
+      context,
+      fs.readFileSync(filePath, 'utf-8'),
+      path.basename(filePath),
+      relativeFilePath,
+      listedTests
+    );
+    testCases.push(...result.testCases);
+    errors.push(...result.errors);
+  }
+
+  annotateGitInfo(testCases, { rootDir, config: config.git });
+
+  return {
+    testCases: rejectDuplicateIds(testCases, errors),
+    errors,
+    cacheStats: { hits: 0, misses: 0 },
+    filtered: isFilteredList(config.playwright)
+  };
+}
+
+/**
+ * 扫描测试文件并提取所有测试用例
+ *
+ * 内容未变化的文件直接使用提取缓存（配置 extractionCache: false 关闭）；
+ * 提取源由 source 参数或 source 配置决定；
+ * 最后为每个用例补充行号范围、owner、最后修改提交和源码链接（git 配置）
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {Object} options.context - 已创建的提取上下文（优先于 cwd / config）
+ * @param {boolean} options.useCache - 是否使用提取缓存（默认按 extractionCache 配置）
+ * @param {string} options.source - 提取源 static / playwright（默认按 source 配置）
+ * @returns {{testCases: Array, errors: Array, cacheStats: {hits: number, misses: number}, filtered: boolean}}
+ *   filtered 为提取结果只包含部分测试（见 scanPlaywrightList()）
+ */
+function extract(options = {}) {
+  const context = options.context || createExtractionContext(options);
+  const { rootDir, config } = context;
+  const {
+    useCache = config.extractionCache !== false,
+    source = config.source
+  } = options;
+  const testCases = [];
+  const errors = [];
+
+  if (source === 'playwright') {
+    return scanPlaywrightList(context);
+  }
+
+  if (source !== 'static') {
+    throw new Error(`未知的提取源 "${source}"（可用: static, playwright）`);
+  }
+
+  // 递归发现所有测试文件（按 include / exclude 配置）
+  const files = discoverTestFiles(context.e2eDir, config);
+
+  const { results, stats } = extractWithCache(files, {
+    cachePath: useCache ? path.join(rootDir, config.outputDir, CACHE_FILE_NAME) : null,
+    version: computeExtractorVersion(config, rootDir),
+    rootDir,
+    extract: (fileContent, filePath) => {
+      // 计算相对于项目根目录的路径
+      const relativeFilePath = path.relative(rootDir, filePath);
+      return extractTestCasesFromFile(context, fileContent, path.basename(filePath), relativeFilePath);
+    }
+  });
+
+  for (const { result } of results) {
+    testCases.push(...result.testCases);
+    errors.push(...result.errors);
+  }
+
+  // git 信息随提交变化（文件内容可能不变），不进入提取缓存
+  annotateGitInfo(testCases, { rootDir, config: config.git });
+
+  return { testCases: rejectDuplicateIds(testCases, errors), errors, cacheStats: stats, filtered: false };
+}
+
+module.exports = {
+  createExtractionContext,
+  extract,
+  extractTestCasesFromFile,
+  parseExtractionFile,
+  extractSteps,
+  buildStepTree,
+  parseStepComments,
+  summarizeAssertions,
+  extractDescription,
+  parseSuiteJSDoc,
+  parseTestJSDoc
+};
@@ -0,0 +1,172 @@
+/**
+ * 测试文件发现
+ *
+ * 递归扫描 e2eDir，按 include / exclude glob 列表筛选测试文件，
+ * 供 extract-tests、review-test-standards、validate-test-ids、
+ * update-qase-annotations 共用，保证所有工具看到同一组文件
+ *
+ * Glob 语法：
+ * - `**` 匹配任意层目录
+ * - `*` 匹配除 / 以外的任意字符
+ * - `?` 匹配单个字符
+ * - `{a,b}` 匹配任一备选
+ * - 不含 / 的模式只匹配文件名（如 `*.old.ts` 在任意目录下生效）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 默认包含的测试文件
+const DEFAULT_INCLUDE = [
+  '**/*.{spec,test,cy}.{ts,tsx,js,jsx,mjs,cjs}',
+  '**/*.feature'
+];
+
+// 默认排除的文件和目录
+const DEFAULT_EXCLUDE = [
+  '**/node_modules/**',
+  '*.old.ts',
+  '*.backup.ts',
+  '*.backup'
+];
+
+/**
+ * 将 glob 模式转换为正则表达式
+ * @param {string} pattern - glob 模式
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let regex = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` 匹配零或多层目录，结尾的 `**` 匹配任意内容
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      regex += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      regex += ')';
+    } else if (char === ',' && inGroup) {
+      regex += '|';
+    } else {
+      regex += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * 判断相对路径是否匹配任一 glob 模式
+ * @param {string} relativePath - 相对于扫描根目录的路径（使用 / 分隔）
+ * @param {Array<string>} patterns - glob 模式列表
+ * @returns {boolean}
+ */
+function matchesAny(relativePath, patterns) {
+  const baseName = path.posix.basename(relativePath);
+
+  return patterns.some(pattern => {
+    const target = pattern.includes('/') ? relativePath : baseName;
+    return globToRegExp(pattern).test(target);
+  });
+}
+
+/**
+ * 判断目录是否被排除（以 /** 结尾的排除模式）
+ * 被排除的目录不再进入，避免扫描 node_modules 等大目录
+ * @param {string} relativeDir - 相对于扫描根目录的目录路径
+ * @param {Array<string>} exclude - 排除模式列表
+ * @returns {boolean}
+ */
+function isExcludedDir(relativeDir, exclude) {
+  const dirPatterns = exclude
+    .filter(pattern => pattern.endsWith('/**'))
+    .map(pattern => pattern.slice(0, -3));
+
+  return matchesAny(relativeDir, dirPatterns);
+}
+
+/**
+ * 从配置中解析文件发现选项
+ *
+ * 兼容旧的 excludeFiles 配置项（合并到 exclude 中）
+ *
+ * @param {Object} config - 配置对象
+ * @returns {{include: Array<string>, exclude: Array<string>}}
+ */
+function resolveDiscoveryOptions(config = {}) {
+  const include = Array.isArray(config.include) && config.include.length > 0
+    ? config.include
+    : DEFAULT_INCLUDE;
+
+  const exclude = [
+    ...(Array.isArray(config.exclude) ? config.exclude : DEFAULT_EXCLUDE),
+    ...(Array.isArray(config.excludeFiles) ? config.excludeFiles : [])
+  ];
+
+  return { include, exclude };
+}
+
+/**
+ * 递归发现测试文件
+ *
+ * @param {string} rootDir - 扫描根目录（绝对路径）
+ * @param {Object} options - { include, exclude }
+ * @returns {Array<string>} 排序后的绝对路径列表
+ */
+function discoverTestFiles(rootDir, options = {}) {
+  const { include, exclude } = resolveDiscoveryOptions(options);
+  const files = [];
+
+  if (!fs.existsSync(rootDir)) {
+    return files;
+  }
+
+  function walk(dir) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(rootDir, fullPath).split(path.sep).join('/');
+
+      if (entry.isDirectory()) {
+        if (!isExcludedDir(relativePath, exclude)) {
+          walk(fullPath);
+        }
+      } else if (entry.isFile()) {
+        if (matchesAny(relativePath, include) && !matchesAny(relativePath, exclude)) {
+          files.push(fullPath);
+        }
+      }
+    }
+  }
+
+  walk(rootDir);
+  return files.sort();
+}
+
+module.exports = {
+  DEFAULT_INCLUDE,
+  DEFAULT_EXCLUDE,
+  globToRegExp,
+  matchesAny,
+  resolveDiscoveryOptions,
+  discoverTestFiles
+};
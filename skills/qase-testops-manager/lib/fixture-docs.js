@@ -0,0 +1,230 @@
+/**
+ * 自定义 fixture 的说明
+ *
+ * 测试回调解构的 fixture（如 async ({ authenticatedPage, seededMailbox }) => {}）
+ * 按以下位置查找说明：
+ * - 测试文件本身，以及它通过相对路径 import / export from / require 引用的模块（递归）
+ * - test.extend({ ... }) / base.extend<T>({ ... }) 中属性的 JSDoc
+ * - fixture 类型声明（type / interface 成员）的 JSDoc（extend 中没有说明时使用）
+ *
+ * JSDoc 正文（或 @preconditions）是 fixture 的准备说明，加入前置条件；
+ * @postconditions 是清理说明，加入后置条件：
+ *
+ *   export const test = base.extend<{ seededMailbox: Mailbox }>({
+ *     /**
+ *      * Mailbox with 20 unread messages
+ *      * @postconditions Seeded messages are deleted
+ *      *\/
+ *     seededMailbox: async ({ request }, use) => { ... }
+ *   });
+ *
+ * 只解析相对路径，tsconfig paths 别名和 node_modules 中的 fixture 不会被读取
+ */
+
+const fs = require('fs');
+const ts = require('typescript');
+const { parseSource } = require('./test-parser');
+const { findRelativeImports, resolveModulePath } = require('./module-graph');
+
+// Playwright 内置 fixture 和选项（没有自定义说明时不列入前置条件）
+const PLAYWRIGHT_BUILTIN_FIXTURES = new Set([
+  'page', 'context', 'browser', 'browserName', 'request', 'playwright',
+  'baseURL', 'headless', 'channel', 'launchOptions', 'connectOptions', 'contextOptions',
+  'viewport', 'isMobile', 'hasTouch', 'deviceScaleFactor', 'locale', 'timezoneId',
+  'colorScheme', 'geolocation', 'permissions', 'storageState', 'userAgent',
+  'extraHTTPHeaders', 'httpCredentials', 'ignoreHTTPSErrors', 'javaScriptEnabled',
+  'offline', 'acceptDownloads', 'bypassCSP', 'proxy', 'serviceWorkers',
+  'testIdAttribute', 'actionTimeout', 'navigationTimeout', 'video', 'trace', 'screenshot'
+]);
+
+// 递归读取引用模块的最大层数
+const MAX_IMPORT_DEPTH = 3;
+
+// 已解析的模块（按路径缓存，内容变化时重新解析）
+const moduleCache = new Map();
+
+/**
+ * 解析 fixture 的 JSDoc
+ * @param {string} comment - JSDoc 源码
+ * @returns {{description: string, postconditions: string}}
+ */
+function parseFixtureJSDoc(comment) {
+  const tags = {};
+  let currentTag = 'description';
+
+  for (const line of comment.replace(/^\/\*\*|\*\/$/g, '').split('\n')) {
+    const cleanLine = line.replace(/^\s*\*\s?/, '').trim();
+    const tagMatch = cleanLine.match(/^@(\w+)\s*(.*)$/);
+
+    if (tagMatch) {
+      currentTag = tagMatch[1];
+      tags[currentTag] = tagMatch[2].trim();
+    } else if (cleanLine) {
+      tags[currentTag] = tags[currentTag] ? `${tags[currentTag]} ${cleanLine}` : cleanLine;
+    }
+  }
+
+  return {
+    description: tags.preconditions || tags.description || '',
+    postconditions: tags.postconditions || ''
+  };
+}
+
+/**
+ * 获取节点前最近的 JSDoc 源码
+ * @param {ts.Node} node - 属性节点
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @returns {string}
+ */
+function getNodeJSDoc(node, sourceFile) {
+  const text = sourceFile.getFullText();
+  const ranges = ts.getLeadingCommentRanges(text, node.getFullStart()) || [];
+
+  for (let i = ranges.length - 1; i >= 0; i--) {
+    const comment = text.substring(ranges[i].pos, ranges[i].end);
+    if (comment.startsWith('/**')) {
+      return comment;
+    }
+  }
+
+  return '';
+}
+
+function getPropertyName(node) {
+  return node.name ? node.name.getText().replace(/^['"]|['"]$/g, '') : null;
+}
+
+/**
+ * 收集文件中带 JSDoc 的 fixture 定义
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @returns {Object} fixture 名称 → {description, postconditions}
+ */
+function collectFixtureDocs(sourceFile) {
+  const fromExtend = {};
+  const fromTypes = {};
+
+  function record(target, node) {
+    const name = getPropertyName(node);
+    const jsdoc = getNodeJSDoc(node, sourceFile);
+    if (name && jsdoc) {
+      target[name] = parseFixtureJSDoc(jsdoc);
+    }
+  }
+
+  function visit(node) {
+    if (ts.isCallExpression(node) && ts.isPropertyAccessExpression(node.expression) &&
+      node.expression.name.text === 'extend') {
+      const fixtures = node.arguments[0];
+      if (fixtures && ts.isObjectLiteralExpression(fixtures)) {
+        fixtures.properties.forEach(property => record(fromExtend, property));
+      }
+    }
+
+    if (ts.isPropertySignature(node)) {
+      record(fromTypes, node);
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return { ...fromTypes, ...fromExtend };
+}
+
+/**
+ * 解析模块（按路径和内容缓存）
+ * @param {string} filePath - 文件路径
+ * @param {string} content - 文件内容
+ * @returns {{docs: Object, imports: Array<string>}}
+ */
+function parseModule(filePath, content) {
+  const cached = moduleCache.get(filePath);
+  if (cached && cached.content === content) {
+    return cached;
+  }
+
+  const sourceFile = parseSource(content, filePath);
+  const parsed = {
+    content,
+    docs: collectFixtureDocs(sourceFile),
+    imports: findRelativeImports(sourceFile)
+      .map(specifier => resolveModulePath(filePath, specifier))
+      .filter(Boolean)
+  };
+
+  moduleCache.set(filePath, parsed);
+  return parsed;
+}
+
+/**
+ * 加载测试文件可见的 fixture 说明
+ *
+ * @param {string} filePath - 测试文件绝对路径
+ * @param {string} fileContent - 测试文件内容
+ * @returns {{docs: Object, files: Array<string>}} files 为读取过的 fixture 模块（不含测试文件本身）
+ */
+function loadFixtureDocs(filePath, fileContent) {
+  const docs = {};
+  const files = [];
+  const visited = new Set([filePath]);
+  const queue = [{ modulePath: filePath, content: fileContent, depth: 0 }];
+
+  // 按引用层级广度优先读取，离测试文件越近的定义优先（测试文件中的 extend 覆盖共享 fixture）
+  while (queue.length > 0) {
+    const { modulePath, content, depth } = queue.shift();
+    const parsed = parseModule(modulePath, content);
+
+    for (const [name, doc] of Object.entries(parsed.docs)) {
+      if (!docs[name]) docs[name] = doc;
+    }
+
+    if (depth >= MAX_IMPORT_DEPTH) continue;
+
+    for (const importPath of parsed.imports) {
+      if (visited.has(importPath)) continue;
+      visited.add(importPath);
+      files.push(importPath);
+      queue.push({ modulePath: importPath, content: fs.readFileSync(importPath, 'utf-8'), depth: depth + 1 });
+    }
+  }
+
+  return { docs, files };
+}
+
+/**
+ * 生成测试所用 fixture 的前置 / 后置条件
+ *
+ * 没有说明的 Playwright 内置 fixture（page、request 等）不列出，
+ * 没有说明的自定义 fixture 只列出名称
+ *
+ * @param {Array<string>} names - 测试解构的 fixture 名称
+ * @param {Object} docs - loadFixtureDocs() 返回的 docs
+ * @returns {{preconditions: Array<string>, postconditions: Array<string>}}
+ */
+function describeFixtures(names, docs = {}) {
+  const preconditions = [];
+  const postconditions = [];
+
+  for (const name of names) {
+    const doc = docs[name];
+
+    if (!doc) {
+      if (!PLAYWRIGHT_BUILTIN_FIXTURES.has(name)) preconditions.push(`Fixture ${name}`);
+      continue;
+    }
+
+    preconditions.push(doc.description ? `Fixture ${name}: ${doc.description}` : `Fixture ${name}`);
+    if (doc.postconditions) {
+      postconditions.push(`Fixture ${name}: ${doc.postconditions}`);
+    }
+  }
+
+  return { preconditions, postconditions };
+}
+
+module.exports = {
+  PLAYWRIGHT_BUILTIN_FIXTURES,
+  collectFixtureDocs,
+  loadFixtureDocs,
+  describeFixtures
+};
@@ -0,0 +1,295 @@
+/**
+ * 测试框架适配器
+ *
+ * test-parser.js 只负责遍历 AST，每种调用属于哪一类由适配器决定，
+ * 因此不同框架解析出的都是同一种原始模型（tests / describes / steps）：
+ *
+ *   {
+ *     name: 'jest',
+ *     detect(fileContent, fileName) → boolean,   // framework: "auto" 时用于自动识别
+ *     classify(chain) → {kind, modifiers} | null // chain 如 ['it', 'only']
+ *   }
+ *
+ * kind 取值：
+ * - 'test' / 'describe': 测试定义和分组
+ * - 'step': 带回调的步骤（子步骤写在回调内），如 test.step() / qase.step()
+ * - 'marker': 无回调的步骤标记，如 Cypress 的 cy.log('...')，
+ *   标记之后到下一个标记之前的同层语句都属于该步骤
+ * - 'hook': beforeAll / beforeEach / afterEach / afterAll 钩子，
+ *   返回值中的 hook 字段为统一后的钩子类型（Mocha 的 before / after 对应 beforeAll / afterAll）
+ *
+ * .qase-config.json 配置：
+ *   "framework": "auto"                                // 或 playwright / jest / vitest / mocha / cypress
+ *   "framework": { "e2e/specs/unit/**": "vitest" }     // 按路径 glob 指定，未命中的文件自动识别
+ *   "adapters": ["./qase-adapters/my-runner.js"]      // 自定义适配器（相对于项目根目录）
+ */
+
+const path = require('path');
+const { matchesAny } = require('./file-discovery');
+
+/**
+ * 创建 Jest / Mocha 风格（全局 describe / it）的适配器
+ *
+ * @param {Object} spec
+ * @param {string} spec.name - 适配器名称
+ * @param {Object} spec.tests - 测试函数名 → 隐含的修饰符，如 { it: [], xit: ['skip'] }
+ * @param {Object} spec.describes - 分组函数名 → 隐含的修饰符
+ * @param {Array<string>} spec.testModifiers - 测试函数允许的修饰符（可链式组合）
+ * @param {Array<string>} spec.describeModifiers - 分组函数允许的修饰符
+ * @param {Array<string>} spec.steps - 步骤调用，如 ['qase.step']
+ * @param {Array<string>} spec.markers - 步骤标记调用，如 ['cy.log']
+ * @param {Object} spec.hooks - 钩子函数名 → 钩子类型，如 { before: 'beforeAll' }
+ * @param {Function} spec.detect - 自动识别函数
+ * @returns {Object}
+ */
+function createGlobalsAdapter({
+  name,
+  tests,
+  describes,
+  testModifiers = [],
+  describeModifiers = [],
+  steps = [],
+  markers = [],
+  hooks = {},
+  detect
+}) {
+  return {
+    name,
+    detect,
+    classify(chain) {
+      const [head, ...rest] = chain;
+      const callee = chain.join('.');
+
+      if (Object.prototype.hasOwnProperty.call(tests, head) && rest.every(m => testModifiers.includes(m))) {
+        return { kind: 'test', modifiers: [...tests[head], ...rest] };
+      }
+
+      if (Object.prototype.hasOwnProperty.call(describes, head) && rest.every(m => describeModifiers.includes(m))) {
+        return { kind: 'describe', modifiers: [...describes[head], ...rest] };
+      }
+
+      if (steps.includes(callee)) {
+        return { kind: 'step', modifiers: [] };
+      }
+
+      if (markers.includes(callee)) {
+        return { kind: 'marker', modifiers: [] };
+      }
+
+      if (chain.length === 1 && Object.prototype.hasOwnProperty.call(hooks, head)) {
+        return { kind: 'hook', modifiers: [], hook: hooks[head] };
+      }
+
+      return null;
+    }
+  };
+}
+
+// Jest / Vitest 的钩子
+const JEST_HOOKS = { beforeAll: 'beforeAll', beforeEach: 'beforeEach', afterEach: 'afterEach', afterAll: 'afterAll' };
+
+// Mocha / Cypress 的钩子（before / after 只执行一次）
+const MOCHA_HOOKS = { before: 'beforeAll', beforeEach: 'beforeEach', afterEach: 'afterEach', after: 'afterAll' };
+
+function importsFrom(fileContent, modules) {
+  return modules.some(moduleName => {
+    const escaped = moduleName.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    return new RegExp(`(?:from\\s+|require\\(\\s*)['"]${escaped}['"]`).test(fileContent);
+  });
+}
+
+// test() 的修饰符（test.only(...) 等）
+const PLAYWRIGHT_TEST_MODIFIERS = ['only', 'skip', 'fixme', 'fail', 'slow'];
+
+// test.describe() 的修饰符（可链式组合，如 test.describe.serial.only）
+const PLAYWRIGHT_DESCRIBE_MODIFIERS = ['only', 'skip', 'fixme', 'serial', 'parallel'];
+
+const playwrightAdapter = {
+  name: 'playwright',
+  detect: fileContent => importsFrom(fileContent, ['@playwright/test', 'playwright-qase-reporter']),
+  classify(chain) {
+    if (chain[0] !== 'test') {
+      return null;
+    }
+
+    const rest = chain.slice(1);
+
+    if (rest.length === 0) {
+      return { kind: 'test', modifiers: [] };
+    }
+
+    if (rest.length === 1 && PLAYWRIGHT_TEST_MODIFIERS.includes(rest[0])) {
+      return { kind: 'test', modifiers: rest };
+    }
+
+    if (rest[0] === 'describe' && rest.slice(1).every(m => PLAYWRIGHT_DESCRIBE_MODIFIERS.includes(m))) {
+      return { kind: 'describe', modifiers: rest.slice(1) };
+    }
+
+    if (rest.length === 1 && rest[0] === 'step') {
+      return { kind: 'step', modifiers: [] };
+    }
+
+    if (rest.length === 1 && Object.prototype.hasOwnProperty.call(JEST_HOOKS, rest[0])) {
+      return { kind: 'hook', modifiers: [], hook: rest[0] };
+    }
+
+    return null;
+  }
+};
+
+const jestAdapter = createGlobalsAdapter({
+  name: 'jest',
+  tests: { it: [], test: [], fit: ['only'], xit: ['skip'], xtest: ['skip'] },
+  describes: { describe: [], fdescribe: ['only'], xdescribe: ['skip'] },
+  testModifiers: ['only', 'skip', 'todo', 'concurrent', 'failing'],
+  describeModifiers: ['only', 'skip'],
+  steps: ['qase.step'],
+  hooks: JEST_HOOKS,
+  detect: fileContent =>
+    importsFrom(fileContent, ['@jest/globals', 'jest-qase-reporter', 'jest-qase-reporter/jest']) ||
+    /\bjest\.(fn|mock|spyOn|useFakeTimers)\(/.test(fileContent)
+});
+
+const vitestAdapter = createGlobalsAdapter({
+  name: 'vitest',
+  tests: { it: [], test: [] },
+  describes: { describe: [], suite: [] },
+  testModifiers: ['only', 'skip', 'todo', 'concurrent', 'sequential', 'fails'],
+  describeModifiers: ['only', 'skip', 'todo', 'concurrent', 'sequential', 'shuffle'],
+  steps: ['qase.step'],
+  hooks: JEST_HOOKS,
+  detect: fileContent => importsFrom(fileContent, ['vitest', 'vitest-qase-reporter', 'vitest-qase-reporter/vitest'])
+});
+
+const mochaAdapter = createGlobalsAdapter({
+  name: 'mocha',
+  tests: { it: [], test: [], specify: [], xit: ['skip'], xspecify: ['skip'] },
+  describes: { describe: [], context: [], suite: [], xdescribe: ['skip'], xcontext: ['skip'] },
+  testModifiers: ['only', 'skip'],
+  describeModifiers: ['only', 'skip'],
+  steps: ['qase.step'],
+  hooks: MOCHA_HOOKS,
+  detect: fileContent => importsFrom(fileContent, ['mocha', 'mocha-qase-reporter', 'mocha-qase-reporter/mocha'])
+});
+
+const cypressAdapter = createGlobalsAdapter({
+  name: 'cypress',
+  tests: { it: [], specify: [], xit: ['skip'], xspecify: ['skip'] },
+  describes: { describe: [], context: [], xdescribe: ['skip'], xcontext: ['skip'] },
+  testModifiers: ['only', 'skip'],
+  describeModifiers: ['only', 'skip'],
+  steps: ['qase.step'],
+  markers: ['cy.log'],
+  hooks: MOCHA_HOOKS,
+  detect: (fileContent, fileName = '') =>
+    /\.cy\.[cm]?[jt]sx?$/.test(fileName) ||
+    importsFrom(fileContent, ['cypress', 'cypress-qase-reporter', 'cypress-qase-reporter/mocha']) ||
+    /\bcy\.(visit|get|request|intercept|log)\(/.test(fileContent)
+});
+
+// 内置适配器（自动识别按此顺序，显式 import 优先于 cy.* 等用法特征）
+const BUILTIN_ADAPTERS = [playwrightAdapter, vitestAdapter, jestAdapter, mochaAdapter, cypressAdapter];
+
+/**
+ * 校验适配器对象
+ * @param {Object} adapter - 适配器
+ * @param {string} source - 来源（用于错误信息）
+ */
+function assertAdapter(adapter, source) {
+  if (!adapter || typeof adapter.name !== 'string' || typeof adapter.classify !== 'function') {
+    throw new Error(`无效的框架适配器 ${source}：需要导出 { name, classify(chain), detect?(content, fileName) }`);
+  }
+}
+
+/**
+ * 从文件内容和文件名自动识别框架
+ *
+ * 先按 import 和文件名特征匹配，都未命中时：
+ * 使用全局 describe() / it() 的文件按 Jest 处理，其余按 Playwright 处理
+ *
+ * @param {string} fileContent - 文件内容
+ * @param {string} fileName - 文件名
+ * @param {Array<Object>} adapters - 候选适配器
+ * @returns {Object} 适配器
+ */
+function detectAdapter(fileContent, fileName = '', adapters = BUILTIN_ADAPTERS) {
+  const detected = adapters.find(adapter => adapter.detect && adapter.detect(fileContent, fileName));
+  if (detected) {
+    return detected;
+  }
+
+  return /(^|[^.\w])(describe|it)\s*\(/m.test(fileContent) ? jestAdapter : playwrightAdapter;
+}
+
+/**
+ * 加载配置中的全部适配器（内置 + adapters 自定义模块）
+ * @param {Object} config - 配置对象
+ * @param {string} rootDir - 项目根目录
+ * @returns {Array<Object>} 自定义适配器排在前面，可以覆盖同名的内置适配器
+ */
+function loadAdapters(config = {}, rootDir = process.cwd()) {
+  const custom = (config.adapters || []).map(modulePath => {
+    const adapter = require(path.resolve(rootDir, modulePath));
+    assertAdapter(adapter, modulePath);
+    return adapter;
+  });
+
+  const names = new Set(custom.map(adapter => adapter.name));
+  return [...custom, ...BUILTIN_ADAPTERS.filter(adapter => !names.has(adapter.name))];
+}
+
+/**
+ * 创建按文件选择适配器的函数
+ *
+ * @param {Object} config - 配置对象（framework / adapters）
+ * @param {string} rootDir - 项目根目录
+ * @returns {Function} (fileContent, relativeFilePath) => 适配器
+ */
+function createAdapterResolver(config = {}, rootDir = process.cwd()) {
+  const adapters = loadAdapters(config, rootDir);
+  const framework = config.framework || 'auto';
+
+  const findByName = name => {
+    const adapter = adapters.find(candidate => candidate.name === name);
+    if (!adapter) {
+      throw new Error(
+        `未知的测试框架 "${name}"（可用: auto, ${adapters.map(candidate => candidate.name).join(', ')}）`
+      );
+    }
+    return adapter;
+  };
+
+  // 按路径 glob 指定的框架
+  const overrides = typeof framework === 'object'
+    ? Object.entries(framework).map(([pattern, name]) => ({ pattern, adapter: findByName(name) }))
+    : [];
+  const fixed = typeof framework === 'string' && framework !== 'auto' ? findByName(framework) : null;
+
+  return (fileContent, relativeFilePath = '') => {
+    if (fixed) {
+      return fixed;
+    }
+
+    const normalized = relativeFilePath.split('\\').join('/');
+    const override = overrides.find(({ pattern }) => matchesAny(normalized, [pattern]));
+    if (override) {
+      return override.adapter;
+    }
+
+    return detectAdapter(fileContent, path.basename(normalized), adapters);
+  };
+}
+
+module.exports = {
+  BUILTIN_ADAPTERS,
+  playwright: playwrightAdapter,
+  jest: jestAdapter,
+  vitest: vitestAdapter,
+  mocha: mochaAdapter,
+  cypress: cypressAdapter,
+  createGlobalsAdapter,
+  detectAdapter,
+  loadAdapters,
+  createAdapterResolver
+};
@@ -0,0 +1,330 @@
+/**
+ * Gherkin .feature 文件解析器（playwright-bdd 等 BDD 项目）
+ *
+ * 输出与 test-parser.js 相同的原始模型（framework: 'gherkin'），映射关系：
+ * - Feature / Rule → describePath（Suite 层级）
+ * - Scenario / Scenario Outline → test，Custom ID 来自 @TC-API-SYNC-001 这样的标签
+ * - Given / When / Then / And / But → steps（Doc String 和 Data Table 作为步骤数据）
+ * - Background → preconditions（Feature 级在前，Rule 级在后）
+ * - Examples 表格 → parameters（{ 参数名: [取值] }，同步为 Qase 参数）
+ * - @QaseID=123 标签 → qaseId；@only / @skip / @fixme / @fail / @slow → modifiers
+ *
+ * 只支持英文关键字（# language: 未处理）
+ */
+
+// Scenario 级别的修饰符标签（playwright-bdd 的特殊标签）
+const MODIFIER_TAGS = ['only', 'skip', 'fixme', 'fail', 'slow'];
+
+// Custom ID 标签：大写字母/数字片段，最后一段为数字（如 @TC-API-SYNC-001）
+const CUSTOM_ID_TAG = /^[A-Z][A-Z0-9]*(?:[-_.][A-Z0-9]+)*[-_.]\d+$/;
+
+// Qase ID 标签（与 Qase Cucumber reporter 一致）
+const QASE_ID_TAG = /^QaseID=(\d+)$/i;
+
+const STEP_KEYWORDS = ['Given', 'When', 'Then', 'And', 'But', '*'];
+
+/**
+ * 解析关键字行（如 "Scenario Outline: 标题"）
+ * @param {string} text - 去掉缩进的行
+ * @returns {{keyword: string, name: string}|null}
+ */
+function matchBlockKeyword(text) {
+  const match = text.match(/^(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenario|Example|Examples|Scenarios):\s*(.*)$/);
+  if (!match) return null;
+
+  const aliases = {
+    'Scenario Template': 'Scenario Outline',
+    Example: 'Scenario',
+    Scenarios: 'Examples'
+  };
+
+  return { keyword: aliases[match[1]] || match[1], name: match[2].trim() };
+}
+
+/**
+ * 解析步骤行（如 "Given 用户已登录"）
+ * @param {string} text - 去掉缩进的行
+ * @returns {{keyword: string, text: string}|null}
+ */
+function matchStep(text) {
+  for (const keyword of STEP_KEYWORDS) {
+    if (text.startsWith(keyword + ' ')) {
+      return { keyword, text: text.substring(keyword.length).trim() };
+    }
+  }
+  return null;
+}
+
+function parseTableRow(text) {
+  return text
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * 拆分标签：Custom ID、Qase ID、修饰符和普通标签
+ * @param {Array<string>} tags - 带 @ 的标签
+ * @returns {{customId: string|null, qaseId: number|null, modifiers: Array<string>, tags: Array<string>}}
+ */
+function splitTags(tags) {
+  const result = { customId: null, qaseId: null, modifiers: [], tags: [] };
+
+  for (const tag of tags) {
+    const name = tag.replace(/^@/, '');
+    const qaseIdMatch = name.match(QASE_ID_TAG);
+
+    if (qaseIdMatch) {
+      result.qaseId = parseInt(qaseIdMatch[1], 10);
+    } else if (!result.customId && CUSTOM_ID_TAG.test(name)) {
+      result.customId = name;
+    } else if (MODIFIER_TAGS.includes(name)) {
+      result.modifiers.push(name);
+    } else {
+      result.tags.push(tag);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 将步骤列表转换为前置条件文本
+ * @param {Array<Object>} steps - Background 步骤
+ * @returns {string}
+ */
+function formatBackground(steps) {
+  return steps
+    .map(step => (step.data ? `${step.title}\n${step.data}` : step.title))
+    .join('\n');
+}
+
+/**
+ * 解析 .feature 文件
+ *
+ * @param {string} fileContent - 文件内容
+ * @returns {{framework: string, tests: Array<Object>, describes: Array<Object>}}
+ *
+ * test 的字段与 parseTestFile() 一致，另外包含：
+ * - description: Scenario 的描述文本（没有时使用 Feature 描述）
+ * - preconditions: Background 步骤
+ * - parameters: Examples 表格中的参数 { 参数名: [取值] }
+ * - stepsType: 'gherkin'
+ */
+function parseFeatureFile(fileContent) {
+  const lines = fileContent.split(/\r?\n/);
+  const describes = [];
+  const tests = [];
+
+  let pendingTags = [];
+  let feature = null;
+  let rule = null;
+  let current = null; // 当前块：{ type, node, steps, description }
+  let lastStep = null;
+  let examples = null; // 当前 Examples 表格 { header, scenario }
+  let docString = null; // { fence, lines, step }
+
+  function closeScenario() {
+    if (current && current.type === 'scenario') {
+      current.node.location.end = { line: current.lastLine, column: lines[current.lastLine - 1].length + 1 };
+      current.node.body = lines.slice(current.node.location.start.line - 1, current.lastLine).join('\n');
+    }
+  }
+
+  function openDescribe(type, name, tags, lineNumber) {
+    const { modifiers, tags: plainTags } = splitTags(tags);
+    const inherited = type === 'rule' && feature ? [feature] : [];
+    const describe = {
+      name,
+      modifiers,
+      tags: plainTags,
+      annotations: [],
+      jsdoc: '',
+      description: '',
+      background: [],
+      location: {
+        start: { line: lineNumber, column: lines[lineNumber - 1].search(/\S/) + 1 },
+        end: { line: lineNumber, column: lines[lineNumber - 1].length + 1 }
+      },
+      path: inherited.map(d => d.name)
+    };
+    describes.push(describe);
+    return describe;
+  }
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const text = line.trim();
+
+    // Doc String（""" 或 ```）作为上一个步骤的数据
+    if (docString) {
+      if (text === docString.fence) {
+        docString.step.data = docString.lines.join('\n');
+        docString = null;
+      } else {
+        docString.lines.push(line.substring(Math.min(docString.indent, line.search(/\S|$/))));
+      }
+      if (current) current.lastLine = lineNumber;
+      return;
+    }
+
+    if (!text || text.startsWith('#')) {
+      return;
+    }
+
+    if (text.startsWith('@')) {
+      pendingTags.push(...text.split(/\s+/).filter(tag => tag.startsWith('@')));
+      return;
+    }
+
+    const block = matchBlockKeyword(text);
+
+    if (block) {
+      const tags = pendingTags;
+      pendingTags = [];
+      lastStep = null;
+      examples = null;
+
+      if (block.keyword === 'Examples') {
+        // Examples 属于最近的 Scenario Outline
+        if (current && current.type === 'scenario') {
+          examples = { header: null, scenario: current.node };
+          current.lastLine = lineNumber;
+        }
+        return;
+      }
+
+      closeScenario();
+
+      if (block.keyword === 'Feature') {
+        feature = openDescribe('feature', block.name, tags, lineNumber);
+        rule = null;
+        current = { type: 'describe', node: feature };
+      } else if (block.keyword === 'Rule') {
+        rule = openDescribe('rule', block.name, tags, lineNumber);
+        current = { type: 'describe', node: rule };
+      } else if (block.keyword === 'Background') {
+        const owner = rule || feature;
+        current = { type: 'background', node: owner };
+      } else {
+        const containers = [feature, rule].filter(Boolean);
+        const own = splitTags(tags);
+        const inheritedTags = containers.flatMap(d => d.tags);
+        const customId = own.customId;
+
+        const scenario = {
+          rawTitle: customId ? `${customId}: ${block.name}` : block.name,
+          customId,
+          title: block.name,
+          modifiers: [...new Set([...containers.flatMap(d => d.modifiers), ...own.modifiers])],
+          tags: [...new Set([...inheritedTags, ...own.tags])],
+          annotations: [],
+          describePath: containers.map(d => d.name).filter(Boolean),
+          jsdoc: '',
+          body: '',
+          steps: [],
+          qaseId: own.qaseId,
+          location: {
+            start: { line: lineNumber, column: line.search(/\S/) + 1 },
+            end: { line: lineNumber, column: line.length + 1 }
+          },
+          description: '',
+          preconditions: formatBackground(containers.flatMap(d => d.background)),
+          parameters: {},
+          outline: block.keyword === 'Scenario Outline',
+          stepsType: 'gherkin'
+        };
+        tests.push(scenario);
+        current = { type: 'scenario', node: scenario, lastLine: lineNumber };
+      }
+      return;
+    }
+
+    if (!current) {
+      return;
+    }
+
+    if (current.type === 'scenario') {
+      current.lastLine = lineNumber;
+    }
+
+    // Examples 表格：第一行为参数名，其余行为取值
+    if (examples && text.startsWith('|')) {
+      const cells = parseTableRow(text);
+      if (!examples.header) {
+        examples.header = cells;
+        cells.forEach(name => {
+          if (!examples.scenario.parameters[name]) examples.scenario.parameters[name] = [];
+        });
+      } else {
+        examples.header.forEach((name, i) => {
+          const values = examples.scenario.parameters[name];
+          if (cells[i] !== undefined && !values.includes(cells[i])) values.push(cells[i]);
+        });
+      }
+      return;
+    }
+
+    // Data Table 作为上一个步骤的数据
+    if (lastStep && text.startsWith('|')) {
+      lastStep.data = lastStep.data ? `${lastStep.data}\n${text}` : text;
+      return;
+    }
+
+    if (lastStep && (text.startsWith('"""') || text.startsWith('```'))) {
+      docString = { fence: text.substring(0, 3), lines: [], step: lastStep, indent: line.search(/\S/) };
+      return;
+    }
+
+    const step = matchStep(text);
+
+    if (step && current.type !== 'describe') {
+      lastStep = {
+        title: `${step.keyword} ${step.text}`,
+        keyword: step.keyword,
+        location: {
+          start: { line: lineNumber, column: line.search(/\S/) + 1 },
+          end: { line: lineNumber, column: line.length + 1 }
+        },
+        body: '',
+        ownBody: '',
+        assertions: [],
+        children: [],
+        data: ''
+      };
+
+      if (current.type === 'background') {
+        current.node.background.push(lastStep);
+      } else {
+        current.node.steps.push(lastStep);
+      }
+      return;
+    }
+
+    // 关键字之后、第一个步骤之前的自由文本是描述
+    if (!lastStep && current.type !== 'background') {
+      current.node.description = current.node.description ? `${current.node.description}\n${text}` : text;
+    }
+  });
+
+  closeScenario();
+
+  // 没有自身描述的 Scenario 使用 Feature 描述
+  for (const test of tests) {
+    if (!test.description && feature) {
+      test.description = feature.description;
+    }
+  }
+
+  return {
+    framework: 'gherkin',
+    tests,
+    describes: describes.map(({ background, ...describe }) => describe)
+  };
+}
+
+module.exports = {
+  parseFeatureFile,
+  splitTags
+};
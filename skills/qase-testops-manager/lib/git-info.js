@@ -0,0 +1,211 @@
+/**
+ * 测试用例的 git 信息（行号范围、最后修改者、源码链接）
+ *
+ * 每个测试文件运行一次 git blame --line-porcelain，在测试定义的行范围内
+ * 取提交时间最新的一行作为"最后修改"：作者即用例 owner，提交即 lastCommit。
+ * 尚未提交的行不参与计算（提交后下次同步自动更新）。
+ *
+ * 源码链接由 .qase-config.json 的 git.sourceUrl 模板生成：
+ *
+ *   "git": {
+ *     "sourceUrl": "https://github.com/acme/app/blob/{ref}/{path}#L{line}-L{endLine}"
+ *   }
+ *
+ * 占位符：{path}（相对于仓库根目录）、{line}、{endLine}、{ref}（当前 HEAD 提交）、
+ * {branch}（当前分支）、{commit}（用例的最后修改提交）
+ *
+ * 不在 git 仓库中或文件未被跟踪时，只记录行号范围
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// 未提交行在 blame 中的提交哈希
+const UNCOMMITTED_SHA = /^0+$/;
+
+/**
+ * 运行 git 命令，失败时返回 null
+ * @param {Array<string>} args - git 参数
+ * @param {string} cwd - 工作目录
+ * @returns {string|null}
+ */
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 读取仓库信息
+ * @param {string} cwd - 项目目录
+ * @returns {{root: string, head: string, branch: string}|null} 不在 git 仓库中时为 null
+ */
+function getRepoInfo(cwd) {
+  const root = git(['rev-parse', '--show-toplevel'], cwd);
+  if (root === null) {
+    return null;
+  }
+
+  return {
+    root: root.trim(),
+    head: (git(['rev-parse', 'HEAD'], cwd) || '').trim(),
+    branch: (git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd) || '').trim()
+  };
+}
+
+/**
+ * 解析 git blame --line-porcelain 输出
+ * @param {string} output - blame 输出
+ * @returns {Array<Object>} 下标为行号（从 1 开始）→ {commit, author, authorEmail, authorTime}
+ */
+function parseBlamePorcelain(output) {
+  const lines = [];
+  let current = null;
+
+  for (const line of output.split('\n')) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+
+    if (header) {
+      current = { commit: header[1], line: Number(header[2]) };
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith('author ')) {
+      current.author = line.slice('author '.length);
+    } else if (line.startsWith('author-mail ')) {
+      current.authorEmail = line.slice('author-mail '.length).replace(/^<|>$/g, '');
+    } else if (line.startsWith('author-time ')) {
+      current.authorTime = Number(line.slice('author-time '.length));
+    } else if (line.startsWith('\t')) {
+      // 源码行（每行记录的结尾）
+      lines[current.line] = {
+        commit: current.commit,
+        author: current.author,
+        authorEmail: current.authorEmail,
+        authorTime: current.authorTime
+      };
+      current = null;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * 对文件运行 git blame
+ * @param {string} filePath - 文件绝对路径
+ * @returns {Array<Object>|null} parseBlamePorcelain() 的结果，文件未被跟踪时为 null
+ */
+function blameFile(filePath) {
+  const output = git(['blame', '--line-porcelain', '--', path.basename(filePath)], path.dirname(filePath));
+  return output === null ? null : parseBlamePorcelain(output);
+}
+
+/**
+ * 行范围内的最后修改
+ * @param {Array<Object>} blame - blameFile() 的结果
+ * @param {number} startLine - 起始行
+ * @param {number} endLine - 结束行
+ * @returns {{author: string, authorEmail: string, commit: string, date: string}|null}
+ */
+function lastModification(blame, startLine, endLine) {
+  let latest = null;
+
+  for (let line = startLine; line <= endLine; line++) {
+    const entry = blame[line];
+    if (!entry || UNCOMMITTED_SHA.test(entry.commit)) continue;
+    if (!latest || entry.authorTime > latest.authorTime) {
+      latest = entry;
+    }
+  }
+
+  if (!latest) {
+    return null;
+  }
+
+  return {
+    author: latest.author,
+    authorEmail: latest.authorEmail,
+    commit: latest.commit,
+    date: new Date(latest.authorTime * 1000).toISOString()
+  };
+}
+
+/**
+ * 按模板生成源码链接
+ * @param {string} template - git.sourceUrl 模板
+ * @param {Object} values - {path, line, endLine, ref, branch, commit}
+ * @returns {string}
+ */
+function buildSourceUrl(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (values[name] !== undefined && values[name] !== null ? String(values[name]) : placeholder));
+}
+
+/**
+ * 为测试用例补充 git 信息
+ *
+ * 新增字段：
+ * - lines: {start, end}         测试定义的行号范围
+ * - owner: {name, email}|null   范围内最后修改的作者
+ * - lastCommit: {sha, date}|null 范围内最后修改的提交
+ * - sourceUrl: string           源码链接（没有 sourceUrl 模板时为 "路径:起始行-结束行"）
+ *
+ * @param {Array<Object>} testCases - 提取的测试用例（filePath 相对于 rootDir）
+ * @param {Object} options
+ * @param {string} options.rootDir - 项目根目录
+ * @param {Object} options.config - .qase-config.json 的 git 配置 {blame, sourceUrl}
+ * @returns {Array<Object>} 同一数组（原地补充）
+ */
+function annotateGitInfo(testCases, { rootDir, config = {} }) {
+  const repo = config.blame === false && !config.sourceUrl ? null : getRepoInfo(rootDir);
+  const blames = new Map();
+
+  for (const testCase of testCases) {
+    const { start, end } = testCase.location;
+    const filePath = path.resolve(rootDir, testCase.filePath);
+    // git 返回的仓库根目录是真实路径（如 macOS 的 /private/var）
+    const repoPath = repo
+      ? path.relative(repo.root, fs.existsSync(filePath) ? fs.realpathSync(filePath) : filePath).split(path.sep).join('/')
+      : testCase.filePath;
+
+    if (repo && config.blame !== false && !blames.has(filePath)) {
+      blames.set(filePath, blameFile(filePath));
+    }
+
+    const blame = blames.get(filePath);
+    const modification = blame ? lastModification(blame, start.line, end.line) : null;
+
+    testCase.lines = { start: start.line, end: end.line };
+    testCase.owner = modification ? { name: modification.author, email: modification.authorEmail } : null;
+    testCase.lastCommit = modification ? { sha: modification.commit, date: modification.date } : null;
+    testCase.sourceUrl = config.sourceUrl && repo
+      ? buildSourceUrl(config.sourceUrl, {
+        path: repoPath,
+        line: start.line,
+        endLine: end.line,
+        ref: repo.head,
+        branch: repo.branch,
+        commit: modification ? modification.commit : repo.head
+      })
+      : `${testCase.filePath}:${start.line}-${end.line}`;
+  }
+
+  return testCases;
+}
+
+module.exports = {
+  getRepoInfo,
+  parseBlamePorcelain,
+  blameFile,
+  lastModification,
+  buildSourceUrl,
+  annotateGitInfo
+};
@@ -0,0 +1,442 @@
+/**
+ * 页面对象 / helper 中的步骤展开
+ *
+ * 测试中常见 await inbox.archiveMessage() 这样的调用，test.step() 写在 helper 内部。
+ * 提取时沿相对路径 import 找到 helper 的定义，把其中的步骤按调用顺序展开到用例步骤中：
+ * - 函数调用：archiveMessage(page)，定义在测试文件中或通过 import 引入（含 import * as helpers）
+ * - 方法调用：inbox.archiveMessage()，按变量的类型找到类（const inbox = new InboxPage(page)、
+ *   inbox: InboxPage 类型声明、base.extend<{ inbox: InboxPage }> 等 fixture 类型）；
+ *   找不到类型时，使用可达模块中唯一的同名类方法
+ * - this.method()：当前类（含 extends 的父类）的方法
+ * - @step / @step('标题') 装饰的方法本身是一个步骤（默认标题为 类名.方法名），方法内的步骤作为子步骤
+ *
+ * helper 内再调用 helper 时继续展开，最多 helperDepth 层（.qase-config.json，默认 2，0 为不展开）
+ */
+
+const fs = require('fs');
+const ts = require('typescript');
+const {
+  parseSource,
+  collectSteps,
+  collectAssertions,
+  getOwnText,
+  getStaticText,
+  getLocation
+} = require('./test-parser');
+const { findRelativeImports, resolveModulePath } = require('./module-graph');
+const { PLAYWRIGHT_BUILTIN_FIXTURES } = require('./fixture-docs');
+
+const DEFAULT_HELPER_DEPTH = 2;
+
+// 步骤装饰器名称（@step / @step('标题')）
+const STEP_DECORATOR = 'step';
+
+// 已解析的模块（按路径缓存，内容变化时重新解析）
+const moduleCache = new Map();
+
+function isFunctionNode(node) {
+  return Boolean(node) && (ts.isArrowFunction(node) || ts.isFunctionExpression(node));
+}
+
+/**
+ * 读取类型注解中的类名（如 inbox: InboxPage → 'InboxPage'）
+ * @param {ts.TypeNode} type - 类型节点
+ * @returns {string|null}
+ */
+function getTypeName(type) {
+  return type && ts.isTypeReferenceNode(type) && ts.isIdentifier(type.typeName) ? type.typeName.text : null;
+}
+
+function getNewClassName(node) {
+  return node && ts.isNewExpression(node) && ts.isIdentifier(node.expression) ? node.expression.text : null;
+}
+
+/**
+ * 收集变量 / 属性名 → 类名的对应关系
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @returns {Map<string, string>}
+ */
+function collectTypeHints(sourceFile) {
+  const hints = new Map();
+  const hint = (name, className) => {
+    if (name && className && !hints.has(name)) hints.set(name, className);
+  };
+
+  function visit(node) {
+    if (ts.isVariableDeclaration(node) || ts.isPropertyDeclaration(node) ||
+      ts.isPropertySignature(node) || ts.isParameter(node)) {
+      if (ts.isIdentifier(node.name)) {
+        hint(node.name.text, getTypeName(node.type) || getNewClassName(node.initializer));
+      }
+    }
+
+    // this.inbox = new InboxPage(page)
+    if (ts.isBinaryExpression(node) && node.operatorToken.kind === ts.SyntaxKind.EqualsToken &&
+      ts.isPropertyAccessExpression(node.left) && node.left.expression.kind === ts.SyntaxKind.ThisKeyword) {
+      hint(node.left.name.text, getNewClassName(node.right));
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return hints;
+}
+
+/**
+ * 建立模块索引：顶层函数、类、import 绑定和类型提示
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @param {string} modulePath - 文件路径
+ * @returns {Object}
+ */
+function indexModule(sourceFile, modulePath) {
+  const info = {
+    path: modulePath,
+    sourceFile,
+    functions: new Map(),
+    classes: new Map(),
+    imports: new Map(), // 本地名称 → { path, name }（name 为 'default' / '*' / 导出名）
+    reexports: [], // export * from / export { a as b } from
+    dependencies: findRelativeImports(sourceFile)
+      .map(specifier => resolveModulePath(modulePath, specifier))
+      .filter(Boolean),
+    hints: collectTypeHints(sourceFile)
+  };
+
+  const resolve = specifier => (specifier.startsWith('.') ? resolveModulePath(modulePath, specifier) : null);
+
+  for (const statement of sourceFile.statements) {
+    if (ts.isFunctionDeclaration(statement) && statement.name && statement.body) {
+      info.functions.set(statement.name.text, statement);
+    } else if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations) {
+        if (ts.isIdentifier(declaration.name) && isFunctionNode(declaration.initializer)) {
+          info.functions.set(declaration.name.text, declaration.initializer);
+        }
+      }
+    } else if (ts.isClassDeclaration(statement) && statement.name) {
+      info.classes.set(statement.name.text, statement);
+    } else if (ts.isImportDeclaration(statement) && statement.importClause) {
+      const importPath = resolve(statement.moduleSpecifier.text);
+      const { name, namedBindings } = statement.importClause;
+      if (!importPath) continue;
+
+      if (name) info.imports.set(name.text, { path: importPath, name: 'default' });
+      if (namedBindings && ts.isNamespaceImport(namedBindings)) {
+        info.imports.set(namedBindings.name.text, { path: importPath, name: '*' });
+      } else if (namedBindings) {
+        for (const element of namedBindings.elements) {
+          info.imports.set(element.name.text, { path: importPath, name: (element.propertyName || element.name).text });
+        }
+      }
+    } else if (ts.isExportDeclaration(statement) && statement.moduleSpecifier) {
+      const exportPath = resolve(statement.moduleSpecifier.text);
+      if (!exportPath) continue;
+
+      const names = statement.exportClause && ts.isNamedExports(statement.exportClause)
+        ? new Map(statement.exportClause.elements.map(element =>
+          [element.name.text, (element.propertyName || element.name).text]))
+        : null;
+      info.reexports.push({ path: exportPath, names });
+    }
+  }
+
+  return info;
+}
+
+/**
+ * 读取 @step 装饰器
+ * @param {ts.Node} node - 方法声明
+ * @returns {{title: string|null}|null}
+ */
+function getStepDecorator(node) {
+  const decorators = ts.canHaveDecorators(node) ? ts.getDecorators(node) || [] : [];
+
+  for (const decorator of decorators) {
+    const expression = decorator.expression;
+
+    if (ts.isIdentifier(expression) && expression.text === STEP_DECORATOR) {
+      return { title: null };
+    }
+
+    if (ts.isCallExpression(expression) && ts.isIdentifier(expression.expression) &&
+      expression.expression.text === STEP_DECORATOR) {
+      return { title: getStaticText(expression.arguments[0]) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 标记定义在 helper 模块中的步骤（file 为模块路径，位置属于该模块而不是测试文件）
+ * 更深层展开的步骤已有 file，保持不变
+ */
+function markHelperFile(steps, file) {
+  for (const step of steps) {
+    if (!step.file) {
+      step.file = file;
+      markHelperFile(step.children || [], file);
+    }
+  }
+}
+
+/**
+ * 创建 helper 步骤展开函数（每个测试文件一个）
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - 测试文件绝对路径
+ * @param {Object} options.adapter - 框架适配器
+ * @param {number} options.depth - 最大展开层数
+ * @returns {{expand: Function, files: Function}}
+ *   expand: (callNode, sourceFile) => 步骤数组，传给 parseTestFile() 的 expandHelper
+ *   files: () => 读取过的模块路径（不含测试文件本身，用于提取缓存的依赖）
+ */
+function createHelperExpander({ filePath, adapter, depth = DEFAULT_HELPER_DEPTH }) {
+  const modulesByPath = new Map();
+  const modulesBySource = new Map();
+  const expanded = new Map(); // 已展开的 helper（按层级缓存）
+  const active = new Set(); // 正在展开的 helper（防止递归调用死循环）
+  let reachable = null;
+
+  function loadModule(modulePath) {
+    if (modulesByPath.has(modulePath)) {
+      return modulesByPath.get(modulePath);
+    }
+
+    const content = fs.readFileSync(modulePath, 'utf-8');
+    const cached = moduleCache.get(modulePath);
+    const info = cached && cached.content === content
+      ? cached.info
+      : indexModule(parseSource(content, modulePath), modulePath);
+
+    moduleCache.set(modulePath, { content, info });
+    modulesByPath.set(modulePath, info);
+    modulesBySource.set(info.sourceFile, info);
+    return info;
+  }
+
+  // 传入的源文件不是 helper 模块时，就是测试文件本身
+  function moduleForSource(sourceFile) {
+    if (!modulesBySource.has(sourceFile)) {
+      const info = indexModule(sourceFile, filePath);
+      modulesBySource.set(sourceFile, info);
+      if (!modulesByPath.has(filePath)) modulesByPath.set(filePath, info);
+    }
+    return modulesBySource.get(sourceFile);
+  }
+
+  // 从测试文件出发可达的模块（按 import 层级，最多 depth + 1 层）
+  function reachableModules() {
+    if (!reachable) {
+      const start = modulesByPath.get(filePath);
+      const visited = new Set([filePath]);
+      let frontier = start ? [start] : [];
+      reachable = [...frontier];
+
+      for (let level = 0; level <= depth && frontier.length > 0; level++) {
+        frontier = frontier
+          .flatMap(info => info.dependencies)
+          .filter(dependency => !visited.has(dependency) && visited.add(dependency))
+          .map(loadModule);
+        reachable.push(...frontier);
+      }
+    }
+    return reachable;
+  }
+
+  /**
+   * 查找模块导出的函数或类（跟随 export from）
+   * @param {Object} info - 模块索引
+   * @param {string} name - 导出名
+   * @param {string} kind - 'functions' | 'classes'
+   */
+  function findExport(info, name, kind, seen = new Set()) {
+    if (seen.has(info.path)) return null;
+    seen.add(info.path);
+
+    if (info[kind].has(name)) {
+      return { info, node: info[kind].get(name), name };
+    }
+
+    for (const reexport of info.reexports) {
+      if (reexport.names && !reexport.names.has(name)) continue;
+      const found = findExport(loadModule(reexport.path), reexport.names ? reexport.names.get(name) : name, kind, seen);
+      if (found) return found;
+    }
+
+    return null;
+  }
+
+  // 在模块自身、import 绑定中查找函数或类
+  function findDeclaration(info, name, kind) {
+    if (info[kind].has(name)) {
+      return { info, node: info[kind].get(name), name };
+    }
+
+    const binding = info.imports.get(name);
+    if (binding && binding.name !== '*') {
+      return findExport(loadModule(binding.path), binding.name, kind);
+    }
+
+    return null;
+  }
+
+  function findClass(info, className) {
+    const found = findDeclaration(info, className, 'classes');
+    if (found) return found;
+
+    const owner = reachableModules().find(candidate => candidate.classes.has(className));
+    return owner ? { info: owner, node: owner.classes.get(className), name: className } : null;
+  }
+
+  /**
+   * 查找类方法（含 extends 的父类）
+   * @param {{info: Object, node: ts.ClassDeclaration, name: string}} classRef - 类
+   * @param {string} methodName - 方法名
+   * @param {boolean} inherited - 是否查找父类
+   */
+  function findMethod(classRef, methodName, inherited = true) {
+    for (const member of classRef.node.members) {
+      if (!member.name || member.name.getText(classRef.info.sourceFile) !== methodName) continue;
+
+      if (ts.isMethodDeclaration(member) && member.body) {
+        return { info: classRef.info, node: member, className: classRef.name, name: methodName };
+      }
+
+      // archive = async () => {}
+      if (ts.isPropertyDeclaration(member) && isFunctionNode(member.initializer)) {
+        return { info: classRef.info, node: member.initializer, className: classRef.name, name: methodName };
+      }
+    }
+
+    const heritage = inherited && (classRef.node.heritageClauses || [])
+      .find(clause => clause.token === ts.SyntaxKind.ExtendsKeyword);
+    const base = heritage && heritage.types[0] && ts.isIdentifier(heritage.types[0].expression)
+      ? findClass(classRef.info, heritage.types[0].expression.text)
+      : null;
+
+    return base ? findMethod(base, methodName) : null;
+  }
+
+  function findHint(info, name) {
+    if (info.hints.has(name)) return info.hints.get(name);
+    const owner = reachableModules().find(candidate => candidate.hints.has(name));
+    return owner ? owner.hints.get(name) : null;
+  }
+
+  /**
+   * 解析调用目标
+   * @param {ts.CallExpression} node - 调用表达式
+   * @param {Object} info - 调用所在模块的索引
+   * @returns {Object|null} { info, node（函数 / 方法声明）, className?, name }
+   */
+  function resolveCall(node, info) {
+    const callee = node.expression;
+
+    if (ts.isIdentifier(callee)) {
+      return findDeclaration(info, callee.text, 'functions');
+    }
+
+    if (!ts.isPropertyAccessExpression(callee)) {
+      return null;
+    }
+
+    const methodName = callee.name.text;
+    const receiver = callee.expression;
+
+    if (receiver.kind === ts.SyntaxKind.ThisKeyword) {
+      let owner = node.parent;
+      while (owner && !ts.isClassDeclaration(owner)) owner = owner.parent;
+      return owner && owner.name ? findMethod({ info, node: owner, name: owner.name.text }, methodName) : null;
+    }
+
+    // import * as helpers from './helpers' → helpers.archive()
+    const binding = ts.isIdentifier(receiver) ? info.imports.get(receiver.text) : null;
+    if (binding && binding.name === '*') {
+      return findExport(loadModule(binding.path), methodName, 'functions');
+    }
+
+    const receiverName = ts.isIdentifier(receiver)
+      ? receiver.text
+      : ts.isPropertyAccessExpression(receiver) ? receiver.name.text : null;
+    if (!receiverName) {
+      return null;
+    }
+
+    const className = findHint(info, receiverName);
+    if (className) {
+      const classRef = findClass(info, className);
+      return classRef ? findMethod(classRef, methodName) : null;
+    }
+
+    if (PLAYWRIGHT_BUILTIN_FIXTURES.has(receiverName)) {
+      return null;
+    }
+
+    // 类型未知时，使用可达模块中唯一的同名方法
+    const candidates = reachableModules()
+      .flatMap(candidate => [...candidate.classes].map(([name, classNode]) => ({ info: candidate, node: classNode, name })))
+      .map(classRef => findMethod(classRef, methodName, false))
+      .filter(Boolean);
+
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  /**
+   * 展开 helper：返回其中的步骤；@step 装饰的方法返回包含这些步骤的一个步骤
+   */
+  function expandTarget(target, level) {
+    const key = `${level}:${target.info.path}:${target.node.pos}`;
+    if (expanded.has(key)) {
+      return expanded.get(key);
+    }
+
+    if (active.has(target.node) || !target.node.body) {
+      return [];
+    }
+
+    active.add(target.node);
+
+    const { sourceFile } = target.info;
+    const body = target.node.body;
+    const nested = level < depth ? createExpand(level + 1) : null;
+    const children = collectSteps(body, sourceFile, adapter, nested);
+    const decorator = getStepDecorator(target.node);
+
+    const steps = decorator
+      ? [{
+        title: decorator.title || `${target.className}.${target.name}`,
+        location: getLocation(target.node, sourceFile),
+        body: body.getText(sourceFile),
+        ownBody: getOwnText(body, sourceFile, adapter),
+        assertions: collectAssertions(body, sourceFile, adapter),
+        children
+      }]
+      : children;
+    markHelperFile(steps, target.info.path);
+
+    active.delete(target.node);
+    expanded.set(key, steps);
+    return steps;
+  }
+
+  function createExpand(level) {
+    return (node, sourceFile) => {
+      if (level > depth) return [];
+
+      const target = resolveCall(node, moduleForSource(sourceFile));
+      return target ? expandTarget(target, level) : [];
+    };
+  }
+
+  return {
+    expand: createExpand(1),
+    files: () => [...modulesByPath.keys()].filter(modulePath => modulePath !== filePath)
+  };
+}
+
+module.exports = {
+  DEFAULT_HELPER_DEPTH,
+  createHelperExpander
+};
@@ -0,0 +1,25 @@
+/**
+ * 进度日志
+ *
+ * 库函数默认不输出任何内容，只返回结构化结果；脚本传入 console 以保留原有的进度输出
+ */
+
+// 不输出任何内容的 logger
+const silentLogger = {
+  log() {},
+  warn() {},
+  error() {}
+};
+
+/**
+ * @param {{log: Function, warn: Function, error: Function}|undefined} logger - 调用方传入的 logger
+ * @returns {{log: Function, warn: Function, error: Function}}
+ */
+function resolveLogger(logger) {
+  return logger || silentLogger;
+}
+
+module.exports = {
+  silentLogger,
+  resolveLogger
+};
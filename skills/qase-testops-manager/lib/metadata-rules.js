@@ -0,0 +1,258 @@
+/**
+ * 基于规则的元数据推断
+ *
+ * 根据 .qase-config.json 中的 metadataRules 为测试用例确定
+ * type / priority / severity / layer / behavior / automation：
+ *
+ *   "metadataRules": [
+ *     {
+ *       "name": "payments-critical",
+ *       "match": { "module": "PAY", "tag": "@smoke" },
+ *       "set": { "priority": "high", "severity": "critical" }
+ *     }
+ *   ]
+ *
+ * 匹配条件（同一规则内全部满足才命中，数组表示任一即可）：
+ * - layer / module: Custom ID 中的 LAYER / MODULE 代码
+ * - describe: test.describe() 名称（支持 * 通配，不区分大小写）
+ * - file: 测试文件路径 glob（相对于项目根目录）
+ * - tag: Playwright tag（details 中的 tag 或标题中的 @tag）
+ * - jsdoc: JSDoc 标签，如 "@slow" 或 "@owner payments"
+ *
+ * 优先级：JSDoc 显式标签（@priority high、@type security 等）
+ *        > 用户规则（按顺序，每个字段取第一个命中的规则）
+ *        > 内置规则 > 默认值
+ */
+
+const { matchesAny } = require('./file-discovery');
+
+// 各字段允许的取值（与 Qase 字段映射一致）
+const FIELD_VALUES = {
+  type: ['functional', 'smoke', 'regression', 'security', 'usability', 'performance', 'acceptance'],
+  priority: ['high', 'medium', 'low'],
+  severity: ['blocker', 'critical', 'major', 'normal', 'minor', 'trivial'],
+  layer: ['e2e', 'api', 'unit'],
+  behavior: ['positive', 'negative', 'destructive'],
+  automation: ['automated', 'manual']
+};
+
+const FIELDS = Object.keys(FIELD_VALUES);
+
+// 没有任何规则命中时的默认值
+const DEFAULT_METADATA = {
+  type: 'functional',
+  priority: 'medium',
+  severity: 'normal',
+  layer: 'e2e',
+  behavior: null,
+  automation: 'automated'
+};
+
+// 内置规则（排在用户规则之后）
+const BUILTIN_RULES = [
+  { name: 'builtin:smoke-tag', match: { tag: '@smoke' }, set: { type: 'smoke', priority: 'high' } },
+  { name: 'builtin:smoke-module', match: { module: 'SMOKE' }, set: { type: 'smoke', priority: 'high' } },
+  { name: 'builtin:regression-tag', match: { tag: '@regression' }, set: { type: 'regression' } },
+  { name: 'builtin:critical-tag', match: { tag: '@critical' }, set: { priority: 'high' } },
+  { name: 'builtin:edge-tag', match: { tag: '@edge' }, set: { priority: 'low' } },
+  { name: 'builtin:api-layer', match: { layer: ['API', 'INT'] }, set: { layer: 'api' } },
+  { name: 'builtin:unit-layer', match: { layer: 'UNIT' }, set: { layer: 'unit' } },
+  { name: 'builtin:e2e-layer', match: { layer: ['UI', 'E2E'] }, set: { layer: 'e2e' } }
+];
+
+const MATCH_KEYS = ['layer', 'module', 'describe', 'file', 'tag', 'jsdoc'];
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function normalizeTag(tag) {
+  return String(tag).replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * 解析 JSDoc 中的标签
+ * @param {string} rawJSDoc - 原始 JSDoc 文本
+ * @returns {Array<{name: string, value: string}>} name 不含 @
+ */
+function parseJSDocTags(rawJSDoc) {
+  const tags = [];
+  const pattern = /@(\w+)[ \t]*([^\n@*]*)/g;
+  let match;
+
+  while ((match = pattern.exec(rawJSDoc || '')) !== null) {
+    tags.push({ name: match[1].toLowerCase(), value: match[2].trim() });
+  }
+
+  return tags;
+}
+
+/**
+ * 读取 JSDoc 中显式声明的字段（如 @priority high），非法取值忽略
+ * @param {Array<{name, value}>} jsdocTags - parseJSDocTags() 的结果
+ * @returns {Object} { field: value }
+ */
+function readExplicitFields(jsdocTags) {
+  const explicit = {};
+
+  for (const { name, value } of jsdocTags) {
+    const normalized = value.split(/\s+/)[0].toLowerCase();
+
+    if (FIELDS.includes(name) && !(name in explicit) && FIELD_VALUES[name].includes(normalized)) {
+      explicit[name] = normalized;
+    }
+  }
+
+  return explicit;
+}
+
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * 判断规则是否命中
+ * @param {Object} match - 规则的 match 条件
+ * @param {Object} context - buildRuleContext() 的结果
+ * @returns {boolean}
+ */
+function ruleMatches(match = {}, context) {
+  return Object.entries(match).every(([key, expected]) => {
+    const values = toList(expected);
+
+    switch (key) {
+      case 'layer':
+        return values.includes(context.layer);
+      case 'module':
+        return values.includes(context.module);
+      case 'describe': {
+        const names = [...context.describePath, context.describePath.join(' / ')];
+        return values.some(pattern => names.some(name => wildcardToRegExp(pattern).test(name)));
+      }
+      case 'file':
+        return matchesAny(context.filePath, values);
+      case 'tag': {
+        const tags = context.tags.map(normalizeTag);
+        return values.some(tag => tags.includes(normalizeTag(tag)));
+      }
+      case 'jsdoc':
+        return values.some(spec => {
+          const [name, ...rest] = spec.replace(/^@/, '').split(/\s+/);
+          const value = rest.join(' ').toLowerCase();
+          return context.jsdocTags.some(tag =>
+            tag.name === name.toLowerCase() && (!value || tag.value.toLowerCase() === value)
+          );
+        });
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * 校验用户规则，返回警告信息（非法的 match 条件或 set 取值）
+ * @param {Array} rules - metadataRules 配置
+ * @returns {Array<string>}
+ */
+function validateRules(rules) {
+  const warnings = [];
+
+  toList(rules).forEach((rule, index) => {
+    const label = rule.name ? `"${rule.name}"` : `#${index + 1}`;
+
+    for (const key of Object.keys(rule.match || {})) {
+      if (!MATCH_KEYS.includes(key)) {
+        warnings.push(`规则 ${label}: 未知的匹配条件 "${key}"（可用: ${MATCH_KEYS.join(', ')}）`);
+      }
+    }
+
+    for (const [field, value] of Object.entries(rule.set || {})) {
+      if (!FIELDS.includes(field)) {
+        warnings.push(`规则 ${label}: 未知的字段 "${field}"（可用: ${FIELDS.join(', ')}）`);
+      } else if (!FIELD_VALUES[field].includes(value)) {
+        warnings.push(`规则 ${label}: ${field} 的取值 "${value}" 无效（可用: ${FIELD_VALUES[field].join(', ')}）`);
+      }
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * 构建规则匹配的上下文
+ * @param {Object} input - { idParts, describePath, filePath, tags, title, jsdoc }
+ * @returns {Object}
+ */
+function buildRuleContext({ idParts, describePath = [], filePath = '', tags = [], title = '', jsdoc = '' }) {
+  // 标题中的 @tag 也视为 tag（Playwright 同样支持）
+  const titleTags = title.match(/@[\w-]+/g) || [];
+
+  return {
+    layer: idParts ? idParts.layer : null,
+    module: idParts ? idParts.module : null,
+    describePath,
+    filePath: filePath.split('\\').join('/'),
+    tags: [...tags, ...titleTags],
+    jsdocTags: parseJSDocTags(jsdoc)
+  };
+}
+
+/**
+ * 推断元数据
+ *
+ * @param {Object} context - buildRuleContext() 的结果
+ * @param {Array} rules - 用户规则（metadataRules）
+ * @returns {{values: Object, sources: Object}} sources 记录每个字段的来源，用于 --explain
+ */
+function inferMetadata(context, rules = []) {
+  const values = {};
+  const sources = {};
+
+  // 1. JSDoc 显式标签
+  const explicit = readExplicitFields(context.jsdocTags);
+  for (const [field, value] of Object.entries(explicit)) {
+    values[field] = value;
+    sources[field] = `JSDoc @${field}`;
+  }
+
+  // 2. 用户规则 + 内置规则（每个字段取第一个命中的规则）
+  const allRules = [
+    ...toList(rules).map((rule, index) => ({ ...rule, name: rule.name || `#${index + 1}` })),
+    ...BUILTIN_RULES
+  ];
+
+  for (const rule of allRules) {
+    if (!ruleMatches(rule.match, context)) continue;
+
+    for (const [field, value] of Object.entries(rule.set || {})) {
+      if (field in values || !FIELDS.includes(field) || !FIELD_VALUES[field].includes(value)) {
+        continue;
+      }
+      values[field] = value;
+      sources[field] = `规则 ${rule.name}`;
+    }
+  }
+
+  // 3. 默认值
+  for (const field of FIELDS) {
+    if (!(field in values)) {
+      values[field] = DEFAULT_METADATA[field];
+      sources[field] = '默认值';
+    }
+  }
+
+  return { values, sources };
+}
+
+module.exports = {
+  FIELD_VALUES,
+  DEFAULT_METADATA,
+  BUILTIN_RULES,
+  parseJSDocTags,
+  buildRuleContext,
+  ruleMatches,
+  validateRules,
+  inferMetadata
+};
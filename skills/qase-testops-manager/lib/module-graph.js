@@ -0,0 +1,64 @@
+/**
+ * 相对路径模块引用
+ *
+ * fixture 说明（fixture-docs.js）和 helper 步骤展开（helper-steps.js）都需要从测试文件出发，
+ * 沿 import / export from / require 找到项目内的模块。只处理相对路径，
+ * tsconfig paths 别名和 node_modules 中的包不会被读取
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+// 相对路径引用可省略的扩展名
+const MODULE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+
+/**
+ * 查找文件中的相对路径模块引用
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @returns {Array<string>} 模块路径（如 './fixtures'）
+ */
+function findRelativeImports(sourceFile) {
+  const specifiers = [];
+
+  function visit(node) {
+    if ((ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) &&
+      node.moduleSpecifier && ts.isStringLiteral(node.moduleSpecifier)) {
+      specifiers.push(node.moduleSpecifier.text);
+    }
+
+    if (ts.isCallExpression(node) && ts.isIdentifier(node.expression) && node.expression.text === 'require' &&
+      node.arguments[0] && ts.isStringLiteral(node.arguments[0])) {
+      specifiers.push(node.arguments[0].text);
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return specifiers.filter(specifier => specifier.startsWith('.'));
+}
+
+/**
+ * 将相对路径引用解析为文件路径（支持省略扩展名、index 文件和 TS 的 .js 写法）
+ * @param {string} fromFile - 引用所在的文件
+ * @param {string} specifier - 模块路径
+ * @returns {string|null}
+ */
+function resolveModulePath(fromFile, specifier) {
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  const withoutExt = base.replace(/\.[cm]?jsx?$/, '');
+  const candidates = [
+    base,
+    ...MODULE_EXTENSIONS.map(ext => withoutExt + ext),
+    ...MODULE_EXTENSIONS.map(ext => path.join(base, `index${ext}`))
+  ];
+
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+module.exports = {
+  MODULE_EXTENSIONS,
+  findRelativeImports,
+  resolveModulePath
+};
@@ -0,0 +1,274 @@
+/**
+ * Playwright --list 提取源
+ *
+ * 静态解析与 Playwright 实际加载的测试总会有出入（testDir / testMatch、projects、grep、
+ * 运行时生成的测试等）。"source": "playwright" 时运行
+ *
+ *   npx playwright test --list --reporter=json
+ *
+ * 以 Playwright 列出的测试为准（测试集合、标题、describe 路径、tag、文件和行号），
+ * JSDoc、步骤等细节按源码位置从静态解析结果中补充，输出与静态提取相同的用例模型
+ *
+ * .qase-config.json：
+ *   "source": "playwright",
+ *   "playwright": {
+ *     "command": "npx playwright test",   // 也可以是 pnpm exec playwright test 等（按空白拆分，引号内的空白保留）
+ *     "args": ["--project=chromium"],     // 追加在 --list --reporter=json 之后，原样传给命令（不经过 shell）
+ *     "listFile": "e2e/qase/list.json"    // 可选：直接读取已生成的 JSON 报告，不运行 Playwright
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { splitTestTitle } = require('./test-parser');
+
+const DEFAULT_PLAYWRIGHT_COMMAND = 'npx playwright test';
+
+// 列出测试的超时时间（加载大量测试文件时可能较慢）
+const LIST_TIMEOUT_MS = 5 * 60 * 1000;
+
+// 只列出部分测试的参数（列表不是完整的测试集合）
+const FILTER_ARGS = ['--grep', '-g', '--grep-invert', '--project', '--shard', '--only-changed', '--last-failed'];
+
+/**
+ * 解析 JSON 报告文本（忽略 JSON 之前的日志输出）
+ * @param {string} text - 报告文本
+ * @returns {Object}
+ */
+function parseListReport(text) {
+  const start = text.indexOf('{');
+  if (start === -1) {
+    throw new Error('Playwright 没有输出 JSON 报告');
+  }
+  return JSON.parse(text.slice(start));
+}
+
+/**
+ * 将命令前缀拆分为参数数组（按空白拆分，支持单引号 / 双引号包含空白）
+ * 例如: 'node "my scripts/pw.js" test' → ['node', 'my scripts/pw.js', 'test']
+ * @param {string} command - 命令前缀
+ * @returns {Array<string>}
+ */
+function splitCommand(command) {
+  return (command.match(/"[^"]*"|'[^']*'|\S+/g) || [])
+    .map(part => part.replace(/^(["'])(.*)\1$/, '$2'));
+}
+
+/**
+ * 运行 playwright test --list --reporter=json（或读取 listFile）
+ *
+ * 不经过 shell 执行：只拆分 command 前缀，--list、--reporter=json 和 args 原样作为参数传递
+ *
+ * @param {Object} options - .qase-config.json 中的 playwright 配置
+ * @param {string} rootDir - 项目根目录（命令的工作目录）
+ * @returns {Object} JSON 报告
+ */
+function runPlaywrightList(options = {}, rootDir = process.cwd()) {
+  if (options.listFile) {
+    const listPath = path.resolve(rootDir, options.listFile);
+    if (!fs.existsSync(listPath)) {
+      throw new Error(`找不到 Playwright 列表文件: ${listPath}`);
+    }
+    return parseListReport(fs.readFileSync(listPath, 'utf-8'));
+  }
+
+  const [file, ...commandArgs] = splitCommand(options.command || DEFAULT_PLAYWRIGHT_COMMAND);
+  if (!file) {
+    throw new Error('playwright.command 不能为空');
+  }
+
+  const args = [...commandArgs, '--list', '--reporter=json', ...(options.args || [])];
+  const command = [file, ...args].join(' ');
+
+  let output;
+  try {
+    output = execFileSync(file, args, {
+      cwd: rootDir,
+      encoding: 'utf-8',
+      timeout: LIST_TIMEOUT_MS,
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // 确保 JSON 报告输出到 stdout
+      env: { ...process.env, PLAYWRIGHT_JSON_OUTPUT_NAME: '', PLAYWRIGHT_JSON_OUTPUT_FILE: '' }
+    });
+  } catch (error) {
+    // 测试文件加载出错时 Playwright 以非 0 退出，但仍会输出报告（错误在 errors 中）
+    if (error.stdout && error.stdout.includes('{')) {
+      output = error.stdout;
+    } else {
+      const detail = (error.stderr || error.message || '').toString().trim().split('\n')[0];
+      throw new Error(`运行 "${command}" 失败: ${detail}`);
+    }
+  }
+
+  return parseListReport(output);
+}
+
+/**
+ * 列表是否只包含部分测试（args 中有 grep / project / shard 等过滤参数，或文件过滤的位置参数）
+ *
+ * @param {Object} options - .qase-config.json 中的 playwright 配置
+ * @returns {boolean}
+ */
+function isFilteredList(options = {}) {
+  const args = options.args || [];
+
+  return args.some((arg, i) => {
+    if (FILTER_ARGS.includes(arg.split('=')[0])) {
+      return true;
+    }
+    // 位置参数是文件过滤（前一个参数是不带 = 的选项时为该选项的值）
+    const previous = args[i - 1];
+    return !arg.startsWith('-') && !(previous && previous.startsWith('-') && !previous.includes('='));
+  });
+}
+
+/**
+ * 将 JSON 报告展开为测试列表
+ *
+ * 文件级 suite 之下的 suite 是 test.describe()，同一个测试在多个 project 中只列出一次
+ *
+ * @param {Object} report - JSON 报告
+ * @returns {{tests: Array<Object>, errors: Array<string>}}
+ *   tests: [{file（绝对路径）, line, column, title, describePath, tags, annotations, projects}]
+ */
+function flattenListReport(report) {
+  const rootDir = (report.config && report.config.rootDir) || process.cwd();
+  const tests = [];
+
+  function walk(suite, describePath) {
+    for (const spec of suite.specs || []) {
+      const runs = spec.tests || [];
+      const annotations = [];
+
+      for (const annotation of runs.flatMap(run => run.annotations || [])) {
+        if (!annotations.some(a => a.type === annotation.type && a.description === annotation.description)) {
+          annotations.push({ type: annotation.type, description: annotation.description || '' });
+        }
+      }
+
+      tests.push({
+        file: path.resolve(rootDir, spec.file || suite.file),
+        line: spec.line,
+        column: spec.column,
+        title: spec.title,
+        describePath,
+        // JSON 报告中的 tag 不带 @
+        tags: (spec.tags || []).map(tag => (tag.startsWith('@') ? tag : `@${tag}`)),
+        annotations,
+        projects: [...new Set(runs.map(run => run.projectName).filter(Boolean))]
+      });
+    }
+
+    for (const child of suite.suites || []) {
+      walk(child, child.title ? [...describePath, child.title] : describePath);
+    }
+  }
+
+  // 顶层 suite 是测试文件
+  for (const fileSuite of report.suites || []) {
+    walk(fileSuite, []);
+  }
+
+  const errors = (report.errors || []).map(error => error.message || String(error));
+  return { tests, errors };
+}
+
+/**
+ * 按文件分组列出的测试
+ * @param {Array<Object>} tests - flattenListReport() 的 tests
+ * @returns {Map<string, Array<Object>>} 文件绝对路径 → 测试列表
+ */
+function groupByFile(tests) {
+  const groups = new Map();
+  for (const test of tests) {
+    if (!groups.has(test.file)) groups.set(test.file, []);
+    groups.get(test.file).push(test);
+  }
+  return groups;
+}
+
+/**
+ * 以 Playwright 列出的测试为准，合并静态解析结果
+ *
+ * - 按行号（其次按标题）匹配静态解析的测试，JSDoc、步骤、钩子等细节来自静态解析
+ * - 标题、describe 路径、tag、行号来自 Playwright（参数化测试保留静态解析的 {参数} 标题，
+ *   同一行列出的多个参数组合只生成一个测试）
+ * - 静态解析没有找到的测试（如标题无法静态求值）只包含列表中的信息
+ * - 没有列出的静态测试（testMatch 排除、grep 过滤等）被丢弃
+ *
+ * @param {Array<Object>} staticTests - parseTestFile() 的 tests
+ * @param {Array<Object>} listedTests - 同一文件中列出的测试
+ * @returns {Array<Object>} 与 parseTestFile() 相同结构的测试，另含 projects
+ */
+function mergeListedTests(staticTests, listedTests) {
+  const merged = [];
+  const used = new Set();
+
+  for (const listed of listedTests) {
+    // qase(42, '标题') 包装写法在 Playwright 中的标题带有 (Qase ID: 42) 后缀
+    const rawTitle = listed.title.replace(/\s*\(Qase ID: [\d,\s]+\)$/, '');
+    const { customId, title } = splitTestTitle(rawTitle);
+
+    const match = staticTests.find(test => test.location.start.line === listed.line) ||
+      staticTests.find(test => test.rawTitle === rawTitle &&
+        test.describePath.join('/') === listed.describePath.join('/'));
+
+    if (match && used.has(match)) {
+      continue;
+    }
+
+    if (match) {
+      used.add(match);
+      const parameterized = Object.keys(match.parameters || {}).length > 0;
+
+      merged.push({
+        ...match,
+        ...(parameterized ? {} : { rawTitle, customId, title, describePath: listed.describePath }),
+        tags: [...new Set([...listed.tags, ...match.tags])],
+        annotations: listed.annotations.length > 0 ? listed.annotations : match.annotations,
+        location: {
+          start: { line: listed.line, column: listed.column },
+          end: match.location.end
+        },
+        projects: listed.projects
+      });
+      continue;
+    }
+
+    const position = { line: listed.line, column: listed.column };
+
+    merged.push({
+      rawTitle,
+      customId,
+      title,
+      modifiers: [],
+      tags: listed.tags,
+      annotations: listed.annotations,
+      describePath: listed.describePath,
+      jsdoc: '',
+      body: '',
+      steps: [],
+      qaseId: null,
+      location: { start: position, end: position },
+      parameters: {},
+      hooks: { beforeAll: [], beforeEach: [], afterEach: [], afterAll: [] },
+      fixtures: [],
+      projects: listed.projects
+    });
+  }
+
+  return merged;
+}
+
+module.exports = {
+  DEFAULT_PLAYWRIGHT_COMMAND,
+  parseListReport,
+  splitCommand,
+  runPlaywrightList,
+  isFilteredList,
+  flattenListReport,
+  groupByFile,
+  mergeListedTests
+};
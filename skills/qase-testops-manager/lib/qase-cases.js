@@ -0,0 +1,129 @@
+/**
+ * 查询与删除 Qase 用例 / Suite（qase-testops query / delete）
+ */
+
+const { getAllTestCases, getAllSuites, deleteTestCase, getCaseCustomId } = require('./qase-utils');
+const { resolveConfig, assertQaseConfig } = require('./config');
+const { resolveLogger } = require('./logger');
+
+// 删除之间的间隔（避免 API 限流）
+const DELETE_DELAY_MS = 500;
+
+/**
+ * 查询 Qase 用例或 Suite
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {string} options.type - cases（默认）/ suites
+ * @param {string} options.suite - 只返回 Suite 标题包含该文本的用例
+ * @returns {Promise<{type: string, items: Array}>}
+ */
+async function query(options = {}) {
+  const config = resolveConfig(options);
+  assertQaseConfig(config);
+  const type = options.type || 'cases';
+
+  if (type === 'suites') {
+    return { type, items: await getAllSuites(config) };
+  }
+
+  if (type !== 'cases') {
+    throw new Error(`未知的查询类型 "${type}"（可用: cases, suites）`);
+  }
+
+  let items = await getAllTestCases(config);
+
+  // 按套件筛选
+  if (options.suite) {
+    items = items.filter(tc =>
+      tc.suite && tc.suite.title && tc.suite.title.includes(options.suite)
+    );
+  }
+
+  return { type, items };
+}
+
+/**
+ * 按 Qase ID（101 / EA-101）或 Custom ID 查找用例
+ * @param {string|number} input - 用户输入的 ID
+ * @param {Array} cases - Qase 中的所有用例
+ * @param {Object} config - 配置对象
+ * @returns {Object|null}
+ */
+function findCase(input, cases, config) {
+  const value = String(input).trim();
+  const qaseIdMatch = value.match(new RegExp(`^(?:${config.qase.projectCode}-)?(\\d+)$`, 'i'));
+
+  if (qaseIdMatch) {
+    return cases.find(tc => tc.id === parseInt(qaseIdMatch[1])) || null;
+  }
+
+  return cases.find(tc => getCaseCustomId(tc, config) === value) || cases.find(tc => tc.title && tc.title.startsWith(value)) || null;
+}
+
+/**
+ * 删除 Qase 用例
+ *
+ * 默认只预览：dryRun 为 false 时才实际删除
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {Array<string|number>} options.ids - Qase ID（101 / EA-101）或 Custom ID
+ * @param {boolean} options.dryRun - 只列出匹配的用例，不删除（默认 true）
+ * @param {Object} options.logger - 进度输出（默认不输出）
+ * @returns {Promise<{matched: Array, notFound: Array<string>, deleted: Array<number>, failed: Array, dryRun: boolean}>}
+ */
+async function deleteCases(options = {}) {
+  const config = resolveConfig(options);
+  assertQaseConfig(config);
+  const logger = resolveLogger(options.logger);
+  const dryRun = options.dryRun !== false;
+  const ids = options.ids || [];
+
+  if (ids.length === 0) {
+    throw new Error('请指定要删除的测试用例 ID');
+  }
+
+  const cases = await getAllTestCases(config);
+  const matched = [];
+  const notFound = [];
+
+  for (const input of ids) {
+    const testCase = findCase(input, cases, config);
+    if (testCase) {
+      matched.push({ input: String(input), id: testCase.id, title: testCase.title });
+    } else {
+      notFound.push(String(input));
+      logger.warn(`⚠️  在 Qase 中未找到测试用例: ${input}`);
+    }
+  }
+
+  const result = { matched, notFound, deleted: [], failed: [], dryRun };
+
+  if (dryRun) {
+    return result;
+  }
+
+  for (const { id, title } of matched) {
+    try {
+      await deleteTestCase(config, id);
+      logger.log(`✅ 从 Qase 删除: [${id}] ${title}`);
+      result.deleted.push(id);
+    } catch (error) {
+      logger.error(`❌ 删除测试用例 ${id} 失败: ${error.message}`);
+      result.failed.push({ id, error: error.message });
+    }
+
+    await new Promise(resolve => setTimeout(resolve, DELETE_DELAY_MS));
+  }
+
+  return result;
+}
+
+module.exports = {
+  query,
+  findCase,
+  deleteCases
+};
@@ -0,0 +1,361 @@
+/**
+ * 比对本地测试用例与 Qase Repository（compare-with-qase.js 和 index.js 的 compare() 共用）
+ *
+ * 本地用例读取 extract 生成的 CSV，按 Custom ID 与 Qase 用例对齐
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { qaseApiRequest, getCaseCustomId } = require('./qase-utils');
+const { resolveConfig, assertQaseConfig } = require('./config');
+const { resolveLogger } = require('./logger');
+
+/**
+ * 获取 Qase 中的所有测试用例
+ */
+async function getQaseCases(config) {
+  const cases = [];
+  let offset = 0;
+  const limit = 100;
+
+  while (true) {
+    const response = await qaseApiRequest(
+      config,
+      'GET',
+      `/case/${config.qase.projectCode}?limit=${limit}&offset=${offset}`
+    );
+
+    if (response.result && response.result.entities) {
+      cases.push(...response.result.entities);
+
+      if (response.result.entities.length < limit) {
+        break;
+      }
+
+      offset += limit;
+    } else {
+      break;
+    }
+  }
+
+  // 构建映射：custom_id -> case
+  // Qase API 中 custom_fields 格式：[{ id: 1, value: "TC-XXX-XXX-001" }]，字段 ID 为 qase.customFields.customId
+  const caseMap = {};
+  cases.forEach(c => {
+    const customId = getCaseCustomId(c, config);
+    if (customId) {
+      caseMap[customId] = c;
+    }
+  });
+
+  return { cases, caseMap };
+}
+
+/**
+ * 读取本地 CSV 文件
+ * @param {Object} config - 配置对象
+ * @param {string} cwd - 项目根目录
+ * @throws {Error} CSV 文件不存在
+ */
+function readLocalCases(config, cwd = process.cwd()) {
+  const csvPath = path.join(cwd, config.outputDir, config.csvFileName);
+
+  if (!fs.existsSync(csvPath)) {
+    throw new Error(`找不到 CSV 文件: ${csvPath}`);
+  }
+
+  const csvContent = fs.readFileSync(csvPath, 'utf-8');
+  const records = parse(csvContent, {
+    columns: true,
+    skip_empty_lines: true,
+    relax_quotes: true,
+    relax_column_count: true,
+  });
+
+  // 过滤出实际的测试用例（有 custom_id 的行）
+  const testCases = records.filter(r => r.custom_id && r.custom_id.trim());
+
+  // 构建映射
+  const caseMap = {};
+  testCases.forEach(tc => {
+    caseMap[tc.custom_id] = tc;
+  });
+
+  return { testCases, caseMap };
+}
+
+/**
+ * 解析 CSV 中带层级编号的步骤文本（如 "1. xxx" / "1.2. xxx"）
+ * @param {string} text - 多行步骤文本
+ * @returns {Map<string, string>} 编号 -> 内容
+ */
+function parseNumberedLines(text) {
+  const result = new Map();
+  const lines = (text || '').split('\n').filter(s => s.trim());
+
+  lines.forEach((line, index) => {
+    const match = line.trim().match(/^(\d+(?:\.\d+)*)\.\s*(.*)$/);
+    if (match) {
+      result.set(match[1], match[2]);
+    } else {
+      result.set(String(index + 1), line.trim());
+    }
+  });
+
+  return result;
+}
+
+/**
+ * 本地步骤列表（按层级编号展开）
+ * @param {Object} local - CSV 行
+ * @returns {Array<{number: string, action: string, expected: string}>}
+ */
+function getLocalStepList(local) {
+  const actions = parseNumberedLines(local.steps_actions);
+  const expected = parseNumberedLines(local.steps_result);
+
+  return [...actions.entries()].map(([number, action]) => ({
+    number,
+    action,
+    expected: expected.get(number) || '',
+  }));
+}
+
+/**
+ * Qase 步骤列表（嵌套步骤按层级编号展开）
+ * @param {Array} steps - Qase 步骤树
+ * @param {string} prefix - 父步骤编号
+ * @returns {Array<{number: string, action: string, expected: string}>}
+ */
+function getQaseStepList(steps, prefix = '') {
+  const list = [];
+
+  (steps || []).forEach((step, index) => {
+    const number = prefix ? `${prefix}.${index + 1}` : String(index + 1);
+    list.push({
+      number,
+      action: step.action || '',
+      expected: step.expected_result || '',
+    });
+    list.push(...getQaseStepList(step.steps, number));
+  });
+
+  return list;
+}
+
+/**
+ * 比较两个测试用例的内容（增强版）
+ */
+function compareTestCase(local, qase, detailed = false) {
+  const differences = [];
+
+  // 比较标题
+  const localTitle = local.title || '';
+  const qaseTitle = qase.title || '';
+  if (localTitle !== qaseTitle) {
+    differences.push({
+      field: 'title',
+      label: '标题',
+      local: localTitle,
+      qase: qaseTitle,
+    });
+  }
+
+  // 比较描述
+  const localDesc = local.description || '';
+  const qaseDesc = qase.description || '';
+  if (localDesc !== qaseDesc) {
+    differences.push({
+      field: 'description',
+      label: '描述',
+      local: localDesc,
+      qase: qaseDesc,
+    });
+  }
+
+  // 比较前置条件
+  const localPre = local.preconditions || '';
+  const qasePre = qase.preconditions || '';
+  if (localPre !== qasePre) {
+    differences.push({
+      field: 'preconditions',
+      label: '前置条件',
+      local: localPre,
+      qase: qasePre,
+    });
+  }
+
+  // 比较后置条件
+  const localPost = local.postconditions || '';
+  const qasePost = qase.postconditions || '';
+  if (localPost !== qasePost) {
+    differences.push({
+      field: 'postconditions',
+      label: '后置条件',
+      local: localPost,
+      qase: qasePost,
+    });
+  }
+
+  // 比较步骤（详细模式下逐步对比）
+  // 嵌套步骤按层级编号（1、1.1、1.2 …）对齐
+  const localSteps = getLocalStepList(local);
+  const qaseSteps = getQaseStepList(qase.steps);
+
+  if (detailed) {
+    // 详细对比每个步骤
+    const localByNumber = new Map(localSteps.map(step => [step.number, step]));
+    const qaseByNumber = new Map(qaseSteps.map(step => [step.number, step]));
+    const numbers = [...new Set([...localByNumber.keys(), ...qaseByNumber.keys()])];
+    const stepDifferences = [];
+
+    for (const number of numbers) {
+      const localStep = localByNumber.has(number) ? localByNumber.get(number).action : '';
+      const qaseStep = qaseByNumber.has(number) ? qaseByNumber.get(number).action : '';
+      const localExp = localByNumber.has(number) ? localByNumber.get(number).expected : '';
+      const qaseExp = qaseByNumber.has(number) ? qaseByNumber.get(number).expected : '';
+
+      if (localStep !== qaseStep || localExp !== qaseExp) {
+        stepDifferences.push({
+          stepIndex: number,
+          action: {
+            local: localStep,
+            qase: qaseStep,
+            different: localStep !== qaseStep,
+          },
+          expected: {
+            local: localExp,
+            qase: qaseExp,
+            different: localExp !== qaseExp,
+          },
+        });
+      }
+    }
+
+    if (stepDifferences.length > 0) {
+      differences.push({
+        field: 'steps',
+        label: '测试步骤',
+        stepDifferences,
+      });
+    }
+  } else {
+    // 简化对比：只比较步骤数量
+    if (localSteps.length !== qaseSteps.length) {
+      differences.push({
+        field: 'steps_count',
+        label: '步骤数量',
+        local: `${localSteps.length} 步`,
+        qase: `${qaseSteps.length} 步`,
+      });
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * 比对本地测试用例与 Qase
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {string} options.caseId - 只比对一个 Custom ID（逐步详细对比）
+ * @param {Object} options.logger - 进度输出（默认不输出）
+ * @returns {Promise<Object>} 全局比对为 {identical, different, onlyLocal, onlyQase, localCount, qaseCount, hasIssues}；
+ *   单个用例为 {customId, local, qase, differences, hasIssues}（两边都不存在时 local / qase 均为 null）
+ */
+async function compare(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const config = resolveConfig({ cwd, config: options.config });
+  assertQaseConfig(config);
+  const logger = resolveLogger(options.logger);
+
+  // 单个测试用例对比模式
+  if (options.caseId) {
+    logger.log('📄 读取本地测试用例...');
+    const { caseMap: localMap } = readLocalCases(config, cwd);
+
+    logger.log('☁️  读取 Qase Repository 测试用例...');
+    const { caseMap: qaseMap } = await getQaseCases(config);
+    logger.log('');
+
+    const local = localMap[options.caseId] || null;
+    const qase = qaseMap[options.caseId] || null;
+
+    // 对比测试用例（详细模式）
+    const differences = local && qase ? compareTestCase(local, qase, true) : [];
+
+    return {
+      customId: options.caseId,
+      local,
+      qase,
+      differences,
+      // 有差异或只在一方存在
+      hasIssues: !local || !qase || differences.length > 0
+    };
+  }
+
+  // 1. 读取本地测试用例
+  logger.log('📄 读取本地测试用例...');
+  const { testCases: localCases, caseMap: localMap } = readLocalCases(config, cwd);
+  logger.log(`   ✅ 找到 ${localCases.length} 个本地测试用例\n`);
+
+  // 2. 读取 Qase 测试用例
+  logger.log('☁️  读取 Qase Repository 测试用例...');
+  const { cases: qaseCases, caseMap: qaseMap } = await getQaseCases(config);
+  logger.log(`   ✅ 找到 ${qaseCases.length} 个 Qase 测试用例\n`);
+
+  // 3. 比对差异
+  const onlyLocal = [];
+  const onlyQase = [];
+  const different = [];
+  const identical = [];
+
+  // 检查本地测试用例
+  for (const customId in localMap) {
+    if (!qaseMap[customId]) {
+      onlyLocal.push({ customId, data: localMap[customId] });
+    } else {
+      const differences = compareTestCase(localMap[customId], qaseMap[customId]);
+      if (differences.length > 0) {
+        different.push({
+          customId,
+          local: localMap[customId],
+          qase: qaseMap[customId],
+          differences,
+        });
+      } else {
+        identical.push(customId);
+      }
+    }
+  }
+
+  // 检查只在 Qase 的测试用例
+  for (const customId in qaseMap) {
+    if (!localMap[customId]) {
+      onlyQase.push({ customId, data: qaseMap[customId] });
+    }
+  }
+
+  return {
+    identical,
+    different,
+    onlyLocal,
+    onlyQase,
+    localCount: localCases.length,
+    qaseCount: qaseCases.length,
+    hasIssues: onlyLocal.length > 0 || onlyQase.length > 0 || different.length > 0
+  };
+}
+
+module.exports = {
+  getQaseCases,
+  readLocalCases,
+  parseNumberedLines,
+  getLocalStepList,
+  getQaseStepList,
+  compareTestCase,
+  compare
+};
@@ -0,0 +1,165 @@
+/**
+ * 从 Qase 拉取 Qase ID 并回写到测试代码（qase-testops pull）
+ *
+ * 与 sync-from-qase.js 的数据流向相同（Qase → 代码），但不经过 CSV：
+ * 直接读取 Qase 用例的 Custom ID 字段，写入 qase.id() / @QaseID=N
+ *
+ * 指定 fields（pull --fields description,preconditions,steps）时改为拉取 Qase 中修改的用例说明，
+ * 写回测试的 JSDoc 和 test.step() 中的 // Expected: 注释（见 lib/doc-writeback.js）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAllTestCases } = require('./qase-utils');
+const { resolveConfig, assertQaseConfig } = require('./config');
+const { resolveLogger } = require('./logger');
+const { writeAnnotations } = require('./annotations');
+const { createExtractionContext, extract, parseExtractionFile } = require('./extractor');
+const { buildCaseIndex } = require('./qase-sync');
+const { resolvePullFields, planTestEdits, applyEdits, formatEditDiff } = require('./doc-writeback');
+
+// 与 sync 相同，出现在多个 Qase 用例上的 Custom ID 为冲突，不拉取
+const DUPLICATE_REASON = 'Custom ID 出现在多个 Qase 用例上';
+
+/**
+ * 获取 Custom ID → Qase ID 映射
+ *
+ * 使用与 sync 相同的索引（buildCaseIndex）；出现在多个 Qase 用例上的 Custom ID 不写入 qase.id()
+ *
+ * @param {Object} config - 配置对象
+ * @returns {Promise<{mapping: Object, duplicated: Array<string>}>} mapping: custom_id → qase_id
+ */
+async function fetchIdMapping(config) {
+  const { customIdMap } = buildCaseIndex(await getAllTestCases(config), config);
+  const mapping = {};
+  const duplicated = [];
+
+  for (const [customId, cases] of Object.entries(customIdMap)) {
+    if (cases.length > 1) {
+      duplicated.push(customId);
+    } else {
+      mapping[customId] = cases[0].id;
+    }
+  }
+
+  return { mapping, duplicated };
+}
+
+/**
+ * 拉取 Qase 中修改的用例说明并写回测试代码
+ *
+ * 按 Custom ID 对应 Qase 用例；.feature 文件、Custom ID 重复的用例不处理。
+ * 写入前先输出每个文件的修改（diff），并备份原文件（.backup）
+ *
+ * @param {Object} options - 同 pull()
+ * @returns {Promise<{fields: Array<string>, files: Array<{file: string, updates: Array<string>, diff: Array<string>}>,
+ *   updated: number, skipped: Array<{customId: string, reason: string}>, dryRun: boolean}>}
+ */
+async function pullFields(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const config = resolveConfig({ cwd, config: options.config });
+  assertQaseConfig(config);
+  const logger = resolveLogger(options.logger);
+  const fields = resolvePullFields(options.fields);
+  const dryRun = Boolean(options.dryRun);
+
+  logger.log('🔍 从 Qase 获取所有测试用例...');
+  const { customIdMap } = buildCaseIndex(await getAllTestCases(config), config);
+
+  const skipped = [];
+  const byFile = new Map();
+  for (const testCase of extract({ cwd, config }).testCases) {
+    const qaseCases = customIdMap[testCase.id];
+    if (!qaseCases) continue;
+
+    if (qaseCases.length > 1) {
+      skipped.push({ customId: testCase.id, reason: DUPLICATE_REASON });
+    } else if (testCase.filePath.endsWith('.feature')) {
+      skipped.push({ customId: testCase.id, reason: '.feature 文件不支持回写' });
+    } else {
+      byFile.set(testCase.filePath, [...(byFile.get(testCase.filePath) || []), testCase]);
+    }
+  }
+
+  const context = createExtractionContext({ cwd, config });
+  const files = [];
+  let updated = 0;
+
+  for (const [relativePath, testCases] of byFile) {
+    const filePath = path.resolve(cwd, relativePath);
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const { parsed } = parseExtractionFile(context, content, path.basename(filePath), relativePath);
+    const edits = [];
+    const updates = [];
+
+    for (const testCase of testCases) {
+      // 参数化测试按代码中的模板 ID 查找
+      const parsedTest = parsed.tests.find(test => test.customId === (testCase.idTemplate || testCase.id));
+      if (!parsedTest) continue;
+
+      const planned = planTestEdits(content, parsedTest, testCase, customIdMap[testCase.id][0], fields);
+      planned.skipped.forEach(reason => skipped.push({ customId: testCase.id, reason }));
+      if (planned.edits.length > 0) {
+        edits.push(...planned.edits);
+        updates.push(`${testCase.id}: ${planned.changed.join(', ')}`);
+      }
+    }
+
+    if (edits.length === 0) continue;
+
+    const diff = formatEditDiff(content, edits);
+    files.push({ file: relativePath, updates, diff });
+    updated += updates.length;
+
+    if (!dryRun) {
+      logger.log(`📝 ${relativePath}`);
+      updates.forEach(update => logger.log(`   ${update}`));
+      diff.forEach(line => logger.log(`   ${line}`));
+      fs.writeFileSync(filePath + '.backup', content);
+      fs.writeFileSync(filePath, applyEdits(content, edits), 'utf-8');
+      logger.log(`📝 更新文件: ${relativePath}（备份: ${relativePath}.backup）`);
+    }
+  }
+
+  return { fields, files, updated, skipped, dryRun };
+}
+
+/**
+ * 拉取 Qase ID 并写入测试代码
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {Array<string>|string} options.fields - 改为拉取用例说明（description / preconditions / steps，见 pullFields()）
+ * @param {boolean} options.dryRun - 只列出需要的修改，不写入文件
+ * @param {Object} options.logger - 进度输出（默认不输出）
+ * @returns {Promise<{mapped: number, files: Array<{file: string, updates: Array<string>}>, updated: number,
+ *   skipped: Array<{customId: string, reason: string}>, dryRun: boolean}>} skipped 为出现在多个 Qase 用例上的 Custom ID
+ */
+async function pull(options = {}) {
+  if (options.fields) {
+    return pullFields(options);
+  }
+
+  const cwd = options.cwd || process.cwd();
+  const config = resolveConfig({ cwd, config: options.config });
+  assertQaseConfig(config);
+  const logger = resolveLogger(options.logger);
+  const dryRun = Boolean(options.dryRun);
+
+  logger.log('🔍 从 Qase 获取所有测试用例...');
+  const { mapping, duplicated } = await fetchIdMapping(config);
+  logger.log(`   构建映射: ${Object.keys(mapping).length} 个 custom_id → qase_id\n`);
+
+  const { files, updated } = writeAnnotations({ cwd, config, mapping, dryRun, logger });
+
+  const skipped = duplicated.map(customId => ({ customId, reason: DUPLICATE_REASON }));
+
+  return { mapped: Object.keys(mapping).length, files, updated, skipped, dryRun };
+}
+
+module.exports = {
+  fetchIdMapping,
+  pullFields,
+  pull
+};
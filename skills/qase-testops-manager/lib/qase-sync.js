@@ -0,0 +1,1428 @@
+/**
+ * 同步测试用例到 Qase Repository（sync-to-qase.js 和 index.js 的 plan() / sync() 共用）
+ *
+ * plan() 只读取 Qase 的 Suite 和用例，按 qase_id、Custom ID 字段匹配出需要创建和更新的用例；
+ * sync() 执行计划：改名 / 移动 Suite、确保 Suite 层级存在、逐个更新、按 Suite 批量创建、更新 Suite 说明并关联外部 Issue
+ *
+ * 使用 Qase API v1
+ * 文档: https://developers.qase.io/reference/introduction-to-qase-api
+ */
+
+const {
+  qaseApiRequest,
+  deleteTestCase,
+  attachExternalIssues,
+  formatStepsForQase,
+  formatCaseExtrasForQase,
+  formatOwnershipForQase,
+  loadCaseAuthors,
+  getCustomIdFieldId,
+  getCaseCustomId
+} = require('./qase-utils');
+const { resolveConfig, assertQaseConfig } = require('./config');
+const { silentLogger, resolveLogger } = require('./logger');
+const { extract } = require('./extractor');
+const { diffCase } = require('./case-diff');
+const { resolveConflictResolution, mergeCase } = require('./case-merge');
+const {
+  SYNC_STATE_FILE,
+  hashCasePayload,
+  snapshotCaseFields,
+  createSyncState,
+  resolveSyncStatePath,
+  loadSyncState,
+  saveSyncState,
+  isCaseUnchanged
+} = require('./sync-state');
+
+// 更新之间、批量创建之间的间隔（避免 API 限流）
+const UPDATE_DELAY_MS = 300;
+const CREATE_DELAY_MS = 1000;
+
+// 代码中已删除用例的处理策略（qase.removedCases.policy）
+const REMOVAL_POLICIES = ['ignore', 'deprecate', 'archive', 'delete'];
+const DEFAULT_ARCHIVE_SUITE = 'Archived';
+const DEFAULT_MAX_REMOVAL_RATIO = 0.1;
+
+// Qase 用例状态：deprecated
+const DEPRECATED_STATUS = 2;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 字段值映射函数
+ * 将字符串值转换为 Qase API 需要的数字 ID
+ */
+
+// Type 映射 (测试类型)
+function mapTestType(type) {
+  const typeMap = {
+    'functional': 1,
+    'smoke': 2,
+    'regression': 3,
+    'security': 4,
+    'usability': 5,
+    'performance': 6,
+    'acceptance': 7
+  };
+  return typeMap[type] || 1; // 默认: functional
+}
+
+// Layer 映射 (测试层级)
+function mapTestLayer(layer) {
+  const layerMap = {
+    'e2e': 1,
+    'api': 2,
+    'unit': 3
+  };
+  return layerMap[layer] || 1; // 默认: e2e
+}
+
+// Severity 映射 (严重程度)
+function mapSeverity(severity) {
+  const severityMap = {
+    'blocker': 1,
+    'critical': 2,
+    'major': 3,
+    'normal': 4,
+    'minor': 5,
+    'trivial': 6
+  };
+  return severityMap[severity] || 4; // 默认: normal
+}
+
+// Behavior 映射 (行为类型)
+function mapBehavior(behavior) {
+  if (!behavior) return null; // 不设置
+
+  const behaviorMap = {
+    'positive': 1,
+    'negative': 2,
+    'destructive': 3
+  };
+  return behaviorMap[behavior] || null;
+}
+
+// Priority 映射 (优先级)
+function mapPriority(priority) {
+  const priorityMap = {
+    'high': 1,
+    'medium': 2,
+    'low': 3
+  };
+  return priorityMap[priority] || 2; // 默认: medium
+}
+
+/**
+ * 获取现有的 Suites 并构建层次化映射
+ */
+async function getSuites(config, logger = silentLogger) {
+  try {
+    // 🔥 修复：添加分页支持，获取所有 suites
+    const allSuites = [];
+    let offset = 0;
+    const limit = 100;
+
+    while (true) {
+      const response = await qaseApiRequest(
+        config,
+        'GET',
+        `/suite/${config.qase.projectCode}?limit=${limit}&offset=${offset}`
+      );
+
+      const suites = response.result.entities || [];
+      allSuites.push(...suites);
+
+      // 如果返回的数量少于limit，说明已经是最后一页
+      if (suites.length < limit) {
+        break;
+      }
+
+      offset += limit;
+    }
+
+    const suites = allSuites;
+
+    // 构建 ID 到 Suite 的映射
+    const idToSuite = {};
+    for (const suite of suites) {
+      idToSuite[suite.id] = suite;
+    }
+
+    // 构建完整路径映射
+    const pathMap = {};
+
+    function buildPath(suite) {
+      const parts = [suite.title];
+      let current = suite;
+      let depth = 0;
+
+      // 向上追溯父 Suite，计算层次深度
+      while (current.parent_id) {
+        const parent = idToSuite[current.parent_id];
+        if (!parent) break;
+        parts.unshift(parent.title);
+        current = parent;
+        depth++;
+      }
+
+      const fullPath = parts.join(' > ');
+
+      // 🔥 冲突检测：当有多个 Suite 生成相同路径时，优先选择层次更深的（有 parent 的）
+      if (pathMap[fullPath]) {
+        const existingSuite = idToSuite[pathMap[fullPath]];
+        const existingDepth = existingSuite.parent_id ? 1 : 0; // 简化：有 parent 就算深度更高
+
+        // 如果当前 Suite 有 parent 但已存在的没有，替换
+        if (depth > 0 && existingDepth === 0) {
+          pathMap[fullPath] = suite.id;
+        }
+        // 如果已存在的有 parent，保持不变（优先保留有层次的）
+      } else {
+        pathMap[fullPath] = suite.id;
+      }
+
+      return fullPath;
+    }
+
+    // 为每个 Suite 构建完整路径
+    for (const suite of suites) {
+      buildPath(suite);
+    }
+
+    return { suites, pathMap };
+  } catch (error) {
+    logger.warn(`⚠️  获取 Suites 失败: ${error.message}`);
+    return { suites: [], pathMap: {} };
+  }
+}
+
+/**
+ * 为 Qase 用例建立索引
+ *
+ * @param {Array} cases - Qase 中的用例
+ * @param {Object} config - 配置对象
+ * @returns {{customIdMap: Object, qaseIdMap: Object, titleMap: Object}}
+ *   customIdMap: custom_id → 用例数组（多于一个即为冲突），qaseIdMap: qase_id → 用例，
+ *   titleMap: 标题 → 用例（只包含没有 Custom ID 的旧用例）
+ */
+function buildCaseIndex(cases, config) {
+  const customIdMap = {};
+  const qaseIdMap = {};
+  const titleMap = {};
+
+  for (const testCase of cases) {
+    if (testCase.id) {
+      qaseIdMap[testCase.id] = testCase;
+    }
+
+    const customId = getCaseCustomId(testCase, config);
+    if (customId) {
+      (customIdMap[customId] = customIdMap[customId] || []).push(testCase);
+    } else if (testCase.title) {
+      titleMap[testCase.title] = testCase;
+    }
+  }
+
+  return { customIdMap, qaseIdMap, titleMap };
+}
+
+/**
+ * 获取现有的测试用例并建立索引（见 buildCaseIndex）
+ * 支持分页获取所有测试用例
+ *
+ * 获取失败时抛出错误：没有现有用例的索引，计划会把所有测试当作新用例创建
+ */
+async function getExistingCases(config) {
+  const allCases = [];
+  let offset = 0;
+  const limit = 100;
+
+  try {
+    // 分页获取所有测试用例
+    while (true) {
+      const response = await qaseApiRequest(
+        config,
+        'GET',
+        `/case/${config.qase.projectCode}?limit=${limit}&offset=${offset}`
+      );
+
+      const cases = response.result.entities || [];
+      allCases.push(...cases);
+
+      // 如果返回的数量少于limit，说明已经是最后一页
+      if (cases.length < limit) {
+        break;
+      }
+
+      offset += limit;
+    }
+  } catch (error) {
+    throw new Error(`获取现有测试用例失败: ${error.message}`);
+  }
+
+  return buildCaseIndex(allCases, config);
+}
+
+/**
+ * 解析 Suite 路径为名称数组
+ * 支持多种分隔符：\t, /, >
+ */
+function parseSuitePath(suitePath) {
+  if (!suitePath) return [];
+
+  // 检测并使用对应的分隔符
+  let separator = ' / '; // 默认（当前格式）
+  if (suitePath.includes('\t')) {
+    separator = '\t';
+  } else if (suitePath.includes(' > ')) {
+    separator = ' > ';
+  }
+
+  return suitePath.split(separator).map(s => s.trim()).filter(s => s.length > 0);
+}
+
+/**
+ * 创建单个 Suite（内部函数，由 ensureSuiteHierarchy 调用）
+ */
+async function createSuite(config, suiteName, parentId = null, logger = silentLogger) {
+  try {
+    const response = await qaseApiRequest(
+      config,
+      'POST',
+      `/suite/${config.qase.projectCode}`,
+      {
+        title: suiteName,
+        description: `从代码自动同步的测试套件`,
+        preconditions: null,
+        parent_id: parentId
+      }
+    );
+
+    const indentation = parentId ? '      ' : '   ';
+    logger.log(`${indentation}✅ 创建 Suite: ${suiteName} (ID: ${response.result.id}${parentId ? `, Parent: ${parentId}` : ''})`);
+
+    return {
+      id: response.result.id,
+      title: suiteName,
+      description: '从代码自动同步的测试套件',
+      preconditions: null,
+      parent_id: parentId
+    };
+  } catch (error) {
+    logger.error(`   ❌ 创建 Suite 失败: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 确保层次化 Suite 存在（递归创建父 Suite）
+ *
+ * @param {Object} config - 配置对象
+ * @param {string} suitePath - Suite 路径字符串（如 "E2E Tests / AI Features"）
+ * @param {Array} existingSuites - 现有的 Suite 列表
+ * @param {Object} logger - 进度输出（见 lib/logger.js）
+ * @returns {number|null} - 最深层 Suite 的 ID，失败返回 null
+ *
+ * 算法：
+ * 1. 解析路径为名称数组：["E2E Tests", "AI Features"]
+ * 2. 从外到内逐层检查/创建：
+ *    - 第1层: E2E Tests (parent_id = null)
+ *    - 第2层: AI Features (parent_id = E2E Tests的ID)
+ * 3. 返回最内层的 Suite ID
+ */
+async function ensureSuiteHierarchy(config, suitePath, existingSuites, logger = silentLogger) {
+  const suiteNames = parseSuitePath(suitePath);
+
+  if (suiteNames.length === 0) {
+    logger.error('   ❌ Suite 路径为空');
+    return null;
+  }
+
+  let parentId = null;
+
+  for (let i = 0; i < suiteNames.length; i++) {
+    const suiteName = suiteNames[i];
+    const indentation = '   ' + '   '.repeat(i);
+
+    // 查找是否已存在（匹配 title 和 parent_id）
+    let suite = existingSuites.find(s =>
+      s.title === suiteName &&
+      (s.parent_id === parentId || (!s.parent_id && parentId === null))
+    );
+
+    if (suite) {
+      logger.log(`${indentation}ℹ️  使用现有 Suite: ${suiteName} (ID: ${suite.id}${parentId ? `, Parent: ${parentId}` : ''})`);
+    } else {
+      // 不存在就创建
+      suite = await createSuite(config, suiteName, parentId, logger);
+      if (!suite) {
+        return null; // 创建失败
+      }
+      existingSuites.push(suite);
+    }
+
+    parentId = suite.id; // 下一层的父 ID
+  }
+
+  return parentId; // 返回最深层的 Suite ID
+}
+
+/**
+ * 查找已存在的 Suite 路径对应的 Suite ID（按标题和父 Suite 逐层匹配，不创建）
+ * @returns {number|null} 路径中有 Suite 不存在时返回 null
+ */
+function findSuiteId(suitePath, suites) {
+  let parentId = null;
+
+  for (const title of parseSuitePath(suitePath)) {
+    const suite = suites.find(s => s.title === title && (s.parent_id || null) === parentId);
+    if (!suite) {
+      return null;
+    }
+    parentId = suite.id;
+  }
+
+  return parentId;
+}
+
+/**
+ * Suite 的标题路径（从根到该 Suite）
+ */
+function getSuiteTitles(suite, byId) {
+  const titles = [suite.title];
+  const seen = new Set([suite.id]);
+  let current = suite;
+
+  while (current.parent_id && byId.has(current.parent_id) && !seen.has(current.parent_id)) {
+    current = byId.get(current.parent_id);
+    seen.add(current.id);
+    titles.unshift(current.title);
+  }
+
+  return titles;
+}
+
+/**
+ * 识别改名或移动的 Suite（按 Suite 中已匹配用例的 Custom ID 判断）
+ *
+ * 代码中不再使用的 Qase Suite，如果其下（含子 Suite）的全部用例中超过半数在代码中指向同一个新路径，
+ * 视为 test.describe 改名或移动：原地修改 Suite 的 title / parent_id，Suite ID 和历史保留。
+ * 没有 Custom ID、没有匹配到代码的用例也计入总数（不投票）；含有手动用例的 Suite 不处理。
+ * 从外到内处理，父 Suite 改名后子 Suite 的路径随之变化。
+ * 新路径已存在、或新的父 Suite 尚不存在时不处理（用例按原逻辑移动到新建的 Suite）
+ *
+ * @param {Array} toUpdate - matchTestCases() 匹配到的用例
+ * @param {Array} testCases - 本地测试用例
+ * @param {Array} suites - Qase 中的 Suite（不修改）
+ * @param {Array} qaseCases - Qase 中的全部用例（默认只有已匹配的用例）
+ * @returns {Array<{action: string, suiteId: number, fromSuite: string, suite: string, title: string, parentId: number|null}>}
+ *   action 为 rename（父 Suite 不变）或 move；路径使用 ' / ' 分隔，按执行顺序排列
+ */
+function detectSuiteRenames(toUpdate, testCases, suites, qaseCases = toUpdate.map(item => item.existing)) {
+  const planned = suites.map(suite => ({ ...suite }));
+  const byId = new Map(planned.map(suite => [suite.id, suite]));
+
+  const localPaths = new Set();
+  for (const tc of testCases) {
+    const parts = parseSuitePath(tc.suite);
+    parts.forEach((_, i) => localPaths.add(parts.slice(0, i + 1).join(' / ')));
+  }
+
+  // Suite ID → 已匹配用例在代码中的路径
+  const targets = new Map();
+  for (const { testCase, existing } of toUpdate) {
+    if (byId.has(existing.suite_id)) {
+      targets.set(existing.suite_id, [...(targets.get(existing.suite_id) || []), parseSuitePath(testCase.suite)]);
+    }
+  }
+
+  // Suite ID → 没有匹配到代码的用例（计入总数；手动用例使 Suite 不参与改名）
+  const matchedIds = new Set(toUpdate.map(({ existing }) => existing.id));
+  const unmatched = new Map();
+  for (const testCase of qaseCases) {
+    if (!matchedIds.has(testCase.id) && byId.has(testCase.suite_id)) {
+      unmatched.set(testCase.suite_id, [...(unmatched.get(testCase.suite_id) || []), testCase]);
+    }
+  }
+  const isManual = testCase => typeof testCase.automation === 'number' && testCase.automation !== 2;
+
+  // suite 是否为 rootId 或其子 Suite
+  const isInSubtree = (suite, rootId) => {
+    const seen = new Set();
+    let current = suite;
+    while (current && !seen.has(current.id)) {
+      if (current.id === rootId) {
+        return true;
+      }
+      seen.add(current.id);
+      current = current.parent_id ? byId.get(current.parent_id) : null;
+    }
+    return false;
+  };
+
+  const depth = suite => getSuiteTitles(suite, byId).length;
+  const renames = [];
+
+  for (const suite of [...planned].sort((a, b) => depth(a) - depth(b))) {
+    const currentPath = getSuiteTitles(suite, byId).join(' / ');
+    if (localPaths.has(currentPath)) {
+      continue;
+    }
+
+    // 子 Suite 中的用例按相对层级换算为该 Suite 的新路径
+    const votes = new Map();
+    let total = 0;
+    let hasManual = false;
+    for (const member of planned.filter(item => isInSubtree(item, suite.id))) {
+      const others = unmatched.get(member.id) || [];
+      total += others.length;
+      hasManual = hasManual || others.some(isManual);
+
+      const relativeDepth = depth(member) - depth(suite);
+      for (const parts of targets.get(member.id) || []) {
+        total++;
+        if (parts.length > relativeDepth) {
+          const candidate = parts.slice(0, parts.length - relativeDepth).join(' / ');
+          votes.set(candidate, (votes.get(candidate) || 0) + 1);
+        }
+      }
+    }
+
+    const [winner] = [...votes.entries()].sort((a, b) => b[1] - a[1]);
+    if (hasManual || !winner || winner[1] * 2 <= total || winner[0] === currentPath || findSuiteId(winner[0], planned) !== null) {
+      continue;
+    }
+
+    const parts = parseSuitePath(winner[0]);
+    const parentId = parts.length > 1 ? findSuiteId(parts.slice(0, -1).join(' / '), planned) : null;
+    if (parts.length > 1 && (parentId === null || isInSubtree(byId.get(parentId), suite.id))) {
+      continue;
+    }
+
+    renames.push({
+      action: (suite.parent_id || null) === parentId ? 'rename' : 'move',
+      suiteId: suite.id,
+      fromSuite: currentPath,
+      suite: winner[0],
+      title: parts[parts.length - 1],
+      parentId
+    });
+    suite.title = parts[parts.length - 1];
+    suite.parent_id = parentId;
+  }
+
+  return renames;
+}
+
+/**
+ * 在 Suite 列表上应用改名 / 移动（返回新列表，不修改原列表）
+ */
+function applySuiteRenames(suites, renames) {
+  const bySuiteId = new Map(renames.map(item => [item.suiteId, item]));
+  return suites.map(suite => {
+    const rename = bySuiteId.get(suite.id);
+    return rename ? { ...suite, title: rename.title, parent_id: rename.parentId } : suite;
+  });
+}
+
+/**
+ * 在 Qase 中改名 / 移动 Suite，成功后同步修改 existingSuites
+ * @returns {Promise<{renamed: number, failed: number}>}
+ */
+async function renameSuites(config, renames, existingSuites, logger = silentLogger) {
+  const result = { renamed: 0, failed: 0 };
+
+  for (const rename of renames) {
+    try {
+      await qaseApiRequest(config, 'PATCH', `/suite/${config.qase.projectCode}/${rename.suiteId}`, {
+        title: rename.title,
+        parent_id: rename.parentId
+      });
+      const suite = existingSuites.find(item => item.id === rename.suiteId);
+      if (suite) {
+        suite.title = rename.title;
+        suite.parent_id = rename.parentId;
+      }
+      result.renamed++;
+      logger.log(`   ${rename.action === 'move' ? '🚚' : '✏️ '} Suite: ${rename.fromSuite} → ${rename.suite} (ID: ${rename.suiteId})`);
+    } catch (error) {
+      logger.error(`   ❌ 修改 Suite ${rename.fromSuite} 失败: ${error.message}`);
+      result.failed++;
+    }
+    await delay(UPDATE_DELAY_MS);
+  }
+
+  return result;
+}
+
+/**
+ * 汇总代码中各 Suite 的说明和前置条件（testCase.describeDocs，来自 describe 的 JSDoc 和文件头注释）
+ *
+ * 同一 Suite 出现在多个文件中时，每个字段使用第一个非空的值
+ *
+ * @param {Array} testCases - 本地测试用例
+ * @returns {Map<string, {description: string, preconditions: string}>} ' / ' 分隔的 Suite 路径 → 说明
+ */
+function collectSuiteDocs(testCases) {
+  const suiteDocs = new Map();
+
+  for (const tc of testCases) {
+    const parts = parseSuitePath(tc.suite);
+    (tc.describeDocs || []).forEach((docs, index) => {
+      if (index >= parts.length || (!docs.description && !docs.preconditions)) {
+        return;
+      }
+      const suitePath = parts.slice(0, index + 1).join(' / ');
+      const current = suiteDocs.get(suitePath) || { description: '', preconditions: '' };
+      suiteDocs.set(suitePath, {
+        description: current.description || docs.description || '',
+        preconditions: current.preconditions || docs.preconditions || ''
+      });
+    });
+  }
+
+  return suiteDocs;
+}
+
+/**
+ * 比较 Qase 中 Suite 的说明、前置条件与代码，返回需要更新的 Suite
+ *
+ * 代码中为空的字段不修改，保留在 Qase 中手工填写的内容
+ *
+ * @param {Map} suiteDocs - collectSuiteDocs() 的结果
+ * @param {Array} suites - Qase 中的 Suite
+ * @returns {Array<{suite: string, suiteId: number|null, changes: Array, data: Object}>}
+ *   suiteId 为 null 表示 Suite 尚未创建；data 为更新请求
+ */
+function diffSuiteDocs(suiteDocs, suites) {
+  const updates = [];
+
+  for (const [suitePath, docs] of suiteDocs) {
+    const suiteId = findSuiteId(suitePath, suites);
+    const suite = suiteId === null ? {} : suites.find(item => item.id === suiteId);
+    const changes = [];
+    const data = {};
+
+    for (const field of ['description', 'preconditions']) {
+      const before = String(suite[field] || '').trim();
+      const after = String(docs[field] || '').trim();
+      if (after && before !== after) {
+        changes.push({ field, before, after });
+        data[field] = after;
+      }
+    }
+
+    if (changes.length > 0) {
+      updates.push({ suite: suitePath, suiteId, changes, data });
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * 更新 Qase 中 Suite 的说明和前置条件，成功后同步修改 existingSuites
+ *
+ * suiteId 为 null 的 Suite 按路径在 existingSuites 中查找（需要先创建）
+ *
+ * @returns {Promise<{updated: number, failed: number}>}
+ */
+async function updateSuiteDocs(config, updates, existingSuites, logger = silentLogger) {
+  const result = { updated: 0, failed: 0 };
+
+  for (const update of updates) {
+    const suiteId = update.suiteId || findSuiteId(update.suite, existingSuites);
+    try {
+      if (!suiteId) {
+        throw new Error('Suite 不存在');
+      }
+      await qaseApiRequest(config, 'PATCH', `/suite/${config.qase.projectCode}/${suiteId}`, update.data);
+      Object.assign(existingSuites.find(item => item.id === suiteId) || {}, update.data);
+      result.updated++;
+      logger.log(`   📝 Suite 说明: ${update.suite} (${update.changes.map(change => change.field).join(', ')})`);
+    } catch (error) {
+      logger.error(`   ❌ 更新 Suite ${update.suite} 的说明失败: ${error.message}`);
+      result.failed++;
+    }
+    await delay(UPDATE_DELAY_MS);
+  }
+
+  return result;
+}
+
+/**
+ * 构建创建 / 更新用例的请求数据
+ *
+ * @param {Object} config - 配置对象
+ * @param {Object} testCase - 提取的测试用例
+ * @param {number} suiteId - 目标 Suite ID
+ * @param {Array} authors - Qase 成员（匹配 owner → author_id）
+ * @param {Object|null} existingCase - 更新时为 Qase 中的现有用例，创建时为 null
+ * @returns {Object} Qase 用例数据
+ */
+function buildCaseData(config, testCase, suiteId, authors = [], existingCase = null) {
+  // 处理步骤：Qase API v1 格式（嵌套步骤转换为子步骤）
+  const steps = formatStepsForQase(testCase.steps);
+
+  // 构建自定义字段对象
+  const customFields = {};
+  const fieldConfig = config.qase.customFields || {};
+
+  // 添加 Custom ID 字段
+  customFields[getCustomIdFieldId(config)] = testCase.id;
+
+  if (existingCase) {
+    // 保留现有的 Last Run Result 字段值（字段 2）
+    // 如果现有测试用例有这个字段，保留其值；否则不设置（更新时可选）
+    if (existingCase.custom_fields) {
+      const lastRunField = existingCase.custom_fields.find(f => f.id === 2);
+      if (lastRunField && lastRunField.value !== null && lastRunField.value !== undefined) {
+        customFields[2] = lastRunField.value;
+      }
+    }
+  } else {
+    // 添加 Last Run Result 字段（字段 2）- 新测试用例默认为 NOTRUN (4)
+    customFields[2] = 4;
+  }
+
+  // 添加 Test File Path 字段
+  if (fieldConfig.testFilePath && testCase.filePath) {
+    customFields[fieldConfig.testFilePath] = testCase.filePath;
+  }
+
+  // owner、最后修改提交和源码链接
+  const ownership = formatOwnershipForQase(testCase, config, authors);
+  Object.assign(customFields, ownership.customFields);
+
+  const caseData = {
+    title: testCase.title,
+    description: testCase.description || '',
+    preconditions: testCase.preconditions || '',
+    postconditions: testCase.postconditions || '',
+    suite_id: suiteId,
+    severity: mapSeverity(testCase.severity),
+    priority: mapPriority(testCase.priority),
+    type: mapTestType(testCase.type),
+    layer: mapTestLayer(testCase.layer),
+    is_flaky: testCase.isFlaky ? 1 : 0,
+    automation: testCase.automation === 'automated' ? 2 : 0,
+    status: testCase.status === 'actual' ? 0 : 1,
+    steps: steps,
+    tags: Array.isArray(testCase.tags) ? testCase.tags : (testCase.tags ? [testCase.tags] : []),
+    custom_field: customFields,
+    ...formatCaseExtrasForQase(testCase),
+    ...ownership.fields
+  };
+
+  // 只有当 behavior 不为 null 时才添加
+  const behavior = mapBehavior(testCase.behavior);
+  if (behavior !== null) {
+    caseData.behavior = behavior;
+  }
+
+  return caseData;
+}
+
+/**
+ * 更新单个测试用例
+ * @param {Array} authors - Qase 成员（匹配 owner → author_id）
+ */
+async function updateTestCase(config, testCase, existingCase, suiteId, authors = [], logger = silentLogger, data = null) {
+  try {
+    await qaseApiRequest(
+      config,
+      'PATCH',
+      `/case/${config.qase.projectCode}/${existingCase.id}`,
+      data || buildCaseData(config, testCase, suiteId, authors, existingCase)
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`   ❌ 更新失败 (${testCase.id}): ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 批量创建测试用例
+ * 返回 custom_id -> qase_id 的映射
+ * @param {Array} authors - Qase 成员（匹配 owner → author_id）
+ */
+async function bulkCreateTestCases(config, testCases, suiteId, authors = [], logger = silentLogger) {
+  try {
+    // 准备批量测试用例数据
+    const cases = testCases.map(testCase => buildCaseData(config, testCase, suiteId, authors));
+
+    const response = await qaseApiRequest(
+      config,
+      'POST',
+      `/case/${config.qase.projectCode}/bulk`,
+      { cases }
+    );
+
+    // 构建 custom_id -> {qase_id, suite_path} 映射（增强格式）
+    const idMapping = {};
+
+    // Qase bulk create 返回格式: { ids: [717, 718, ...] }
+    if (response.result && response.result.ids && Array.isArray(response.result.ids)) {
+      response.result.ids.forEach((qaseId, index) => {
+        if (qaseId && testCases[index]) {
+          // 增强格式：包含 qase_id 和 suite_path（使用制表符 \t 分隔）
+          idMapping[testCases[index].id] = {
+            qase_id: qaseId,
+            suite_path: testCases[index].suite // 直接使用，已包含 \t
+          };
+        }
+      });
+    }
+
+    return { result: response.result, idMapping };
+  } catch (error) {
+    logger.error(`   ❌ 批量创建失败: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 同步 issue annotation 为 Qase 外部链接
+ * @param {Object} config - 配置对象
+ * @param {Array} testCases - 测试用例列表
+ * @param {Object} idMappings - custom_id -> {qase_id, suite_path} 映射
+ * @returns {Promise<number>} 关联的用例数
+ */
+async function syncExternalIssues(config, testCases, idMappings, logger = silentLogger) {
+  const links = testCases
+    .filter(tc => tc.externalIssues && tc.externalIssues.length > 0 && idMappings[tc.id])
+    .map(tc => ({
+      case_id: idMappings[tc.id].qase_id,
+      external_issues: tc.externalIssues
+    }));
+
+  if (links.length === 0) {
+    return 0;
+  }
+
+  logger.log(`\n🔗 关联外部 Issue: ${links.length} 个测试用例`);
+  try {
+    await attachExternalIssues(config, links);
+    links.forEach(link => {
+      logger.log(`   ✅ Qase ID ${link.case_id} → ${link.external_issues.join(', ')}`);
+    });
+    return links.length;
+  } catch (error) {
+    logger.warn(`   ⚠️  关联外部 Issue 失败: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * 匹配本地用例与 Qase 中的现有用例
+ *
+ * 匹配顺序：
+ * 1. 代码中的 qase.id()：Qase 中的用例存在且 Custom ID 相同（或为空）时匹配；
+ *    用例已删除或 Custom ID 不同时记为过期的 qase.id()，继续按 Custom ID 匹配
+ * 2. Custom ID 字段：同一 Custom ID 出现在多个 Qase 用例上时记为冲突，该用例不创建也不更新
+ * 3. 标题：只匹配没有 Custom ID 的旧用例（标题变化不会再产生重复用例）
+ *
+ * @param {Object} config - 配置对象（读取 Qase 用例的 Custom ID 字段）
+ * @param {Array} testCases - 本地测试用例
+ * @param {{customIdMap: Object, qaseIdMap: Object, titleMap: Object}} index - buildCaseIndex() 的结果
+ * @param {Object} logger - 进度输出
+ * @returns {{toUpdate: Array<{testCase, existing, matchReason}>, toCreate: Array,
+ *   conflicts: Array<{customId, qaseIds}>, staleIds: Array<{customId, qaseId, reason, actualCustomId}>}}
+ */
+function matchTestCases(config, testCases, { customIdMap, qaseIdMap, titleMap }, logger = silentLogger) {
+  const toUpdate = [];
+  const toCreate = [];
+  const conflicts = [];
+  const staleIds = [];
+
+  for (const tc of testCases) {
+    let existingCase = null;
+    let matchReason = '';
+
+    // 1. 代码中的 qase.id()
+    const localQaseId = tc.qase_id;
+    if (localQaseId) {
+      const byId = qaseIdMap[localQaseId];
+      const actualCustomId = byId ? getCaseCustomId(byId, config) : null;
+
+      if (!byId) {
+        logger.warn(`   ⚠️  ${tc.id}: qase.id(${localQaseId}) 在 Qase 中不存在，可能已被删除`);
+        staleIds.push({ customId: tc.id, qaseId: localQaseId, reason: 'missing', actualCustomId: null });
+      } else if (actualCustomId && actualCustomId !== tc.id) {
+        logger.warn(`   ⚠️  ${tc.id}: qase.id(${localQaseId}) 指向 Custom ID 为 ${actualCustomId} 的用例`);
+        staleIds.push({ customId: tc.id, qaseId: localQaseId, reason: 'mismatch', actualCustomId });
+      } else {
+        existingCase = byId;
+        matchReason = `qase_id: ${localQaseId}`;
+      }
+    }
+
+    // 2. Custom ID 字段
+    if (!existingCase) {
+      const candidates = customIdMap[tc.id] || [];
+
+      if (candidates.length > 1) {
+        const qaseIds = candidates.map(c => c.id);
+        logger.warn(`   ⚠️  ${tc.id}: Custom ID 同时出现在 ${candidates.length} 个 Qase 用例上 (${qaseIds.join(', ')})，跳过`);
+        conflicts.push({ customId: tc.id, qaseIds });
+        continue;
+      }
+
+      if (candidates.length === 1) {
+        existingCase = candidates[0];
+        matchReason = `custom_id: ${tc.id}`;
+      }
+    }
+
+    // 3. 标题（只匹配没有 Custom ID 的旧用例）
+    if (!existingCase && titleMap[tc.title]) {
+      existingCase = titleMap[tc.title];
+      matchReason = `title: "${tc.title}"`;
+    }
+
+    if (existingCase) {
+      if (localQaseId && existingCase.id !== localQaseId) {
+        logger.warn(`   ⚠️  ${tc.id}: 本地 qase_id (${localQaseId}) 与 Qase (${existingCase.id}) 不一致，将更新为 Qase ID`);
+      }
+      logger.log(`   🔄 需要更新: ${tc.id} (匹配: ${matchReason})`);
+      toUpdate.push({ testCase: tc, existing: existingCase, matchReason });
+    } else {
+      toCreate.push(tc);
+    }
+  }
+
+  return { toUpdate, toCreate, conflicts, staleIds };
+}
+
+/**
+ * 读取代码中已删除用例的处理策略（qase.removedCases）
+ *
+ * - policy: ignore（默认，保留）/ deprecate（状态改为 deprecated）/ archive（移动到归档 Suite）/ delete
+ * - archiveSuite: archive 使用的 Suite（默认 Archived）
+ * - maxRemovalRatio: 将被处理的用例超过 Qase 中带 Custom ID 用例的该比例时中止（默认 0.1）
+ *
+ * @param {Object} config - 配置对象
+ * @returns {{policy: string, archiveSuite: string, maxRemovalRatio: number}}
+ */
+function resolveRemovalPolicy(config) {
+  const options = config.qase.removedCases || {};
+  const policy = options.policy || 'ignore';
+
+  if (!REMOVAL_POLICIES.includes(policy)) {
+    throw new Error(`qase.removedCases.policy 无效: "${policy}"（可用: ${REMOVAL_POLICIES.join(', ')}）`);
+  }
+
+  return {
+    policy,
+    archiveSuite: options.archiveSuite || DEFAULT_ARCHIVE_SUITE,
+    maxRemovalRatio: options.maxRemovalRatio === undefined ? DEFAULT_MAX_REMOVAL_RATIO : options.maxRemovalRatio
+  };
+}
+
+/**
+ * 提取时因错误跳过的测试的 Custom ID（仍在代码中，不能当作已删除）
+ * @param {Array} errors - extract() 的 errors
+ * @returns {Set<string>}
+ */
+function collectSkippedIds(errors) {
+  return new Set(errors.map(error => error.testId).filter(id => id && !id.startsWith('(')));
+}
+
+/**
+ * 查找 Custom ID 已不在代码中的 Qase 用例（按策略需要处理的）
+ *
+ * 没有 Custom ID 的手工用例、已匹配的用例、Custom ID 冲突的用例和提取时因错误跳过的用例不受影响；
+ * 已经是 deprecated 状态（deprecate）或已在归档 Suite 中（archive）的用例跳过。
+ * 提取结果不完整（Playwright 列表按 grep / project 等过滤，或提取有错误）时仍有用例需要处理的，中止
+ *
+ * @param {Object} config - 配置对象
+ * @param {Array} testCases - 本地测试用例
+ * @param {{customIdMap: Object}} index - buildCaseIndex() 的结果
+ * @param {Array} toUpdate - matchTestCases() 匹配到的用例
+ * @param {Array} suites - Qase 中的 Suite
+ * @param {{errors: Array, filtered: boolean}|null} extraction - extract() 的结果（调用方直接传入用例时为 null）
+ * @returns {{policy: Object, toRemove: Array, managed: number}} managed 为 Qase 中带 Custom ID 的用例数
+ * @throws {Error} 提取结果不完整，或超过 maxRemovalRatio
+ */
+function findRemovedCases(config, testCases, { customIdMap }, toUpdate, suites, extraction = null) {
+  const policy = resolveRemovalPolicy(config);
+  const managedCases = Object.values(customIdMap).flat();
+
+  if (policy.policy === 'ignore') {
+    return { policy, toRemove: [], managed: managedCases.length };
+  }
+
+  const errors = (extraction && extraction.errors) || [];
+  const skippedIds = collectSkippedIds(errors);
+  const localIds = new Set(testCases.map(tc => tc.id));
+  const matchedIds = new Set(toUpdate.map(item => item.existing.id));
+  const archiveSuiteId = findSuiteId(policy.archiveSuite, suites);
+
+  const toRemove = managedCases.filter(testCase => {
+    const customId = getCaseCustomId(testCase, config);
+    if (matchedIds.has(testCase.id) || localIds.has(customId) || skippedIds.has(customId)) {
+      return false;
+    }
+    if (policy.policy === 'deprecate') {
+      return Number(testCase.status) !== DEPRECATED_STATUS;
+    }
+    if (policy.policy === 'archive') {
+      return archiveSuiteId === null || testCase.suite_id !== archiveSuiteId;
+    }
+    return true;
+  });
+
+  // 不完整的提取结果中缺少的用例不一定已从代码中删除
+  const partial = [
+    ...(extraction && extraction.filtered ? ['Playwright 列表按 grep / project / 文件过滤'] : []),
+    ...(errors.length > 0 ? [`${errors.length} 个提取错误`] : [])
+  ];
+  if (toRemove.length > 0 && partial.length > 0) {
+    throw new Error(
+      `提取结果不完整（${partial.join('，')}），不能按 ${policy.policy} 处理 ${toRemove.length} 个代码中找不到的用例，已中止。` +
+      '请修正提取错误并使用完整的提取结果同步，或将 qase.removedCases.policy 设为 ignore'
+    );
+  }
+
+  const ratio = managedCases.length > 0 ? toRemove.length / managedCases.length : 0;
+  if (ratio > policy.maxRemovalRatio) {
+    throw new Error(
+      `${toRemove.length} 个用例将被 ${policy.policy}（占 ${managedCases.length} 个带 Custom ID 用例的 ${Math.round(ratio * 100)}%），` +
+      `超过 qase.removedCases.maxRemovalRatio（${Math.round(policy.maxRemovalRatio * 100)}%），已中止。` +
+      '请确认提取结果完整，或调高 maxRemovalRatio'
+    );
+  }
+
+  return { policy, toRemove, managed: managedCases.length };
+}
+
+/**
+ * 按策略处理代码中已删除的用例
+ * @returns {Promise<{deprecated: number, archived: number, deleted: number, failed: number}>}
+ */
+async function removeTestCases(config, toRemove, policy, existingSuites, logger = silentLogger) {
+  const result = { deprecated: 0, archived: 0, deleted: 0, failed: 0 };
+
+  if (toRemove.length === 0) {
+    return result;
+  }
+
+  logger.log(`\n🧹 处理代码中已删除的用例（${policy.policy}）: ${toRemove.length} 个`);
+
+  let archiveSuiteId = null;
+  if (policy.policy === 'archive') {
+    archiveSuiteId = await ensureSuiteHierarchy(config, policy.archiveSuite, existingSuites, logger);
+    if (!archiveSuiteId) {
+      result.failed += toRemove.length;
+      return result;
+    }
+  }
+
+  for (const testCase of toRemove) {
+    const label = `${getCaseCustomId(testCase, config)} (Qase ID: ${testCase.id})`;
+    try {
+      if (policy.policy === 'delete') {
+        await deleteTestCase(config, testCase.id);
+        result.deleted++;
+        logger.log(`   🗑️  删除: ${label}`);
+      } else if (policy.policy === 'archive') {
+        await qaseApiRequest(config, 'PATCH', `/case/${config.qase.projectCode}/${testCase.id}`, { suite_id: archiveSuiteId });
+        result.archived++;
+        logger.log(`   🗄️  归档: ${label}`);
+      } else {
+        await qaseApiRequest(config, 'PATCH', `/case/${config.qase.projectCode}/${testCase.id}`, { status: DEPRECATED_STATUS });
+        result.deprecated++;
+        logger.log(`   ⚠️  标记为 deprecated: ${label}`);
+      }
+    } catch (error) {
+      logger.error(`   ❌ 处理 ${label} 失败: ${error.message}`);
+      result.failed++;
+    }
+    await delay(UPDATE_DELAY_MS);
+  }
+
+  return result;
+}
+
+/**
+ * 按 Suite 路径分组
+ * @param {Array} items - 列表项
+ * @param {Function} getSuite - 取得列表项的 Suite 路径
+ * @returns {Object} suite → items
+ */
+function groupBySuite(items, getSuite) {
+  const grouped = {};
+  for (const item of items) {
+    const suite = getSuite(item);
+    if (!grouped[suite]) {
+      grouped[suite] = [];
+    }
+    grouped[suite].push(item);
+  }
+  return grouped;
+}
+
+/**
+ * 按上次同步的状态三方合并一个已匹配的用例（见 lib/case-merge.js）
+ *
+ * @param {Object} config - 配置对象
+ * @param {Object|null} previousState - loadSyncState() 的结果
+ * @param {Object} testCase - 本地测试用例
+ * @param {Object} existing - 匹配到的 Qase 用例
+ * @param {Object} data - buildCaseData() 生成的请求数据
+ * @param {Object} resolution - resolveConflictResolution() 的结果
+ * @returns {Object} mergeCase() 的结果；上次同步的是其他 Qase 用例时不合并
+ */
+function mergeMatchedCase(config, previousState, testCase, existing, data, resolution) {
+  const previous = previousState && previousState.cases[testCase.id];
+  const base = previous && previous.qaseId === existing.id && previous.fields ? previous.fields : null;
+  return mergeCase(base, existing, data, config, resolution);
+}
+
+/**
+ * 冲突报告中的一个用例
+ */
+function toFieldConflict(testCase, existing, merge) {
+  return {
+    customId: testCase.id,
+    qaseId: existing.id,
+    title: testCase.title,
+    failed: merge.failed,
+    fields: merge.conflicts
+  };
+}
+
+/**
+ * 代码与 Qase 同时修改的字段（plan() 预览用，sync() 按同样的方式合并）
+ */
+function findFieldConflicts(config, previousState, toUpdate, authors) {
+  if (!previousState) {
+    return [];
+  }
+
+  const resolution = resolveConflictResolution(config);
+  return toUpdate
+    .map(({ testCase, existing }) => {
+      const data = buildCaseData(config, testCase, existing.suite_id, authors, existing);
+      return toFieldConflict(testCase, existing, mergeMatchedCase(config, previousState, testCase, existing, data, resolution));
+    })
+    .filter(item => item.fields.length > 0);
+}
+
+/**
+ * 生成同步计划（只读取 Qase，不做修改）
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {Array} options.testCases - 本地测试用例（默认调用 extract() 提取）
+ * @param {Object} options.extraction - 传入 testCases 时对应的 extract() 结果（errors / filtered，用于已删除用例的检查）
+ * @param {Object} options.logger - 进度输出（默认不输出）
+ * @returns {Promise<{testCases: Array, toCreate: Array, toUpdate: Array, conflicts: Array, staleIds: Array,
+ *   fieldConflicts: Array, toRemove: Array, removalPolicy: Object, suiteRenames: Array, suiteDocUpdates: Array,
+ *   suites: Array, authors: Array}>}
+ */
+async function plan(options = {}) {
+  const config = resolveConfig(options);
+  assertQaseConfig(config);
+  resolveConflictResolution(config);
+  const logger = resolveLogger(options.logger);
+  const extraction = options.testCases ? options.extraction || null : extract({ cwd: options.cwd, config });
+  const testCases = options.testCases || extraction.testCases;
+
+  // 获取现有 Suites（只需要 suite 列表，不需要 pathMap）
+  logger.log('📦 获取现有 Suites...');
+  const { suites } = await getSuites(config, logger);
+  logger.log(`   找到 ${suites.length} 个已存在的 Suite`);
+
+  // 获取现有测试用例（用于更新或创建）
+  logger.log('\n🔍 检查现有测试用例...');
+  const existing = await getExistingCases(config);
+  logger.log(`   找到 ${Object.keys(existing.qaseIdMap).length} 个已存在的测试用例`);
+
+  // 获取 Qase 成员（git owner → author_id）
+  const authors = await loadCaseAuthors(config, testCases, logger);
+  if (authors.length > 0) {
+    logger.log(`   找到 ${authors.length} 个 Qase 成员（用于匹配用例 owner）`);
+  }
+
+  // 分离需要更新和创建的测试用例
+  const { toUpdate, toCreate, conflicts, staleIds } = matchTestCases(config, testCases, existing, logger);
+
+  // 代码中已删除的用例（超过 maxRemovalRatio 时抛出错误，不修改 Qase）
+  const { policy: removalPolicy, toRemove } = findRemovedCases(config, testCases, existing, toUpdate, suites, extraction);
+
+  // 改名 / 移动的 Suite（原地修改，不新建 Suite）
+  const suiteRenames = detectSuiteRenames(toUpdate, testCases, suites, Object.values(existing.qaseIdMap));
+
+  // describe 的 JSDoc 与 Qase 中 Suite 的说明、前置条件不同的 Suite（按改名后的结构比较）
+  const suiteDocUpdates = diffSuiteDocs(collectSuiteDocs(testCases), applySuiteRenames(suites, suiteRenames));
+
+  // 上次同步后代码与 Qase 同时修改的字段
+  const statePath = resolveSyncStatePath(config, options.cwd);
+  const previousState = statePath ? loadSyncState(statePath, config.qase.projectCode) : null;
+  const fieldConflicts = findFieldConflicts(config, previousState, toUpdate, authors);
+
+  return {
+    testCases,
+    toCreate,
+    toUpdate,
+    conflicts,
+    staleIds,
+    fieldConflicts,
+    toRemove,
+    removalPolicy,
+    suiteRenames,
+    suiteDocUpdates,
+    suites,
+    authors
+  };
+}
+
+/**
+ * 执行同步计划
+ *
+ * 增量同步：与 .qase-sync-state.json 中上次推送的内容相同的用例不发送请求；
+ * 状态文件不存在或损坏时，与 Qase 中内容一致的用例同样跳过，并重新建立状态文件。
+ * config.syncState 为 false 或 options.full 为 true 时更新所有匹配的用例。
+ *
+ * 需要更新的用例按状态文件中上次同步的字段三方合并（lib/case-merge.js）：只在 Qase 中修改的字段不覆盖，
+ * 两边都修改的字段按 qase.conflictResolution 处理并列入 fieldConflicts；options.full 时不合并
+ *
+ * @param {Object} options - 同 plan()，另外可以传入 plan() 的结果（options.plan）避免重复读取
+ * @param {boolean} options.full - 忽略同步状态，更新所有匹配的用例
+ * @returns {Promise<{suitesRenamed: number, suitesUpdated: number, created: number, updated: number, unchanged: number,
+ *   deprecated: number, archived: number, deleted: number, failed: number, linkedIssues: number, idMappings: Object,
+ *   conflicts: Array, fieldConflicts: Array}>}
+ */
+async function sync(options = {}) {
+  const config = resolveConfig(options);
+  assertQaseConfig(config);
+  const logger = resolveLogger(options.logger);
+  const syncPlan = options.plan || await plan({ ...options, config });
+  const { testCases, toCreate, toUpdate, authors } = syncPlan;
+  const toRemove = syncPlan.toRemove || [];
+  const suiteRenames = syncPlan.suiteRenames || [];
+  const suiteDocUpdates = syncPlan.suiteDocUpdates || [];
+  const existingSuites = syncPlan.suites;
+
+  const result = {
+    suitesRenamed: 0,
+    suitesUpdated: 0,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    deprecated: 0,
+    archived: 0,
+    deleted: 0,
+    failed: 0,
+    linkedIssues: 0,
+    idMappings: {},
+    conflicts: syncPlan.conflicts || [],
+    fieldConflicts: []
+  };
+
+  // 增量同步状态（本次同步后只保留当前代码中的用例）
+  const statePath = resolveSyncStatePath(config, options.cwd);
+  const deltaSync = Boolean(statePath) && !options.full;
+  const previousState = deltaSync ? loadSyncState(statePath, config.qase.projectCode) : null;
+  const state = createSyncState(config.qase.projectCode);
+  const resolution = resolveConflictResolution(config);
+  if (deltaSync && !previousState) {
+    logger.log(`\n🗂️  ${SYNC_STATE_FILE} 不存在或已损坏，按 Qase 中的用例重新建立`);
+  }
+
+  const hasSuiteChanges = suiteRenames.length > 0 || suiteDocUpdates.length > 0;
+  if (toUpdate.length === 0 && toCreate.length === 0 && toRemove.length === 0 && !hasSuiteChanges) {
+    return result;
+  }
+
+  // 先改名 / 移动 Suite，用例随后按新路径找到原 Suite
+  if (suiteRenames.length > 0) {
+    logger.log(`\n✏️  改名 / 移动 ${suiteRenames.length} 个 Suite`);
+    const renamed = await renameSuites(config, suiteRenames, existingSuites, logger);
+    result.suitesRenamed = renamed.renamed;
+    result.failed += renamed.failed;
+  }
+
+  const groupedBySuite = groupBySuite(toCreate, tc => tc.suite);
+  const updateGroupedBySuite = groupBySuite(toUpdate, item => item.testCase.suite);
+
+  // 处理更新
+  for (const [suiteName, items] of Object.entries(updateGroupedBySuite)) {
+    logger.log(`\n📦 更新 Suite: ${suiteName} (${items.length} 个测试用例)`);
+
+    // 确保层次化 Suite 存在
+    const suiteId = await ensureSuiteHierarchy(config, suiteName, existingSuites, logger);
+    if (!suiteId) {
+      logger.error(`   ⚠️  跳过此 Suite 的测试用例`);
+      result.failed += items.length;
+      continue;
+    }
+
+    // 逐个更新测试用例（内容未变化的跳过，上次同步后 Qase 中修改的字段三方合并）
+    logger.log(`   🔄 更新 ${items.length} 个测试用例...`);
+    for (const { testCase, existing } of items) {
+      const data = buildCaseData(config, testCase, suiteId, authors, existing);
+      const entry = { qaseId: existing.id, suiteId, hash: hashCasePayload(data), fields: snapshotCaseFields(data, config) };
+      const unchanged = deltaSync && (previousState
+        ? isCaseUnchanged(previousState.cases[testCase.id], entry)
+        : existing.suite_id === suiteId && diffCase(existing, data, config).length === 0);
+
+      // 记录 ID 映射（增强格式）
+      const mapping = {
+        qase_id: existing.id,
+        suite_path: testCase.suite // 直接使用，已包含 \t
+      };
+
+      if (unchanged) {
+        result.unchanged++;
+        result.idMappings[testCase.id] = mapping;
+        state.cases[testCase.id] = entry;
+        continue;
+      }
+
+      const merge = mergeMatchedCase(config, previousState, testCase, existing, data, resolution);
+      if (merge.conflicts.length > 0) {
+        result.fieldConflicts.push(toFieldConflict(testCase, existing, merge));
+      }
+      if (merge.failed) {
+        // 保留上次的状态，下次同步时仍然报告冲突
+        logger.warn(`      ⚔️  ${testCase.id}: 代码与 Qase 同时修改了 ${merge.conflicts.map(c => c.field).join(', ')}，已跳过`);
+        result.idMappings[testCase.id] = mapping;
+        state.cases[testCase.id] = previousState.cases[testCase.id];
+        continue;
+      }
+      if (merge.keptFields.length > 0) {
+        logger.log(`      ↩️  ${testCase.id}: 保留 Qase 中修改的 ${merge.keptFields.join(', ')}`);
+      }
+
+      const success = await updateTestCase(config, testCase, existing, suiteId, authors, logger, merge.data);
+      if (success) {
+        result.updated++;
+        logger.log(`      ✅ ${testCase.id}: ${testCase.title}`);
+        result.idMappings[testCase.id] = mapping;
+        state.cases[testCase.id] = entry;
+      } else {
+        result.failed++;
+      }
+      await delay(UPDATE_DELAY_MS);
+    }
+  }
+
+  if (result.unchanged > 0) {
+    logger.log(`\n⏭️  跳过 ${result.unchanged} 个内容未变化的测试用例`);
+  }
+  if (result.fieldConflicts.length > 0) {
+    logger.warn(`\n⚔️  ${result.fieldConflicts.length} 个测试用例的字段在代码和 Qase 中同时被修改`);
+  }
+
+  // 然后处理创建
+  for (const [suiteName, cases] of Object.entries(groupedBySuite)) {
+    logger.log(`\n📦 创建 Suite: ${suiteName} (${cases.length} 个测试用例)`);
+
+    // 确保层次化 Suite 存在
+    const suiteId = await ensureSuiteHierarchy(config, suiteName, existingSuites, logger);
+    if (!suiteId) {
+      logger.error(`   ⚠️  跳过此 Suite 的测试用例`);
+      result.failed += cases.length;
+      continue;
+    }
+
+    // 批量创建测试用例
+    logger.log(`   📤 批量创建 ${cases.length} 个测试用例...`);
+    const created = await bulkCreateTestCases(config, cases, suiteId, authors, logger);
+
+    if (created && created.idMapping) {
+      logger.log(`   ✅ 批量创建成功: ${cases.length} 个测试用例`);
+      result.created += cases.length;
+
+      // 合并 ID 映射
+      Object.assign(result.idMappings, created.idMapping);
+
+      // 显示创建的测试用例详情
+      cases.forEach(tc => {
+        const mapping = created.idMapping[tc.id];
+        const qaseId = mapping && mapping.qase_id ? mapping.qase_id : mapping; // 兼容旧格式
+        logger.log(`      • ${tc.id} → Qase ID: ${qaseId} - ${tc.title}`);
+        if (qaseId) {
+          const data = buildCaseData(config, tc, suiteId, authors);
+          state.cases[tc.id] = { qaseId, suiteId, hash: hashCasePayload(data), fields: snapshotCaseFields(data, config) };
+        }
+      });
+    } else {
+      logger.error(`   ❌ 批量创建失败`);
+      result.failed += cases.length;
+    }
+
+    await delay(CREATE_DELAY_MS);
+  }
+
+  // 用例所在的 Suite 都已存在，更新 Suite 的说明和前置条件
+  if (suiteDocUpdates.length > 0) {
+    logger.log(`\n📝 更新 ${suiteDocUpdates.length} 个 Suite 的说明`);
+    const updatedDocs = await updateSuiteDocs(config, suiteDocUpdates, existingSuites, logger);
+    result.suitesUpdated = updatedDocs.updated;
+    result.failed += updatedDocs.failed;
+  }
+
+  // 最后按策略处理代码中已删除的用例
+  if (toRemove.length > 0) {
+    const removed = await removeTestCases(config, toRemove, syncPlan.removalPolicy, existingSuites, logger);
+    result.deprecated = removed.deprecated;
+    result.archived = removed.archived;
+    result.deleted = removed.deleted;
+    result.failed += removed.failed;
+  }
+
+  if (statePath) {
+    saveSyncState(statePath, state);
+  }
+
+  // 关联 issue annotation（外部链接）
+  result.linkedIssues = await syncExternalIssues(config, testCases, result.idMappings, logger);
+
+  return result;
+}
+
+module.exports = {
+  REMOVAL_POLICIES,
+  DEFAULT_ARCHIVE_SUITE,
+  DEFAULT_MAX_REMOVAL_RATIO,
+  DEPRECATED_STATUS,
+  mapTestType,
+  mapTestLayer,
+  mapSeverity,
+  mapBehavior,
+  mapPriority,
+  getSuites,
+  getCaseCustomId,
+  buildCaseIndex,
+  getExistingCases,
+  parseSuitePath,
+  findSuiteId,
+  ensureSuiteHierarchy,
+  detectSuiteRenames,
+  applySuiteRenames,
+  renameSuites,
+  collectSuiteDocs,
+  diffSuiteDocs,
+  updateSuiteDocs,
+  buildCaseData,
+  updateTestCase,
+  mergeMatchedCase,
+  toFieldConflict,
+  bulkCreateTestCases,
+  syncExternalIssues,
+  matchTestCases,
+  resolveRemovalPolicy,
+  findRemovedCases,
+  removeTestCases,
+  plan,
+  sync
+};
@@ -216,6 +216,153 @@ async function createSuite(config, suiteData) {
   return await qaseApiRequest(config, 'POST', endpoint, suiteData);
 }
 
+/**
+ * 为测试用例关联外部 Issue（如 Jira）
+ * @param {Object} config - 配置对象（qase.externalIssueType 指定集成类型，默认 jira-cloud）
+ * @param {Array<{case_id: number, external_issues: Array<string>}>} links - 用例与 Issue 的关联
+ * @returns {Promise<Object>} 关联结果
+ */
+async function attachExternalIssues(config, links) {
+  const endpoint = `/case/${config.qase.projectCode}/external-issue/attach`;
+  return await qaseApiRequest(config, 'POST', endpoint, {
+    type: config.qase.externalIssueType || 'jira-cloud',
+    links
+  });
+}
+
+/**
+ * 获取项目成员（Qase author，支持分页）
+ * @param {Object} config - 配置对象
+ * @returns {Promise<Array>} author 列表 [{id, author_id, email, name, is_active}]
+ */
+async function getAllAuthors(config) {
+  let allAuthors = [];
+  let offset = 0;
+  const limit = 100;
+  let hasMore = true;
+
+  while (hasMore) {
+    const response = await qaseApiRequest(config, 'GET', `/author?limit=${limit}&offset=${offset}`);
+    const authors = (response.result && response.result.entities) || [];
+    allAuthors = allAuthors.concat(authors);
+
+    const total = (response.result && response.result.total) || 0;
+    offset += limit;
+    hasMore = offset < total;
+  }
+
+  return allAuthors;
+}
+
+/**
+ * 将 git owner 匹配到 Qase 成员
+ *
+ * 先按邮箱匹配（忽略大小写），再按姓名匹配；qase.authorAliases 可以把 git 邮箱或姓名
+ * 映射为 Qase 成员邮箱（如个人邮箱提交的代码）
+ *
+ * @param {{name: string, email: string}|null} owner - 用例 owner（lib/git-info.js）
+ * @param {Array} authors - getAllAuthors() 的结果
+ * @param {Object} aliases - git 邮箱 / 姓名 → Qase 成员邮箱
+ * @returns {Object|null} 匹配的 author
+ */
+function findQaseAuthor(owner, authors, aliases = {}) {
+  if (!owner) {
+    return null;
+  }
+
+  const active = authors.filter(author => author.is_active !== false);
+  const email = (aliases[owner.email] || aliases[owner.name] || owner.email || '').toLowerCase();
+
+  return active.find(author => author.email && author.email.toLowerCase() === email) ||
+    active.find(author => author.name && author.name === owner.name) ||
+    null;
+}
+
+/**
+ * 构建用例的 owner 和源码链接字段
+ *
+ * - qase.customFields.sourceUrl / owner / lastCommit 配置了字段 ID 时写入对应自定义字段
+ * - owner 匹配到 Qase 成员时设置 author_id（qase.matchAuthors: false 关闭）
+ *
+ * @param {Object} testCase - 提取的测试用例
+ * @param {Object} config - 配置对象
+ * @param {Array} authors - getAllAuthors() 的结果
+ * @returns {{customFields: Object, fields: Object}} customFields 合并到 custom_field，fields 合并到请求
+ */
+function formatOwnershipForQase(testCase, config, authors = []) {
+  const fieldConfig = config.qase.customFields || {};
+  const customFields = {};
+  const fields = {};
+
+  const author = config.qase.matchAuthors === false
+    ? null
+    : findQaseAuthor(testCase.owner, authors, config.qase.authorAliases);
+
+  if (fieldConfig.sourceUrl && testCase.sourceUrl) {
+    customFields[fieldConfig.sourceUrl] = testCase.sourceUrl;
+  }
+
+  if (fieldConfig.owner && testCase.owner) {
+    customFields[fieldConfig.owner] = author ? author.name : testCase.owner.name;
+  }
+
+  if (fieldConfig.lastCommit && testCase.lastCommit) {
+    customFields[fieldConfig.lastCommit] = testCase.lastCommit.sha;
+  }
+
+  if (author) {
+    // 用例的 author_id 对应成员的 author_id（旧版 API 响应只有 id）
+    fields.author_id = author.author_id || author.id;
+  }
+
+  return { customFields, fields };
+}
+
+/**
+ * 获取匹配 owner 所需的 Qase 成员
+ *
+ * 没有用例带 owner 或 qase.matchAuthors 为 false 时不请求；请求失败（如 token 无权限）
+ * 时给出警告并返回空列表，同步继续进行
+ *
+ * @param {Object} config - 配置对象
+ * @param {Array} testCases - 提取的测试用例
+ * @param {Object} logger - 警告输出（默认 console）
+ * @returns {Promise<Array>} author 列表
+ */
+async function loadCaseAuthors(config, testCases, logger = console) {
+  if (config.qase.matchAuthors === false || !testCases.some(testCase => testCase.owner)) {
+    return [];
+  }
+
+  try {
+    return await getAllAuthors(config);
+  } catch (error) {
+    logger.warn(`   ⚠️  获取 Qase 成员失败，不设置用例 author: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * 保存 Custom ID 的自定义字段 ID（qase.customFields.customId，默认字段 1）
+ * @param {Object} config - 配置对象
+ * @returns {number}
+ */
+function getCustomIdFieldId(config) {
+  return (config.qase.customFields || {}).customId || 1;
+}
+
+/**
+ * 读取 Qase 用例的 Custom ID（getCustomIdFieldId() 字段的值）
+ * @param {Object} testCase - Qase 中的用例
+ * @param {Object} config - 配置对象
+ * @returns {string|null}
+ */
+function getCaseCustomId(testCase, config) {
+  const fieldId = getCustomIdFieldId(config);
+  const field = (testCase.custom_fields || []).find(f => f.id === fieldId);
+  return field && field.value ? String(field.value).trim() : null;
+}
+
 /**
  * 通过 Custom ID 查找测试用例
  * @param {Object} config - 配置对象
@@ -224,18 +371,72 @@ async function createSuite(config, suiteData) {
  */
 async function findTestCaseByCustomId(config, customId) {
   const allCases = await getAllTestCases(config);
+  return allCases.find(testCase => getCaseCustomId(testCase, config) === customId) || null;
+}
 
-  for (const testCase of allCases) {
-    if (testCase.custom_fields) {
-      for (const field of testCase.custom_fields) {
-        if (field.value === customId) {
-          return testCase;
-        }
-      }
+/**
+ * 将用例步骤转换为 Qase API v1 格式（action / expected_result，data 只在非空时发送）
+ * 嵌套步骤转换为子步骤（steps 字段），position 在每一层内从 1 开始
+ *
+ * @param {Array} steps - 用例步骤树 [{action, data, expected_result, steps}]（兼容旧的字符串格式）
+ * @returns {Array} Qase 步骤数组
+ */
+function formatStepsForQase(steps) {
+  if (!steps || steps.length === 0) {
+    return [];
+  }
+
+  return steps.map((step, index) => {
+    // 兼容旧格式（字符串）
+    if (typeof step !== 'object') {
+      return {
+        action: step,
+        expected_result: '',
+        position: index + 1
+      };
+    }
+
+    const qaseStep = {
+      action: step.action || '',
+      expected_result: step.expected_result || '',
+      position: index + 1
+    };
+
+    if (step.data) {
+      qaseStep.data = step.data;
+    }
+
+    if (step.steps && step.steps.length > 0) {
+      qaseStep.steps = formatStepsForQase(step.steps);
     }
+
+    return qaseStep;
+  });
+}
+
+/**
+ * 构建用例的步骤类型和参数字段
+ *
+ * - Gherkin 用例（.feature 文件）使用 Qase 的 gherkin 步骤类型
+ * - parameters（参数化测试、Examples 表格）同步为 Qase 参数 { 参数名: [取值] }
+ *
+ * @param {Object} testCase - 提取的测试用例
+ * @returns {Object} 需要合并到创建 / 更新请求中的字段
+ */
+function formatCaseExtrasForQase(testCase) {
+  const extras = {};
+
+  if (testCase.stepsType === 'gherkin') {
+    extras.steps_type = 'gherkin';
+  }
+
+  // 无法静态解析取值的参数（如 for (let i = 0; ...)）不发送
+  const params = Object.entries(testCase.parameters || {}).filter(([, values]) => values.length > 0);
+  if (params.length > 0) {
+    extras.params = Object.fromEntries(params);
   }
 
-  return null;
+  return extras;
 }
 
 /**
@@ -256,6 +457,15 @@ module.exports = {
   deleteSuite,
   createOrUpdateTestCase,
   createSuite,
+  attachExternalIssues,
+  getAllAuthors,
+  findQaseAuthor,
+  formatOwnershipForQase,
+  loadCaseAuthors,
+  getCustomIdFieldId,
+  getCaseCustomId,
   findTestCaseByCustomId,
+  formatStepsForQase,
+  formatCaseExtrasForQase,
   parseSuitePath,
 };
@@ -0,0 +1,377 @@
+/**
+ * 根据测试运行结果更新 Qase 的 Last Run Result 自定义字段
+ * （update-last-run-results.js 和 index.js 的 reportResults() 共用）
+ *
+ * 状态映射：passed → PASS, failed → FAILD, skipped → NOTRUN；
+ * 同一 Custom ID 的多个结果（参数化测试的各参数组合）合并为一个 Qase 用例的结果：
+ * Last Run Result 只有一个值，上报的是合并后的状态，各参数组合的结果只在输出和返回值中列出
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { qaseApiRequest, getCaseCustomId } = require('./qase-utils');
+const { resolveIdGrammar, parseCustomId, escapeRegExp } = require('./custom-id');
+const { extract } = require('./extractor');
+const { resolveConfig, assertQaseConfig } = require('./config');
+const { silentLogger, resolveLogger } = require('./logger');
+
+const DEFAULT_RESULTS_FILE = 'test-results/results.json';
+
+// 更新之间的间隔（避免 API 速率限制）
+const UPDATE_DELAY_MS = 200;
+
+/**
+ * 读取 Playwright 测试结果
+ * @param {string} resultsFile - 结果文件路径（相对于 cwd）
+ * @param {string} cwd - 项目根目录
+ * @throws {Error} 文件不存在或不是有效的 JSON
+ */
+function readTestResults(resultsFile, cwd = process.cwd()) {
+  const resultsPath = path.resolve(cwd, resultsFile);
+
+  if (!fs.existsSync(resultsPath)) {
+    throw new Error(`找不到测试结果文件: ${resultsPath}（请先运行测试: npm run test:e2e）`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(resultsPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`解析测试结果失败: ${error.message}`);
+  }
+}
+
+/**
+ * 从测试标题中提取 Custom ID
+ * 例如: "TC-API-SYNC-015: 完整流程验证" → "TC-API-SYNC-015"
+ * @param {string} title - 测试标题
+ * @param {Object} grammar - Custom ID 语法
+ */
+function extractCustomId(title, grammar) {
+  const colonIndex = title.indexOf(':');
+  if (colonIndex === -1) {
+    return null;
+  }
+
+  const candidate = title.slice(0, colonIndex).trim();
+  return parseCustomId(candidate, grammar) ? candidate : null;
+}
+
+/**
+ * 为带插值 Custom ID 的参数化用例构建运行时标题匹配规则
+ *
+ * 例如模板 "TC-API-SYNC-0{n}: sync {provider}" 匹配 "TC-API-SYNC-01: sync gmail"，
+ * 运行结果归到提取时解析出的固定 Custom ID
+ *
+ * @param {Array} testCases - 提取的测试用例（读取 idTemplate / originalTitle）
+ * @returns {Array<{customId: string, pattern: RegExp}>}
+ */
+function buildTemplateMatchers(testCases) {
+  return testCases
+    .filter(testCase => testCase.idTemplate)
+    .map(testCase => ({
+      customId: testCase.customId,
+      pattern: new RegExp(`^${escapeRegExp(`${testCase.idTemplate}: ${testCase.originalTitle}`).replace(/\\\{.*?\\\}/g, '.+?')}$`)
+    }));
+}
+
+/**
+ * 映射 Playwright 状态到 Qase 值
+ */
+function mapStatus(playwrightStatus) {
+  const statusMap = {
+    'passed': 'PASS',
+    'failed': 'FAILD',    // 注意：用户定义的是 FAILD 不是 FAILED
+    'timedOut': 'FAILD',
+    'skipped': 'NOTRUN',
+    'interrupted': 'INVALID',
+  };
+
+  return statusMap[playwrightStatus] || 'NOTRUN';
+}
+
+/**
+ * 解析测试结果并提取 Custom ID 和状态
+ * @param {Object} results - Playwright JSON 结果
+ * @param {Object} grammar - Custom ID 语法
+ * @param {Array} templates - buildTemplateMatchers() 的结果（优先于标题中的 Custom ID）
+ */
+function parseTestResults(results, grammar, templates = []) {
+  const testResults = [];
+
+  if (!results.suites || !Array.isArray(results.suites)) {
+    return testResults;
+  }
+
+  function traverseSuite(suite) {
+    // 处理当前 suite 的测试
+    if (suite.specs && Array.isArray(suite.specs)) {
+      suite.specs.forEach(spec => {
+        const title = spec.title;
+        const template = templates.find(({ pattern }) => pattern.test(title));
+        const customId = template ? template.customId : extractCustomId(title, grammar);
+
+        if (customId && spec.tests && spec.tests[0]) {
+          const test = spec.tests[0];
+          const result = test.results && test.results[0];
+
+          if (result) {
+            const status = mapStatus(result.status);
+            testResults.push({
+              customId,
+              title,
+              status,
+              playwrightStatus: result.status,
+            });
+          }
+        }
+      });
+    }
+
+    // 递归处理嵌套 suite
+    if (suite.suites && Array.isArray(suite.suites)) {
+      suite.suites.forEach(subsuite => traverseSuite(subsuite));
+    }
+  }
+
+  results.suites.forEach(suite => traverseSuite(suite));
+
+  return testResults;
+}
+
+// 合并多个结果时的优先级（前面的优先）：任一参数组合失败则用例失败
+const STATUS_PRIORITY = ['FAILD', 'INVALID', 'PASS', 'NOTRUN'];
+
+/**
+ * 按 Custom ID 合并测试结果
+ *
+ * 参数化测试（循环 / .each）在运行时会生成多个标题不同、Custom ID 相同的测试，
+ * 它们对应同一个 Qase 用例：用例状态取最差的结果，每个参数组合的结果保存在 combinations 中
+ *
+ * @param {Array} testResults - parseTestResults() 的结果
+ * @returns {Array} [{customId, title, status, combinations: [{title, status}]}]
+ */
+function groupResultsByCase(testResults) {
+  const groups = new Map();
+
+  for (const result of testResults) {
+    let group = groups.get(result.customId);
+
+    if (!group) {
+      group = { customId: result.customId, title: result.title, status: result.status, combinations: [] };
+      groups.set(result.customId, group);
+    }
+
+    group.combinations.push({ title: result.title, status: result.status });
+
+    if (STATUS_PRIORITY.indexOf(result.status) < STATUS_PRIORITY.indexOf(group.status)) {
+      group.status = result.status;
+    }
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * 获取所有测试用例并构建 Custom ID → Qase ID 映射
+ */
+async function buildCaseMapping(config) {
+  const caseMap = {};
+  let offset = 0;
+  const limit = 100;
+
+  while (true) {
+    const response = await qaseApiRequest(
+      config,
+      'GET',
+      `/case/${config.qase.projectCode}?limit=${limit}&offset=${offset}`
+    );
+
+    if (response.result && response.result.entities) {
+      response.result.entities.forEach(testCase => {
+        // 从 custom_fields 中提取 Custom ID（qase.customFields.customId）
+        const customId = getCaseCustomId(testCase, config);
+        if (customId) {
+          caseMap[customId] = testCase.id;
+        }
+      });
+
+      if (response.result.entities.length < limit) {
+        break;
+      }
+
+      offset += limit;
+    } else {
+      break;
+    }
+  }
+
+  return caseMap;
+}
+
+/**
+ * 更新单个测试用例的 Last Run Result 字段
+ */
+async function updateTestCase(config, qaseId, lastRunResult) {
+  const updateData = {
+    custom_field: {
+      '1': null, // 保持 Custom ID 不变（不更新）
+      [config.qase.lastRunResultFieldId]: lastRunResult,
+    },
+  };
+
+  // 注意：由于我们只想更新 Last Run Result 字段，
+  // 需要先获取测试用例的完整信息，然后更新
+  // 但为了避免覆盖其他字段，我们只发送 custom_field
+
+  await qaseApiRequest(
+    config,
+    'PATCH',
+    `/case/${config.qase.projectCode}/${qaseId}`,
+    updateData
+  );
+}
+
+/**
+ * 批量更新测试用例
+ * @returns {Promise<{updates: Array, notFound: Array, updated: number, failed: number}>}
+ */
+async function updateTestCases(config, testResults, caseMap, dryRun, logger = silentLogger) {
+  logger.log(`\n📊 准备更新 ${testResults.length} 个测试用例...\n`);
+
+  const updates = [];
+  const notFound = [];
+
+  for (const testResult of testResults) {
+    const qaseId = caseMap[testResult.customId];
+
+    if (!qaseId) {
+      notFound.push(testResult);
+      continue;
+    }
+
+    updates.push({
+      customId: testResult.customId,
+      qaseId,
+      status: testResult.status,
+      combinations: testResult.combinations || [],
+    });
+  }
+
+  // 打印预览
+  if (updates.length > 0) {
+    logger.log('✅ 将要更新的测试用例:');
+    updates.forEach(update => {
+      logger.log(`   ${update.customId} (Qase ID: ${update.qaseId}) → ${update.status}`);
+
+      // 参数化测试：列出每个参数组合的结果
+      if (update.combinations.length > 1) {
+        update.combinations.forEach(combination => {
+          logger.log(`      - ${combination.title}: ${combination.status}`);
+        });
+      }
+    });
+    logger.log('');
+  }
+
+  if (notFound.length > 0) {
+    logger.log('⚠️  未找到对应 Qase 测试用例:');
+    notFound.forEach(test => {
+      logger.log(`   ${test.customId}: ${test.title}`);
+    });
+    logger.log('');
+  }
+
+  // 执行更新
+  if (dryRun) {
+    logger.log('🔍 预览模式：跳过实际更新\n');
+    return { updates, notFound, updated: 0, failed: 0 };
+  }
+
+  logger.log('🚀 开始更新...\n');
+
+  let updated = 0;
+  let failed = 0;
+
+  for (const update of updates) {
+    try {
+      await updateTestCase(config, update.qaseId, update.status);
+      logger.log(`   ✅ ${update.customId} → ${update.status}`);
+      updated++;
+
+      // 添加延迟以避免 API 速率限制
+      await new Promise(resolve => setTimeout(resolve, UPDATE_DELAY_MS));
+    } catch (error) {
+      logger.log(`   ❌ ${update.customId}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  return { updates, notFound, updated, failed };
+}
+
+/**
+ * 上报测试运行结果
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {string} options.resultsFile - Playwright JSON 结果文件（默认 test-results/results.json）
+ * @param {Object} options.results - 已读取的 Playwright JSON 结果（优先于 resultsFile）
+ * @param {Array} options.testCases - 已提取的测试用例（默认静态提取 cwd 下的测试，用于匹配带插值 Custom ID 的参数化测试）
+ * @param {boolean} options.dryRun - 只预览，不更新 Qase
+ * @param {Object} options.logger - 进度输出（默认不输出）
+ * @returns {Promise<{parsed: number, cases: Array, updates: Array, notFound: Array, updated: number, failed: number, dryRun: boolean}>}
+ */
+async function reportResults(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const config = resolveConfig({ cwd, config: options.config });
+  assertQaseConfig(config);
+  const logger = resolveLogger(options.logger);
+  const dryRun = Boolean(options.dryRun);
+
+  // 1. 读取测试结果
+  let results = options.results;
+  if (!results) {
+    logger.log('📄 读取测试结果...');
+    results = readTestResults(options.resultsFile || DEFAULT_RESULTS_FILE, cwd);
+    logger.log(`   ✅ 找到测试结果文件\n`);
+  }
+
+  // 2. 解析测试结果
+  logger.log('🔍 解析测试结果...');
+  const testCases = options.testCases || extract({ cwd, config, source: 'static' }).testCases;
+  const parsedResults = parseTestResults(results, resolveIdGrammar(config), buildTemplateMatchers(testCases));
+  const cases = groupResultsByCase(parsedResults);
+  logger.log(`   ✅ 解析了 ${parsedResults.length} 个测试（${cases.length} 个用例）\n`);
+
+  const summary = { parsed: parsedResults.length, cases, updates: [], notFound: [], updated: 0, failed: 0, dryRun };
+
+  if (cases.length === 0) {
+    return summary;
+  }
+
+  // 3. 构建 Custom ID → Qase ID 映射
+  logger.log('📋 构建测试用例映射...');
+  const caseMap = await buildCaseMapping(config);
+  logger.log(`   ✅ 找到 ${Object.keys(caseMap).length} 个 Qase 测试用例\n`);
+
+  // 4. 更新测试用例
+  const stats = await updateTestCases(config, cases, caseMap, dryRun, logger);
+
+  return { ...summary, ...stats };
+}
+
+module.exports = {
+  DEFAULT_RESULTS_FILE,
+  readTestResults,
+  extractCustomId,
+  mapStatus,
+  buildTemplateMatchers,
+  parseTestResults,
+  STATUS_PRIORITY,
+  groupResultsByCase,
+  buildCaseMapping,
+  updateTestCase,
+  updateTestCases,
+  reportResults
+};
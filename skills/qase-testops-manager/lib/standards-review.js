@@ -0,0 +1,336 @@
+/**
+ * Qase 测试代码规范审核（review-test-standards.js 和 index.js 的 review() 共用）
+ *
+ * 检查测试代码是否符合规范：
+ * 1. Custom ID 格式 (TC-{LAYER}-{MODULE}-{NUMBER}) - 必需
+ * 2. import { qase } 声明 - 必需
+ * 3. test.describe() 嵌套 - 强烈推荐（用于定义 Suite 层级）
+ * 4. test.step() 使用 - 推荐（定义测试步骤）
+ * 5. test.step() 格式 - 推荐（每个 step 建议包含 Action 和 Expected 注释）
+ * 6. JSDoc 注释 - 推荐（@description, @preconditions, @postconditions）
+ * 7. qase.id() 注解 - 自动管理（首次同步后自动添加，检查为警告级别）
+ *
+ * 支持 Playwright / Jest / Vitest / Mocha / Cypress（按 framework 配置选择适配器），
+ * 各框架的步骤写法（qase.step()、cy.log() 等）按 test.step() 的规则检查
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseTestFile, flattenSteps } = require('./test-parser');
+const { discoverTestFiles } = require('./file-discovery');
+const { validateCustomId, formatIdTemplate } = require('./custom-id');
+const { createExtractionContext } = require('./extractor');
+
+// 各框架的 Qase reporter 包（playwright-qase-reporter、jest-qase-reporter/jest 等）
+const QASE_IMPORT_PATTERN =
+  /(?:import\s+\{[^}]*qase[^}]*\}\s+from\s+|\{[^}]*qase[^}]*\}\s*=\s*require\(\s*)['"](?:playwright|jest|vitest|mocha|cypress)-qase-reporter(?:\/\w+)?['"]/;
+
+/**
+ * 审核规则
+ * @param {Object} idGrammar - Custom ID 语法
+ * @returns {Object} 规则 → 说明
+ */
+function buildRules(idGrammar) {
+  return {
+    CUSTOM_ID_FORMAT: `Custom ID 格式必须为 ${formatIdTemplate(idGrammar)}`,
+    QASE_IMPORT: '必须导入 qase: import { qase } from "playwright-qase-reporter"',
+    QASE_ID_ANNOTATION: 'qase.id() 注解（首次同步后自动添加）',
+    TEST_DESCRIBE_NESTING: '强烈建议使用 test.describe() 嵌套来定义 Suite 层级（Code First）',
+    TEST_STEP_USAGE: '建议使用 test.step() 定义测试步骤（推荐）',
+    TEST_STEP_FORMAT: '建议每个 test.step() 包含 Action 和 Expected 注释（推荐）',
+    JSDOC_DESCRIPTION: '建议添加 @description 说明测试目的（推荐）',
+    JSDOC_PRECONDITIONS: '建议添加 @preconditions 说明前置条件（推荐）',
+    JSDOC_POSTCONDITIONS: '建议添加 @postconditions 说明后置条件（推荐）',
+  };
+}
+
+// 审核结果
+class TestAudit {
+  constructor(filePath, rootDir) {
+    this.filePath = filePath;
+    this.fileName = path.relative(rootDir, filePath);
+    this.issues = [];
+    this.warnings = [];
+    this.passed = [];
+    this.tests = [];
+  }
+
+  addIssue(rule, line, message) {
+    this.issues.push({ rule, line, message });
+  }
+
+  addWarning(rule, line, message) {
+    this.warnings.push({ rule, line, message });
+  }
+
+  addPassed(rule, message) {
+    this.passed.push({ rule, message });
+  }
+
+  addTest(testInfo) {
+    this.tests.push(testInfo);
+  }
+
+  get hasIssues() {
+    return this.issues.length > 0;
+  }
+
+  get score() {
+    const total = this.passed.length + this.issues.length;
+    return total === 0 ? 100 : Math.round((this.passed.length / total) * 100);
+  }
+
+  // JSON 输出（--json）包含计算出的 score / hasIssues
+  toJSON() {
+    const { filePath, fileName, issues, warnings, passed, tests } = this;
+    return { filePath, fileName, score: this.score, hasIssues: this.hasIssues, issues, warnings, passed, tests };
+  }
+}
+
+/**
+ * 测试是否受指定类型的钩子作用
+ * @param {Object} test - 解析器返回的测试
+ * @param {Array<string>} types - 钩子类型，如 ['beforeAll', 'beforeEach']
+ * @returns {boolean}
+ */
+function hasHooks(test, types) {
+  return types.some(type => test.hooks && (test.hooks[type] || []).some(Boolean));
+}
+
+/**
+ * 提取测试信息（基于 AST 解析结果）
+ * @param {Object} context - 提取上下文（lib/extractor.js）
+ */
+function extractTestInfo(context, fileContent, filePath) {
+  const adapter = context.resolveAdapter(fileContent, path.relative(context.rootDir, filePath));
+  const { tests: parsedTests } = parseTestFile(fileContent, filePath, adapter);
+
+  return parsedTests.map(test => {
+    // 检查每个 step 是否有 Action 和 Expected 注释（Gherkin 的 Given/When/Then 本身就是步骤格式）
+    const stepsWithoutFormat = test.stepsType === 'gherkin' ? [] : flattenSteps(test.steps)
+      .map(step => ({
+        line: step.location.start.line,
+        name: step.title,
+        missingAction: !/\/\/\s*Action:/i.test(step.ownBody),
+        missingExpected: !/\/\/\s*Expected:/i.test(step.ownBody)
+      }))
+      .filter(step => step.missingAction || step.missingExpected);
+
+    // 查找 qase.suite()（已废弃，仅用于报告）
+    const suiteMatch = test.body.match(/qase\.suite\(['"`]([^'"`]+)['"`]\)/);
+
+    return {
+      customId: test.customId || '',
+      fullTitle: test.rawTitle,
+      lineNum: test.location.start.line,
+      location: test.location,
+      qaseId: test.qaseId !== null ? String(test.qaseId) : null,
+      qaseSuite: suiteMatch ? suiteMatch[1] : null,
+      hasSteps: test.steps.length > 0,
+      stepsWithoutFormat, // 缺少格式的 step 列表
+      hasDescription: /@description/.test(test.jsdoc) || Boolean(test.description),
+      // beforeAll / beforeEach 钩子和 afterEach / afterAll 钩子会被提取为前置 / 后置条件
+      hasPreconditions: /@preconditions/.test(test.jsdoc) || Boolean(test.preconditions) ||
+        hasHooks(test, ['beforeAll', 'beforeEach']),
+      hasPostconditions: /@postconditions/.test(test.jsdoc) || hasHooks(test, ['afterEach', 'afterAll']),
+      describePath: test.describePath,
+    };
+  });
+}
+
+/**
+ * 审核单个文件
+ * @param {Object} context - 提取上下文（lib/extractor.js）
+ * @param {string} filePath - 文件绝对路径
+ * @returns {TestAudit}
+ */
+function auditFile(context, filePath) {
+  const RULES = buildRules(context.idGrammar);
+  const fileContent = fs.readFileSync(filePath, 'utf8');
+  const audit = new TestAudit(filePath, context.rootDir);
+
+  // 1. 检查 import { qase }
+  const hasQaseImport = QASE_IMPORT_PATTERN.test(fileContent);
+  const usesQase = /qase\.(id|suite|title|attach|ignore|step)|\bqase\(/.test(fileContent);
+
+  if (usesQase && !hasQaseImport) {
+    audit.addIssue(RULES.QASE_IMPORT, 1, '使用了 qase.* 但缺少 import 声明');
+  } else if (hasQaseImport) {
+    audit.addPassed(RULES.QASE_IMPORT, '✓ 正确导入 qase');
+  }
+
+  // 2. 提取测试信息
+  const tests = extractTestInfo(context, fileContent, filePath);
+  tests.forEach(test => audit.addTest(test));
+
+  // 3. 检查每个测试
+  tests.forEach(test => {
+    // 检查 Custom ID 格式
+    const idValidation = validateCustomId(test.customId, context.idGrammar);
+
+    if (!test.customId) {
+      audit.addIssue(
+        RULES.CUSTOM_ID_FORMAT,
+        test.lineNum,
+        `"${test.fullTitle}" 缺少 Custom ID`
+      );
+    } else if (!idValidation.valid) {
+      const suggestion = idValidation.suggestion ? ` (建议: ${idValidation.suggestion})` : '';
+      audit.addIssue(
+        RULES.CUSTOM_ID_FORMAT,
+        test.lineNum,
+        `"${test.customId}" ${idValidation.error}${suggestion}`
+      );
+    } else {
+      audit.addPassed(RULES.CUSTOM_ID_FORMAT, `✓ ${test.customId} 格式正确`);
+    }
+
+    // 检查 qase.id()（自动管理，首次同步后会自动添加）
+    if (!test.qaseId) {
+      audit.addWarning(
+        RULES.QASE_ID_ANNOTATION,
+        test.lineNum,
+        `"${test.customId}" 缺少 qase.id() 注解（首次同步后会自动添加）`
+      );
+    } else {
+      audit.addPassed(RULES.QASE_ID_ANNOTATION, `✓ ${test.customId} 有 qase.id(${test.qaseId})`);
+    }
+
+    // 检查 test.describe() 嵌套（强烈推荐，用于定义 Suite 层级）
+    if (test.describePath.length === 0) {
+      audit.addWarning(
+        RULES.TEST_DESCRIBE_NESTING,
+        test.lineNum,
+        `"${test.customId}" 没有 test.describe() 包裹（强烈推荐用于定义 Suite 层级）`
+      );
+    } else {
+      audit.addPassed(
+        RULES.TEST_DESCRIBE_NESTING,
+        `✓ ${test.customId} 在 "${test.describePath.join(' / ')}" 中`
+      );
+    }
+
+    // 检查 test.step()（推荐）
+    if (!test.hasSteps) {
+      audit.addWarning(
+        RULES.TEST_STEP_USAGE,
+        test.lineNum,
+        `"${test.customId}" 未使用 test.step() 定义步骤（推荐使用）`
+      );
+    } else {
+      audit.addPassed(RULES.TEST_STEP_USAGE, `✓ ${test.customId} 使用了 test.step()`);
+
+      // 检查每个 step 是否有 Action 和 Expected 格式（推荐）
+      if (test.stepsWithoutFormat && test.stepsWithoutFormat.length > 0) {
+        test.stepsWithoutFormat.forEach(step => {
+          const missing = [];
+          if (step.missingAction) missing.push('Action');
+          if (step.missingExpected) missing.push('Expected');
+
+          audit.addWarning(
+            RULES.TEST_STEP_FORMAT,
+            step.line,
+            `Step "${step.name}" 建议添加 ${missing.join(' 和 ')} 注释`
+          );
+        });
+      } else if (test.hasSteps) {
+        audit.addPassed(RULES.TEST_STEP_FORMAT, `✓ ${test.customId} 所有 step 都有 Action/Expected 格式`);
+      }
+    }
+
+    // 检查 JSDoc @description（推荐）
+    if (!test.hasDescription) {
+      audit.addWarning(
+        RULES.JSDOC_DESCRIPTION,
+        test.lineNum,
+        `"${test.customId}" 建议添加 @description 说明测试目的`
+      );
+    } else {
+      audit.addPassed(RULES.JSDOC_DESCRIPTION, `✓ ${test.customId} 有 @description`);
+    }
+
+    // 检查 JSDoc @preconditions（推荐）
+    if (!test.hasPreconditions) {
+      audit.addWarning(
+        RULES.JSDOC_PRECONDITIONS,
+        test.lineNum,
+        `"${test.customId}" 建议添加 @preconditions 说明前置条件`
+      );
+    } else {
+      audit.addPassed(RULES.JSDOC_PRECONDITIONS, `✓ ${test.customId} 有 @preconditions`);
+    }
+
+    // 检查 JSDoc @postconditions（推荐）
+    if (!test.hasPostconditions) {
+      audit.addWarning(
+        RULES.JSDOC_POSTCONDITIONS,
+        test.lineNum,
+        `"${test.customId}" 建议添加 @postconditions 说明后置条件`
+      );
+    } else {
+      audit.addPassed(RULES.JSDOC_POSTCONDITIONS, `✓ ${test.customId} 有 @postconditions`);
+    }
+  });
+
+  return audit;
+}
+
+/**
+ * 汇总审核结果
+ * @param {Array<TestAudit>} audits - 各文件的审核结果
+ * @returns {{totalFiles: number, totalTests: number, filesWithIssues: number, averageScore: number}}
+ */
+function summarizeAudits(audits) {
+  const totalFiles = audits.length;
+
+  return {
+    totalFiles,
+    totalTests: audits.reduce((sum, a) => sum + a.tests.length, 0),
+    filesWithIssues: audits.filter(a => a.hasIssues).length,
+    averageScore: totalFiles === 0 ? 100 : Math.round(audits.reduce((sum, a) => sum + a.score, 0) / totalFiles)
+  };
+}
+
+/**
+ * 审核测试文件
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {Array<string>} options.files - 要审核的文件（相对于 cwd），默认为 e2eDir 下发现的所有测试文件
+ * @returns {{audits: Array<TestAudit>, summary: Object, hasIssues: boolean}}
+ */
+function review(options = {}) {
+  const context = options.context || createExtractionContext(options);
+  let files;
+
+  if (options.files && options.files.length > 0) {
+    files = options.files.map(file => path.resolve(context.rootDir, file));
+    const missing = files.find(file => !fs.existsSync(file));
+    if (missing) {
+      throw new Error(`文件不存在: ${missing}`);
+    }
+  } else {
+    // 审核所有 E2E 测试文件（递归发现，与 extract 一致）
+    if (!fs.existsSync(context.e2eDir)) {
+      throw new Error(`E2E 目录不存在: ${context.e2eDir}`);
+    }
+    files = discoverTestFiles(context.e2eDir, context.config);
+  }
+
+  const audits = files.map(file => auditFile(context, file));
+
+  return {
+    audits,
+    summary: summarizeAudits(audits),
+    hasIssues: audits.some(a => a.hasIssues)
+  };
+}
+
+module.exports = {
+  TestAudit,
+  buildRules,
+  auditFile,
+  summarizeAudits,
+  review
+};
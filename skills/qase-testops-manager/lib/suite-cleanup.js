@@ -0,0 +1,166 @@
+/**
+ * 清理 Qase Repository 中的空 Suite（cleanup-empty-suites.js 和 index.js 的 cleanup() 共用）
+ *
+ * 清理条件：
+ * - cases_count = 0（没有测试用例）
+ * - 没有子 Suite（避免级联删除）
+ * - 可选：创建时间超过指定天数（避免误删刚创建的）
+ */
+
+const { getAllSuites, deleteSuite } = require('./qase-utils');
+const { resolveConfig, assertQaseConfig } = require('./config');
+const { resolveLogger } = require('./logger');
+
+/**
+ * 检查 suite 创建时间是否超过指定天数
+ */
+function isOlderThan(createdAt, days) {
+  if (days === 0) return true; // 不限制
+
+  const created = new Date(createdAt);
+  const now = new Date();
+  const diffDays = (now - created) / (1000 * 60 * 60 * 24);
+
+  return diffDays >= days;
+}
+
+/**
+ * 判断 suite 是否由 Reporter 创建
+ *
+ * 特征：
+ * - title 包含文件路径（如 "specs/smoke-ui.spec.ts"）
+ * - title 是 "default"
+ * - parent suite 是上述类型
+ */
+function isReporterCreatedSuite(suite, allSuites) {
+  const title = suite.title;
+
+  // 直接匹配
+  if (title === 'default' || title.includes('spec.ts')) {
+    return true;
+  }
+
+  // 检查父 suite 是否是 Reporter 创建的
+  if (suite.parent_id) {
+    const parent = allSuites.find(s => s.id === suite.parent_id);
+    if (parent && isReporterCreatedSuite(parent, allSuites)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * 筛选可以删除的空 suite
+ * @param {Array} allSuites - Qase 中的所有 suite
+ * @param {number} minAge - 最小天数，0 表示不限制
+ * @returns {Array} 空 suite
+ */
+function findEmptySuites(allSuites, minAge = 0) {
+  return allSuites.filter(suite => {
+    // 必须是空的（没有测试用例）
+    if (suite.cases_count !== 0) {
+      return false;
+    }
+
+    // 🔥 关键检查：如果有子 suites，不应该删除（避免级联删除）
+    const hasChildren = allSuites.some(s => s.parent_id === suite.id);
+    if (hasChildren) {
+      return false;
+    }
+
+    // 检查创建时间
+    if (!isOlderThan(suite.created, minAge)) {
+      return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * 打印 suite 列表（带父 suite 名称）
+ */
+function logSuites(logger, heading, suites, allSuites) {
+  logger.log(heading);
+  suites.forEach(suite => {
+    const parentInfo = suite.parent_id
+      ? ` (parent: ${allSuites.find(s => s.id === suite.parent_id)?.title || suite.parent_id})`
+      : '';
+    logger.log(`   - [${suite.id}] ${suite.title}${parentInfo}`);
+  });
+  logger.log();
+}
+
+/**
+ * 清理空 suite
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {boolean} options.dryRun - 只列出，不删除（默认 true）
+ * @param {number} options.minAge - 只删除创建超过指定天数的 suite（默认 0，不限制）
+ * @param {Object} options.logger - 进度输出（默认不输出）
+ * @returns {Promise<{total: number, emptySuites: Array, reporterSuites: Array, otherSuites: Array, deleted: Array, failed: Array, dryRun: boolean}>}
+ */
+async function cleanup(options = {}) {
+  const config = resolveConfig(options);
+  assertQaseConfig(config);
+  const logger = resolveLogger(options.logger);
+  const dryRun = options.dryRun !== false;
+
+  // 获取所有 suites
+  const allSuites = await getAllSuites(config);
+  logger.log(`✅ 找到 ${allSuites.length} 个 suite\n`);
+
+  // 筛选空 suite
+  const emptySuites = findEmptySuites(allSuites, options.minAge || 0);
+
+  // 分组：Reporter 创建 vs 其他
+  const reporterSuites = emptySuites.filter(s => isReporterCreatedSuite(s, allSuites));
+  const otherSuites = emptySuites.filter(s => !isReporterCreatedSuite(s, allSuites));
+
+  const result = { total: allSuites.length, emptySuites, reporterSuites, otherSuites, deleted: [], failed: [], dryRun };
+
+  if (emptySuites.length === 0) {
+    return result;
+  }
+
+  logger.log(`📋 找到 ${emptySuites.length} 个空 suite:\n`);
+
+  if (reporterSuites.length > 0) {
+    logSuites(logger, '🤖 Reporter 创建的空 suite:', reporterSuites, allSuites);
+  }
+
+  if (otherSuites.length > 0) {
+    logSuites(logger, '📦 其他空 suite:', otherSuites, allSuites);
+  }
+
+  if (dryRun) {
+    return result;
+  }
+
+  // 确认删除
+  logger.log('⚠️  即将删除以下空 suite:\n');
+
+  for (const suite of emptySuites) {
+    try {
+      await deleteSuite(config, suite.id);
+      logger.log(`✅ 已删除: [${suite.id}] ${suite.title}`);
+      result.deleted.push(suite);
+    } catch (error) {
+      logger.error(`❌ 删除失败: [${suite.id}] ${suite.title} - ${error.message}`);
+      result.failed.push({ suite, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  isOlderThan,
+  isReporterCreatedSuite,
+  findEmptySuites,
+  cleanup
+};
@@ -0,0 +1,724 @@
+/**
+ * 同步计划文件（sync-to-qase.js --plan / --apply，qase-testops plan / apply）
+ *
+ * createSyncPlan() 只读取 Qase，计算 Suite 的改名 / 移动、Suite 与用例的创建、更新、移动和删除（含字段级差异），
+ * 结果保存为 JSON 计划文件，可以先在 PR 中评审；applySyncPlan() 原样执行计划中的请求。
+ * 用例更新与 sync() 一样按 .qase-sync-state.json 三方合并，只在 Qase 中修改的字段不写入计划；
+ * 计划记录每个用例的哈希和字段值，apply 后写入状态文件，下次 plan / sync 不再重复更新。
+ * 计划记录了生成时 Qase 状态的指纹，apply 前重新读取 Qase，状态已变化时拒绝执行
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  qaseApiRequest,
+  getAllSuites,
+  getAllTestCases,
+  deleteTestCase,
+  deleteSuite,
+  loadCaseAuthors
+} = require('./qase-utils');
+const { resolveConfig, assertQaseConfig } = require('./config');
+const { resolveLogger } = require('./logger');
+const { extract } = require('./extractor');
+const { diffCase } = require('./case-diff');
+const { resolveConflictResolution, formatFieldConflicts } = require('./case-merge');
+const {
+  hashCasePayload,
+  snapshotCaseFields,
+  createSyncState,
+  resolveSyncStatePath,
+  loadSyncState,
+  saveSyncState
+} = require('./sync-state');
+const {
+  DEPRECATED_STATUS,
+  parseSuitePath,
+  ensureSuiteHierarchy,
+  renameSuites,
+  findSuiteId,
+  detectSuiteRenames,
+  applySuiteRenames,
+  collectSuiteDocs,
+  diffSuiteDocs,
+  updateSuiteDocs,
+  buildCaseData,
+  getCaseCustomId,
+  buildCaseIndex,
+  matchTestCases,
+  mergeMatchedCase,
+  toFieldConflict,
+  findRemovedCases,
+  syncExternalIssues
+} = require('./qase-sync');
+
+// 计划文件格式版本（格式不兼容时递增）
+const PLAN_VERSION = 1;
+
+// 默认计划文件名（位于 outputDir）
+const DEFAULT_PLAN_FILE = 'qase-sync-plan.json';
+
+// 请求之间的间隔（避免 API 限流）
+const REQUEST_DELAY_MS = 300;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 计算 Qase 状态指纹（Suite 结构与说明 / 前置条件 + 用例的 id / 所在 Suite / 标题 / 更新时间）
+ *
+ * 包含计划会写入的 Suite 字段，Qase 中修改了 Suite 说明后旧计划不能再执行
+ * @param {Array} suites - Qase 中的所有 Suite
+ * @param {Array} cases - Qase 中的所有用例
+ * @returns {string} sha256
+ */
+function fingerprintQaseState(suites, cases) {
+  const state = {
+    suites: suites
+      .map(suite => [suite.id, suite.title, suite.parent_id || null, suite.description || null, suite.preconditions || null])
+      .sort((a, b) => a[0] - b[0]),
+    cases: cases
+      .map(testCase => [testCase.id, testCase.suite_id || null, testCase.title, testCase.updated_at || null])
+      .sort((a, b) => a[0] - b[0])
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(state)).digest('hex');
+}
+
+/**
+ * 构建 Suite ID → 路径（' / ' 分隔，与提取的 suite 字段格式相同）
+ */
+function buildSuitePaths(suites) {
+  const idToSuite = new Map(suites.map(suite => [suite.id, suite]));
+  const paths = new Map();
+
+  for (const suite of suites) {
+    const parts = [suite.title];
+    const seen = new Set([suite.id]);
+    let current = suite;
+
+    while (current.parent_id && idToSuite.has(current.parent_id) && !seen.has(current.parent_id)) {
+      current = idToSuite.get(current.parent_id);
+      seen.add(current.id);
+      parts.unshift(current.title);
+    }
+
+    paths.set(suite.id, parts.join(' / '));
+  }
+
+  return paths;
+}
+
+/**
+ * 统一 Suite 路径格式（本地 suite 字段可能使用 \t、> 或 / 分隔）
+ */
+function normalizeSuitePath(suitePath) {
+  return parseSuitePath(suitePath).join(' / ');
+}
+
+/**
+ * 计算需要删除的 Suite：本地不再使用，且因本计划的移动 / 删除变空的 Suite（子 Suite 先删除）
+ */
+function planSuiteDeletes(suites, suitePaths, caseCounts, localPaths) {
+  const children = new Map();
+  for (const suite of suites) {
+    if (suite.parent_id) {
+      children.set(suite.parent_id, [...(children.get(suite.parent_id) || []), suite]);
+    }
+  }
+
+  const deletes = [];
+
+  // 返回该 Suite 是否会被删除
+  function visit(suite) {
+    const childResults = (children.get(suite.id) || []).map(visit);
+    const suitePath = suitePaths.get(suite.id);
+    const { before = 0, after = 0 } = caseCounts.get(suite.id) || {};
+    const emptiedByPlan = before > after || childResults.some(Boolean);
+
+    if (localPaths.has(suitePath) || after > 0 || !childResults.every(Boolean) || !emptiedByPlan) {
+      return false;
+    }
+
+    deletes.push({ action: 'delete', suite: suitePath, suiteId: suite.id });
+    return true;
+  }
+
+  suites.filter(suite => !suite.parent_id || !suitePaths.has(suite.parent_id)).forEach(visit);
+  return deletes;
+}
+
+/**
+ * 生成同步计划（只读取 Qase，不做修改）
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {Array} options.testCases - 本地测试用例（默认调用 extract() 提取）
+ * @param {Object} options.extraction - 传入 testCases 时对应的 extract() 结果（errors / filtered，用于已删除用例的检查）
+ * @param {Object} options.logger - 进度输出（默认不输出）
+ * @returns {Promise<Object>} 计划（可直接 JSON 序列化）
+ */
+async function createSyncPlan(options = {}) {
+  const config = resolveConfig(options);
+  assertQaseConfig(config);
+  const resolution = resolveConflictResolution(config);
+  const logger = resolveLogger(options.logger);
+  const extraction = options.testCases ? options.extraction || null : extract({ cwd: options.cwd, config });
+  const testCases = options.testCases || extraction.testCases;
+
+  // 读取失败时直接抛出：不完整的 Qase 状态会生成错误的创建 / 删除
+  logger.log('📦 读取 Qase 中的 Suite 和用例...');
+  const suites = await getAllSuites(config);
+  const qaseCases = await getAllTestCases(config);
+  logger.log(`   找到 ${suites.length} 个 Suite, ${qaseCases.length} 个测试用例`);
+
+  const authors = await loadCaseAuthors(config, testCases, logger);
+  const suitePaths = buildSuitePaths(suites);
+
+  const index = buildCaseIndex(qaseCases, config);
+  const { toUpdate, toCreate, conflicts, staleIds } = matchTestCases(config, testCases, index, logger);
+
+  // 改名 / 移动的 Suite 原地修改；之后的路径比较使用修改后的 Suite 结构
+  const suiteRenames = detectSuiteRenames(toUpdate, testCases, suites, qaseCases);
+  const plannedSuites = applySuiteRenames(suites, suiteRenames);
+  const plannedPaths = buildSuitePaths(plannedSuites);
+
+  // 代码中已删除的用例（超过 maxRemovalRatio 时抛出错误）
+  const { policy: removalPolicy, toRemove } = findRemovedCases(config, testCases, index, toUpdate, suites, extraction);
+  const archiveSuite = normalizeSuitePath(removalPolicy.archiveSuite);
+
+  // 本地使用的 Suite 路径（含归档 Suite），不存在的需要创建
+  const localPaths = new Set();
+  const suiteCreates = [];
+  const suitePathsToKeep = testCases.map(tc => tc.suite);
+  if (removalPolicy.policy === 'archive' && toRemove.length > 0) {
+    suitePathsToKeep.push(archiveSuite);
+  }
+  for (const suitePath of suitePathsToKeep) {
+    const parts = parseSuitePath(suitePath);
+    parts.forEach((_, i) => {
+      const prefix = parts.slice(0, i + 1).join(' / ');
+      if (!localPaths.has(prefix)) {
+        localPaths.add(prefix);
+        if (findSuiteId(prefix, plannedSuites) === null) {
+          suiteCreates.push({ action: 'create', suite: prefix });
+        }
+      }
+    });
+  }
+
+  // Suite 中用例数的变化（用于计算变空的 Suite）
+  const caseCounts = new Map(suites.map(suite => [suite.id, { before: 0, after: 0 }]));
+  for (const testCase of qaseCases) {
+    const counts = caseCounts.get(testCase.suite_id);
+    if (counts) {
+      counts.before++;
+      counts.after++;
+    }
+  }
+  const moveCase = (fromSuiteId, toSuiteId) => {
+    if (caseCounts.has(fromSuiteId)) caseCounts.get(fromSuiteId).after--;
+    if (caseCounts.has(toSuiteId)) caseCounts.get(toSuiteId).after++;
+  };
+
+  const caseActions = [];
+  const fieldConflicts = [];
+  const unchangedState = {};
+  let unchanged = 0;
+  // 用例的同步状态（与 sync() 相同，按代码生成的完整请求数据计算）
+  const snapshot = data => ({ hash: hashCasePayload(data), fields: snapshotCaseFields(data, config) });
+
+  // 上次同步的字段（三方合并的 base）
+  const statePath = resolveSyncStatePath(config, options.cwd);
+  const previousState = statePath ? loadSyncState(statePath, config.qase.projectCode) : null;
+
+  for (const { testCase, existing, matchReason } of toUpdate) {
+    const suite = normalizeSuitePath(testCase.suite);
+    const suiteId = findSuiteId(suite, plannedSuites);
+    const codeData = buildCaseData(config, testCase, suiteId, authors, existing);
+    const syncState = snapshot(codeData);
+    const merge = mergeMatchedCase(config, previousState, testCase, existing, codeData, resolution);
+    if (merge.conflicts.length > 0) {
+      fieldConflicts.push(toFieldConflict(testCase, existing, merge));
+    }
+    if (merge.failed) {
+      continue;
+    }
+
+    const data = merge.data;
+    delete data.suite_id; // apply 时按 Suite 路径确定
+    const changes = diffCase(existing, data, config, merge.keptFields);
+    const fromSuite = suitePaths.get(existing.suite_id) || null;
+    const moved = plannedPaths.get(existing.suite_id) !== suite;
+
+    if (!moved && changes.length === 0) {
+      unchanged++;
+      unchangedState[testCase.id] = { qaseId: existing.id, suiteId: existing.suite_id, ...syncState };
+      continue;
+    }
+
+    if (moved) {
+      moveCase(existing.suite_id, suiteId);
+    }
+
+    caseActions.push({
+      action: moved ? 'move' : 'update',
+      customId: testCase.id,
+      qaseId: existing.id,
+      title: testCase.title,
+      matchReason,
+      suite,
+      ...(moved ? { fromSuite } : {}),
+      changes,
+      data,
+      syncState,
+      externalIssues: testCase.externalIssues || []
+    });
+  }
+
+  for (const testCase of toCreate) {
+    const data = buildCaseData(config, testCase, null, authors);
+    delete data.suite_id;
+    caseActions.push({
+      action: 'create',
+      customId: testCase.id,
+      title: testCase.title,
+      suite: normalizeSuitePath(testCase.suite),
+      data,
+      syncState: snapshot(data),
+      externalIssues: testCase.externalIssues || []
+    });
+  }
+
+  // Custom ID 已不在代码中的用例，按 qase.removedCases.policy 处理
+  const archiveSuiteId = findSuiteId(archiveSuite, plannedSuites);
+  for (const testCase of toRemove) {
+    const action = removalPolicy.policy;
+    if (action === 'delete') {
+      moveCase(testCase.suite_id, null);
+    } else if (action === 'archive') {
+      moveCase(testCase.suite_id, archiveSuiteId);
+    }
+
+    caseActions.push({
+      action,
+      customId: getCaseCustomId(testCase, config),
+      qaseId: testCase.id,
+      title: testCase.title,
+      ...(action === 'archive'
+        ? { suite: archiveSuite, fromSuite: suitePaths.get(testCase.suite_id) || null }
+        : { suite: suitePaths.get(testCase.suite_id) || null })
+    });
+  }
+
+  // describe 的 JSDoc 写入 Suite 的说明和前置条件（新建的 Suite 在创建后更新）
+  const suiteDocUpdates = diffSuiteDocs(collectSuiteDocs(testCases), plannedSuites).map(({ suite, suiteId, changes, data }) => ({
+    action: 'update',
+    suite,
+    ...(suiteId === null ? {} : { suiteId }),
+    changes,
+    data
+  }));
+
+  const suiteActions = [
+    ...suiteRenames,
+    ...suiteCreates,
+    ...suiteDocUpdates,
+    ...planSuiteDeletes(plannedSuites, plannedPaths, caseCounts, localPaths)
+  ];
+  const count = (actions, action) => actions.filter(item => item.action === action).length;
+
+  return {
+    version: PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    projectCode: config.qase.projectCode,
+    qaseFingerprint: fingerprintQaseState(suites, qaseCases),
+    summary: {
+      suites: {
+        rename: count(suiteActions, 'rename'),
+        move: count(suiteActions, 'move'),
+        create: count(suiteActions, 'create'),
+        update: count(suiteActions, 'update'),
+        delete: count(suiteActions, 'delete')
+      },
+      cases: {
+        create: count(caseActions, 'create'),
+        update: count(caseActions, 'update'),
+        move: count(caseActions, 'move'),
+        deprecate: count(caseActions, 'deprecate'),
+        archive: count(caseActions, 'archive'),
+        delete: count(caseActions, 'delete'),
+        unchanged
+      }
+    },
+    removalPolicy: removalPolicy.policy,
+    suites: suiteActions,
+    cases: caseActions,
+    // 无需修改的用例的同步状态（apply 时写入状态文件）
+    unchangedState,
+    // 需要人工处理、不会被 apply 修改的问题
+    conflicts,
+    staleIds,
+    fieldConflicts
+  };
+}
+
+/**
+ * 计划是否没有任何修改
+ */
+function isEmptyPlan(plan) {
+  return plan.suites.length === 0 && plan.cases.length === 0;
+}
+
+/**
+ * 写入计划文件
+ * @returns {string} 文件的绝对路径
+ */
+function writeSyncPlan(file, plan) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(plan, null, 2) + '\n', 'utf-8');
+  return path.resolve(file);
+}
+
+/**
+ * 读取并校验计划文件
+ */
+function readSyncPlan(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`找不到计划文件: ${file}`);
+  }
+
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`读取计划文件 ${file} 失败: ${error.message}`);
+  }
+
+  if (!plan || plan.version !== PLAN_VERSION || !Array.isArray(plan.cases) || !Array.isArray(plan.suites)) {
+    throw new Error(`不支持的计划文件格式: ${file}（需要 version ${PLAN_VERSION}）`);
+  }
+
+  return plan;
+}
+
+/**
+ * apply 后的同步状态（与 sync() 相同，只保留当前代码中的用例）
+ *
+ * 执行成功的用例记录计划中的哈希和字段值（下次三方合并的 base），无需修改的用例记录计划时的状态，
+ * 执行失败和字段冲突跳过的用例保留上次的状态（下次仍然报告冲突）
+ *
+ * @param {Object} plan - 计划
+ * @param {Object|null} previousState - loadSyncState() 的结果
+ * @param {Map<string, {qaseId: number, suiteId: number}>} applied - 执行成功的用例
+ * @returns {Object} 同步状态
+ */
+function buildAppliedState(plan, previousState, applied) {
+  const state = createSyncState(plan.projectCode);
+  const previous = previousState ? previousState.cases : {};
+  const keepPrevious = customId => {
+    if (previous[customId]) {
+      state.cases[customId] = previous[customId];
+    }
+  };
+
+  Object.assign(state.cases, plan.unchangedState);
+  for (const item of plan.cases.filter(entry => entry.syncState)) {
+    if (applied.has(item.customId)) {
+      state.cases[item.customId] = { ...applied.get(item.customId), ...item.syncState };
+    } else {
+      keepPrevious(item.customId);
+    }
+  }
+  (plan.fieldConflicts || []).filter(item => item.failed).forEach(item => keepPrevious(item.customId));
+
+  return state;
+}
+
+/**
+ * 执行同步计划
+ *
+ * 执行前重新读取 Qase 并比较指纹，Qase 在计划生成后被修改时抛出错误。
+ * 顺序：改名 / 移动 Suite → 创建 Suite → 更新 Suite 说明 → 更新 / 移动 → 按 Suite 批量创建 → 标记 deprecated / 归档 / 删除用例 → 删除 Suite
+ * → 写入同步状态 → 关联外部 Issue
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录（默认 process.cwd()）
+ * @param {Object} options.config - 配置对象（不传时读取 cwd 下的 .qase-config.json）
+ * @param {Object} options.plan - createSyncPlan() / readSyncPlan() 的结果
+ * @param {boolean} options.dryRun - 只校验指纹，不修改 Qase
+ * @param {Object} options.logger - 进度输出（默认不输出）
+ * @returns {Promise<Object>} 各类操作的数量、失败列表和 custom_id → {qase_id, suite_path} 映射
+ */
+async function applySyncPlan(options = {}) {
+  const config = resolveConfig(options);
+  assertQaseConfig(config);
+  const logger = resolveLogger(options.logger);
+  const plan = options.plan;
+
+  if (!plan || plan.version !== PLAN_VERSION) {
+    throw new Error(`不支持的计划格式（需要 version ${PLAN_VERSION}）`);
+  }
+  if (plan.projectCode !== config.qase.projectCode) {
+    throw new Error(`计划针对项目 ${plan.projectCode}，当前配置为 ${config.qase.projectCode}`);
+  }
+
+  logger.log('🔒 校验 Qase 状态...');
+  const suites = await getAllSuites(config);
+  const qaseCases = await getAllTestCases(config);
+  if (fingerprintQaseState(suites, qaseCases) !== plan.qaseFingerprint) {
+    throw new Error('Qase 在生成计划后已被修改，请重新生成计划');
+  }
+  logger.log('   ✅ Qase 状态与计划一致\n');
+
+  const result = {
+    suitesRenamed: 0,
+    suitesCreated: 0,
+    suitesUpdated: 0,
+    created: 0,
+    updated: 0,
+    moved: 0,
+    deprecated: 0,
+    archived: 0,
+    deleted: 0,
+    suitesDeleted: 0,
+    failed: [],
+    linkedIssues: 0,
+    idMappings: {},
+    dryRun: Boolean(options.dryRun)
+  };
+
+  if (result.dryRun) {
+    return result;
+  }
+
+  // 执行成功的用例：custom_id → {qaseId, suiteId}（写入同步状态）
+  const applied = new Map();
+
+  const suiteCount = suites.length;
+  const toSuitePath = suite => parseSuitePath(suite).join('\t');
+
+  // 1. 改名 / 移动 Suite（计划中父 Suite 在前）
+  const renamed = await renameSuites(config, plan.suites.filter(item => item.action === 'rename' || item.action === 'move'), suites, logger);
+  result.suitesRenamed = renamed.renamed;
+  if (renamed.failed > 0) {
+    result.failed.push({ action: 'rename', error: `${renamed.failed} 个 Suite 改名 / 移动失败` });
+  }
+
+  // 2. 创建 Suite（父 Suite 在前）
+  for (const { suite } of plan.suites.filter(item => item.action === 'create')) {
+    if (!await ensureSuiteHierarchy(config, toSuitePath(suite), suites, logger)) {
+      result.failed.push({ action: 'create', suite, error: '创建 Suite 失败' });
+    }
+  }
+
+  // 3. 更新 Suite 的说明和前置条件
+  const docs = await updateSuiteDocs(config, plan.suites.filter(item => item.action === 'update'), suites, logger);
+  result.suitesUpdated = docs.updated;
+  if (docs.failed > 0) {
+    result.failed.push({ action: 'update', error: `${docs.failed} 个 Suite 的说明更新失败` });
+  }
+
+  // 4. 更新和移动用例
+  for (const item of plan.cases.filter(entry => entry.action === 'update' || entry.action === 'move')) {
+    try {
+      const suiteId = await ensureSuiteHierarchy(config, toSuitePath(item.suite), suites, logger);
+      if (!suiteId) {
+        throw new Error(`Suite 不存在: ${item.suite}`);
+      }
+      await qaseApiRequest(config, 'PATCH', `/case/${config.qase.projectCode}/${item.qaseId}`, { ...item.data, suite_id: suiteId });
+      logger.log(`   ${item.action === 'move' ? '🚚' : '🔄'} ${item.customId} (Qase ID: ${item.qaseId})`);
+      result[item.action === 'move' ? 'moved' : 'updated']++;
+      result.idMappings[item.customId] = { qase_id: item.qaseId, suite_path: toSuitePath(item.suite) };
+      applied.set(item.customId, { qaseId: item.qaseId, suiteId });
+    } catch (error) {
+      logger.error(`   ❌ ${item.customId}: ${error.message}`);
+      result.failed.push({ action: item.action, customId: item.customId, error: error.message });
+    }
+    await delay(REQUEST_DELAY_MS);
+  }
+
+  // 5. 按 Suite 批量创建用例
+  const creates = plan.cases.filter(entry => entry.action === 'create');
+  for (const suite of [...new Set(creates.map(item => item.suite))]) {
+    const items = creates.filter(item => item.suite === suite);
+    try {
+      const suiteId = await ensureSuiteHierarchy(config, toSuitePath(suite), suites, logger);
+      if (!suiteId) {
+        throw new Error(`Suite 不存在: ${suite}`);
+      }
+      const response = await qaseApiRequest(config, 'POST', `/case/${config.qase.projectCode}/bulk`, {
+        cases: items.map(item => ({ ...item.data, suite_id: suiteId }))
+      });
+      const ids = (response.result && response.result.ids) || [];
+      items.forEach((item, index) => {
+        if (ids[index]) {
+          result.idMappings[item.customId] = { qase_id: ids[index], suite_path: toSuitePath(suite) };
+          applied.set(item.customId, { qaseId: ids[index], suiteId });
+          logger.log(`   ➕ ${item.customId} → Qase ID: ${ids[index]}`);
+        }
+      });
+      result.created += items.length;
+    } catch (error) {
+      logger.error(`   ❌ 批量创建失败 (${suite}): ${error.message}`);
+      items.forEach(item => result.failed.push({ action: 'create', customId: item.customId, error: error.message }));
+    }
+    await delay(REQUEST_DELAY_MS);
+  }
+
+  // 6. 代码中已删除的用例：标记 deprecated / 移到归档 Suite / 删除
+  const removals = plan.cases.filter(entry => ['deprecate', 'archive', 'delete'].includes(entry.action));
+  for (const item of removals) {
+    try {
+      if (item.action === 'deprecate') {
+        await qaseApiRequest(config, 'PATCH', `/case/${config.qase.projectCode}/${item.qaseId}`, { status: DEPRECATED_STATUS });
+        logger.log(`   ⚠️  ${item.customId} (Qase ID: ${item.qaseId}) → deprecated`);
+        result.deprecated++;
+      } else if (item.action === 'archive') {
+        const suiteId = await ensureSuiteHierarchy(config, toSuitePath(item.suite), suites, logger);
+        if (!suiteId) {
+          throw new Error(`Suite 不存在: ${item.suite}`);
+        }
+        await qaseApiRequest(config, 'PATCH', `/case/${config.qase.projectCode}/${item.qaseId}`, { suite_id: suiteId });
+        logger.log(`   🗄️  ${item.customId} (Qase ID: ${item.qaseId}) → ${item.suite}`);
+        result.archived++;
+      } else {
+        await deleteTestCase(config, item.qaseId);
+        logger.log(`   🗑️  ${item.customId} (Qase ID: ${item.qaseId})`);
+        result.deleted++;
+      }
+    } catch (error) {
+      logger.error(`   ❌ 处理 ${item.customId} 失败: ${error.message}`);
+      result.failed.push({ action: item.action, customId: item.customId, error: error.message });
+    }
+    await delay(REQUEST_DELAY_MS);
+  }
+
+  // 7. 删除变空的 Suite（计划中子 Suite 在前）
+  for (const item of plan.suites.filter(entry => entry.action === 'delete')) {
+    try {
+      await deleteSuite(config, item.suiteId);
+      logger.log(`   🗑️  Suite: ${item.suite}`);
+      result.suitesDeleted++;
+    } catch (error) {
+      logger.error(`   ❌ 删除 Suite ${item.suite} 失败: ${error.message}`);
+      result.failed.push({ action: 'delete', suite: item.suite, error: error.message });
+    }
+  }
+
+  result.suitesCreated = suites.length - suiteCount;
+
+  // 8. 写入同步状态（旧版本的计划没有记录状态，不写入）
+  const statePath = resolveSyncStatePath(config, options.cwd);
+  if (statePath && plan.unchangedState) {
+    saveSyncState(statePath, buildAppliedState(plan, loadSyncState(statePath, config.qase.projectCode), applied));
+  }
+
+  // 9. 关联 issue annotation（外部链接）
+  const issueCases = plan.cases
+    .filter(item => item.externalIssues && item.externalIssues.length > 0)
+    .map(item => ({ id: item.customId, externalIssues: item.externalIssues }));
+  result.linkedIssues = await syncExternalIssues(config, issueCases, result.idMappings, logger);
+
+  return result;
+}
+
+/**
+ * 将计划渲染为 Markdown（终端输出和 PR 评论共用）
+ * @param {Object} plan - createSyncPlan() 的结果
+ * @returns {string}
+ */
+function formatSyncPlan(plan) {
+  const { suites, cases } = plan.summary;
+  const lines = [
+    `### Qase 同步计划（${plan.projectCode}）`,
+    '',
+    `Suite: 改名 ${suites.rename || 0}, 移动 ${suites.move || 0}, 创建 ${suites.create}, 更新说明 ${suites.update || 0}, 删除 ${suites.delete} | ` +
+      `用例: 创建 ${cases.create}, 更新 ${cases.update}, 移动 ${cases.move}, ` +
+      `deprecated ${cases.deprecate || 0}, 归档 ${cases.archive || 0}, 删除 ${cases.delete}, 无变化 ${cases.unchanged}`
+  ];
+  if (plan.removalPolicy) {
+    lines.push('', `已删除用例的处理策略: ${plan.removalPolicy}`);
+  }
+
+  const conflicts = plan.conflicts || [];
+  const staleIds = plan.staleIds || [];
+  if (conflicts.length > 0) {
+    lines.push('', `#### ⚠️ Custom ID 冲突（${conflicts.length} 个，已跳过）`, '');
+    conflicts.forEach(item => lines.push(
+      `- \`${item.customId}\` 同时出现在 ${item.qaseIds.map(id => `${plan.projectCode}-${id}`).join(', ')}`
+    ));
+  }
+  if (staleIds.length > 0) {
+    lines.push('', `#### ⚠️ 过期的 qase.id()（${staleIds.length} 个）`, '');
+    staleIds.forEach(item => lines.push(item.reason === 'missing'
+      ? `- \`${item.customId}\`: qase.id(${item.qaseId}) 在 Qase 中不存在`
+      : `- \`${item.customId}\`: qase.id(${item.qaseId}) 指向 \`${item.actualCustomId}\``
+    ));
+  }
+
+  const fieldConflicts = plan.fieldConflicts || [];
+  if (fieldConflicts.length > 0) {
+    lines.push('', `#### ⚔️ 代码与 Qase 同时修改的字段（${fieldConflicts.length} 个用例）`);
+    lines.push(...formatFieldConflicts(fieldConflicts, plan.projectCode));
+  }
+
+  if (isEmptyPlan(plan)) {
+    lines.push('', '✅ 没有需要同步的修改');
+    return lines.join('\n');
+  }
+
+  const section = (title, items, describe) => {
+    if (items.length > 0) {
+      lines.push('', `#### ${title}`, '');
+      items.forEach(item => lines.push(...describe(item)));
+    }
+  };
+  const byAction = (list, action) => list.filter(item => item.action === action);
+  const inline = text => `\`${String(text).replace(/`/g, "'").replace(/\n/g, ' ⏎ ') || '(空)'}\``;
+  const describeChanges = item => (item.changes || []).map(change =>
+    `  - ${change.field}: ${inline(change.before)} → ${inline(change.after)}`
+  );
+
+  section('✏️ 重命名 Suite', byAction(plan.suites, 'rename'), item => [`- ${item.fromSuite} → ${item.suite}（ID: ${item.suiteId}）`]);
+  section('🚚 移动 Suite', byAction(plan.suites, 'move'), item => [`- ${item.fromSuite} → ${item.suite}（ID: ${item.suiteId}）`]);
+  section('➕ 创建 Suite', byAction(plan.suites, 'create'), item => [`- ${item.suite}`]);
+  section('➕ 创建用例', byAction(plan.cases, 'create'), item => [`- \`${item.customId}\` ${item.title}（${item.suite}）`]);
+  section('📝 更新 Suite 说明', byAction(plan.suites, 'update'), item => [`- ${item.suite}`, ...describeChanges(item)]);
+  section('🔄 更新用例', byAction(plan.cases, 'update'), item => [
+    `- \`${item.customId}\` → ${plan.projectCode}-${item.qaseId}`,
+    ...describeChanges(item)
+  ]);
+  section('🚚 移动用例', byAction(plan.cases, 'move'), item => [
+    `- \`${item.customId}\` → ${plan.projectCode}-${item.qaseId}: ${item.fromSuite || '(无 Suite)'} → ${item.suite}`,
+    ...describeChanges(item)
+  ]);
+  section('⚠️ 标记为 deprecated', byAction(plan.cases, 'deprecate'), item => [
+    `- \`${item.customId}\` ${plan.projectCode}-${item.qaseId} ${item.title}`
+  ]);
+  section('🗄️ 归档用例', byAction(plan.cases, 'archive'), item => [
+    `- \`${item.customId}\` ${plan.projectCode}-${item.qaseId}: ${item.fromSuite || '(无 Suite)'} → ${item.suite}`
+  ]);
+  section('🗑️ 删除用例', byAction(plan.cases, 'delete'), item => [
+    `- \`${item.customId}\` ${plan.projectCode}-${item.qaseId} ${item.title}`
+  ]);
+  section('🗑️ 删除 Suite', byAction(plan.suites, 'delete'), item => [`- ${item.suite}`]);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  PLAN_VERSION,
+  DEFAULT_PLAN_FILE,
+  fingerprintQaseState,
+  diffCase,
+  createSyncPlan,
+  isEmptyPlan,
+  writeSyncPlan,
+  readSyncPlan,
+  applySyncPlan,
+  formatSyncPlan
+};
@@ -0,0 +1,138 @@
+/**
+ * 增量同步状态（项目根目录的 .qase-sync-state.json）
+ *
+ * 记录每个 Custom ID 上次推送到 Qase 的 Qase ID、Suite ID、请求数据的哈希和各字段的值。
+ * sync() 只更新哈希、Qase ID 或 Suite 发生变化的用例，其余用例不发送请求；
+ * 字段的值是三方合并的 base（见 lib/case-merge.js）。
+ * 状态文件不存在、损坏或属于其他项目时返回 null，由 sync() 按 Qase 中的用例重新建立
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { customFieldNames, caseFieldValues } = require('./case-diff');
+
+const SYNC_STATE_FILE = '.qase-sync-state.json';
+
+// 状态文件格式版本（格式不兼容时递增）
+const SYNC_STATE_VERSION = 1;
+
+// 不参与哈希的自定义字段：Last Run Result 由运行结果更新，不来自代码
+const UNHASHED_CUSTOM_FIELDS = ['2'];
+
+/**
+ * 按键排序的 JSON（对象键顺序不影响哈希）
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * 计算用例请求数据的哈希（buildCaseData() 的结果，suite_id 单独记录）
+ * @param {Object} data - 创建 / 更新请求数据
+ * @returns {string} sha256
+ */
+function hashCasePayload(data) {
+  const { suite_id: suiteId, custom_field: customField = {}, ...fields } = data;
+  const hashedFields = Object.fromEntries(
+    Object.entries(customField).filter(([id]) => !UNHASHED_CUSTOM_FIELDS.includes(String(id)))
+  );
+
+  return crypto.createHash('sha256').update(stableStringify({ ...fields, custom_field: hashedFields })).digest('hex');
+}
+
+/**
+ * 请求数据各字段的值（三方合并的 base，不含 Last Run Result）
+ * @param {Object} data - buildCaseData() 生成的请求数据
+ * @param {Object} config - 配置对象（自定义字段名称）
+ * @returns {Object<string, string>} 键与 diffCase() 的 field 相同
+ */
+function snapshotCaseFields(data, config) {
+  const values = caseFieldValues(data, data, config);
+  const fieldNames = customFieldNames(config);
+  UNHASHED_CUSTOM_FIELDS.forEach(id => {
+    delete values[`custom_field.${fieldNames[id] || id}`];
+  });
+  return values;
+}
+
+/**
+ * 创建空的同步状态
+ * @param {string} projectCode - Qase 项目代码
+ * @returns {{version: number, projectCode: string, cases: Object}}
+ */
+function createSyncState(projectCode) {
+  return { version: SYNC_STATE_VERSION, projectCode, cases: {} };
+}
+
+/**
+ * 状态文件路径
+ * @param {Object} config - 配置对象
+ * @param {string} cwd - 项目根目录
+ * @returns {string|null} syncState 为 false 时为 null
+ */
+function resolveSyncStatePath(config, cwd) {
+  return config.syncState === false ? null : path.join(cwd || process.cwd(), SYNC_STATE_FILE);
+}
+
+/**
+ * 读取同步状态
+ * @param {string} file - 状态文件路径
+ * @param {string} projectCode - 当前 Qase 项目代码
+ * @returns {Object|null} 文件不存在、损坏、版本不一致或属于其他项目时为 null
+ */
+function loadSyncState(file, projectCode) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const valid = state && state.version === SYNC_STATE_VERSION && state.projectCode === projectCode &&
+      state.cases && typeof state.cases === 'object';
+    return valid ? state : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 写入同步状态
+ * @param {string} file - 状态文件路径
+ * @param {Object} state - createSyncState() 创建并记录了用例的状态
+ */
+function saveSyncState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * 用例与上次推送的内容是否一致
+ * @param {Object} entry - 状态中的记录 {qaseId, suiteId, hash, fields}
+ * @param {Object} current - 本次的 {qaseId, suiteId, hash}
+ * @returns {boolean}
+ */
+function isCaseUnchanged(entry, current) {
+  return Boolean(entry) &&
+    entry.qaseId === current.qaseId &&
+    entry.suiteId === current.suiteId &&
+    entry.hash === current.hash;
+}
+
+module.exports = {
+  SYNC_STATE_FILE,
+  SYNC_STATE_VERSION,
+  hashCasePayload,
+  snapshotCaseFields,
+  createSyncState,
+  resolveSyncStatePath,
+  loadSyncState,
+  saveSyncState,
+  isCaseUnchanged
+};
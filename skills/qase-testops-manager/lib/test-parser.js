@@ -0,0 +1,1170 @@
+/**
+ * 基于 TypeScript AST 的测试文件解析器
+ *
+ * 替代原先基于正则的扫描逻辑，支持：
+ * - 模板字符串标题、跨多行的 test( 调用
+ * - test.only / test.skip / test.fixme / test.fail / test.slow
+ * - 标题中包含引号或多个冒号
+ * - 精确的行号/列号范围（行、列均从 1 开始）
+ *
+ * 调用的分类（测试 / 分组 / 步骤）由框架适配器决定（见 lib/framework-adapters.js），
+ * 解析结果是与框架无关的原始模型，由 extract-tests.js 转换为测试用例对象
+ */
+
+const path = require('path');
+const ts = require('typescript');
+const { playwright, detectAdapter } = require('./framework-adapters');
+const { parseFeatureFile } = require('./gherkin-parser');
+
+/**
+ * 根据文件扩展名选择 ScriptKind
+ * @param {string} fileName - 文件名
+ * @returns {number} ts.ScriptKind
+ */
+function getScriptKind(fileName) {
+  const ext = path.extname(fileName).toLowerCase();
+
+  switch (ext) {
+    case '.tsx':
+      return ts.ScriptKind.TSX;
+    case '.jsx':
+      return ts.ScriptKind.JSX;
+    case '.js':
+    case '.mjs':
+    case '.cjs':
+      return ts.ScriptKind.JS;
+    default:
+      return ts.ScriptKind.TS;
+  }
+}
+
+/**
+ * 解析源码为 AST
+ * @param {string} fileContent - 文件内容
+ * @param {string} fileName - 文件名（用于确定语法类型）
+ * @returns {ts.SourceFile}
+ */
+function parseSource(fileContent, fileName = 'test.spec.ts') {
+  return ts.createSourceFile(
+    fileName,
+    fileContent,
+    ts.ScriptTarget.Latest,
+    true,
+    getScriptKind(fileName)
+  );
+}
+
+/**
+ * 获取节点的位置范围（行、列均从 1 开始）
+ * @param {ts.Node} node - AST 节点
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @returns {{start: {line: number, column: number}, end: {line: number, column: number}}}
+ */
+function getLocation(node, sourceFile) {
+  const start = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+  const end = sourceFile.getLineAndCharacterOfPosition(node.getEnd());
+
+  return {
+    start: { line: start.line + 1, column: start.character + 1 },
+    end: { line: end.line + 1, column: end.character + 1 }
+  };
+}
+
+/**
+ * 获取表达式的静态文本
+ *
+ * 支持字符串、模板字符串（插值保留为 ${expr} 源码）以及字符串拼接，
+ * 无法静态求值时返回 null
+ *
+ * @param {ts.Node} node - 表达式节点
+ * @returns {string|null}
+ */
+function getStaticText(node) {
+  if (!node) return null;
+
+  if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) {
+    return node.text;
+  }
+
+  if (ts.isTemplateExpression(node)) {
+    let text = node.head.text;
+    for (const span of node.templateSpans) {
+      text += '${' + span.expression.getText() + '}' + span.literal.text;
+    }
+    return text;
+  }
+
+  if (ts.isParenthesizedExpression(node)) {
+    return getStaticText(node.expression);
+  }
+
+  if (ts.isBinaryExpression(node) && node.operatorToken.kind === ts.SyntaxKind.PlusToken) {
+    const left = getStaticText(node.left);
+    const right = getStaticText(node.right);
+    return left !== null && right !== null ? left + right : null;
+  }
+
+  return null;
+}
+
+/**
+ * 将调用表达式的 callee 展开为名称链
+ * 例如: test.describe.serial.only → ['test', 'describe', 'serial', 'only']
+ *
+ * @param {ts.Expression} expression - callee 表达式
+ * @returns {Array<string>|null}
+ */
+function getCalleeChain(expression) {
+  const chain = [];
+  let current = expression;
+
+  while (ts.isPropertyAccessExpression(current)) {
+    chain.unshift(current.name.text);
+    current = current.expression;
+  }
+
+  if (!ts.isIdentifier(current)) {
+    return null;
+  }
+
+  chain.unshift(current.text);
+  return chain;
+}
+
+/**
+ * 判断调用类型
+ * @param {ts.CallExpression} node - 调用表达式
+ * @param {Object} adapter - 框架适配器
+ * @returns {{kind: string, modifiers: Array<string>, hook?: string}|null} kind: 'test' | 'describe' | 'step' | 'marker' | 'hook'
+ */
+function classifyCall(node, adapter) {
+  const chain = getCalleeChain(node.expression);
+  return chain ? adapter.classify(chain) : null;
+}
+
+/**
+ * 获取调用参数中的回调函数（最后一个函数参数）
+ * @param {ts.CallExpression} node - 调用表达式
+ * @returns {ts.FunctionLikeDeclaration|null}
+ */
+function getCallback(node) {
+  for (let i = node.arguments.length - 1; i >= 0; i--) {
+    const arg = node.arguments[i];
+    if (ts.isArrowFunction(arg) || ts.isFunctionExpression(arg)) {
+      return arg;
+    }
+  }
+  return null;
+}
+
+/**
+ * 解析 Playwright 1.42+ 的 details 参数
+ *
+ * test('标题', { tag: ['@smoke'], annotation: { type: 'issue', description: 'JIRA-12' } }, ...)
+ * test.describe('标题', { tag: '@api' }, ...)
+ *
+ * @param {ts.CallExpression} node - test() / test.describe() 调用
+ * @returns {{tags: Array<string>, annotations: Array<{type: string, description: string}>}}
+ */
+function parseDetails(node) {
+  const details = { tags: [], annotations: [] };
+  const arg = node.arguments[1];
+
+  if (!arg || !ts.isObjectLiteralExpression(arg)) {
+    return details;
+  }
+
+  for (const prop of arg.properties) {
+    if (!ts.isPropertyAssignment(prop)) continue;
+
+    const key = prop.name.getText().replace(/^['"]|['"]$/g, '');
+    const values = ts.isArrayLiteralExpression(prop.initializer)
+      ? prop.initializer.elements
+      : [prop.initializer];
+
+    if (key === 'tag') {
+      for (const value of values) {
+        const tag = getStaticText(value);
+        if (tag) details.tags.push(tag.trim());
+      }
+    } else if (key === 'annotation') {
+      for (const value of values) {
+        if (!ts.isObjectLiteralExpression(value)) continue;
+
+        const annotation = { type: '', description: '' };
+        for (const field of value.properties) {
+          if (!ts.isPropertyAssignment(field)) continue;
+          const fieldName = field.name.getText().replace(/^['"]|['"]$/g, '');
+          if (fieldName === 'type' || fieldName === 'description') {
+            annotation[fieldName] = getStaticText(field.initializer) || '';
+          }
+        }
+
+        if (annotation.type) details.annotations.push(annotation);
+      }
+    }
+  }
+
+  return details;
+}
+
+/**
+ * 查找调用所在语句前最近的 JSDoc 注释
+ * @param {ts.Node} node - 调用表达式
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @returns {{text: string, range: {start: number, end: number}|null, statementStart: number}}
+ *   text 为原始文本（不含 /** 和 *\/），range 为注释在文件中的位置，statementStart 为语句开始位置
+ */
+function findLeadingJSDoc(node, sourceFile) {
+  // 向上找到所在的语句（如 ExpressionStatement）
+  let statement = node;
+  while (statement.parent && !ts.isBlock(statement.parent) && !ts.isSourceFile(statement.parent)) {
+    statement = statement.parent;
+  }
+
+  const text = sourceFile.getFullText();
+  const ranges = ts.getLeadingCommentRanges(text, statement.getFullStart()) || [];
+  const statementStart = statement.getStart(sourceFile);
+
+  for (let i = ranges.length - 1; i >= 0; i--) {
+    const comment = text.substring(ranges[i].pos, ranges[i].end);
+    if (comment.startsWith('/**')) {
+      return {
+        text: comment.replace(/^\/\*\*/, '').replace(/\*\/$/, ''),
+        range: { start: ranges[i].pos, end: ranges[i].end },
+        statementStart
+      };
+    }
+  }
+
+  return { text: '', range: null, statementStart };
+}
+
+/**
+ * 获取调用所在语句前最近的 JSDoc 注释（原始文本，不含 /** 和 *\/）
+ * @param {ts.Node} node - 调用表达式
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @returns {string}
+ */
+function getLeadingJSDoc(node, sourceFile) {
+  return findLeadingJSDoc(node, sourceFile).text;
+}
+
+/**
+ * 拆分测试标题为 Custom ID 和标题
+ * 只按第一个冒号拆分，标题中可以包含更多冒号
+ *
+ * @param {string} rawTitle - 完整标题，如 'TC-API-SYNC-001: 标题: 子标题'
+ * @returns {{customId: string|null, title: string}}
+ */
+function splitTestTitle(rawTitle) {
+  const colonIndex = rawTitle.indexOf(':');
+
+  if (colonIndex === -1) {
+    return { customId: null, title: rawTitle.trim() };
+  }
+
+  return {
+    customId: rawTitle.substring(0, colonIndex).trim(),
+    title: rawTitle.substring(colonIndex + 1).trim()
+  };
+}
+
+/**
+ * 查找同层的步骤调用节点（不进入 step 回调及嵌套的 test / describe 定义）
+ * @param {ts.Node} root - 起始节点
+ * @param {Object} adapter - 框架适配器
+ * @param {Function} isHelperCall - 可选，(node) => boolean，返回 true 的普通调用（包含步骤的 helper）同样收集
+ * @returns {Array<ts.CallExpression>} 包括 test.step() 等步骤和 cy.log() 等步骤标记
+ */
+function findStepCalls(root, adapter, isHelperCall = null) {
+  const calls = [];
+
+  function visit(node) {
+    if (ts.isCallExpression(node)) {
+      const call = classifyCall(node, adapter);
+      const isStep = call && (call.kind === 'step' || call.kind === 'marker');
+
+      if (isStep && getStaticText(node.arguments[0]) !== null) {
+        calls.push(node);
+        return;
+      }
+
+      if (call && (call.kind === 'test' || call.kind === 'describe')) {
+        return;
+      }
+
+      if (!call && isHelperCall && isHelperCall(node)) {
+        calls.push(node);
+        return;
+      }
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  visit(root);
+  return calls;
+}
+
+/**
+ * 获取节点自身的源码（去掉嵌套 test.step() 调用的部分）
+ * 用于读取只属于当前 step 的 Action / Expected 注释
+ *
+ * @param {ts.Node} root - 起始节点
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @param {Object} adapter - 框架适配器
+ * @returns {string}
+ */
+function getOwnText(root, sourceFile, adapter) {
+  const offset = root.getStart(sourceFile);
+  let text = root.getText(sourceFile);
+
+  // 从后往前删除，保证前面的偏移量不变
+  for (const call of findStepCalls(root, adapter).reverse()) {
+    text = text.slice(0, call.getStart(sourceFile) - offset) + text.slice(call.getEnd() - offset);
+  }
+
+  return text;
+}
+
+/**
+ * 解析 expect 断言链
+ * 例如: expect(count).not.toBe(50) → { subject: 'count', modifiers: ['not'], matcher: 'toBe', args: ['50'] }
+ *
+ * @param {ts.CallExpression} node - 断言链最外层的调用（matcher 调用）
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @returns {Object|null}
+ */
+function parseAssertion(node, sourceFile) {
+  if (!ts.isPropertyAccessExpression(node.expression)) {
+    return null;
+  }
+
+  const modifiers = [];
+  let current = node.expression.expression;
+
+  while (ts.isPropertyAccessExpression(current)) {
+    modifiers.unshift(current.name.text);
+    current = current.expression;
+  }
+
+  if (!ts.isCallExpression(current)) {
+    return null;
+  }
+
+  const chain = getCalleeChain(current.expression);
+  if (!chain || chain[0] !== 'expect' || chain.length > 2) {
+    return null;
+  }
+
+  const subject = current.arguments[0];
+
+  return {
+    subject: subject ? subject.getText(sourceFile) : '',
+    modifiers,
+    matcher: node.expression.name.text,
+    args: node.arguments.map(arg => arg.getText(sourceFile)),
+    text: node.getText(sourceFile)
+  };
+}
+
+/**
+ * 收集节点内的 expect() 断言（不包含嵌套 test.step() 内的断言）
+ * @param {ts.Node|Array<ts.Node>} root - 起始节点（或同层的一组语句）
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @param {Object} adapter - 框架适配器（默认 Playwright）
+ * @returns {Array<Object>} [{subject, modifiers, matcher, args, text}]
+ */
+function collectAssertions(root, sourceFile, adapter = playwright) {
+  const assertions = [];
+
+  function visit(node) {
+    if (ts.isCallExpression(node)) {
+      if (classifyCall(node, adapter)) {
+        return;
+      }
+
+      const assertion = parseAssertion(node, sourceFile);
+      if (assertion) {
+        assertions.push(assertion);
+        return;
+      }
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  (Array.isArray(root) ? root : [root]).forEach(visit);
+  return assertions;
+}
+
+/**
+ * 获取步骤标记（如 cy.log()）所属的语句：标记之后到下一个标记之前的同层语句
+ *
+ * @param {ts.CallExpression} node - 标记调用
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @param {Object} adapter - 框架适配器
+ * @returns {{statements: Array<ts.Statement>, text: string}}
+ */
+function getMarkerSegment(node, sourceFile, adapter) {
+  const statement = node.parent;
+  if (!ts.isExpressionStatement(statement) || !statement.parent || !('statements' in statement.parent)) {
+    return { statements: [], text: '' };
+  }
+
+  const siblings = statement.parent.statements;
+  const statements = [];
+
+  for (let i = siblings.indexOf(statement) + 1; i < siblings.length; i++) {
+    const sibling = siblings[i];
+    const expression = ts.isExpressionStatement(sibling) ? sibling.expression : null;
+    const call = expression && ts.isCallExpression(expression) ? classifyCall(expression, adapter) : null;
+
+    if (call && call.kind === 'marker') break;
+    statements.push(sibling);
+  }
+
+  // 文本从标记语句结束处开始，保留紧跟在标记后的 Action / Expected 注释
+  const end = statements.length > 0 ? statements[statements.length - 1].getEnd() : statement.getEnd();
+  return { statements, text: sourceFile.text.slice(statement.getEnd(), end).trim() };
+}
+
+/**
+ * 收集函数体内的步骤调用，构建步骤树
+ *
+ * 嵌套在 step 回调内的 test.step() 成为子步骤（children），
+ * 同层按出现顺序排列，不进入嵌套的 test / describe 定义；
+ * 步骤标记（cy.log() 等）没有回调，只生成同层步骤；
+ * 提供 expandHelper 时，调用页面对象 / helper 的位置展开为其中的步骤（见 lib/helper-steps.js）
+ *
+ * @param {ts.Node} root - 起始节点
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @param {Object} adapter - 框架适配器（默认 Playwright）
+ * @param {Function} expandHelper - 可选，(callNode, sourceFile) => 步骤数组（不是 helper 或没有步骤时为空数组）
+ * @returns {Array<Object>} [{title, location, range, bodyRange, body, ownBody, assertions, children}]
+ *   range 为步骤调用在文件中的位置，bodyRange 为回调函数体 { ... } 的位置（步骤标记没有回调，为 null）；
+ *   helper 中展开的步骤带 file（模块路径），位置属于该模块
+ */
+function collectSteps(root, sourceFile, adapter = playwright, expandHelper = null) {
+  const helperSteps = new Map();
+  const isHelperCall = expandHelper
+    ? node => {
+      const steps = expandHelper(node, sourceFile);
+      if (steps.length > 0) helperSteps.set(node, steps);
+      return steps.length > 0;
+    }
+    : null;
+
+  return findStepCalls(root, adapter, isHelperCall).flatMap(node => {
+    if (helperSteps.has(node)) {
+      return helperSteps.get(node);
+    }
+
+    const title = getStaticText(node.arguments[0]);
+    const location = getLocation(node, sourceFile);
+
+    if (classifyCall(node, adapter).kind === 'marker') {
+      const segment = getMarkerSegment(node, sourceFile, adapter);
+
+      return [{
+        title,
+        location,
+        range: { start: node.getStart(sourceFile), end: node.getEnd() },
+        bodyRange: null,
+        body: segment.text,
+        ownBody: segment.text,
+        assertions: collectAssertions(segment.statements, sourceFile, adapter),
+        children: []
+      }];
+    }
+
+    const callback = getCallback(node);
+
+    return [{
+      title,
+      location,
+      range: { start: node.getStart(sourceFile), end: node.getEnd() },
+      bodyRange: callback && ts.isBlock(callback.body)
+        ? { start: callback.body.getStart(sourceFile), end: callback.body.getEnd() }
+        : null,
+      body: callback ? callback.body.getText(sourceFile) : '',
+      ownBody: callback ? getOwnText(callback.body, sourceFile, adapter) : '',
+      assertions: callback ? collectAssertions(callback.body, sourceFile, adapter) : [],
+      children: callback ? collectSteps(callback.body, sourceFile, adapter, expandHelper) : []
+    }];
+  });
+}
+
+/**
+ * 将步骤树展开为列表（先序遍历）
+ * @param {Array<Object>} steps - collectSteps() 返回的步骤树
+ * @returns {Array<Object>}
+ */
+function flattenSteps(steps) {
+  return steps.flatMap(step => [step, ...flattenSteps(step.children || [])]);
+}
+
+/**
+ * 查找函数体内的 qase.id(N) 调用
+ * @param {ts.Node} root - 起始节点
+ * @returns {number|null}
+ */
+function findQaseId(root) {
+  let qaseId = null;
+
+  function visit(node) {
+    if (qaseId !== null) return;
+
+    if (ts.isCallExpression(node)) {
+      const chain = getCalleeChain(node.expression);
+      const arg = node.arguments[0];
+
+      if (chain && chain.join('.') === 'qase.id' && arg && ts.isNumericLiteral(arg)) {
+        qaseId = parseInt(arg.text, 10);
+        return;
+      }
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  visit(root);
+  return qaseId;
+}
+
+/**
+ * 读取字面量的静态值（字符串、数字、布尔值、null）
+ * @param {ts.Expression} node - 表达式节点
+ * @returns {string} 无法静态求值时返回源码
+ */
+function getLiteralValue(node) {
+  const text = getStaticText(node);
+  if (text !== null) return text;
+
+  if (ts.isNumericLiteral(node)) return node.text;
+  return node.getText();
+}
+
+function unwrapExpression(node) {
+  let current = node;
+  while (current && (ts.isAsExpression(current) || ts.isParenthesizedExpression(current) ||
+    (ts.isSatisfiesExpression && ts.isSatisfiesExpression(current)))) {
+    current = current.expression;
+  }
+  return current;
+}
+
+/**
+ * 将数组表达式解析为数组字面量
+ * 支持直接的 [...]，以及同一文件中 const PROVIDERS = [...] 声明的常量
+ *
+ * @param {ts.Expression} node - 数组表达式
+ * @param {Map<string, ts.ArrayLiteralExpression>} arrayConstants - 文件内的数组常量
+ * @returns {ts.ArrayLiteralExpression|null}
+ */
+function resolveArrayLiteral(node, arrayConstants) {
+  const expression = unwrapExpression(node);
+  if (!expression) return null;
+
+  if (ts.isArrayLiteralExpression(expression)) return expression;
+  if (ts.isIdentifier(expression)) return arrayConstants.get(expression.text) || null;
+
+  return null;
+}
+
+/**
+ * 收集文件内以数组字面量初始化的常量
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @returns {Map<string, ts.ArrayLiteralExpression>}
+ */
+function collectArrayConstants(sourceFile) {
+  const constants = new Map();
+
+  function visit(node) {
+    if (ts.isVariableDeclaration(node) && ts.isIdentifier(node.name) && node.initializer) {
+      const initializer = unwrapExpression(node.initializer);
+      if (ts.isArrayLiteralExpression(initializer) && !constants.has(node.name.text)) {
+        constants.set(node.name.text, initializer);
+      }
+    }
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return constants;
+}
+
+function addParameterValue(parameters, name, value) {
+  if (!parameters[name]) parameters[name] = [];
+  if (value !== undefined && !parameters[name].includes(value)) parameters[name].push(value);
+}
+
+/**
+ * 按循环变量（或 .each 回调参数）的声明形式，从数组元素中读取参数取值
+ *
+ * - provider            ← ['gmail', 'outlook']
+ * - { name, limit }     ← [{ name: 'a', limit: 1 }, ...]
+ * - [input, expected]   ← [[1, 2], [3, 4]]
+ *
+ * @param {ts.BindingName} binding - 变量声明
+ * @param {Array<ts.Expression>|null} elements - 数组元素（无法静态解析时为 null，只记录参数名）
+ * @param {Object} parameters - 输出 { 参数名: [取值] }
+ */
+function bindParameters(binding, elements, parameters) {
+  if (ts.isIdentifier(binding)) {
+    addParameterValue(parameters, binding.text);
+
+    for (const element of elements || []) {
+      const value = unwrapExpression(element);
+
+      if (ts.isObjectLiteralExpression(value) || ts.isArrayLiteralExpression(value)) {
+        // 整个对象 / 数组作为一个参数时，记录为源码
+        addParameterValue(parameters, binding.text, value.getText());
+      } else {
+        addParameterValue(parameters, binding.text, getLiteralValue(value));
+      }
+    }
+    return;
+  }
+
+  if (ts.isObjectBindingPattern(binding)) {
+    for (const item of binding.elements) {
+      const key = (item.propertyName || item.name).getText();
+      const perElement = (elements || []).map(element => {
+        const value = unwrapExpression(element);
+        if (!ts.isObjectLiteralExpression(value)) return undefined;
+
+        const property = value.properties.find(prop =>
+          (ts.isPropertyAssignment(prop) || ts.isShorthandPropertyAssignment(prop)) &&
+          prop.name.getText().replace(/^['"]|['"]$/g, '') === key
+        );
+        if (!property) return undefined;
+        return ts.isPropertyAssignment(property) ? property.initializer : property.name;
+      }).filter(Boolean);
+
+      bindParameters(item.name, elements ? perElement : null, parameters);
+    }
+    return;
+  }
+
+  if (ts.isArrayBindingPattern(binding)) {
+    binding.elements.forEach((item, index) => {
+      if (ts.isOmittedExpression(item)) return;
+
+      const perElement = (elements || []).map(element => {
+        const value = unwrapExpression(element);
+        return ts.isArrayLiteralExpression(value) ? value.elements[index] : undefined;
+      }).filter(Boolean);
+
+      bindParameters(item.name, elements ? perElement : null, parameters);
+    });
+  }
+}
+
+/**
+ * 识别 test.each(table)(title, fn) / describe.each(table)(...) 调用
+ *
+ * @param {ts.CallExpression} node - 外层调用
+ * @param {Object} adapter - 框架适配器
+ * @returns {{call: Object, table: ts.Node}|null}
+ */
+function classifyEachCall(node, adapter) {
+  const inner = node.expression;
+  const callee = ts.isCallExpression(inner) ? inner.expression
+    : ts.isTaggedTemplateExpression(inner) ? inner.tag
+      : null;
+  if (!callee) return null;
+
+  const chain = getCalleeChain(callee);
+  if (!chain || chain.length < 2 || chain[chain.length - 1] !== 'each') return null;
+
+  const call = adapter.classify(chain.slice(0, -1));
+  if (!call || (call.kind !== 'test' && call.kind !== 'describe')) return null;
+
+  return { call, table: ts.isCallExpression(inner) ? inner.arguments[0] : inner.template };
+}
+
+/**
+ * 读取 .each 表格中的参数
+ *
+ * - 数组表格：每行按回调参数的位置（或解构）绑定
+ * - 模板表格（Jest / Vitest）：第一行为参数名，${value} 为取值
+ *
+ * @param {ts.Node} table - .each 的参数
+ * @param {ts.FunctionLikeDeclaration} callback - 测试回调
+ * @param {Map} arrayConstants - 文件内的数组常量
+ * @returns {{parameters: Object, names: Array<string>}} names 为 %s 占位符的参数顺序
+ */
+function readEachTable(table, callback, arrayConstants) {
+  const parameters = {};
+
+  if (table && (ts.isTemplateExpression(table) || ts.isNoSubstitutionTemplateLiteral(table))) {
+    const head = ts.isTemplateExpression(table) ? table.head.text : table.text;
+    const names = head.split('\n').map(line => line.trim()).find(Boolean).split('|').map(name => name.trim()).filter(Boolean);
+    const values = ts.isTemplateExpression(table) ? table.templateSpans.map(span => getLiteralValue(span.expression)) : [];
+
+    names.forEach(name => addParameterValue(parameters, name));
+    values.forEach((value, index) => addParameterValue(parameters, names[index % names.length], value));
+    return { parameters, names };
+  }
+
+  const array = resolveArrayLiteral(table, arrayConstants);
+  const rows = array ? array.elements : null;
+  const params = callback ? callback.parameters : [];
+
+  const rowsAreArrays = rows && rows.length > 0 &&
+    rows.every(row => ts.isArrayLiteralExpression(unwrapExpression(row)));
+
+  if (!rowsAreArrays && (rows || params.length <= 1)) {
+    // 每行是一个值（或对象），绑定到第一个回调参数
+    if (params[0]) bindParameters(params[0].name, rows, parameters);
+  } else {
+    // 每行是一个数组，按位置绑定到回调参数
+    params.forEach((param, index) => {
+      const perRow = (rows || []).map(row => {
+        const value = unwrapExpression(row);
+        return ts.isArrayLiteralExpression(value) ? value.elements[index] : undefined;
+      }).filter(Boolean);
+      bindParameters(param.name, rows ? perRow : null, parameters);
+    });
+  }
+
+  return { parameters, names: Object.keys(parameters) };
+}
+
+/**
+ * 获取循环的参数（for...of / for / 数组 .forEach）
+ *
+ * @param {ts.Node} node - 语句或调用
+ * @param {Map} arrayConstants - 文件内的数组常量
+ * @returns {{parameters: Object, body: ts.Node}|null}
+ */
+function getLoopFrame(node, arrayConstants) {
+  if (ts.isForOfStatement(node) && ts.isVariableDeclarationList(node.initializer)) {
+    const parameters = {};
+    const array = resolveArrayLiteral(node.expression, arrayConstants);
+    bindParameters(node.initializer.declarations[0].name, array ? array.elements : null, parameters);
+    return { parameters, body: node.statement };
+  }
+
+  if (ts.isForStatement(node) && node.initializer && ts.isVariableDeclarationList(node.initializer)) {
+    const parameters = {};
+    node.initializer.declarations.forEach(declaration => bindParameters(declaration.name, null, parameters));
+    return { parameters, body: node.statement };
+  }
+
+  if (ts.isCallExpression(node) && ts.isPropertyAccessExpression(node.expression) &&
+    node.expression.name.text === 'forEach') {
+    const callback = getCallback(node);
+    if (!callback || callback.parameters.length === 0) return null;
+
+    const parameters = {};
+    const array = resolveArrayLiteral(node.expression.expression, arrayConstants);
+    bindParameters(callback.parameters[0].name, array ? array.elements : null, parameters);
+    return { parameters, body: callback.body };
+  }
+
+  return null;
+}
+
+/**
+ * 将参数化标题中的插值转换为 {参数} 占位符
+ *
+ * - 模板字符串: `sync ${provider}` → 'sync {provider}'
+ * - .each 占位符: 'add %i + %i' → 'add {a} + {b}'，'$name' → '{name}'
+ *
+ * @param {string} title - 原始标题
+ * @param {Array<string>} names - %s 等位置占位符对应的参数名
+ * @returns {string}
+ */
+function formatParameterizedTitle(title, names = []) {
+  let position = 0;
+
+  return title
+    .replace(/\$\{\s*([^}]+?)\s*\}/g, '{$1}')
+    .replace(/%[sdifjop#%]/g, placeholder => {
+      if (placeholder === '%%') return '%';
+      if (placeholder === '%#') return '{#}';
+      const name = names[position++];
+      return name ? `{${name}}` : placeholder;
+    })
+    .replace(/\$([A-Za-z_][\w.]*)/g, '{$1}');
+}
+
+/**
+ * 将注释转换为纯文本（去掉注释符号和 @标签 行）
+ * @param {string} comment - 注释源码（// 或 /* *\/）
+ * @returns {string}
+ */
+function getCommentText(comment) {
+  return comment
+    .replace(/^\/\*\*?|\*\/$/g, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*(\/\/+|\*)?\s?/, '').trim())
+    .filter(line => line && !line.startsWith('@'))
+    .join(' ');
+}
+
+/**
+ * 读取指定位置之后紧邻的注释文本
+ * @param {number} position - 起始位置（如语句的 getFullStart()）
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @returns {string}
+ */
+function getLeadingCommentText(position, sourceFile) {
+  const text = sourceFile.getFullText();
+  const ranges = ts.getLeadingCommentRanges(text, position) || [];
+
+  return ranges
+    .map(range => getCommentText(text.substring(range.pos, range.end)))
+    .filter(Boolean)
+    .join(' ');
+}
+
+// 钩子摘要中最多列出的语句数和每条语句的最大长度
+const HOOK_SUMMARY_STATEMENTS = 3;
+const HOOK_SUMMARY_LENGTH = 80;
+
+/**
+ * 生成钩子的一行摘要，依次尝试：
+ * 1. 钩子标题（Playwright: test.beforeEach('登录', async () => {})）
+ * 2. 钩子前的注释 / JSDoc
+ * 3. 钩子内的步骤标题
+ * 4. 钩子函数体开头的注释
+ * 5. 钩子函数体的前几条语句
+ *
+ * @param {ts.CallExpression} node - 钩子调用
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @param {Object} adapter - 框架适配器
+ * @param {Function} expandHelper - 可选，helper 步骤展开函数（见 collectSteps()）
+ * @returns {string}
+ */
+function summarizeHook(node, sourceFile, adapter, expandHelper = null) {
+  const title = node.arguments.length > 1 ? getStaticText(node.arguments[0]) : null;
+  if (title && title.trim()) {
+    return title.trim();
+  }
+
+  let statement = node;
+  while (statement.parent && !ts.isBlock(statement.parent) && !ts.isSourceFile(statement.parent)) {
+    statement = statement.parent;
+  }
+
+  const leading = getLeadingCommentText(statement.getFullStart(), sourceFile);
+  if (leading) {
+    return leading;
+  }
+
+  const callback = getCallback(node);
+  if (!callback) {
+    return '';
+  }
+
+  const steps = collectSteps(callback.body, sourceFile, adapter, expandHelper);
+  if (steps.length > 0) {
+    return steps.map(step => step.title).join('; ');
+  }
+
+  // 函数体开头（左花括号之后）的注释
+  if (ts.isBlock(callback.body)) {
+    const inner = getLeadingCommentText(callback.body.getStart(sourceFile) + 1, sourceFile);
+    if (inner) {
+      return inner;
+    }
+  }
+
+  const statements = ts.isBlock(callback.body) ? callback.body.statements : [callback.body];
+
+  return statements
+    .slice(0, HOOK_SUMMARY_STATEMENTS)
+    .map(child => {
+      const text = child.getText(sourceFile).replace(/\s+/g, ' ').replace(/;$/, '');
+      return text.length > HOOK_SUMMARY_LENGTH ? `${text.substring(0, HOOK_SUMMARY_LENGTH - 1)}…` : text;
+    })
+    .join('; ');
+}
+
+/**
+ * 收集作用域（文件顶层或 describe 回调）中直接定义的钩子
+ *
+ * 钩子对整个作用域生效，与定义在测试之前还是之后无关，
+ * 不进入嵌套的 test / describe 定义
+ *
+ * @param {ts.Node} root - 作用域节点
+ * @param {ts.SourceFile} sourceFile - 源文件
+ * @param {Object} adapter - 框架适配器
+ * @param {Function} expandHelper - 可选，helper 步骤展开函数（见 collectSteps()）
+ * @returns {Array<{type: string, summary: string}>} type: beforeAll / beforeEach / afterEach / afterAll
+ */
+function collectScopeHooks(root, sourceFile, adapter, expandHelper = null) {
+  const hooks = [];
+
+  function visit(node) {
+    if (ts.isCallExpression(node)) {
+      if (classifyEachCall(node, adapter)) {
+        return;
+      }
+
+      const call = classifyCall(node, adapter);
+
+      if (call && call.kind === 'hook') {
+        hooks.push({ type: call.hook, summary: summarizeHook(node, sourceFile, adapter, expandHelper) });
+        return;
+      }
+
+      if (call && (call.kind === 'test' || call.kind === 'describe')) {
+        return;
+      }
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  ts.forEachChild(root, visit);
+  return hooks;
+}
+
+/**
+ * 按执行顺序合并外层作用域的钩子
+ * before 钩子外层在前，after 钩子内层在前
+ *
+ * @param {Array<Array<Object>>} scopes - collectScopeHooks() 的结果（外层在前）
+ * @returns {{beforeAll: Array<string>, beforeEach: Array<string>, afterEach: Array<string>, afterAll: Array<string>}}
+ */
+function mergeScopeHooks(scopes) {
+  const summaries = (list, type) => list.filter(hook => hook.type === type).map(hook => hook.summary);
+  const inner = [...scopes].reverse();
+
+  return {
+    beforeAll: scopes.flatMap(list => summaries(list, 'beforeAll')),
+    beforeEach: scopes.flatMap(list => summaries(list, 'beforeEach')),
+    afterEach: inner.flatMap(list => summaries(list, 'afterEach')),
+    afterAll: inner.flatMap(list => summaries(list, 'afterAll'))
+  };
+}
+
+/**
+ * 读取测试回调第一个参数中解构的 fixture 名称
+ * 例如: async ({ page, seededMailbox: mailbox }) => {} → ['page', 'seededMailbox']
+ *
+ * @param {ts.FunctionLikeDeclaration} callback - 测试回调
+ * @returns {Array<string>}
+ */
+function getFixtureNames(callback) {
+  const param = callback.parameters[0];
+  if (!param || !ts.isObjectBindingPattern(param.name)) {
+    return [];
+  }
+
+  return param.name.elements
+    .filter(element => !element.dotDotDotToken)
+    .map(element => (element.propertyName || element.name).getText())
+    .map(name => name.replace(/^['"]|['"]$/g, ''));
+}
+
+/**
+ * 读取测试标题参数
+ *
+ * 除普通字符串外，还支持 Jest / Mocha / Cypress Qase reporter 的包装写法：
+ *   it(qase(42, 'TC-API-SYNC-001: 标题'), () => {})
+ *
+ * @param {ts.Expression} node - 标题参数
+ * @returns {{rawTitle: string|null, qaseId: number|null}}
+ */
+function readTestTitle(node) {
+  if (node && ts.isCallExpression(node)) {
+    const chain = getCalleeChain(node.expression);
+
+    if (chain && chain.join('.') === 'qase' && node.arguments.length >= 2) {
+      let idArg = node.arguments[0];
+      if (ts.isArrayLiteralExpression(idArg)) {
+        idArg = idArg.elements[0];
+      }
+
+      return {
+        rawTitle: getStaticText(node.arguments[1]),
+        qaseId: idArg && ts.isNumericLiteral(idArg) ? parseInt(idArg.text, 10) : null
+      };
+    }
+  }
+
+  return { rawTitle: getStaticText(node), qaseId: null };
+}
+
+/**
+ * 解析测试文件
+ *
+ * @param {string} fileContent - 文件内容
+ * @param {string} fileName - 文件名（用于确定语法类型）
+ * @param {Object} adapter - 框架适配器（默认按文件内容自动识别）
+ * @param {Object} options
+ * @param {Function} options.expandHelper - 页面对象 / helper 步骤展开函数（见 lib/helper-steps.js）
+ * @returns {{framework: string, tests: Array<Object>, describes: Array<Object>}}
+ *
+ * .feature 文件交给 gherkin-parser.js 解析，返回相同结构的模型
+ *
+ * 每个 test 包含：
+ * - rawTitle: 完整标题
+ * - customId / title: 按第一个冒号拆分的结果
+ * - modifiers: ['only'] / ['skip'] 等
+ * - tags / annotations: details 参数中的 tag / annotation（含继承自 describe 的部分）
+ * - describePath: 外层 test.describe() 名称数组（外层在前）
+ * - jsdoc: 测试前的原始 JSDoc 文本
+ * - jsdocRange / statementStart: JSDoc 在文件中的位置（没有时为 null）和测试语句的开始位置（pull --fields 回写用）
+ * - body: 测试函数体源码
+ * - steps: 步骤树（children 为嵌套步骤）
+ * - qaseId: qase.id() 或 qase(id, title) 的值
+ * - location: 测试调用的位置范围
+ * - parameters: 参数化测试的参数 { 参数名: [取值] }（循环或 .each 中定义的测试，
+ *   标题中的插值转换为 {参数名}）
+ * - hooks: 作用于该测试的钩子摘要 { beforeAll, beforeEach, afterEach, afterAll }（按执行顺序）
+ * - fixtures: 测试回调解构的 fixture 名称（如 ['page', 'authenticatedPage']）
+ */
+function parseTestFile(fileContent, fileName = 'test.spec.ts', adapter = null, options = {}) {
+  if (path.extname(fileName).toLowerCase() === '.feature') {
+    return parseFeatureFile(fileContent);
+  }
+
+  adapter = adapter || detectAdapter(fileContent, path.basename(fileName));
+
+  const { expandHelper = null } = options;
+  const sourceFile = parseSource(fileContent, fileName);
+  const arrayConstants = collectArrayConstants(sourceFile);
+  const tests = [];
+  const describes = [];
+  const describeStack = [];
+  const parameterStack = []; // 外层循环 / .each 的参数
+  const hookStack = [collectScopeHooks(sourceFile, sourceFile, adapter, expandHelper)]; // 各层作用域的钩子
+
+  // 当前位置的全部参数（外层在前）
+  const currentParameters = () => Object.assign({}, ...parameterStack);
+
+  function visitWithParameters(parameters, body) {
+    parameterStack.push(parameters);
+    visit(body);
+    parameterStack.pop();
+  }
+
+  function visit(node) {
+    // for...of / for / .forEach 循环中定义的测试是同一个参数化用例
+    const loop = getLoopFrame(node, arrayConstants);
+    if (loop) {
+      visitWithParameters(loop.parameters, loop.body);
+      return;
+    }
+
+    if (ts.isCallExpression(node)) {
+      const each = classifyEachCall(node, adapter);
+      const call = each ? each.call : classifyCall(node, adapter);
+      const eachTable = each ? readEachTable(each.table, getCallback(node), arrayConstants) : null;
+
+      if (eachTable) {
+        parameterStack.push(eachTable.parameters);
+      }
+
+      const parameterized = parameterStack.length > 0;
+      const formatTitle = title => (parameterized ? formatParameterizedTitle(title, eachTable ? eachTable.names : []) : title);
+
+      try {
+        if (visitCall(node, call, parameterized, formatTitle)) return;
+      } finally {
+        if (eachTable) parameterStack.pop();
+      }
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  /**
+   * 处理 describe / test 调用，返回 true 表示已处理（不再继续遍历子节点）
+   */
+  function visitCall(node, call, parameterized, formatTitle) {
+    if (call && call.kind === 'describe') {
+      const name = getStaticText(node.arguments[0]);
+      const callback = getCallback(node);
+
+      if (callback) {
+        const details = parseDetails(node);
+        const describe = {
+          name: name !== null ? formatTitle(name.trim()) : null,
+          modifiers: call.modifiers,
+          tags: details.tags,
+          annotations: details.annotations,
+          jsdoc: getLeadingJSDoc(node, sourceFile),
+          location: getLocation(node, sourceFile),
+          path: describeStack.map(d => d.name).filter(Boolean)
+        };
+        describes.push(describe);
+
+        describeStack.push(describe);
+        hookStack.push(collectScopeHooks(callback.body, sourceFile, adapter, expandHelper));
+        ts.forEachChild(callback.body, visit);
+        hookStack.pop();
+        describeStack.pop();
+        return true;
+      }
+    }
+
+    // 钩子已在进入作用域时收集
+    if (call && call.kind === 'hook') {
+      return true;
+    }
+
+    if (call && call.kind === 'test') {
+      const { rawTitle: sourceTitle, qaseId: wrappedQaseId } = readTestTitle(node.arguments[0]);
+      const rawTitle = sourceTitle !== null ? formatTitle(sourceTitle) : null;
+      const callback = getCallback(node);
+
+      // test.skip() / test.skip(condition) 等运行时调用没有标题，不是测试定义
+      if (rawTitle !== null && callback) {
+        const { customId, title } = splitTestTitle(rawTitle);
+        const details = parseDetails(node);
+        const jsdoc = findLeadingJSDoc(node, sourceFile);
+
+        // describe 级别的 tag / annotation 由子测试继承
+        const inheritedTags = describeStack.flatMap(d => d.tags);
+        const inheritedAnnotations = describeStack.flatMap(d => d.annotations);
+
+        tests.push({
+          rawTitle,
+          customId,
+          title,
+          modifiers: call.modifiers,
+          tags: [...new Set([...inheritedTags, ...details.tags])],
+          annotations: [...inheritedAnnotations, ...details.annotations],
+          describePath: describeStack.map(d => d.name).filter(Boolean),
+          jsdoc: jsdoc.text,
+          jsdocRange: jsdoc.range,
+          statementStart: jsdoc.statementStart,
+          body: callback.body.getText(sourceFile),
+          steps: collectSteps(callback.body, sourceFile, adapter, expandHelper),
+          qaseId: wrappedQaseId !== null ? wrappedQaseId : findQaseId(callback.body),
+          location: getLocation(node, sourceFile),
+          parameters: parameterized ? currentParameters() : {},
+          hooks: mergeScopeHooks(hookStack),
+          fixtures: getFixtureNames(callback)
+        });
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  visit(sourceFile);
+  return { framework: adapter.name, tests, describes };
+}
+
+module.exports = {
+  parseSource,
+  parseTestFile,
+  parseDetails,
+  collectSteps,
+  collectAssertions,
+  getOwnText,
+  flattenSteps,
+  getStaticText,
+  getLocation,
+  splitTestTitle
+};
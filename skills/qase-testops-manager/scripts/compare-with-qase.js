@@ -13,198 +13,38 @@
  * 使用方法：
  *   全局对比：node compare-with-qase.js
  *   单个测试用例对比：node compare-with-qase.js --case TC-API-SYNC-015
+ *
+ * 比对逻辑在 lib/qase-compare.js（index.js 的 compare() 使用同一实现）
  */
 
-const fs = require('fs');
-const path = require('path');
-const { loadConfig, qaseApiRequest } = require('../lib/qase-utils');
-
-const PROJECT_ROOT = process.cwd();
-
+const { loadConfig } = require('../lib/qase-utils');
+const {
+  compareTestCase,
+  readLocalCases,
+  getQaseCases,
+  getLocalStepList,
+  getQaseStepList,
+  compare
+} = require('../lib/qase-compare');
 
 /**
- * 获取 Qase 中的所有测试用例
+ * 解析命令行参数
+ * 支持 --case TC-XXX 和 --case=TC-XXX
  */
-async function getQaseCases(config) {
-  const cases = [];
-  let offset = 0;
-  const limit = 100;
-
-  while (true) {
-    const response = await qaseApiRequest(
-      config,
-      'GET',
-      `/case/${config.qase.projectCode}?limit=${limit}&offset=${offset}`
-    );
-
-    if (response.result && response.result.entities) {
-      cases.push(...response.result.entities);
-
-      if (response.result.entities.length < limit) {
-        break;
-      }
-
-      offset += limit;
-    } else {
-      break;
-    }
-  }
-
-  // 构建映射：custom_id -> case
-  // Qase API 中 custom_fields 格式：[{ id: 1, value: "TC-XXX-XXX-001" }]
-  const caseMap = {};
-  cases.forEach(c => {
-    if (c.custom_fields && Array.isArray(c.custom_fields)) {
-      // 通常 custom_id 存储在 id=1 的字段中
-      const customIdField = c.custom_fields.find(f => f.id === 1);
-      if (customIdField && customIdField.value) {
-        caseMap[customIdField.value] = c;
-      }
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = { singleCase: null };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--case') {
+      options.singleCase = args[i + 1] || null;
+      i++;
+    } else if (args[i].startsWith('--case=')) {
+      options.singleCase = args[i].split('=')[1];
     }
-  });
-
-  return { cases, caseMap };
-}
-
-/**
- * 读取本地 CSV 文件
- */
-function readLocalCases(config) {
-  const csvPath = path.join(PROJECT_ROOT, config.outputDir, config.csvFileName);
-
-  if (!fs.existsSync(csvPath)) {
-    console.error(`❌ 错误: 找不到 CSV 文件: ${csvPath}`);
-    process.exit(1);
   }
 
-  const csvContent = fs.readFileSync(csvPath, 'utf-8');
-  const records = parse(csvContent, {
-    columns: true,
-    skip_empty_lines: true,
-    relax_quotes: true,
-    relax_column_count: true,
-  });
-
-  // 过滤出实际的测试用例（有 custom_id 的行）
-  const testCases = records.filter(r => r.custom_id && r.custom_id.trim());
-
-  // 构建映射
-  const caseMap = {};
-  testCases.forEach(tc => {
-    caseMap[tc.custom_id] = tc;
-  });
-
-  return { testCases, caseMap };
-}
-
-/**
- * 比较两个测试用例的内容（增强版）
- */
-function compareTestCase(local, qase, detailed = false) {
-  const differences = [];
-
-  // 比较标题
-  const localTitle = local.title || '';
-  const qaseTitle = qase.title || '';
-  if (localTitle !== qaseTitle) {
-    differences.push({
-      field: 'title',
-      label: '标题',
-      local: localTitle,
-      qase: qaseTitle,
-    });
-  }
-
-  // 比较描述
-  const localDesc = local.description || '';
-  const qaseDesc = qase.description || '';
-  if (localDesc !== qaseDesc) {
-    differences.push({
-      field: 'description',
-      label: '描述',
-      local: localDesc,
-      qase: qaseDesc,
-    });
-  }
-
-  // 比较前置条件
-  const localPre = local.preconditions || '';
-  const qasePre = qase.preconditions || '';
-  if (localPre !== qasePre) {
-    differences.push({
-      field: 'preconditions',
-      label: '前置条件',
-      local: localPre,
-      qase: qasePre,
-    });
-  }
-
-  // 比较后置条件
-  const localPost = local.postconditions || '';
-  const qasePost = qase.postconditions || '';
-  if (localPost !== qasePost) {
-    differences.push({
-      field: 'postconditions',
-      label: '后置条件',
-      local: localPost,
-      qase: qasePost,
-    });
-  }
-
-  // 比较步骤（详细模式下逐步对比）
-  const localSteps = (local.steps_actions || '').split('\n').filter(s => s.trim());
-  const localExpected = (local.steps_expected || '').split('\n').filter(s => s.trim());
-  const qaseSteps = (qase.steps || []).map(s => s.action || '');
-  const qaseExpected = (qase.steps || []).map(s => s.expected_result || '');
-
-  if (detailed) {
-    // 详细对比每个步骤
-    const maxSteps = Math.max(localSteps.length, qaseSteps.length);
-    const stepDifferences = [];
-
-    for (let i = 0; i < maxSteps; i++) {
-      const localStep = localSteps[i] || '';
-      const qaseStep = qaseSteps[i] || '';
-      const localExp = localExpected[i] || '';
-      const qaseExp = qaseExpected[i] || '';
-
-      if (localStep !== qaseStep || localExp !== qaseExp) {
-        stepDifferences.push({
-          stepIndex: i + 1,
-          action: {
-            local: localStep,
-            qase: qaseStep,
-            different: localStep !== qaseStep,
-          },
-          expected: {
-            local: localExp,
-            qase: qaseExp,
-            different: localExp !== qaseExp,
-          },
-        });
-      }
-    }
-
-    if (stepDifferences.length > 0) {
-      differences.push({
-        field: 'steps',
-        label: '测试步骤',
-        stepDifferences,
-      });
-    }
-  } else {
-    // 简化对比：只比较步骤数量
-    if (localSteps.length !== qaseSteps.length) {
-      differences.push({
-        field: 'steps_count',
-        label: '步骤数量',
-        local: `${localSteps.length} 步`,
-        qase: `${qaseSteps.length} 步`,
-      });
-    }
-  }
-
-  return differences;
+  return options;
 }
 
 /**
@@ -233,12 +73,12 @@ function printDetailedComparison(customId, local, qase, differences) {
     console.log(`   前置条件: ${local.preconditions || '(无)'}`);
     console.log(`   后置条件: ${local.postconditions || '(无)'}`);
 
-    const steps = (local.steps_actions || '').split('\n').filter(s => s.trim());
+    const steps = getLocalStepList(local);
     console.log(`   步骤数量: ${steps.length}`);
     if (steps.length > 0) {
       console.log('   步骤详情:');
-      steps.forEach((step, i) => {
-        console.log(`      ${i + 1}. ${step}`);
+      steps.forEach(step => {
+        console.log(`      ${step.number}. ${step.action}`);
       });
     }
     console.log('');
@@ -255,12 +95,12 @@ function printDetailedComparison(customId, local, qase, differences) {
     console.log(`   前置条件: ${qase.preconditions || '(无)'}`);
     console.log(`   后置条件: ${qase.postconditions || '(无)'}`);
 
-    const steps = qase.steps || [];
+    const steps = getQaseStepList(qase.steps);
     console.log(`   步骤数量: ${steps.length}`);
     if (steps.length > 0) {
       console.log('   步骤详情:');
-      steps.forEach((step, i) => {
-        console.log(`      ${i + 1}. ${step.action || '(无)'}`);
+      steps.forEach(step => {
+        console.log(`      ${step.number}. ${step.action || '(无)'}`);
         if (step.expected_result) {
           console.log(`         期望: ${step.expected_result}`);
         }
@@ -342,18 +182,7 @@ async function main() {
   if (options.singleCase) {
     console.log(`🔍 对比单个测试用例: ${options.singleCase}\n`);
 
-    // 读取本地测试用例
-    console.log('📄 读取本地测试用例...');
-    const { caseMap: localMap } = readLocalCases(config);
-
-    // 读取 Qase 测试用例
-    console.log('☁️  读取 Qase Repository 测试用例...');
-    const { caseMap: qaseMap } = await getQaseCases(config);
-    console.log('');
-
-    // 查找指定的测试用例
-    const local = localMap[options.singleCase];
-    const qase = qaseMap[options.singleCase];
+    const { local, qase, differences, hasIssues } = await compare({ config, caseId: options.singleCase, logger: console });
 
     if (!local && !qase) {
       console.error(`❌ 错误: 未找到测试用例 ${options.singleCase}`);
@@ -361,64 +190,21 @@ async function main() {
       process.exit(1);
     }
 
-    // 对比测试用例（详细模式）
-    const differences = local && qase ? compareTestCase(local, qase, true) : [];
-
     // 打印详细对比
     printDetailedComparison(options.singleCase, local, qase, differences);
 
     // 退出码：有差异或只在一方存在则返回 1
-    const hasIssues = !local || !qase || differences.length > 0;
     process.exit(hasIssues ? 1 : 0);
   }
 
   // 全局对比模式
   console.log('🔍 开始比对本地测试用例与 Qase Repository...\n');
 
-  // 1. 读取本地测试用例
-  console.log('📄 读取本地测试用例...');
-  const { testCases: localCases, caseMap: localMap } = readLocalCases(config);
-  console.log(`   ✅ 找到 ${localCases.length} 个本地测试用例\n`);
-
-  // 2. 读取 Qase 测试用例
-  console.log('☁️  读取 Qase Repository 测试用例...');
-  const { cases: qaseCases, caseMap: qaseMap } = await getQaseCases(config);
-  console.log(`   ✅ 找到 ${qaseCases.length} 个 Qase 测试用例\n`);
+  const result = await compare({ config, logger: console });
+  const { onlyLocal, onlyQase, different, identical } = result;
 
-  // 3. 比对差异
   console.log('🔎 分析差异...\n');
 
-  const onlyLocal = [];
-  const onlyQase = [];
-  const different = [];
-  const identical = [];
-
-  // 检查本地测试用例
-  for (const customId in localMap) {
-    if (!qaseMap[customId]) {
-      onlyLocal.push({ customId, data: localMap[customId] });
-    } else {
-      const differences = compareTestCase(localMap[customId], qaseMap[customId]);
-      if (differences.length > 0) {
-        different.push({
-          customId,
-          local: localMap[customId],
-          qase: qaseMap[customId],
-          differences,
-        });
-      } else {
-        identical.push(customId);
-      }
-    }
-  }
-
-  // 检查只在 Qase 的测试用例
-  for (const customId in qaseMap) {
-    if (!localMap[customId]) {
-      onlyQase.push({ customId, data: qaseMap[customId] });
-    }
-  }
-
   // 4. 输出报告
   console.log('================================================================================');
   console.log('📊 差异报告');
@@ -494,13 +280,12 @@ async function main() {
     console.log('   - 或从 Qase 删除这些过时的测试\n');
   }
 
-  if (identical.length === localCases.length && onlyQase.length === 0) {
+  if (identical.length === result.localCount && onlyQase.length === 0) {
     console.log('✅ 本地与 Qase 完全同步，无需操作！\n');
   }
 
   // 6. 退出码
-  const hasIssues = onlyLocal.length > 0 || onlyQase.length > 0 || different.length > 0;
-  process.exit(hasIssues ? 1 : 0);
+  process.exit(result.hasIssues ? 1 : 0);
 }
 
 /**
@@ -25,6 +25,9 @@
  * - 前置检验确保代码质量（防止不符合规范的代码进入 Qase）
  * - CSV 用于记录/审计和版本控制（Git diff, PR review）
  * - 后置检验确保同步完整性
+ * - 测试用例只提取一次：Step 1 和 Step 2 在当前进程中运行，共用同一个提取结果
+ *   （--source=playwright 时只运行一次 playwright test --list）；
+ *   Step 4 修改代码后由后续步骤重新提取，未修改的文件使用提取缓存（outputDir/.extraction-cache.json）
  *
  * 使用示例：
  * node ~/.claude/skills/qase-testops-manager/scripts/full-sync.js
@@ -37,6 +40,7 @@
  * --debug         保存 JSON 文件用于调试
  * --skip-review   跳过前置检验（不推荐）
  * --force         强制同步，忽略前置检验失败（不推荐）
+ * --source=playwright  使用 playwright test --list 的结果作为提取源（默认按 source 配置）
  */
 
 const { execSync } = require('child_process');
@@ -57,6 +61,7 @@ function parseArgs() {
     debug: args.includes('--debug'),
     skipReview: args.includes('--skip-review'),
     force: args.includes('--force'),
+    source: args.find(arg => arg.startsWith('--source=')) || '',
   };
 }
 
@@ -82,6 +87,33 @@ function runCommand(command, description) {
   }
 }
 
+/**
+ * 在当前进程中执行步骤（共用内存中的提取结果）
+ *
+ * 与 runCommand() 相同：步骤抛出错误或设置了非 0 的 process.exitCode 时为失败
+ */
+async function runStep(step, description) {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`📌 ${description}`);
+  console.log(`${'='.repeat(60)}\n`);
+
+  try {
+    await step();
+  } catch (error) {
+    console.error(`\n❌ ${description} - 失败`);
+    console.error(error.message);
+    return false;
+  }
+
+  if (process.exitCode) {
+    console.error(`\n❌ ${description} - 失败`);
+    return false;
+  }
+
+  console.log(`\n✅ ${description} - 完成`);
+  return true;
+}
+
 /**
  * 主函数
  */
@@ -138,15 +170,17 @@ async function main() {
     console.log('\n⏭️  跳过前置检验（--skip-review）');
   }
 
-  // 步骤 1: 生成 CSV（内部会从代码提取测试用例）
-  let generateCsvArgs = options.updateOnly ? '--update' : '';
-  if (options.debug) {
-    generateCsvArgs += ' --debug';
-  }
-  if (!runCommand(
-    `node "${path.join(SCRIPT_DIR, 'generate-csv.js')}" ${generateCsvArgs}`.trim(),
-    'Step 1/5: 从代码提取测试用例并生成 CSV'
-  )) {
+  // 步骤 1: 从代码提取测试用例并生成 CSV（提取结果由步骤 2 复用）
+  const generateCsvArgs = [
+    ...(options.updateOnly ? ['--update'] : []),
+    ...(options.debug ? ['--debug'] : [])
+  ];
+  let extraction = null;
+  if (!await runStep(() => {
+    const { scanTestFiles } = require('./extract-tests');
+    extraction = scanTestFiles(options.source ? { source: options.source.split('=')[1] } : {});
+    require('./generate-csv').main({ args: generateCsvArgs, extraction });
+  }, 'Step 1/5: 从代码提取测试用例并生成 CSV')) {
     console.error('\n❌ 流水线中断');
     process.exit(1);
   }
@@ -161,9 +195,9 @@ async function main() {
     return;
   }
 
-  // 步骤 2: 同步到 Qase
-  if (!runCommand(
-    `node "${path.join(SCRIPT_DIR, 'sync-to-qase.js')}"`,
+  // 步骤 2: 同步到 Qase（使用步骤 1 的提取结果）
+  if (!await runStep(
+    () => require('./sync-to-qase').main({ args: [], extraction }),
     'Step 2/5: 同步到 Qase Repository'
   )) {
     console.error('\n❌ 流水线中断');
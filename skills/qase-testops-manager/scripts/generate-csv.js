@@ -14,9 +14,16 @@ const fs = require('fs');
 const path = require('path');
 const { loadConfig } = require('../lib/qase-utils');
 const { scanTestFiles } = require('./extract-tests');
+const {
+  resolveIdGrammar,
+  validateCustomId,
+  formatIdTemplate,
+  suggestIdForFile
+} = require('../lib/custom-id');
 
 const PROJECT_ROOT = process.cwd();
 const CONFIG = loadConfig();
+const ID_GRAMMAR = resolveIdGrammar(CONFIG);
 
 // CSV v2 格式头部
 const CSV_HEADERS = [
@@ -73,14 +80,33 @@ function formatSteps(steps) {
     return { actions: '', data: '', result: '' };
   }
 
-  // 将步骤数组转换为编号列表
-  const actions = steps.map((step, index) => `${index + 1}. ${step}`).join('\n');
+  // 将步骤树展开为层级编号列表（如 1. / 1.1.）
+  const actions = [];
+  const results = [];
+
+  function walk(items, prefix) {
+    items.forEach((step, index) => {
+      const number = `${prefix}${index + 1}.`;
+      const action = typeof step === 'object' ? step.action : step;
+      actions.push(`${number} ${action}`);
+
+      if (typeof step === 'object' && step.expected_result) {
+        results.push(`${number} ${step.expected_result}`);
+      }
+
+      if (typeof step === 'object' && step.steps && step.steps.length > 0) {
+        walk(step.steps, number);
+      }
+    });
+  }
+
+  walk(steps, '');
 
   // v2格式要求用双引号包裹整个步骤内容
   return {
-    actions: `"${actions.replace(/"/g, '""')}"`,
+    actions: `"${actions.join('\n').replace(/"/g, '""')}"`,
     data: '',
-    result: ''
+    result: results.length > 0 ? `"${results.join('\n').replace(/"/g, '""')}"` : ''
   };
 }
 
@@ -320,8 +346,6 @@ function updateCsv(testCases, csvPath) {
  * Validate test case Custom IDs
  */
 function validateTestIds(testCases) {
-  const STANDARD_PATTERN = /^TC-(API|UI|E2E|INT|PERF)-(SYNC|INBOX|ACCOUNT|SEARCH|TAG|ARCHIVE|AI|CONTRACT|SMOKE|WORKFLOW|AUTH|SETTINGS)-(\d{3})$/;
-
   const issues = [];
   const validIds = [];
 
@@ -333,17 +357,19 @@ function validateTestIds(testCases) {
         id: 'N/A',
         file: tc.file,
         issue: 'Missing Custom ID',
-        suggestion: 'Add Custom ID in format TC-{LAYER}-{MODULE}-{NUMBER}'
+        suggestion: `Add Custom ID in format ${formatIdTemplate(ID_GRAMMAR)}`
       });
       continue;
     }
 
-    if (!STANDARD_PATTERN.test(customId)) {
+    const validation = validateCustomId(customId, ID_GRAMMAR);
+
+    if (!validation.valid) {
       issues.push({
         id: customId,
         file: tc.file,
-        issue: 'Non-standard format',
-        suggestion: suggestCorrection(customId, tc.file)
+        issue: validation.error,
+        suggestion: validation.suggestion || suggestIdForFile(customId, tc.file, ID_GRAMMAR)
       });
     } else {
       validIds.push(customId);
@@ -353,38 +379,14 @@ function validateTestIds(testCases) {
   return { issues, validIds };
 }
 
-/**
- * Suggest correction for non-standard ID
- */
-function suggestCorrection(testId, fileName) {
-  const fileBaseName = path.basename(fileName, '.spec.ts').toLowerCase();
-
-  let suggestedModule = 'WORKFLOW';
-  if (fileBaseName.includes('sync')) suggestedModule = 'SYNC';
-  else if (fileBaseName.includes('api') || fileBaseName.includes('contract')) suggestedModule = 'CONTRACT';
-  else if (fileBaseName.includes('search')) suggestedModule = 'SEARCH';
-  else if (fileBaseName.includes('tag')) suggestedModule = 'TAG';
-  else if (fileBaseName.includes('archive')) suggestedModule = 'ARCHIVE';
-  else if (fileBaseName.includes('ai')) suggestedModule = 'AI';
-  else if (fileBaseName.includes('smoke')) suggestedModule = 'SMOKE';
-  else if (fileBaseName.includes('inbox')) suggestedModule = 'INBOX';
-  else if (fileBaseName.includes('account')) suggestedModule = 'ACCOUNT';
-
-  let suggestedLayer = 'E2E';
-  if (fileBaseName.includes('api')) suggestedLayer = 'API';
-  else if (fileBaseName.includes('ui')) suggestedLayer = 'UI';
-
-  const numberMatch = testId.match(/\d+/);
-  const number = numberMatch ? numberMatch[0].padStart(3, '0') : '001';
-
-  return `TC-${suggestedLayer}-${suggestedModule}-${number}`;
-}
-
 /**
  * 主函数
+ * @param {Object} options
+ * @param {Array<string>} options.args - 命令行参数（默认 process.argv）
+ * @param {Object} options.extraction - 已有的 extract() 结果（full-sync 传入，不再重复提取）
  */
-function main() {
-  const args = process.argv.slice(2);
+function main(options = {}) {
+  const args = options.args || process.argv.slice(2);
   const isUpdate = args.includes('--update');
   const isDebug = args.includes('--debug');
   const outputArg = args.find(arg => arg.startsWith('--output='));
@@ -413,7 +415,7 @@ function main() {
 
   // 直接从代码提取测试用例（不依赖 JSON 文件）
   console.log('🔍 从测试代码提取测试用例...');
-  const { testCases, errors } = scanTestFiles();
+  const { testCases, errors } = options.extraction || scanTestFiles();
 
   if (errors && errors.length > 0) {
     console.warn(`\n⚠️  发现 ${errors.length} 个提取警告（已跳过）`);
@@ -489,4 +491,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { generateCsv, formatSteps, createTestCaseRow, createSuiteRow };
+module.exports = { main, generateCsv, formatSteps, createTestCaseRow, createSuiteRow };
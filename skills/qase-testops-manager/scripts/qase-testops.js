@@ -0,0 +1,494 @@
+#!/usr/bin/env node
+
+/**
+ * qase-testops：统一的命令行入口
+ *
+ * 用法: qase-testops <command> [options]
+ *
+ * 子命令基于库 API（index.js），--json 时只在标准输出打印一个 JSON 对象：
+ *   { "command": "review", "exitCode": 1, "result": { ... } }
+ *   出错时为 { "command": "sync", "exitCode": 3, "error": { "message": "..." } }
+ *
+ * 退出码见 lib/cli-args.js 的 EXIT_CODES
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EXIT_CODES, usageError, parseArgs } = require('../lib/cli-args');
+const { readConfigFile, resolveConfig } = require('../lib/config');
+const { silentLogger } = require('../lib/logger');
+const { extract } = require('../lib/extractor');
+const { review } = require('../lib/standards-review');
+const { plan, sync, getCaseCustomId } = require('../lib/qase-sync');
+const {
+  DEFAULT_PLAN_FILE,
+  createSyncPlan,
+  writeSyncPlan,
+  readSyncPlan,
+  applySyncPlan,
+  formatSyncPlan
+} = require('../lib/sync-plan');
+const { pull } = require('../lib/qase-pull');
+const { resolvePullFields } = require('../lib/doc-writeback');
+const { compare } = require('../lib/qase-compare');
+const { reportResults } = require('../lib/run-results');
+const { query, deleteCases } = require('../lib/qase-cases');
+const { cleanup } = require('../lib/suite-cleanup');
+
+// 所有子命令都支持的参数
+const GLOBAL_FLAGS = {
+  config: 'string',
+  project: 'string',
+  'dry-run': 'boolean',
+  json: 'boolean',
+  quiet: 'boolean',
+  help: 'boolean'
+};
+
+/**
+ * 按 Suite 分组打印用例
+ */
+function printCasesBySuite(testCases) {
+  const suiteMap = {};
+  for (const tc of testCases) {
+    (suiteMap[tc.suite] = suiteMap[tc.suite] || []).push(tc);
+  }
+
+  for (const [suite, cases] of Object.entries(suiteMap)) {
+    console.log(`📦 ${suite} (${cases.length} 个测试)`);
+    cases.forEach(tc => console.log(`   - ${tc.title}`));
+  }
+}
+
+const COMMANDS = {
+  extract: {
+    usage: 'extract [--source=static|playwright] [--no-cache] [--save]',
+    description: '从测试代码提取用例（--save 保存到 outputDir/jsonFileName）',
+    flags: { source: 'string', 'no-cache': 'boolean', save: 'boolean' },
+    async run({ cwd, config, flags, dryRun }) {
+      const result = extract({
+        cwd,
+        config,
+        source: flags.source,
+        useCache: flags['no-cache'] ? false : undefined
+      });
+
+      let savedTo = null;
+      if (flags.save && !dryRun) {
+        const outputDir = path.join(cwd, config.outputDir);
+        fs.mkdirSync(outputDir, { recursive: true });
+        savedTo = path.join(outputDir, config.jsonFileName);
+        fs.writeFileSync(savedTo, JSON.stringify(result.testCases, null, 2), 'utf-8');
+      }
+
+      return {
+        result: { ...result, savedTo },
+        exitCode: result.errors.length > 0 ? EXIT_CODES.FINDINGS : EXIT_CODES.OK
+      };
+    },
+    print({ testCases, errors, savedTo }) {
+      console.log(`✅ 找到 ${testCases.length} 个测试用例\n`);
+      printCasesBySuite(testCases);
+
+      if (errors.length > 0) {
+        console.log(`\n⚠️  ${errors.length} 个测试的 Custom ID 无效（已跳过）:`);
+        errors.forEach(({ file, testId, error, suggestion }) => {
+          console.log(`   ${file}: ${testId} - ${error}${suggestion ? `（💡 ${suggestion}）` : ''}`);
+        });
+      }
+
+      if (savedTo) {
+        console.log(`\n💾 已保存到: ${savedTo}`);
+      }
+    }
+  },
+
+  review: {
+    usage: 'review [file...]',
+    description: '审核测试代码规范（默认审核 e2eDir 下的所有测试文件）',
+    flags: {},
+    async run({ cwd, config, positionals }) {
+      const result = review({ cwd, config, files: positionals });
+      return { result, exitCode: result.hasIssues ? EXIT_CODES.FINDINGS : EXIT_CODES.OK };
+    },
+    print({ audits, summary }) {
+      audits.forEach(audit => {
+        const icon = audit.hasIssues ? '❌' : '✅';
+        console.log(`${icon} ${audit.fileName} (${audit.score}/100, ${audit.tests.length} 个测试, ${audit.warnings.length} 个警告)`);
+        audit.issues.forEach(issue => console.log(`   行 ${issue.line}: ${issue.message}`));
+      });
+      console.log(`\n📊 ${summary.totalFiles} 个文件, ${summary.totalTests} 个测试, ${summary.filesWithIssues} 个文件有问题, 平均评分 ${summary.averageScore}/100`);
+    }
+  },
+
+  sync: {
+    usage: 'sync [--dry-run] [--full]',
+    description: '同步用例到 Qase，只更新内容变化的用例（--full 更新全部；--dry-run 只列出将创建和更新的用例）',
+    flags: { full: 'boolean' },
+    async run({ cwd, config, flags, dryRun, logger }) {
+      const syncPlan = await plan({ cwd, config, logger });
+
+      if (dryRun) {
+        return {
+          result: {
+            dryRun,
+            toCreate: syncPlan.toCreate.map(tc => ({ id: tc.id, title: tc.title, suite: tc.suite })),
+            toUpdate: syncPlan.toUpdate.map(({ testCase, existing, matchReason }) => ({
+              id: testCase.id,
+              title: testCase.title,
+              qaseId: existing.id,
+              matchReason
+            })),
+            suiteRenames: syncPlan.suiteRenames,
+            suiteDocUpdates: syncPlan.suiteDocUpdates.map(({ suite, changes }) => ({ suite, fields: changes.map(change => change.field) })),
+            removalPolicy: syncPlan.removalPolicy.policy,
+            toRemove: syncPlan.toRemove.map(testCase => ({
+              customId: getCaseCustomId(testCase, config),
+              qaseId: testCase.id,
+              title: testCase.title
+            })),
+            conflicts: syncPlan.conflicts,
+            staleIds: syncPlan.staleIds,
+            fieldConflicts: syncPlan.fieldConflicts
+          },
+          exitCode: syncPlan.conflicts.length > 0 || syncPlan.fieldConflicts.some(item => item.failed)
+            ? EXIT_CODES.FINDINGS
+            : EXIT_CODES.OK
+        };
+      }
+
+      const result = await sync({ cwd, config, plan: syncPlan, full: Boolean(flags.full), logger });
+      const hasIssues = result.failed > 0 || result.conflicts.length > 0 || result.fieldConflicts.some(item => item.failed);
+      return { result: { dryRun, ...result }, exitCode: hasIssues ? EXIT_CODES.FINDINGS : EXIT_CODES.OK };
+    },
+    print(result) {
+      if (result.dryRun) {
+        console.log(`🔍 预览: 创建 ${result.toCreate.length} 个, 更新 ${result.toUpdate.length} 个`);
+        result.suiteRenames.forEach(item => console.log(`   ✏️  Suite: ${item.fromSuite} → ${item.suite}`));
+        result.suiteDocUpdates.forEach(item => console.log(`   📝 Suite 说明: ${item.suite} (${item.fields.join(', ')})`));
+        result.toCreate.forEach(tc => console.log(`   ➕ ${tc.title}`));
+        result.toUpdate.forEach(tc => console.log(`   🔄 ${tc.id} → Qase ID ${tc.qaseId} (匹配: ${tc.matchReason})`));
+        result.toRemove.forEach(item => console.log(`   🧹 ${item.customId} → Qase ID ${item.qaseId} (${result.removalPolicy})`));
+        result.staleIds.forEach(item => console.log(`   ⚠️  ${item.customId}: 过期的 qase.id(${item.qaseId})`));
+      } else {
+        console.log(
+          `📊 同步完成: Suite 改名 / 移动 ${result.suitesRenamed} 个, Suite 说明 ${result.suitesUpdated} 个, 创建 ${result.created} 个, 更新 ${result.updated} 个, ` +
+          `未变化 ${result.unchanged} 个, ` +
+          `deprecated ${result.deprecated} 个, 归档 ${result.archived} 个, 删除 ${result.deleted} 个, 失败 ${result.failed} 个`
+        );
+      }
+      result.conflicts.forEach(item => {
+        console.log(`   ❌ Custom ID 冲突: ${item.customId} → Qase ID ${item.qaseIds.join(', ')}（已跳过）`);
+      });
+      result.fieldConflicts.forEach(item => {
+        const fields = item.fields.map(field => `${field.field}（${field.resolution}）`).join(', ');
+        console.log(`   ⚔️  代码与 Qase 同时修改: ${item.customId} → Qase ID ${item.qaseId}: ${fields}${item.failed ? '（已跳过）' : ''}`);
+      });
+    }
+  },
+
+  plan: {
+    usage: 'plan [--out=<计划文件>] [--markdown=<文件>]',
+    description: '生成同步计划文件（含字段级差异），不修改 Qase',
+    flags: { out: 'string', markdown: 'string' },
+    async run({ cwd, config, flags, logger }) {
+      const syncPlan = await createSyncPlan({ cwd, config, logger });
+      const planFile = writeSyncPlan(path.resolve(cwd, flags.out || path.join(config.outputDir, DEFAULT_PLAN_FILE)), syncPlan);
+
+      if (flags.markdown) {
+        fs.writeFileSync(path.resolve(cwd, flags.markdown), formatSyncPlan(syncPlan) + '\n', 'utf-8');
+      }
+
+      return { result: { ...syncPlan, planFile }, exitCode: EXIT_CODES.OK };
+    },
+    print(result) {
+      console.log(formatSyncPlan(result));
+      console.log(`\n💾 计划已保存到: ${result.planFile}`);
+    }
+  },
+
+  apply: {
+    usage: 'apply <计划文件> [--dry-run]',
+    description: '执行计划文件（Qase 在生成计划后被修改时拒绝执行；--dry-run 只校验）',
+    flags: {},
+    async run({ cwd, config, positionals, dryRun, logger }) {
+      if (positionals.length !== 1) {
+        throw usageError('请指定一个计划文件（qase-testops plan 生成）');
+      }
+      const syncPlan = readSyncPlan(path.resolve(cwd, positionals[0]));
+      const result = await applySyncPlan({ cwd, config, plan: syncPlan, dryRun, logger });
+      return { result, exitCode: result.failed.length > 0 ? EXIT_CODES.FINDINGS : EXIT_CODES.OK };
+    },
+    print(result) {
+      if (result.dryRun) {
+        console.log('✅ Qase 状态与计划一致，可以执行');
+        return;
+      }
+      console.log(`📊 Suite: 改名 / 移动 ${result.suitesRenamed}, 创建 ${result.suitesCreated}, 更新说明 ${result.suitesUpdated}, 删除 ${result.suitesDeleted} | 用例: 创建 ${result.created}, 更新 ${result.updated}, ` +
+        `移动 ${result.moved}, ` +
+        `deprecated ${result.deprecated}, 归档 ${result.archived}, 删除 ${result.deleted}, 失败 ${result.failed.length}`);
+    }
+  },
+
+  pull: {
+    usage: 'pull [--dry-run] [--fields=description,preconditions,steps] [--yes]',
+    description: '从 Qase 拉取 Qase ID 写入 qase.id()；--fields 时拉取用例说明写回 JSDoc / // Expected:（不加 --yes 时只预览）',
+    flags: { fields: 'string', yes: 'boolean' },
+    async run({ cwd, config, flags, dryRun, logger }) {
+      if (flags.fields === undefined) {
+        return { result: await pull({ cwd, config, dryRun, logger }), exitCode: EXIT_CODES.OK };
+      }
+
+      let fields;
+      try {
+        fields = resolvePullFields(flags.fields);
+      } catch (error) {
+        throw usageError(error.message);
+      }
+      const result = await pull({ cwd, config, fields, dryRun: dryRun || !flags.yes, logger });
+      return { result, exitCode: EXIT_CODES.OK };
+    },
+    print({ fields, files, updated, skipped, dryRun }) {
+      // --fields --yes 时每个文件的修改已在写入前输出
+      (dryRun || !fields ? files : []).forEach(({ file, updates, diff }) => {
+        console.log(`📝 ${file}`);
+        updates.forEach(update => console.log(`   ${update}`));
+        (diff || []).forEach(line => console.log(`   ${line}`));
+      });
+      (skipped || []).forEach(({ customId, reason }) => console.log(`⏭️  ${customId}: ${reason}`));
+      console.log(`📊 ${dryRun ? '将更新' : '已更新'} ${updated} 个测试用例${dryRun && fields ? '（使用 --yes 写入）' : ''}`);
+    }
+  },
+
+  compare: {
+    usage: 'compare [--case=<Custom ID>]',
+    description: '比对本地用例（extract 生成的 CSV）与 Qase',
+    flags: { case: 'string' },
+    async run({ cwd, config, flags, logger }) {
+      const result = await compare({ cwd, config, caseId: flags.case, logger });
+      return { result, exitCode: result.hasIssues ? EXIT_CODES.FINDINGS : EXIT_CODES.OK };
+    },
+    print(result) {
+      if (result.customId) {
+        if (!result.local || !result.qase) {
+          console.log(`⚠️  ${result.customId}: ${result.local ? '仅本地存在' : result.qase ? '仅 Qase 存在' : '未找到'}`);
+          return;
+        }
+        console.log(`${result.differences.length === 0 ? '✅' : '⚠️ '} ${result.customId}: ${result.differences.length} 个字段存在差异`);
+        result.differences.forEach(diff => console.log(`   - ${diff.label || diff.field}`));
+        return;
+      }
+      console.log(`✅ 完全一致: ${result.identical.length} 个`);
+      console.log(`⚠️  内容不同: ${result.different.length} 个`);
+      result.different.forEach(({ customId, differences }) => {
+        console.log(`   ${customId}: ${differences.map(diff => diff.field).join(', ')}`);
+      });
+      console.log(`📍 仅本地存在: ${result.onlyLocal.length} 个`);
+      result.onlyLocal.forEach(({ customId }) => console.log(`   ${customId}`));
+      console.log(`☁️  仅 Qase 存在: ${result.onlyQase.length} 个`);
+      result.onlyQase.forEach(({ customId, data }) => console.log(`   ${customId} (Qase ID: ${data.id})`));
+    }
+  },
+
+  results: {
+    usage: 'results [--results-file=test-results/results.json] [--dry-run]',
+    description: '根据 Playwright JSON 结果更新 Last Run Result 字段',
+    flags: { 'results-file': 'string' },
+    async run({ cwd, config, flags, dryRun, logger }) {
+      const result = await reportResults({ cwd, config, resultsFile: flags['results-file'], dryRun, logger });
+      return { result, exitCode: result.failed > 0 ? EXIT_CODES.FINDINGS : EXIT_CODES.OK };
+    },
+    print(result) {
+      result.updates.forEach(update => console.log(`   ${update.customId} (Qase ID: ${update.qaseId}) → ${update.status}`));
+      if (result.dryRun) {
+        console.log(`🔍 预览: ${result.updates.length} 个测试用例将被更新`);
+      } else {
+        console.log(`📊 成功更新 ${result.updated} 个, 失败 ${result.failed} 个`);
+      }
+      if (result.notFound.length > 0) {
+        console.log(`⚠️  未找到对应 Qase 测试用例: ${result.notFound.map(item => item.customId).join(', ')}`);
+      }
+    }
+  },
+
+  query: {
+    usage: 'query [cases|suites] [--suite=<标题>]',
+    description: '查询 Qase 用例或 Suite',
+    flags: { suite: 'string' },
+    async run({ cwd, config, flags, positionals }) {
+      const type = positionals[0] || 'cases';
+      if (type !== 'cases' && type !== 'suites') {
+        throw usageError(`未知的查询类型 "${type}"（可用: cases, suites）`);
+      }
+      return { result: await query({ cwd, config, type, suite: flags.suite }), exitCode: EXIT_CODES.OK };
+    },
+    print({ type, items }) {
+      console.log(`📊 找到 ${items.length} 个${type === 'suites' ? ' Suite' : '测试用例'}`);
+      items.forEach(item => console.log(`   [ID: ${item.id}] ${item.title}`));
+    }
+  },
+
+  cleanup: {
+    usage: 'cleanup [--min-age=<天数>] [--yes]',
+    description: '清理 Qase 中的空 Suite（不加 --yes 时只预览）',
+    flags: { 'min-age': 'string', yes: 'boolean' },
+    async run({ cwd, config, flags, dryRun, logger }) {
+      const minAge = flags['min-age'] === undefined ? 0 : parseInt(flags['min-age']);
+      if (Number.isNaN(minAge)) {
+        throw usageError('--min-age 需要一个天数');
+      }
+      const result = await cleanup({ cwd, config, dryRun: dryRun || !flags.yes, minAge, logger });
+      return { result, exitCode: result.failed.length > 0 ? EXIT_CODES.FINDINGS : EXIT_CODES.OK };
+    },
+    print(result) {
+      if (result.dryRun) {
+        console.log(`🔍 预览: ${result.emptySuites.length} 个空 Suite（使用 --yes 删除）`);
+        result.emptySuites.forEach(suite => console.log(`   - [${suite.id}] ${suite.title}`));
+        return;
+      }
+      console.log(`📊 删除 ${result.deleted.length} 个空 Suite, 失败 ${result.failed.length} 个`);
+    }
+  },
+
+  delete: {
+    usage: 'delete <Qase ID|Custom ID>... [--yes]',
+    description: '删除 Qase 用例（不加 --yes 时只预览）',
+    flags: { yes: 'boolean' },
+    async run({ cwd, config, flags, positionals, dryRun, logger }) {
+      if (positionals.length === 0) {
+        throw usageError('请指定要删除的测试用例 ID（Qase ID 如 101 / EA-101，或 Custom ID）');
+      }
+      const result = await deleteCases({ cwd, config, ids: positionals, dryRun: dryRun || !flags.yes, logger });
+      const hasIssues = result.notFound.length > 0 || result.failed.length > 0;
+      return { result, exitCode: hasIssues ? EXIT_CODES.FINDINGS : EXIT_CODES.OK };
+    },
+    print(result) {
+      if (result.dryRun) {
+        console.log(`🔍 预览: ${result.matched.length} 个测试用例将被删除（使用 --yes 删除）`);
+        result.matched.forEach(item => console.log(`   - [${item.id}] ${item.title}`));
+      } else {
+        console.log(`📊 删除 ${result.deleted.length} 个, 失败 ${result.failed.length} 个`);
+      }
+      if (result.notFound.length > 0) {
+        console.log(`⚠️  未找到: ${result.notFound.join(', ')}`);
+      }
+    }
+  }
+};
+
+/**
+ * 打印帮助
+ */
+function printUsage(command) {
+  if (command) {
+    console.log(`用法: qase-testops ${COMMANDS[command].usage}\n\n${COMMANDS[command].description}`);
+    return;
+  }
+
+  console.log('用法: qase-testops <command> [options]\n');
+  console.log('子命令:');
+  for (const [name, { description }] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(9)} ${description}`);
+  }
+  console.log(`
+全局参数:
+  --config=<path>   配置文件（默认 ./.qase-config.json）
+  --project=<code>  覆盖 qase.projectCode
+  --dry-run         只预览，不修改 Qase 或代码
+  --json            只输出 JSON 结果
+  --quiet           不输出进度，只输出结果
+  --help            显示帮助
+
+退出码: 0 成功，1 发现问题或部分失败，2 用法错误，3 配置或运行错误`);
+}
+
+/**
+ * 读取配置：--config 指定的文件或当前目录的 .qase-config.json，--project 覆盖项目代码
+ */
+function loadCliConfig(cwd, flags) {
+  let config;
+
+  if (flags.config) {
+    const configPath = path.resolve(cwd, flags.config);
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`找不到配置文件: ${configPath}`);
+    }
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`读取 ${configPath} 失败: ${error.message}`);
+    }
+  } else {
+    config = readConfigFile(cwd) || {};
+  }
+
+  if (flags.project) {
+    config = { ...config, qase: { ...config.qase, projectCode: flags.project } };
+  }
+
+  return resolveConfig({ cwd, config });
+}
+
+/**
+ * 执行命令行
+ * @param {Array<string>} argv - 参数（不含 node 和脚本路径）
+ * @returns {Promise<number>} 退出码
+ */
+async function run(argv) {
+  let parsed = { command: null, flags: {} };
+
+  try {
+    parsed = parseArgs(argv, { globalFlags: GLOBAL_FLAGS, commands: COMMANDS });
+    const { command, positionals, flags } = parsed;
+
+    if (flags.help || !command) {
+      printUsage(command);
+      return flags.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    const cwd = process.cwd();
+    const config = loadCliConfig(cwd, flags);
+    const silent = flags.json || flags.quiet;
+    const { result, exitCode } = await COMMANDS[command].run({
+      cwd,
+      config,
+      flags,
+      positionals,
+      dryRun: Boolean(flags['dry-run']),
+      logger: silent ? silentLogger : console
+    });
+
+    if (flags.json) {
+      console.log(JSON.stringify({ command, exitCode, result }, null, 2));
+    } else {
+      if (!flags.quiet) {
+        console.log('');
+      }
+      COMMANDS[command].print(result);
+    }
+
+    return exitCode;
+  } catch (error) {
+    const exitCode = error.exitCode || EXIT_CODES.ERROR;
+
+    if (parsed.flags.json || argv.includes('--json')) {
+      console.log(JSON.stringify({ command: parsed.command, exitCode, error: { message: error.message } }, null, 2));
+    } else {
+      console.error(`❌ ${error.message}`);
+      if (exitCode === EXIT_CODES.USAGE) {
+        console.error('   运行 qase-testops --help 查看用法');
+      }
+    }
+
+    return exitCode;
+  }
+}
+
+// 执行
+if (require.main === module) {
+  run(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { run, COMMANDS, GLOBAL_FLAGS };
@@ -15,7 +15,7 @@
 const path = require('path');
 const fs = require('fs');
 const { execSync } = require('child_process');
-const { loadConfig, qaseApiRequest } = require('../lib/qase-utils');
+const { loadConfig, qaseApiRequest, getCaseCustomId } = require('../lib/qase-utils');
 
 // 项目根目录
 const PROJECT_ROOT = process.cwd();
@@ -122,10 +122,10 @@ async function getAllTestCases(config) {
     // 构建 custom_id -> {qase_id, suite_path} 映射（增强格式）
     const idMapping = {};
     for (const testCase of allCases) {
-      // 查找 custom_id 字段（字段 ID 为 1）
-      const customField = testCase.custom_fields?.find(f => f.id === 1);
-      if (customField && customField.value) {
-        idMapping[customField.value] = {
+      // 查找 custom_id 字段（qase.customFields.customId）
+      const customId = getCaseCustomId(testCase, config);
+      if (customId) {
+        idMapping[customId] = {
           qase_id: testCase.id,
           suite_path: suitePathMap[testCase.suite_id] || ''
         };
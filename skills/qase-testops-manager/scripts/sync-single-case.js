@@ -10,7 +10,17 @@
 
 const fs = require('fs');
 const path = require('path');
-const { loadConfig, qaseApiRequest } = require('../lib/qase-utils');
+const {
+  loadConfig,
+  qaseApiRequest,
+  attachExternalIssues,
+  formatStepsForQase,
+  formatCaseExtrasForQase,
+  formatOwnershipForQase,
+  loadCaseAuthors,
+  getCustomIdFieldId,
+  getCaseCustomId
+} = require('../lib/qase-utils');
 const { scanTestFiles } = require('./extract-tests');
 
 // 项目根目录
@@ -147,11 +157,8 @@ async function getExistingCase(config, customId) {
       if (response.result && response.result.entities) {
         for (const testCase of response.result.entities) {
           // 检查 custom_fields 中的 Custom ID
-          if (testCase.custom_fields && Array.isArray(testCase.custom_fields)) {
-            const customIdField = testCase.custom_fields.find(f => f.id === 1);
-            if (customIdField && customIdField.value === customId) {
-              return testCase;
-            }
+          if (getCaseCustomId(testCase, config) === customId) {
+            return testCase;
           }
 
           // 也检查 title 是否以 Custom ID 开头
@@ -267,36 +274,17 @@ async function ensureSuiteHierarchy(config, fullSuitePath, suiteMap, existingSui
   return suiteMap[fullSuitePath];
 }
 
-async function updateTestCase(config, testCase, existingCase, suiteId) {
+async function updateTestCase(config, testCase, existingCase, suiteId, authors = []) {
   try {
-    // 处理步骤：Qase API v1 格式（只支持 action 和 expected_result）
-    const steps = testCase.steps && testCase.steps.length > 0
-      ? testCase.steps.map((step, index) => {
-          // 如果 step 是对象（新格式），提取 action
-          if (typeof step === 'object' && step.action) {
-            return {
-              action: step.action || '',
-              expected_result: step.expected_result || '',
-              position: index + 1
-            };
-          }
-          // 兼容旧格式（字符串）
-          return {
-            action: step,
-            expected_result: '',
-            position: index + 1
-          };
-        })
-      : [];
+    // 处理步骤：Qase API v1 格式（嵌套步骤转换为子步骤）
+    const steps = formatStepsForQase(testCase.steps);
 
     // 构建自定义字段对象
     const customFields = {};
-    const fieldConfig = config.qase.customFields || { customId: 1 };
+    const fieldConfig = config.qase.customFields || {};
 
     // 添加 Custom ID 字段
-    if (fieldConfig.customId) {
-      customFields[fieldConfig.customId] = testCase.id;
-    }
+    customFields[getCustomIdFieldId(config)] = testCase.id;
 
     // 保留现有的 Last Run Result 字段值（字段 2）
     if (existingCase && existingCase.custom_fields) {
@@ -311,6 +299,10 @@ async function updateTestCase(config, testCase, existingCase, suiteId) {
       customFields[fieldConfig.testFilePath] = testCase.filePath;
     }
 
+    // owner、最后修改提交和源码链接
+    const ownership = formatOwnershipForQase(testCase, config, authors);
+    Object.assign(customFields, ownership.customFields);
+
     const updateData = {
       title: testCase.title,
       description: testCase.description || '',
@@ -326,7 +318,9 @@ async function updateTestCase(config, testCase, existingCase, suiteId) {
       status: testCase.status === 'actual' ? 0 : 1,
       steps: steps,
       tags: Array.isArray(testCase.tags) ? testCase.tags : (testCase.tags ? [testCase.tags] : []),
-      custom_field: customFields
+      custom_field: customFields,
+      ...formatCaseExtrasForQase(testCase),
+      ...ownership.fields
     };
 
     await qaseApiRequest(
@@ -382,6 +376,9 @@ async function main() {
   console.log(`   Custom ID: ${targetCase.id}`);
   console.log(`   标题: ${targetCase.title}`);
   console.log(`   文件: ${targetCase.filePath || targetCase.fileName}`);
+  if (targetCase.owner) {
+    console.log(`   Owner: ${targetCase.owner.name} <${targetCase.owner.email}> (${targetCase.lastCommit.sha.slice(0, 8)})`);
+  }
   console.log(`   Suite: ${targetCase.suite}`);
   console.log(`   步骤: ${targetCase.steps ? targetCase.steps.length : 0} 个\n`);
 
@@ -414,7 +411,20 @@ async function main() {
 
   // 5. 更新测试用例
   console.log('📤 更新测试用例到 Qase...');
-  const success = await updateTestCase(config, targetCase, existingCase, suiteId);
+  const authors = await loadCaseAuthors(config, [targetCase]);
+  const success = await updateTestCase(config, targetCase, existingCase, suiteId, authors);
+
+  if (success && targetCase.externalIssues && targetCase.externalIssues.length > 0) {
+    // 关联 issue annotation（外部链接）
+    try {
+      await attachExternalIssues(config, [
+        { case_id: existingCase.id, external_issues: targetCase.externalIssues }
+      ]);
+      console.log(`🔗 关联外部 Issue: ${targetCase.externalIssues.join(', ')}`);
+    } catch (error) {
+      console.warn(`⚠️  关联外部 Issue 失败: ${error.message}`);
+    }
+  }
 
   if (success) {
     console.log(`\n✅ 成功更新测试用例 ${targetTestId}`);
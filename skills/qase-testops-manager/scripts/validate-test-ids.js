@@ -7,12 +7,19 @@
  * Reports non-compliant IDs and suggests corrections.
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const fs = require('fs');
+const path = require('path');
+const { discoverTestFiles } = require('../lib/file-discovery');
+const { parseTestFile } = require('../lib/test-parser');
+const {
+  resolveIdGrammar,
+  validateCustomId,
+  formatIdTemplate,
+  formatExampleId,
+  escapeRegExp,
+  suggestIdForFile,
+  resolveTemplateId
+} = require('../lib/custom-id');
 
 // Load configuration
 const projectRoot = process.cwd();
@@ -25,37 +32,37 @@ if (!fs.existsSync(configPath)) {
 
 const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
 
-// Standard ID pattern: TC-{LAYER}-{MODULE}-{NUMBER}
-// LAYER: 2-8 uppercase letters (API, UI, E2E, INT, PERF, etc.)
-// MODULE: 2-12 uppercase letters (SYNC, INBOX, ACCOUNT, etc.)
-// NUMBER: 3 digits (001-999)
-const STANDARD_PATTERN = /^TC-[A-Z]{2,8}-[A-Z]{2,12}-\d{3}$/;
+// Custom ID grammar and LAYER/MODULE registry (customId in .qase-config.json)
+// Default: TC-{LAYER}-{MODULE}-{NUMBER}
+const ID_GRAMMAR = resolveIdGrammar(config);
 
 /**
  * Extract test IDs from a file
+ *
+ * Interpolated IDs of data-driven tests (e.g. TC-API-SYNC-0{n}) are resolved the same
+ * way as in extraction (resolveTemplateId); unresolvable ones carry a suggestion instead
  */
 function extractTestIds(filePath) {
   const content = fs.readFileSync(filePath, 'utf-8');
+  const { tests } = parseTestFile(content, filePath);
+  const fileIds = new Set(tests.map(test => test.customId).filter(id => id && !id.includes('{')));
   const testIds = [];
 
-  // Match test IDs in test names (various formats)
-  const patterns = [
-    /test\(['"`]([^:]+):/g,  // test('ID: ...')
-    /test\(['"`]([^\s]+)\s/g, // test('ID ...')
-  ];
-
-  for (const pattern of patterns) {
-    let match;
-    while ((match = pattern.exec(content)) !== null) {
-      const potentialId = match[1].trim();
-      // Only include if it looks like an ID (contains hyphens and numbers)
-      if (/[A-Z]+-.*\d+/.test(potentialId)) {
-        testIds.push({
-          id: potentialId,
-          file: path.relative(projectRoot, filePath),
-          line: content.substring(0, match.index).split('\n').length
-        });
-      }
+  for (const test of tests) {
+    // test('ID: ...') or test('ID ...')
+    const potentialId = test.customId || test.rawTitle.trim().split(/\s+/)[0];
+    const isTemplate = potentialId.includes('{') && Object.keys(test.parameters || {}).length > 0;
+
+    // Only include if it looks like an ID (contains hyphens and numbers)
+    if (isTemplate || /[A-Z]+-.*\d+/.test(potentialId)) {
+      testIds.push({
+        id: potentialId,
+        file: path.relative(projectRoot, filePath),
+        line: test.location.start.line,
+        template: isTemplate
+          ? resolveTemplateId(potentialId, ID_GRAMMAR, { parameters: test.parameters, fileName: filePath, usedIds: fileIds })
+          : null
+      });
     }
   }
 
@@ -64,12 +71,26 @@ function extractTestIds(filePath) {
 
 /**
  * Validate a single test ID
+ * @param {string} testId - Custom ID from the test title
+ * @param {Object} template - resolveTemplateId() result for interpolated IDs
  */
-function validateTestId(testId) {
-  if (!STANDARD_PATTERN.test(testId)) {
+function validateTestId(testId, template = null) {
+  if (template && !template.id) {
     return {
       valid: false,
-      issues: [parseNonStandardId(testId)]
+      issues: ['Interpolated Custom ID cannot be resolved. All parameter combinations must share one fixed Custom ID'],
+      suggestion: template.suggestion
+    };
+  }
+
+  const validation = validateCustomId(template ? template.id : testId, ID_GRAMMAR);
+
+  if (!validation.valid) {
+    return {
+      valid: false,
+      // Format errors get a hint; registry errors already include "did you mean"
+      issues: [validation.parts ? validation.error : parseNonStandardId(testId)],
+      suggestion: validation.suggestion
     };
   }
 
@@ -83,50 +104,24 @@ function validateTestId(testId) {
  * Parse non-standard ID and suggest corrections
  */
 function parseNonStandardId(testId) {
+  const { prefix, separator, numberDigits } = ID_GRAMMAR;
+  const sep = escapeRegExp(separator);
+
   // Common patterns and suggestions
-  if (/^[A-Z]+-\d+$/.test(testId)) {
-    return `Simple format detected. Needs layer and module. Example: TC-E2E-SMOKE-001`;
+  if (new RegExp(`^[A-Z]+${sep}\\d+$`).test(testId)) {
+    return `Simple format detected. Needs layer and module. Example: ${formatExampleId(ID_GRAMMAR)}`;
   }
 
-  if (/^TC-[A-Z]+-\d+$/.test(testId)) {
-    const parts = testId.split('-');
-    return `Missing layer or module. Format: TC-{LAYER}-${parts[1]}-${parts[2].padStart(3, '0')}`;
+  if (new RegExp(`^${escapeRegExp(prefix)}${sep}[A-Z]+${sep}\\d+$`).test(testId)) {
+    const parts = testId.split(separator);
+    return `Missing layer or module. Format: ${prefix}${separator}{LAYER}${separator}${parts[1]}${separator}${parts[2].padStart(numberDigits, '0')}`;
   }
 
-  if (testId.toLowerCase().startsWith('tc-')) {
+  if (testId.toLowerCase().startsWith(`${prefix}${separator}`.toLowerCase()) && testId !== testId.toUpperCase()) {
     return `Lowercase detected. IDs must be uppercase: ${testId.toUpperCase()}`;
   }
 
-  return `Does not match standard format: TC-{LAYER}-{MODULE}-{NUMBER}`;
-}
-
-/**
- * Suggest correction for invalid ID
- */
-function suggestCorrection(testId, fileName) {
-  // Try to infer from file name
-  const fileBaseName = path.basename(fileName, '.spec.ts').toLowerCase();
-
-  let suggestedModule = 'WORKFLOW';
-  if (fileBaseName.includes('sync')) suggestedModule = 'SYNC';
-  else if (fileBaseName.includes('api') || fileBaseName.includes('contract')) suggestedModule = 'CONTRACT';
-  else if (fileBaseName.includes('search')) suggestedModule = 'SEARCH';
-  else if (fileBaseName.includes('tag')) suggestedModule = 'TAG';
-  else if (fileBaseName.includes('archive')) suggestedModule = 'ARCHIVE';
-  else if (fileBaseName.includes('ai')) suggestedModule = 'AI';
-  else if (fileBaseName.includes('smoke')) suggestedModule = 'SMOKE';
-  else if (fileBaseName.includes('inbox')) suggestedModule = 'INBOX';
-  else if (fileBaseName.includes('account')) suggestedModule = 'ACCOUNT';
-
-  let suggestedLayer = 'E2E';
-  if (fileBaseName.includes('api')) suggestedLayer = 'API';
-  else if (fileBaseName.includes('ui')) suggestedLayer = 'UI';
-
-  // Extract number if present
-  const numberMatch = testId.match(/\d+/);
-  const number = numberMatch ? numberMatch[0].padStart(3, '0') : '001';
-
-  return `TC-${suggestedLayer}-${suggestedModule}-${number}`;
+  return `Does not match standard format: ${formatIdTemplate(ID_GRAMMAR)}`;
 }
 
 /**
@@ -142,10 +137,8 @@ function main() {
     process.exit(1);
   }
 
-  // Find all spec files
-  const specFiles = fs.readdirSync(e2eDir)
-    .filter(file => file.endsWith('.spec.ts'))
-    .map(file => path.join(e2eDir, file));
+  // Find all spec files (recursive, honoring include/exclude globs)
+  const specFiles = discoverTestFiles(e2eDir, config);
 
   let totalIds = 0;
   let validIds = 0;
@@ -156,13 +149,13 @@ function main() {
   for (const file of specFiles) {
     const testIds = extractTestIds(file);
 
-    for (const { id, file: relFile, line } of testIds) {
+    for (const { id, file: relFile, line, template } of testIds) {
       totalIds++;
-      const validation = validateTestId(id);
+      const validation = validateTestId(id, template);
 
       if (validation.valid) {
         validIds++;
-        console.log(`✅ ${id} (${relFile}:${line})`);
+        console.log(`✅ ${id}${template ? ` → ${template.id}` : ''} (${relFile}:${line})`);
       } else {
         invalidIds++;
         console.log(`❌ ${id} (${relFile}:${line})`);
@@ -170,7 +163,7 @@ function main() {
           console.log(`   └─ ${issue}`);
         });
 
-        const suggestion = suggestCorrection(id, relFile);
+        const suggestion = validation.suggestion || suggestIdForFile(id, relFile, ID_GRAMMAR);
         console.log(`   💡 Suggested: ${suggestion}\n`);
 
         allIssues.push({